@@ -1,9 +1,14 @@
 const chalk = require('chalk');
 const { detectProject } = require('../utils/projectDetector');
 const BuildkiteAnalyzer = require('../utils/buildkiteAnalyzer');
+const { scanEnvironment } = require('../utils/envInventory');
+const { describeSource } = require('../utils/nodeVersion');
 
 async function analyzeCommand(options) {
-  console.log(chalk.cyan('\n🔍 Karma CI/CD Analysis\n'));
+  // Keep --json output parseable
+  if (!options.json) {
+    console.log(chalk.cyan('\n🔍 Karma CI/CD Analysis\n'));
+  }
 
   try {
     // Detect project configuration
@@ -16,6 +21,7 @@ async function analyzeCommand(options) {
     const analysis = {
       project: projectInfo,
       buildkite: buildkiteAnalysis,
+      environment: scanEnvironment(process.cwd(), { buildkiteAnalysis }),
       comparison: null
     };
 
@@ -39,12 +45,13 @@ async function analyzeCommand(options) {
 }
 
 function displayAnalysis(analysis, verbose) {
-  const { project, buildkite, comparison } = analysis;
+  const { project, buildkite, environment, comparison } = analysis;
 
   // Project Information
   console.log(chalk.cyan('📦 Project Information:\n'));
   console.log(`  Name: ${chalk.bold(project.name)}`);
   console.log(`  Type: ${project.type}`);
+  displayNodeVersion(project.node, verbose);
   console.log(`  Deployment: ${project.deployment}`);
   console.log(`  Environments: ${project.environments.join(', ')}`);
   console.log(`  Staging Required: ${project.staging ? '✅' : '❌'}`);
@@ -59,6 +66,10 @@ function displayAnalysis(analysis, verbose) {
   console.log(`  Linting: ${features.lint ? '✅' : '❌'}`);
   console.log(`  Type Checking: ${features.typecheck ? '✅' : '❌'}`);
 
+  if (project.docker) {
+    displayDocker(project.docker, verbose);
+  }
+
   // CI/CD Status
   console.log(chalk.cyan('\n⚙️  CI/CD Configuration:\n'));
   console.log(`  Current System: ${project.cicd.current || 'None'}`);
@@ -89,6 +100,25 @@ function displayAnalysis(analysis, verbose) {
         });
       }
 
+      if (pipeline.steps?.length > 0 && verbose) {
+        console.log(`  Steps:`);
+        pipeline.steps.forEach(step => {
+          const condition = step.condition ? chalk.gray(` (when ${step.condition})`) : '';
+          console.log(`    • [${step.type}] ${step.label || step.key || ''}${condition}`);
+        });
+      }
+
+      if (pipeline.graph?.stages.length > 0 && verbose) {
+        const labels = new Map(pipeline.graph.nodes.map(node => [node.id, node.label || node.id]));
+        console.log(`  Execution Order:`);
+        pipeline.graph.stages.forEach((stage, index) => {
+          console.log(`    ${index + 1}. ${stage.map(id => labels.get(id)).join(chalk.gray(' | '))}`);
+        });
+        pipeline.graph.errors.forEach(error => {
+          console.log(chalk.yellow(`    ⚠️  ${error}`));
+        });
+      }
+
       if (pipeline.environments?.length > 0) {
         console.log(`  Deployment Environments: ${pipeline.environments.join(', ')}`);
       }
@@ -109,6 +139,8 @@ function displayAnalysis(analysis, verbose) {
     }
   }
 
+  displayEnvironment(environment, verbose);
+
   // Comparison and Recommendations
   if (comparison) {
     console.log(chalk.cyan('\n📊 Migration Readiness:\n'));
@@ -153,4 +185,80 @@ function displayAnalysis(analysis, verbose) {
   }
 }
 
+function displayNodeVersion(node, verbose) {
+  const from = node.source ? describeSource(node.source) : 'default';
+  console.log(`  Node Version: ${node.version} ${chalk.gray(`(${from})`)}`);
+  if (verbose) {
+    node.sources.filter(source => source !== node.source).forEach(source => {
+      console.log(chalk.gray(`    ${describeSource(source)}`));
+    });
+  }
+  node.conflicts.forEach(conflict => {
+    console.log(chalk.yellow(`  ⚠️  ${conflict}`));
+  });
+}
+
+function displayDocker(docker, verbose) {
+  console.log(chalk.cyan('\n🐳 Dockerfile:\n'));
+  console.log(`  Base Images: ${docker.baseImages.map(base => base.image).join(', ') || 'none'}`);
+  console.log(`  Node Version: ${docker.nodeVersion || 'unknown'}`);
+  if (docker.stages.length > 1) {
+    console.log(`  Stages: ${docker.stages.map(stage => stage.name || `#${stage.index}`).join(' → ')}`);
+  }
+  if (docker.buildArgs.length > 0) {
+    console.log(`  Build Args: ${docker.buildArgs.map(arg => arg.default === null ? arg.name : `${arg.name}=${arg.default}`).join(', ')}`);
+  }
+  if (docker.exposedPorts.length > 0) {
+    console.log(`  Exposed Ports: ${docker.exposedPorts.map(({ port, protocol }) => protocol === 'tcp' ? port : `${port}/${protocol}`).join(', ')}`);
+  }
+  console.log(`  Healthcheck: ${docker.healthcheck && !docker.healthcheck.disabled ? '✅' : '❌'}`);
+  console.log(`  Private Packages: ${docker.npmAuth.required ? `✅ (NPM_TOKEN ${docker.npmAuth.token ? 'declared' : 'missing'})` : '❌'}`);
+
+  if (verbose) {
+    docker.stages.forEach(stage => {
+      const from = stage.parent ? `stage ${stage.parent}` : stage.image;
+      console.log(chalk.gray(`    ${docker.file}:${stage.line} ${stage.name || `#${stage.index}`} from ${from}${stage.nodeVersion ? ` (Node ${stage.nodeVersion})` : ''}`));
+    });
+  }
+
+  docker.findings.forEach(finding => {
+    console.log(chalk.yellow(`  ⚠️  ${finding.file}: ${finding.message}`));
+  });
+}
+
+const ENVIRONMENT_KINDS = [
+  ['build-arg', 'Build Args'],
+  ['secret', 'Runtime Secrets'],
+  ['config', 'Public Config']
+];
+
+function displayEnvironment(environment, verbose) {
+  if (environment.variables.length === 0) {
+    return;
+  }
+
+  console.log(chalk.cyan('\n🔑 Environment Variables:\n'));
+  for (const [kind, label] of ENVIRONMENT_KINDS) {
+    const variables = environment.variables.filter(variable => variable.kind === kind);
+    if (variables.length === 0) continue;
+
+    if (!verbose) {
+      console.log(`  ${label}: ${variables.map(variable => variable.name).join(', ')}`);
+      continue;
+    }
+    console.log(`  ${label}:`);
+    for (const variable of variables) {
+      const flags = [kind === 'build-arg' && variable.sensitive && 'secret', !variable.provided && 'not set anywhere'].filter(Boolean);
+      console.log(`    • ${variable.name}${flags.length > 0 ? chalk.yellow(` (${flags.join(', ')})`) : ''}`);
+      for (const source of variable.sources) {
+        console.log(chalk.gray(`        ${source.file}${source.line ? `:${source.line}` : ''} - ${source.detail}`));
+      }
+    }
+  }
+
+  environment.findings.forEach(finding => {
+    console.log(chalk.yellow(`  ⚠️  ${finding.file}: ${finding.message}`));
+  });
+}
+
 module.exports = analyzeCommand;
\ No newline at end of file
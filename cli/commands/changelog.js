@@ -0,0 +1,66 @@
+const chalk = require('chalk');
+const { createGit, parseGitHubRepo } = require('../utils/git');
+const { loadDeployConfig } = require('../utils/deployConfig');
+const { createGitHubApi, githubToken } = require('../utils/githubApi');
+const { tagEnvironment } = require('../utils/tagFormat');
+const {
+  buildChangelog,
+  previousDeploymentTag,
+  renderMarkdown,
+  renderText,
+  publishRelease
+} = require('../utils/changelog');
+
+async function changelogCommand(fromArg, toArg, options = {}) {
+  try {
+    const git = createGit();
+    const config = loadDeployConfig();
+    const to = toArg || 'HEAD';
+    const from = fromArg || previousDeploymentTag(git.tags(), to, config.VERSION_PREFIX);
+    for (const ref of [from, to].filter(Boolean)) {
+      try {
+        git.sha(`${ref}^{commit}`);
+      } catch (error) {
+        throw new Error(`Unknown tag or commit: ${ref}`);
+      }
+    }
+
+    const repo = options.repo || parseGitHubRepo(git.remoteUrl());
+    const changelog = buildChangelog(git, { from, to, repo });
+
+    let release = null;
+    if (options.release) {
+      if (!git.tagExists(to)) {
+        throw new Error('--release needs a tag to publish the release for, e.g. karma changelog v1.2.0 v1.3.0 --release');
+      }
+      if (!repo) {
+        throw new Error('Could not determine the GitHub repository; pass --repo owner/name');
+      }
+      const token = githubToken();
+      if (!token) {
+        throw new Error('No GitHub token: set GITHUB_TOKEN or log in with "gh auth login"');
+      }
+      release = await publishRelease(createGitHubApi({ token }), repo, to, renderMarkdown(changelog), {
+        prerelease: tagEnvironment(to, config.VERSION_PREFIX) !== 'production'
+      });
+    }
+
+    if (options.json) {
+      console.log(JSON.stringify({ ...changelog, release: release && release.html_url }, null, 2));
+      return;
+    }
+    if (options.tagMessage) {
+      console.log(renderText(changelog));
+    } else {
+      console.log(renderMarkdown(changelog, { title: `${to}${from ? ` (since ${from})` : ''}` }));
+    }
+    if (release) {
+      console.log(chalk.green(`✅ Published the release notes: ${release.html_url}`));
+    }
+  } catch (error) {
+    console.error(chalk.red(`\n❌ Error: ${error.message}\n`));
+    process.exit(1);
+  }
+}
+
+module.exports = changelogCommand;
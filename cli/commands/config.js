@@ -0,0 +1,149 @@
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const {
+  loadConfigLayers,
+  resolveConfig,
+  setConfigValue,
+  CONFIG_FILES
+} = require('../utils/deployConfig');
+const { schemaFor, checkValue, validateDeployConfig, TYPE_KEYS } = require('../utils/deployConfigSchema');
+
+function loadConfig() {
+  const projectPath = process.cwd();
+  const layers = loadConfigLayers(projectPath);
+  return { projectPath, layers, ...resolveConfig(layers, projectPath) };
+}
+
+// Prints the effective value without decoration so shell scripts can read it
+async function configGetCommand(key, options) {
+  try {
+    const { values, sources } = loadConfig();
+    const value = values[key];
+    if (value === undefined || value === null) {
+      throw new Error(`${key} is not set`);
+    }
+
+    if (options.json) {
+      console.log(JSON.stringify({ key, value, source: sources[key] }, null, 2));
+      return;
+    }
+    console.log(value);
+  } catch (error) {
+    console.error(chalk.red(`\n❌ Error: ${error.message}\n`));
+    process.exit(1);
+  }
+}
+
+async function configSetCommand(key, value, options) {
+  try {
+    const { projectPath, values } = loadConfig();
+    const file = options.local ? CONFIG_FILES[1] : CONFIG_FILES[0];
+
+    // Setting DEPLOY_TYPE changes which keys are allowed
+    const deployType = key === 'DEPLOY_TYPE' ? value : values.DEPLOY_TYPE;
+    const spec = schemaFor(deployType)[key];
+    if (!spec && !options.force) {
+      const others = Object.keys(TYPE_KEYS).filter(type => TYPE_KEYS[type][key]);
+      throw new Error(others.length > 0
+        ? `${key} only applies to DEPLOY_TYPE ${others.join(' or ')} (DEPLOY_TYPE is ${deployType}); use --force to set it anyway`
+        : `Unknown key ${key}; use --force to set it anyway`);
+    }
+    const problem = spec && checkValue(spec, value);
+    if (problem && !options.force) {
+      throw new Error(`${key}=${JSON.stringify(value)}: ${problem}`);
+    }
+
+    const filePath = path.join(projectPath, file);
+    const content = fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : '';
+    fs.writeFileSync(filePath, setConfigValue(content, key, value));
+
+    console.log(chalk.green(`✅ Set ${key}=${JSON.stringify(value)} in ${file}`));
+  } catch (error) {
+    console.error(chalk.red(`\n❌ Error: ${error.message}\n`));
+    process.exit(1);
+  }
+}
+
+async function configValidateCommand(options) {
+  try {
+    const { layers, values } = loadConfig();
+    const findings = validateDeployConfig(layers, values);
+    const errors = findings.filter(finding => finding.severity === 'error').length;
+    const result = {
+      deployType: values.DEPLOY_TYPE,
+      files: layers.filter(layer => layer.document).map(layer => layer.source),
+      findings,
+      summary: { errors, warnings: findings.length - errors },
+      ok: errors === 0
+    };
+
+    if (options.json) {
+      console.log(JSON.stringify(result, null, 2));
+      if (!result.ok) process.exit(1);
+      return;
+    }
+
+    console.log(chalk.cyan(`\n🔍 Validating ${result.files.length > 0 ? result.files.join(' + ') : 'defaults (no .deploy.config found)'} (DEPLOY_TYPE ${values.DEPLOY_TYPE})\n`));
+    for (const finding of findings) {
+      const where = finding.source ? chalk.gray(` (${finding.source}${finding.line ? `:${finding.line}` : ''})`) : '';
+      if (finding.severity === 'error') {
+        console.log(chalk.red(`  ❌ ${finding.message}`) + where);
+      } else {
+        console.log(chalk.yellow(`  ⚠️  ${finding.message}`) + where);
+      }
+    }
+
+    if (errors > 0) {
+      console.log(chalk.red(`\n❌ ${errors} error(s), ${result.summary.warnings} warning(s)\n`));
+      process.exit(1);
+    }
+    console.log(chalk.green(`${findings.length > 0 ? '\n' : ''}  ✅ Configuration is valid${result.summary.warnings > 0 ? ` (${result.summary.warnings} warning(s))` : ''}\n`));
+  } catch (error) {
+    console.error(chalk.red(`\n❌ Error: ${error.message}\n`));
+    process.exit(1);
+  }
+}
+
+// Without --effective only values set in the config files are shown; with
+// it, defaults and environment variables too
+async function configShowCommand(options) {
+  try {
+    const { values, sources } = loadConfig();
+    const keys = Object.keys(values).filter(key => values[key] !== null &&
+      (options.effective || CONFIG_FILES.includes(sources[key]) || sources[key].startsWith('SERVICE_TYPE')));
+    const schema = schemaFor(values.DEPLOY_TYPE);
+
+    if (options.json) {
+      const shown = {};
+      for (const key of keys) {
+        shown[key] = { value: values[key], source: sources[key] };
+      }
+      console.log(JSON.stringify(shown, null, 2));
+      return;
+    }
+
+    console.log(chalk.cyan(`\n⚙️  ${options.effective ? 'Effective configuration' : 'Configuration'}\n`));
+    if (keys.length === 0) {
+      console.log(chalk.yellow('  No .deploy.config found; run with --effective to see the defaults\n'));
+      return;
+    }
+
+    const width = Math.max(...keys.map(key => key.length));
+    for (const key of keys) {
+      const unknown = schema[key] ? '' : chalk.yellow(' (unknown key)');
+      console.log(`  ${chalk.bold(key.padEnd(width))}  ${values[key]}  ${chalk.gray(sources[key])}${unknown}`);
+    }
+    console.log('');
+  } catch (error) {
+    console.error(chalk.red(`\n❌ Error: ${error.message}\n`));
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  get: configGetCommand,
+  set: configSetCommand,
+  validate: configValidateCommand,
+  show: configShowCommand
+};
@@ -0,0 +1,29 @@
+const chalk = require('chalk');
+const { Deployer, DeployCancelled, normalizeEnvironment } = require('../utils/deployer');
+const rollbackCommand = require('./rollback');
+
+async function deployCommand(environment, options) {
+  try {
+    // `karma deploy rollback` is kept for deploy.sh users
+    if (environment && normalizeEnvironment(environment) === 'rollback') {
+      await rollbackCommand(undefined, {});
+      return;
+    }
+
+    const deployer = new Deployer();
+    const result = await deployer.deploy(environment, options);
+
+    if (result.rollback) {
+      await rollbackCommand(undefined, {});
+    }
+  } catch (error) {
+    if (error instanceof DeployCancelled) {
+      console.log(chalk.yellow(`\n${error.message}\n`));
+      process.exit(error.exitCode);
+    }
+    console.error(chalk.red(`\n❌ Error: ${error.message}\n`));
+    process.exit(1);
+  }
+}
+
+module.exports = deployCommand;
@@ -3,10 +3,17 @@ const path = require('path');
 const chalk = require('chalk');
 const ora = require('ora');
 const inquirer = require('inquirer');
-const { detectProject } = require('../utils/projectDetector');
+const { detectProject, detectPackages } = require('../utils/projectDetector');
 const BuildkiteAnalyzer = require('../utils/buildkiteAnalyzer');
-const { generateWorkflow } = require('../utils/workflowGenerator');
+const { generateWorkflows, deployType } = require('../utils/workflowGenerator');
+const { requiredSecrets, describeSecret } = require('../utils/secretRequirements');
 const { installDeployScript } = require('../utils/scriptInstaller');
+const { writeManagedFile, saveManifest } = require('../utils/managedFiles');
+const { addOverlay, overlaySource } = require('../utils/kustomize');
+const { nodeVersionConflicts } = require('../utils/nodeVersion');
+const { getService } = require('../utils/serviceRegistry');
+const { promptFirebaseProjects } = require('../utils/firebaseProjects');
+const { serviceSlug } = require('../utils/deployConfig');
 
 async function initCommand(options) {
   console.log(chalk.cyan('\n🚀 Karma Deploy Initialization\n'));
@@ -14,9 +21,17 @@ async function initCommand(options) {
   const spinner = ora('Analyzing project...').start();
 
   try {
-    // Detect project type
-    const projectInfo = detectProject();
-    spinner.succeed(`Detected project: ${chalk.bold(projectInfo.name)} (${projectInfo.type})`);
+    // Detect project type; monorepos yield one descriptor per deployable package
+    const packages = detectPackages();
+    const projectInfo = packages.length === 1 ? packages[0] : detectProject();
+    if (packages.length > 1) {
+      spinner.succeed(`Detected monorepo with ${packages.length} packages: ${packages.map(pkg => chalk.bold(pkg.name)).join(', ')}`);
+    } else {
+      spinner.succeed(`Detected project: ${chalk.bold(projectInfo.name)} (${projectInfo.type})`);
+    }
+    nodeVersionConflicts(packages).forEach(conflict => {
+      console.log(chalk.yellow(`⚠️  ${conflict}`));
+    });
 
     // Check for existing configurations
     const hasGitHub = fs.existsSync(path.join(process.cwd(), '.github', 'workflows', 'ci-cd.yml'));
@@ -47,11 +62,18 @@ async function initCommand(options) {
       spinner.succeed('Buildkite pipeline analyzed');
     }
 
-    // Determine staging requirement
-    let includeStaging = projectInfo.staging;
-    if (options.staging !== undefined) {
-      includeStaging = options.staging;
-    } else if (!projectInfo.staging) {
+    // Determine staging requirement. Registered services declare it in the
+    // services registry, which deployments follow, so --staging only adds
+    // staging to the others.
+    for (const pkg of packages.filter(candidate => options.staging && !candidate.staging)) {
+      if (getService(serviceSlug(pkg.name))) {
+        console.log(chalk.yellow(`⚠️  ${pkg.name} is registered without staging in the services registry; add staging to its environments there to deploy it through staging`));
+      } else {
+        pkg.staging = true;
+      }
+    }
+    const [onlyPackage] = packages;
+    if (!options.staging && packages.length === 1 && !onlyPackage.staging && !getService(serviceSlug(onlyPackage.name))) {
       // Ask user if they want staging for ambiguous cases
       const { wantStaging } = await inquirer.prompt([{
         type: 'confirm',
@@ -59,11 +81,26 @@ async function initCommand(options) {
         message: 'Do you want to include a staging environment?',
         default: false
       }]);
-      includeStaging = wantStaging;
+      onlyPackage.staging = wantStaging;
+    }
+    const includeStaging = packages.some(pkg => pkg.staging);
+
+    // Firebase projects are asked for rather than guessed
+    for (const pkg of packages.filter(candidate => deployType(candidate) === 'firebase')) {
+      pkg.firebaseProjects = await promptFirebaseProjects(path.join(process.cwd(), pkg.workingDirectory || '.'), {
+        name: packages.length > 1 ? pkg.name : null,
+        staging: pkg.staging
+      });
     }
 
     console.log(chalk.cyan('\n📋 Configuration Summary:\n'));
     console.log(`  Project: ${projectInfo.name}`);
+    if (packages.length > 1) {
+      console.log(`  Packages: ${packages.map(pkg => `${pkg.name} (${pkg.workingDirectory})`).join(', ')}`);
+      console.log(`  Workflow Layout: ${options.monorepo}`);
+    } else if (projectInfo.workingDirectory !== '.') {
+      console.log(`  Working Directory: ${projectInfo.workingDirectory}`);
+    }
     console.log(`  Type: ${projectInfo.type}`);
     console.log(`  Deployment: ${projectInfo.deployment}`);
     console.log(`  Environments: ${projectInfo.environments.join(', ')}${includeStaging && !projectInfo.environments.includes('staging') ? ', staging' : ''}`);
@@ -89,29 +126,38 @@ async function initCommand(options) {
     }
 
     // 2. Create staging overlay if needed
-    if (includeStaging && !projectInfo.environments.includes('staging')) {
-      spinner.start('Creating staging environment...');
-      createStagingOverlay(projectInfo);
-      spinner.succeed('Staging environment created');
+    for (const pkg of packages.filter(candidate => candidate.staging)) {
+      // Firebase apps stage on FIREBASE_PROJECT_STAGING, not an overlay
+      if (!pkg.environments.includes('staging') && deployType(pkg) === 'kubernetes') {
+        spinner.start(`Creating staging environment${packages.length > 1 ? ` for ${pkg.name}` : ''}...`);
+        const k8sPath = path.join(process.cwd(), pkg.workingDirectory || '.', 'kubernetes');
+        if (overlaySource(k8sPath)) {
+          addOverlay(k8sPath, 'staging', { serviceName: pkg.name });
+          spinner.succeed('Staging environment created');
+        } else {
+          spinner.warn('No kubernetes/base or production overlay to derive a staging overlay from; run "karma k8s overlay add staging" once they exist');
+        }
+      }
     }
 
-    // 3. Create GitHub Actions workflow
+    // 3. Create GitHub Actions workflow(s)
     spinner.start('Creating GitHub Actions workflow...');
-    const workflowContent = generateWorkflow(projectInfo, buildkiteAnalysis);
-    const workflowPath = path.join(process.cwd(), '.github', 'workflows');
-    
-    if (!fs.existsSync(workflowPath)) {
-      fs.mkdirSync(workflowPath, { recursive: true });
+    const workflows = generateWorkflows(packages, buildkiteAnalysis, {}, options.monorepo);
+    for (const workflow of workflows) {
+      writeManagedFile(process.cwd(), path.join('.github', 'workflows', workflow.file), workflow.content);
     }
-    
-    fs.writeFileSync(path.join(workflowPath, 'ci-cd.yml'), workflowContent);
-    spinner.succeed('GitHub Actions workflow created');
+    saveManifest(process.cwd(), {
+      command: 'init',
+      analyze: buildkiteAnalysis !== null,
+      monorepo: options.monorepo
+    });
+    spinner.succeed(`GitHub Actions workflow created (${workflows.map(workflow => workflow.file).join(', ')})`);
 
     // Display required secrets
     console.log(chalk.cyan('\n🔐 Required GitHub Secrets:\n'));
-    const secrets = getRequiredSecrets(projectInfo, buildkiteAnalysis);
+    const secrets = requiredSecrets(packages, buildkiteAnalysis);
     secrets.forEach(secret => {
-      console.log(`  • ${secret.name}: ${secret.description}`);
+      console.log(`  • ${describeSecret(secret)}`);
     });
 
     // Success message
@@ -119,8 +165,8 @@ async function initCommand(options) {
 
     // Next steps
     console.log(chalk.cyan('📝 Next Steps:\n'));
-    console.log('1. Review .github/workflows/ci-cd.yml');
-    console.log('2. Configure GitHub secrets listed above');
+    console.log(`1. Review ${workflows.map(workflow => `.github/workflows/${workflow.file}`).join(', ')}`);
+    console.log('2. Configure GitHub secrets listed above, then check them with: karma secrets check');
     console.log('3. Set up GitHub environments:');
     console.log('   - Go to Settings → Environments');
     console.log('   - Create "development" environment');
@@ -129,7 +175,7 @@ async function initCommand(options) {
       console.log('   - Create "staging" environment');
     }
     console.log('4. Test deployment with: npm run deploy:dev');
-    console.log('5. Create a version tag to trigger deployment: git tag v1.0.0-dev && git push --tags');
+    console.log('5. Or tag a development build yourself: git tag dev-YYYYMMDD-HHMM-1 && git push --tags');
 
   } catch (error) {
     spinner.fail('Initialization failed');
@@ -138,88 +184,4 @@ async function initCommand(options) {
   }
 }
 
-function createStagingOverlay(projectInfo) {
-  const stagingPath = path.join(process.cwd(), 'kubernetes', 'overlays', 'staging');
-  
-  if (!fs.existsSync(stagingPath)) {
-    fs.mkdirSync(stagingPath, { recursive: true });
-  }
-
-  // Create kustomization.yaml
-  const kustomization = `apiVersion: kustomize.config.k8s.io/v1beta1
-kind: Kustomization
-
-resources:
-  - ../production
-
-namespace: staging
-
-namePrefix: staging-
-
-labels:
-  - pairs:
-      environment: staging
-    includeSelectors: true`;
-
-  fs.writeFileSync(path.join(stagingPath, 'kustomization.yaml'), kustomization);
-
-  // Create configmap
-  const configmap = `apiVersion: v1
-kind: ConfigMap
-metadata:
-  name: ${projectInfo.name}
-data:
-  NODE_ENV: "staging"
-  SENTRY_ENVIRONMENT: "staging"`;
-
-  fs.writeFileSync(path.join(stagingPath, 'configmap.yaml'), configmap);
-
-  // Create deployment patch
-  const deployment = `apiVersion: apps/v1
-kind: Deployment
-metadata:
-  name: ${projectInfo.name}
-spec:
-  replicas: 1
-  template:
-    spec:
-      containers:
-        - name: ${projectInfo.name}
-          resources:
-            requests:
-              memory: "256Mi"
-              cpu: "100m"
-            limits:
-              memory: "512Mi"
-              cpu: "500m"`;
-
-  fs.writeFileSync(path.join(stagingPath, 'deployment.yaml'), deployment);
-}
-
-function getRequiredSecrets(projectInfo, buildkiteAnalysis) {
-  const secrets = [
-    { name: 'NPM_TOKEN', description: 'NPM authentication token for private packages' },
-    { name: 'GCP_SA_KEY', description: 'Service account key for GCP deployment' },
-    { name: 'GITOPS_TOKEN', description: 'GitHub token for GitOps repository access' }
-  ];
-
-  if (projectInfo.features.sentry || buildkiteAnalysis?.pipeline?.features?.sentry) {
-    secrets.push({ name: 'SENTRY_AUTH_TOKEN', description: 'Sentry authentication token' });
-  }
-
-  if (buildkiteAnalysis?.pipeline?.features?.fontawesome) {
-    secrets.push({ name: 'FONTAWESOME_NPM_TOKEN', description: 'FontAwesome Pro NPM token' });
-  }
-
-  if (buildkiteAnalysis?.pipeline?.features?.googleMaps) {
-    secrets.push({ name: 'STOREFRONT_PUBLIC_GOOGLE_MAPS_KEY', description: 'Google Maps API key' });
-  }
-
-  if (projectInfo.features.graphql) {
-    secrets.push({ name: 'APOLLO_KEY', description: 'Apollo Studio API key' });
-  }
-
-  return secrets;
-}
-
 module.exports = initCommand;
\ No newline at end of file
@@ -0,0 +1,154 @@
+const path = require('path');
+const chalk = require('chalk');
+const { loadDeployConfig } = require('../utils/deployConfig');
+const { addOverlay, validateKustomize, dumpDocuments } = require('../utils/kustomize');
+const { renderOverlay, diffOverlays } = require('../utils/kustomizeBuild');
+const { colorizeDiff } = require('../utils/textMerge');
+
+// The manifests directory (K8S_DIR, default kubernetes/) and service name
+// from .deploy.config
+function k8sSettings() {
+  const projectPath = process.cwd();
+  const config = loadDeployConfig(projectPath);
+  const k8sDir = config.K8S_DIR || 'kubernetes';
+  return { projectPath, k8sDir, k8sPath: path.join(projectPath, k8sDir), serviceName: config.SERVICE_NAME };
+}
+
+async function overlayAddCommand(env, options) {
+  try {
+    const { k8sDir, k8sPath, serviceName } = k8sSettings();
+    const replicas = Number(options.replicas);
+    const scale = Number(options.scale);
+    if (!Number.isInteger(replicas) || replicas < 0) {
+      throw new Error(`--replicas must be a whole number, got ${options.replicas}`);
+    }
+    if (!(scale > 0)) {
+      throw new Error(`--scale must be a positive number, got ${options.scale}`);
+    }
+
+    const result = addOverlay(k8sPath, env, {
+      from: options.from,
+      replicas,
+      scale,
+      serviceName,
+      force: options.force,
+      dryRun: options.dryRun
+    });
+    const target = path.join(k8sDir, 'overlays', env);
+
+    console.log(chalk.cyan(`\n☸️  ${options.dryRun ? 'Would create' : 'Created'} ${target} from ${path.join(k8sDir, result.source)}\n`));
+    for (const { file } of result.files) {
+      console.log(`  ${chalk.green('+')} ${path.join(target, file)}`);
+    }
+
+    if (result.changes.length > 0) {
+      console.log(chalk.cyan('\n📝 Derived changes:\n'));
+      for (const change of result.changes) {
+        console.log(`  • ${change}`);
+      }
+    }
+
+    console.log(chalk.yellow(`\n⚠️  Review the generated files${result.source === 'base' ? '' : ' (comments are not copied)'}, then run "karma k8s validate"\n`));
+  } catch (error) {
+    console.error(chalk.red(`\n❌ Error: ${error.message}\n`));
+    process.exit(1);
+  }
+}
+
+async function validateCommand(options) {
+  try {
+    const { projectPath, k8sDir, k8sPath, serviceName } = k8sSettings();
+    const findings = validateKustomize(projectPath, k8sPath, { serviceName });
+    const errors = findings.filter(finding => finding.severity === 'error').length;
+    const result = {
+      directory: k8sDir,
+      findings,
+      summary: { errors, warnings: findings.length - errors },
+      ok: errors === 0
+    };
+
+    if (options.json) {
+      console.log(JSON.stringify(result, null, 2));
+      if (!result.ok) process.exit(1);
+      return;
+    }
+
+    console.log(chalk.cyan(`\n🔍 Validating kustomizations in ${k8sDir}/\n`));
+    const files = [...new Set(findings.map(finding => finding.file))];
+    for (const file of files) {
+      console.log(chalk.bold(`  ${file}`));
+      for (const finding of findings.filter(candidate => candidate.file === file)) {
+        if (finding.severity === 'error') {
+          console.log(chalk.red(`    ❌ ${finding.message}`));
+        } else {
+          console.log(chalk.yellow(`    ⚠️  ${finding.message}`));
+        }
+      }
+    }
+
+    if (errors > 0) {
+      console.log(chalk.red(`\n❌ ${errors} error(s), ${result.summary.warnings} warning(s)\n`));
+      process.exit(1);
+    }
+    console.log(chalk.green(`${findings.length > 0 ? '\n' : ''}  ✅ All overlays resolve${result.summary.warnings > 0 ? ` (${result.summary.warnings} warning(s))` : ''}\n`));
+  } catch (error) {
+    console.error(chalk.red(`\n❌ Error: ${error.message}\n`));
+    process.exit(1);
+  }
+}
+
+// Prints the manifests alone on stdout so they can be piped to kubectl;
+// warnings go to stderr
+async function renderCommand(env, options) {
+  try {
+    const { projectPath, k8sPath, serviceName } = k8sSettings();
+    const { documents, warnings, tagged } = renderOverlay(projectPath, k8sPath, env, { serviceName, imageTag: options.imageTag });
+
+    for (const warning of warnings) {
+      console.error(chalk.yellow(`⚠️  ${warning.file}: ${warning.message}`));
+    }
+    if (options.imageTag && tagged === 0) {
+      console.error(chalk.yellow(`⚠️  No container image contains "${serviceName}"; --image-tag changed nothing`));
+    }
+
+    process.stdout.write(dumpDocuments(documents));
+  } catch (error) {
+    console.error(chalk.red(`\n❌ Error: ${error.message}\n`));
+    process.exit(1);
+  }
+}
+
+async function diffCommand(from, to, options) {
+  try {
+    const { projectPath, k8sPath, serviceName } = k8sSettings();
+    const results = diffOverlays(projectPath, k8sPath, from, to, { serviceName, imageTag: options.imageTag });
+
+    if (options.json) {
+      console.log(JSON.stringify(results, null, 2));
+      return;
+    }
+
+    console.log(chalk.cyan(`\n☸️  Rendered differences between ${from} and ${to}\n`));
+    for (const result of results.filter(candidate => candidate.status !== 'same')) {
+      const label = result.status === 'changed' ? 'changed' : `only in ${result.status.replace(/^only-/, '')}`;
+      console.log(chalk.bold(`  ${result.id}`) + chalk.gray(` (${label})`));
+      for (const line of colorizeDiff(result.diff)) {
+        console.log(`    ${line}`);
+      }
+      console.log('');
+    }
+
+    const count = status => results.filter(result => result.status === status).length;
+    console.log(`${count('changed')} changed, ${count(`only-${from}`)} only in ${from}, ${count(`only-${to}`)} only in ${to}, ${count('same')} identical\n`);
+  } catch (error) {
+    console.error(chalk.red(`\n❌ Error: ${error.message}\n`));
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  overlayAdd: overlayAddCommand,
+  validate: validateCommand,
+  render: renderCommand,
+  diff: diffCommand
+};
@@ -0,0 +1,86 @@
+const chalk = require('chalk');
+const fs = require('fs');
+const path = require('path');
+const { lintWorkflowFile } = require('../utils/workflowLinter');
+
+const SEVERITY_ICONS = {
+  error: '❌',
+  warning: '⚠️ '
+};
+
+async function lintCommand(files, options) {
+  if (!options.json) {
+    console.log(chalk.cyan('\n🔍 Karma Workflow Lint\n'));
+  }
+
+  try {
+    const workflowPaths = files && files.length > 0
+      ? files.map(file => path.resolve(file))
+      : findWorkflows(process.cwd());
+
+    for (const file of workflowPaths) {
+      if (!fs.existsSync(file)) {
+        throw new Error(`Workflow not found: ${path.relative(process.cwd(), file)}`);
+      }
+    }
+
+    const reports = workflowPaths.map(file => lintWorkflowFile(file));
+    const summary = {
+      errors: reports.reduce((total, report) => total + report.summary.errors, 0),
+      warnings: reports.reduce((total, report) => total + report.summary.warnings, 0)
+    };
+    const ok = summary.errors === 0;
+
+    if (options.json) {
+      console.log(JSON.stringify({ files: reports, summary, ok }, null, 2));
+    } else {
+      displayReports(reports, summary);
+    }
+
+    if (!ok) {
+      process.exit(1);
+    }
+  } catch (error) {
+    console.error(chalk.red(`\n❌ Error: ${error.message}\n`));
+    process.exit(1);
+  }
+}
+
+function findWorkflows(projectPath) {
+  const dir = path.join(projectPath, '.github', 'workflows');
+  const files = fs.existsSync(dir)
+    ? fs.readdirSync(dir).filter(file => /\.ya?ml$/.test(file)).sort()
+    : [];
+
+  if (files.length === 0) {
+    throw new Error('No workflows found in .github/workflows. Run "karma init" first.');
+  }
+  return files.map(file => path.join(dir, file));
+}
+
+function displayReports(reports, summary) {
+  for (const report of reports) {
+    const file = path.relative(process.cwd(), report.path);
+    if (report.findings.length === 0) {
+      console.log(`  ✅ ${file}`);
+      continue;
+    }
+
+    console.log(chalk.bold(`  ${file}`));
+    for (const finding of report.findings) {
+      const where = finding.job ? `${finding.job}: ` : '';
+      console.log(`    ${SEVERITY_ICONS[finding.severity]} ${where}${finding.message} ${chalk.gray(`(${finding.rule})`)}`);
+    }
+  }
+
+  console.log(chalk.cyan('\n📊 Summary:\n'));
+  console.log(`  ${reports.length} workflow(s), ${chalk.red(`${summary.errors} errors`)}, ${chalk.yellow(`${summary.warnings} warnings`)}`);
+
+  if (summary.errors === 0) {
+    console.log(chalk.green('\n✅ No errors found\n'));
+  } else {
+    console.log(chalk.red('\n❌ Fix the errors above before deploying\n'));
+  }
+}
+
+module.exports = lintCommand;
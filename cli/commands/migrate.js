@@ -1,11 +1,15 @@
-const fs = require('fs');
 const path = require('path');
 const chalk = require('chalk');
 const ora = require('ora');
 const BuildkiteAnalyzer = require('../utils/buildkiteAnalyzer');
-const { detectProject } = require('../utils/projectDetector');
-const { generateWorkflow } = require('../utils/workflowGenerator');
+const { detectProject, detectPackages } = require('../utils/projectDetector');
+const { generateWorkflows, deployType } = require('../utils/workflowGenerator');
+const { translatePipeline } = require('../utils/stepTranslator');
 const { installDeployScript } = require('../utils/scriptInstaller');
+const { writeManagedFile, saveManifest } = require('../utils/managedFiles');
+const { addOverlay, overlaySource } = require('../utils/kustomize');
+const { requiredSecrets, describeSecret } = require('../utils/secretRequirements');
+const { promptFirebaseProjects } = require('../utils/firebaseProjects');
 
 async function migrateCommand(options) {
   console.log(chalk.cyan('\n🚀 Karma Migration Tool - Buildkite to GitHub Actions\n'));
@@ -13,9 +17,15 @@ async function migrateCommand(options) {
   const spinner = ora('Analyzing project...').start();
 
   try {
-    // Detect project type and configuration
-    const projectInfo = detectProject();
-    spinner.succeed('Project analyzed');
+    // Detect project type and configuration; monorepos yield one descriptor
+    // per deployable package
+    const packages = detectPackages();
+    const projectInfo = packages.length === 1 ? packages[0] : detectProject();
+    if (packages.length > 1) {
+      spinner.succeed(`Project analyzed: monorepo with ${packages.length} packages (${packages.map(pkg => pkg.name).join(', ')})`);
+    } else {
+      spinner.succeed('Project analyzed');
+    }
 
     // Analyze Buildkite pipeline
     spinner.start('Analyzing Buildkite pipeline...');
@@ -56,6 +66,13 @@ async function migrateCommand(options) {
           });
         }
 
+        if ((buildkiteAnalysis.pipeline.variables || []).length > 0) {
+          console.log(chalk.white('\n🔧 Variables read from the agent environment:'));
+          buildkiteAnalysis.pipeline.variables.forEach(variable => {
+            console.log(`  • ${variable}`);
+          });
+        }
+
         if (buildkiteAnalysis.pipeline.dockerBuildArgs.length > 0) {
           console.log(chalk.white('\n🐳 Docker build args:'));
           buildkiteAnalysis.pipeline.dockerBuildArgs.forEach(arg => {
@@ -65,6 +82,24 @@ async function migrateCommand(options) {
       }
     }
 
+    // Translate Buildkite steps into GitHub Actions jobs
+    const translation = translatePipeline(buildkiteAnalysis?.pipeline, {
+      fullTranslation: options.fullTranslation
+    });
+
+    if (translation.steps.length > 0) {
+      console.log(chalk.cyan('\n🔁 Step Translation:\n'));
+      translation.steps.forEach(({ step, job, covered }) => {
+        if (covered) {
+          console.log(`  • ${step} → ${chalk.gray('covered by reusable pipeline')}`);
+        } else if (job) {
+          console.log(`  • ${step} → job ${chalk.bold(job)}`);
+        } else {
+          console.log(chalk.yellow(`  • ${step} → not translated (see TODOs)`));
+        }
+      });
+    }
+
     if (options.dryRun) {
       console.log(chalk.yellow('\n🔍 Dry run mode - no changes will be made\n'));
     }
@@ -81,23 +116,54 @@ async function migrateCommand(options) {
     });
 
     // Step 2: Create staging overlay if needed
-    if (projectInfo.staging && !projectInfo.environments.includes('staging')) {
-      migrationSteps.push({
-        name: 'Create staging environment configuration',
-        action: () => createStagingOverlay(projectInfo)
-      });
+    for (const pkg of packages) {
+      // Firebase apps stage on FIREBASE_PROJECT_STAGING, not an overlay
+      if (pkg.staging && !pkg.environments.includes('staging') && deployType(pkg) === 'kubernetes') {
+        const k8sPath = path.join(process.cwd(), pkg.workingDirectory || '.', 'kubernetes');
+        if (!overlaySource(k8sPath)) {
+          translation.todos.push({
+            step: null,
+            message: `${pkg.name} has no kubernetes/base or production overlay to derive a staging overlay from; run "karma k8s overlay add staging" once they exist`
+          });
+          continue;
+        }
+        migrationSteps.push({
+          name: `Create staging environment configuration${packages.length > 1 ? ` for ${pkg.name}` : ''}`,
+          action: () => addOverlay(k8sPath, 'staging', { serviceName: pkg.name })
+        });
+      }
     }
 
-    // Step 3: Create GitHub Actions workflow
+    // Step 3: Create GitHub Actions workflow(s). Firebase projects are
+    // asked for rather than guessed.
+    for (const pkg of packages.filter(candidate => deployType(candidate) === 'firebase')) {
+      pkg.firebaseProjects = await promptFirebaseProjects(path.join(process.cwd(), pkg.workingDirectory || '.'), {
+        name: packages.length > 1 ? pkg.name : null,
+        staging: pkg.staging
+      });
+    }
+    const workflows = generateWorkflows(packages, buildkiteAnalysis, translation.jobs, options.monorepo, {
+      branches: translation.branches,
+      fullTranslation: options.fullTranslation
+    });
+    if (translation.branches.length > 0) {
+      console.log(chalk.white(`\n🌿 Pushes to ${translation.branches.join(', ')} now trigger the workflow, for the steps limited to those branches`));
+    }
+    if (!options.fullTranslation && packages.length > 1 && options.monorepo === 'per-package' && Object.keys(translation.jobs).length > 0) {
+      translation.todos.push({
+        step: null,
+        message: `Translated Buildkite jobs were added to ${workflows[0].file}; move any that belong to another package`
+      });
+    }
     migrationSteps.push({
-      name: 'Create GitHub Actions workflow',
-      action: () => createGitHubWorkflow(projectInfo, buildkiteAnalysis)
+      name: `Create GitHub Actions workflow (${workflows.map(workflow => workflow.file).join(', ')})`,
+      action: () => writeWorkflows(workflows, options)
     });
 
     // Step 4: List required secrets
     migrationSteps.push({
       name: 'Configure GitHub secrets',
-      action: () => listRequiredSecrets(projectInfo, buildkiteAnalysis)
+      action: () => listRequiredSecrets(packages, buildkiteAnalysis)
     });
 
     // Display plan
@@ -105,6 +171,10 @@ async function migrateCommand(options) {
       console.log(`${index + 1}. ${step.name}`);
     });
 
+    if (options.dryRun) {
+      displayTranslationTodos(translation.todos);
+    }
+
     if (!options.dryRun) {
       console.log(chalk.cyan('\n🚀 Executing migration...\n'));
       
@@ -138,25 +208,19 @@ async function migrateCommand(options) {
       
       // Next steps
       console.log(chalk.cyan('📝 Next steps:\n'));
-      console.log('1. Review the generated .github/workflows/ci-cd.yml file');
+      console.log(`1. Review the generated ${workflows.map(workflow => `.github/workflows/${workflow.file}`).join(', ')}`);
       console.log('2. Configure the following GitHub secrets:');
-      console.log('   • NPM_TOKEN');
-      console.log('   • GCP_SA_KEY');
-      if (buildkiteAnalysis?.pipeline?.features?.sentry) {
-        console.log('   • SENTRY_AUTH_TOKEN');
-      }
-      if (buildkiteAnalysis?.pipeline?.features?.fontawesome) {
-        console.log('   • FONTAWESOME_NPM_TOKEN');
-      }
-      if (buildkiteAnalysis?.pipeline?.features?.googleMaps) {
-        console.log('   • STOREFRONT_PUBLIC_GOOGLE_MAPS_KEY');
-      }
+      requiredSecrets(packages, buildkiteAnalysis)
+        .filter(secret => secret.required)
+        .forEach(secret => console.log(`   • ${secret.name}`));
       console.log('3. Configure GitHub environments (development, production' + 
-                  (projectInfo.staging ? ', staging' : '') + ')');
+                  (packages.some(pkg => pkg.staging) ? ', staging' : '') + ')');
       console.log('4. Test the workflow with a feature branch');
       if (!options.keepBuildkite) {
         console.log('5. Remove .buildkite directory once migration is verified');
       }
+
+      displayTranslationTodos(translation.todos);
     }
 
   } catch (error) {
@@ -166,64 +230,34 @@ async function migrateCommand(options) {
   }
 }
 
-function createStagingOverlay(projectInfo) {
-  const stagingPath = path.join(process.cwd(), 'kubernetes', 'overlays', 'staging');
-  
-  if (!fs.existsSync(stagingPath)) {
-    fs.mkdirSync(stagingPath, { recursive: true });
+function writeWorkflows(workflows, options) {
+  for (const workflow of workflows) {
+    writeManagedFile(process.cwd(), path.join('.github', 'workflows', workflow.file), workflow.content);
   }
-
-  // Create kustomization.yaml
-  const kustomization = `apiVersion: kustomize.config.k8s.io/v1beta1
-kind: Kustomization
-
-resources:
-  - ../production
-
-namespace: staging
-
-namePrefix: staging-
-
-labels:
-  - pairs:
-      environment: staging
-    includeSelectors: true`;
-
-  fs.writeFileSync(path.join(stagingPath, 'kustomization.yaml'), kustomization);
-
-  // Create basic configmap
-  const configmap = `apiVersion: v1
-kind: ConfigMap
-metadata:
-  name: ${projectInfo.name}
-data:
-  NODE_ENV: "staging"
-  SENTRY_ENVIRONMENT: "staging"`;
-
-  fs.writeFileSync(path.join(stagingPath, 'configmap.yaml'), configmap);
+  saveManifest(process.cwd(), {
+    command: 'migrate',
+    analyze: true,
+    monorepo: options.monorepo,
+    fullTranslation: Boolean(options.fullTranslation)
+  });
 }
 
-function createGitHubWorkflow(projectInfo, buildkiteAnalysis) {
-  const workflowPath = path.join(process.cwd(), '.github', 'workflows');
-  
-  if (!fs.existsSync(workflowPath)) {
-    fs.mkdirSync(workflowPath, { recursive: true });
-  }
-
-  const workflow = generateWorkflow(projectInfo, buildkiteAnalysis);
-  fs.writeFileSync(path.join(workflowPath, 'ci-cd.yml'), workflow);
+function listRequiredSecrets(packages, buildkiteAnalysis) {
+  console.log(chalk.yellow('\n🔐 Required GitHub Secrets:\n'));
+  requiredSecrets(packages, buildkiteAnalysis).forEach(secret => {
+    console.log(`  • ${describeSecret(secret)}`);
+  });
+  console.log(chalk.gray('\n  Check what is already configured with: karma secrets check'));
 }
 
-function listRequiredSecrets(projectInfo, buildkiteAnalysis) {
-  const secrets = ['NPM_TOKEN', 'GCP_SA_KEY', 'GITOPS_TOKEN'];
-  
-  if (buildkiteAnalysis?.pipeline?.secrets) {
-    secrets.push(...buildkiteAnalysis.pipeline.secrets);
+function displayTranslationTodos(todos) {
+  if (todos.length === 0) {
+    return;
   }
 
-  console.log(chalk.yellow('\n🔐 Required GitHub Secrets:\n'));
-  secrets.forEach(secret => {
-    console.log(`  • ${secret}`);
+  console.log(chalk.yellow('\n📝 TODO - Buildkite constructs that were not translated:\n'));
+  todos.forEach(({ step, message }) => {
+    console.log(`  □ ${step ? `${chalk.bold(step)}: ` : ''}${message}`);
   });
 }
 
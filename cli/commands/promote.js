@@ -0,0 +1,25 @@
+const chalk = require('chalk');
+const { Deployer, DeployCancelled } = require('../utils/deployer');
+
+async function promoteCommand(from, to, options = {}) {
+  try {
+    const deployer = new Deployer();
+    const result = await deployer.promote(from, to, options);
+    if (result.preview) {
+      return;
+    }
+
+    console.log(chalk.green('═══════════════════════════════════════════════════════════════'));
+    console.log(chalk.green('                    Promotion Complete!                         '));
+    console.log(chalk.green('═══════════════════════════════════════════════════════════════'));
+  } catch (error) {
+    if (error instanceof DeployCancelled) {
+      console.log(chalk.yellow(`\n${error.message}\n`));
+      process.exit(error.exitCode);
+    }
+    console.error(chalk.red(`\n❌ Error: ${error.message}\n`));
+    process.exit(1);
+  }
+}
+
+module.exports = promoteCommand;
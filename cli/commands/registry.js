@@ -0,0 +1,122 @@
+const chalk = require('chalk');
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const {
+  loadRegistry,
+  getService,
+  listServices,
+  validateRegistry,
+  registryPath
+} = require('../utils/serviceRegistry');
+
+async function registryListCommand(options) {
+  try {
+    const services = listServices();
+
+    if (options.json) {
+      console.log(JSON.stringify(services, null, 2));
+      return;
+    }
+
+    console.log(chalk.cyan(`\n📚 Services Registry (${services.length} services)\n`));
+    for (const service of services) {
+      const details = [
+        service.environments.join(', '),
+        service.sentry.project && `sentry: ${service.sentry.project}`,
+        service.apollo && `apollo: ${service.apollo.graph}/${service.apollo.subgraph}`,
+        service.owners.length > 0 && `owners: ${service.owners.join(', ')}`
+      ].filter(Boolean);
+      console.log(`  ${chalk.bold(service.name)}`);
+      console.log(chalk.gray(`    ${details.join(' · ')}`));
+    }
+    console.log('');
+  } catch (error) {
+    console.error(chalk.red(`\n❌ Error: ${error.message}\n`));
+    process.exit(1);
+  }
+}
+
+// --field prints one value without decoration so shell scripts can read it;
+// lists are space separated
+async function registryShowCommand(name, options) {
+  try {
+    const service = getService(name);
+    if (!service) {
+      throw new Error(`Service "${name}" is not in the registry (${loadRegistry().path})`);
+    }
+
+    if (options.field) {
+      const value = options.field.split('.').reduce((current, key) => current?.[key], service);
+      if (value === undefined || value === null) {
+        throw new Error(`Service "${name}" has no ${options.field}`);
+      }
+      if (Array.isArray(value)) {
+        console.log(value.join(' '));
+      } else if (typeof value === 'object') {
+        console.log(JSON.stringify(value));
+      } else {
+        console.log(value);
+      }
+      return;
+    }
+
+    if (options.json) {
+      console.log(JSON.stringify(service, null, 2));
+      return;
+    }
+
+    console.log(chalk.cyan(`\n📦 ${service.name}\n`));
+    console.log(`  Environments: ${service.environments.join(', ')}`);
+    console.log(`  Sentry: ${service.sentry.org}/${service.sentry.project}`);
+    console.log(`  Apollo: ${service.apollo ? `${service.apollo.graph} (subgraph ${service.apollo.subgraph})` : 'None'}`);
+    console.log(`  GCP Registry: ${service.gcp.registry || 'None'}`);
+    for (const [environment, project] of Object.entries(service.gcp.projects)) {
+      console.log(`  GCP Project (${environment}): ${project}`);
+    }
+    console.log(`  Owners: ${service.owners.length > 0 ? service.owners.join(', ') : 'None'}`);
+    console.log('');
+  } catch (error) {
+    console.error(chalk.red(`\n❌ Error: ${error.message}\n`));
+    process.exit(1);
+  }
+}
+
+async function registryValidateCommand(file) {
+  const filePath = file ? path.resolve(file) : registryPath();
+  console.log(chalk.cyan(`\n🔍 Validating ${filePath}\n`));
+
+  try {
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`Services registry not found: ${filePath}`);
+    }
+
+    let doc;
+    try {
+      doc = yaml.load(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Invalid YAML: ${error.message}`);
+    }
+
+    const { errors, warnings } = validateRegistry(doc);
+    errors.forEach(error => console.log(chalk.red(`  ❌ ${error}`)));
+    warnings.forEach(warning => console.log(chalk.yellow(`  ⚠️  ${warning}`)));
+
+    if (errors.length > 0) {
+      console.log(chalk.red(`\n❌ ${errors.length} error(s) found\n`));
+      process.exit(1);
+    }
+
+    const count = Object.keys(doc.services || {}).length;
+    console.log(chalk.green(`${errors.length + warnings.length > 0 ? '\n' : ''}  ✅ Registry is valid (${count} services)\n`));
+  } catch (error) {
+    console.error(chalk.red(`\n❌ Error: ${error.message}\n`));
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  list: registryListCommand,
+  show: registryShowCommand,
+  validate: registryValidateCommand
+};
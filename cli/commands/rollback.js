@@ -0,0 +1,89 @@
+const chalk = require('chalk');
+const { Deployer, DeployCancelled, normalizeEnvironment } = require('../utils/deployer');
+const { loadHistory, currentDeployment } = require('../utils/deploymentHistory');
+
+const STATUS_LABELS = {
+  success: chalk.green('✓ success'),
+  failure: chalk.red('✗ failed'),
+  in_progress: chalk.yellow('… running'),
+  unknown: chalk.gray('? unknown')
+};
+
+async function rollbackCommand(environmentArg, options = {}) {
+  const environment = options.env || environmentArg;
+
+  try {
+    if (options.history) {
+      showHistory(environment, options);
+      return;
+    }
+
+    const deployer = new Deployer();
+    await deployer.rollback(environment, options);
+
+    console.log(chalk.green('═══════════════════════════════════════════════════════════════'));
+    console.log(chalk.green('                    Rollback Complete!                          '));
+    console.log(chalk.green('═══════════════════════════════════════════════════════════════'));
+  } catch (error) {
+    if (error instanceof DeployCancelled) {
+      console.log(chalk.yellow(`\n${error.message}\n`));
+      process.exit(error.exitCode);
+    }
+    console.error(chalk.red(`\n❌ Error: ${error.message}\n`));
+    process.exit(1);
+  }
+}
+
+function showHistory(environmentArg, options) {
+  const environment = environmentArg ? normalizeEnvironment(environmentArg) : undefined;
+  if (environmentArg && !environment) {
+    throw new Error(`Unknown environment: ${environmentArg}`);
+  }
+
+  const deployer = new Deployer();
+  const history = loadHistory({
+    git: deployer.git,
+    gh: deployer.gh,
+    environment,
+    prefix: deployer.prefix
+  });
+
+  if (options.json) {
+    console.log(JSON.stringify(history, null, 2));
+    return;
+  }
+
+  console.log(chalk.cyan(`\n📜 Deployment history${environment ? ` (${environment})` : ''}\n`));
+  if (history.length === 0) {
+    console.log(chalk.yellow('  No deployments found\n'));
+    return;
+  }
+
+  const current = new Set(['development', 'staging', 'beta', 'production']
+    .map(env => currentDeployment(history.filter(deployment => deployment.environment === env)))
+    .filter(Boolean));
+
+  for (const deployment of history) {
+    const labels = [
+      STATUS_LABELS[deployment.status],
+      environment ? null : deployment.environment,
+      current.has(deployment) ? chalk.green('[CURRENT]') : null
+    ].filter(Boolean);
+    console.log(`  ${chalk.bold(deployment.tag)}  ${labels.join('  ')}`);
+
+    const details = [
+      deployment.date.slice(0, 16).replace('T', ' '),
+      deployment.author,
+      deployment.commit.slice(0, 8)
+    ].filter(Boolean);
+    console.log(chalk.gray(`     ${details.join(' · ')}`));
+    if (deployment.rollback) {
+      console.log(chalk.gray(`     ↩ rollback to ${deployment.rollbackOf}`));
+    } else if (deployment.message) {
+      console.log(chalk.gray(`     ${deployment.message}`));
+    }
+  }
+  console.log('');
+}
+
+module.exports = rollbackCommand;
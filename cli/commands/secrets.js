@@ -0,0 +1,99 @@
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const { detectPackages } = require('../utils/projectDetector');
+const BuildkiteAnalyzer = require('../utils/buildkiteAnalyzer');
+const { requiredSecrets } = require('../utils/secretRequirements');
+const { fetchSecrets, auditSecrets, secretScript } = require('../utils/secretsAudit');
+const { createGitHubApi, githubToken } = require('../utils/githubApi');
+const { createGit, parseGitHubRepo } = require('../utils/git');
+
+const STATUS_LABELS = {
+  ok: chalk.green('✓'),
+  missing: chalk.red('✗'),
+  'not-shared': chalk.red('✗'),
+  unset: chalk.gray('–')
+};
+
+function sourceLabel(source) {
+  if (source === 'repo') return 'repository';
+  if (source === 'org') return 'organization';
+  return source.replace('environment:', 'environment ');
+}
+
+async function secretsCheckCommand(options) {
+  try {
+    const repo = options.repo || parseGitHubRepo(createGit().remoteUrl());
+    if (!repo || !/^[^/\s]+\/[^/\s]+$/.test(repo)) {
+      throw new Error('Could not determine the GitHub repository; pass --repo owner/name');
+    }
+    const token = githubToken();
+    if (!token) {
+      throw new Error('No GitHub token: set GITHUB_TOKEN or log in with "gh auth login"');
+    }
+
+    // Secrets read by the Buildkite pipeline carry over to the translated jobs
+    const buildkiteAnalysis = fs.existsSync(path.join(process.cwd(), '.buildkite'))
+      ? new BuildkiteAnalyzer().analyze()
+      : null;
+    const requirements = requiredSecrets(detectPackages(), buildkiteAnalysis);
+
+    const available = await fetchSecrets(createGitHubApi({ token }), repo);
+    const results = auditSecrets(requirements, available);
+    const missing = results.filter(result => result.status === 'missing' || result.status === 'not-shared');
+
+    if (options.script) {
+      const script = secretScript(results, available);
+      if (options.script === true) {
+        process.stdout.write(script);
+        return;
+      }
+      fs.writeFileSync(options.script, script, { mode: 0o755 });
+    }
+
+    if (options.json) {
+      console.log(JSON.stringify({
+        repo,
+        organization: available.isOrg ? available.owner : null,
+        orgSecretsVisible: available.orgSecrets !== null,
+        secrets: results,
+        ok: missing.length === 0
+      }, null, 2));
+      if (missing.length > 0) process.exit(1);
+      return;
+    }
+
+    console.log(chalk.cyan(`\n🔐 GitHub secrets for ${repo}\n`));
+    for (const result of results) {
+      const found = result.sources.length > 0
+        ? chalk.gray(` (${result.sources.map(sourceLabel).join(', ')})`)
+        : chalk.gray(result.status === 'unset' ? ' (optional, not set)' : ` (${result.scope === 'org' ? 'organization' : 'repository'} secret)`);
+      console.log(`  ${STATUS_LABELS[result.status]} ${chalk.bold(result.name)}${found}: ${result.description}`);
+      for (const note of result.notes) {
+        console.log(chalk.yellow(`      ${note}`));
+      }
+    }
+
+    if (available.isOrg && available.orgSecrets === null) {
+      console.log(chalk.gray(`\n  The token cannot list ${available.owner} organization secrets; only those shared with ${repo} were checked`));
+    }
+
+    if (missing.length > 0) {
+      console.log(chalk.red(`\n❌ ${missing.length} required secret(s) missing: ${missing.map(result => result.name).join(', ')}`));
+      if (typeof options.script === 'string') {
+        console.log(chalk.cyan(`\n📝 Wrote ${options.script}; review it, then run it to set them\n`));
+      } else {
+        console.log(chalk.cyan('\n📝 Run "karma secrets check --script set-secrets.sh" for a script that sets them\n'));
+      }
+      process.exit(1);
+    }
+    console.log(chalk.green('\n✅ All required secrets are available\n'));
+  } catch (error) {
+    console.error(chalk.red(`\n❌ Error: ${error.message}\n`));
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  check: secretsCheckCommand
+};
@@ -2,88 +2,93 @@ const fs = require('fs');
 const path = require('path');
 const chalk = require('chalk');
 const ora = require('ora');
-const semver = require('semver');
-const { detectProject } = require('../utils/projectDetector');
-
+const BuildkiteAnalyzer = require('../utils/buildkiteAnalyzer');
+const { detectProject, detectPackages } = require('../utils/projectDetector');
+const { generateWorkflows } = require('../utils/workflowGenerator');
+const { translatePipeline } = require('../utils/stepTranslator');
+const { generateDeployScript, generateDeployConfig, generateDeployDoc } = require('../utils/scriptInstaller');
+const { readBaseline, writeBaseline, loadManifest, saveManifest, MANAGED_DIR } = require('../utils/managedFiles');
+const { merge3, unifiedDiff, colorizeDiff } = require('../utils/textMerge');
+const { nodeVersionConflicts } = require('../utils/nodeVersion');
+
+// Each managed file is merged three ways: the baseline (what the CLI
+// generated last time), the local file and the current template. Local
+// edits are kept, template changes are applied, and edits to the same lines
+// on both sides become conflicts marked in the file.
 async function updateCommand(options) {
   console.log(chalk.cyan('\n🔄 Karma Deploy Update\n'));
 
   const spinner = ora('Checking for updates...').start();
 
   try {
-    // Detect current configuration
-    const projectInfo = detectProject();
-    
-    // Check current versions
-    const currentVersions = getCurrentVersions();
-    spinner.succeed('Current configuration detected');
-
-    if (options.check) {
-      // Just check for updates without applying
-      console.log(chalk.cyan('\n📊 Version Information:\n'));
-      console.log(`  Deploy Script: ${currentVersions.deployScript || 'Not installed'}`);
-      console.log(`  Workflow: ${currentVersions.workflow || 'Not installed'}`);
-      console.log(`  CLI: ${currentVersions.cli}`);
-      
-      const updates = checkForUpdates(currentVersions);
-      if (updates.length > 0) {
-        console.log(chalk.yellow('\n⬆️  Updates available:'));
-        updates.forEach(update => {
-          console.log(`  • ${update.component}: ${update.current} → ${update.latest}`);
-        });
-      } else {
-        console.log(chalk.green('\n✅ Everything is up to date!'));
-      }
-      return;
+    const projectPath = process.cwd();
+    const manifest = loadManifest(projectPath);
+    const generator = manifest?.generator || inferGenerator(projectPath);
+
+    const packages = detectPackages();
+    const templates = renderTemplates(projectPath, generator, options, packages);
+    spinner.succeed('Templates generated');
+    nodeVersionConflicts(packages).forEach(conflict => {
+      console.log(chalk.yellow(`⚠️  ${conflict}`));
+    });
+
+    if (!manifest) {
+      console.log(chalk.yellow(`\n⚠️  No ${MANAGED_DIR}/ baseline found (files generated by an older CLI).`));
+      console.log(chalk.yellow('   Local files are left as they are and the current templates become the baseline;'));
+      console.log(chalk.yellow('   review the differences below and apply the ones you want by hand.'));
     }
 
-    // Apply updates
-    const updates = [];
-
-    if (!options.workflowsOnly) {
-      // Update deploy script
-      spinner.start('Updating deploy script...');
-      if (updateDeployScript()) {
-        updates.push('deploy.sh');
-        spinner.succeed('Deploy script updated');
-      } else {
-        spinner.info('Deploy script already up to date');
-      }
+    const results = templates.map(template => updateFile(projectPath, template, {
+      managed: manifest !== null,
+      dryRun: options.check
+    }));
+
+    if (!options.check && !manifest) {
+      saveManifest(projectPath, generator);
+    }
 
-      // Update .deploy.config if needed
-      spinner.start('Checking deployment configuration...');
-      if (updateDeployConfig(projectInfo)) {
-        updates.push('.deploy.config');
-        spinner.succeed('Deployment configuration updated');
-      } else {
-        spinner.info('Deployment configuration up to date');
+    console.log('');
+    for (const result of results) {
+      showResult(result, options.check);
+    }
+
+    const changed = results.filter(result => ['updated', 'added', 'conflict'].includes(result.status));
+    const skipped = results.filter(result => SKIPPED_REASONS[result.status]);
+    const conflicts = results.filter(result => result.status === 'conflict');
+
+    if (conflicts.length > 0) {
+      const total = conflicts.reduce((sum, result) => sum + result.conflicts, 0);
+      console.log(chalk.red(`\n❌ ${total} conflict(s) in ${conflicts.map(result => result.file).join(', ')}`));
+      if (!options.check) {
+        console.log('Resolve the sections between <<<<<<< local and >>>>>>> template, then commit.');
       }
+      process.exit(1);
     }
 
-    if (!options.scriptsOnly) {
-      // Update GitHub Actions workflow
-      spinner.start('Updating GitHub Actions workflow...');
-      if (updateWorkflow(projectInfo)) {
-        updates.push('.github/workflows/ci-cd.yml');
-        spinner.succeed('GitHub Actions workflow updated');
-      } else {
-        spinner.info('GitHub Actions workflow up to date');
+    if (changed.length === 0 && skipped.length === 0) {
+      console.log(chalk.green('\n✅ Everything is already up to date!'));
+    } else if (changed.length === 0) {
+      console.log(chalk.yellow(`\n⚠️  Nothing ${options.check ? 'to update' : 'was updated'}; ${skipped.length} file(s) skipped:`));
+    } else if (options.check) {
+      console.log(chalk.yellow(`\n⬆️  Updates available for ${changed.length} file(s). Run "karma update" to apply them.`));
+    } else {
+      console.log(chalk.green(`\n✅ Updated ${changed.length} file(s)`));
+    }
+
+    if (skipped.length > 0) {
+      if (changed.length > 0) {
+        console.log(chalk.yellow(`\n⚠️  ${skipped.length} file(s) skipped:`));
+      }
+      for (const result of skipped) {
+        console.log(chalk.yellow(`   • ${result.file} ${SKIPPED_REASONS[result.status]}`));
       }
     }
 
-    // Summary
-    if (updates.length > 0) {
-      console.log(chalk.green(`\n✅ Updated ${updates.length} file(s):\n`));
-      updates.forEach(file => {
-        console.log(`  • ${file}`);
-      });
-      
+    if (changed.length > 0 && !options.check) {
       console.log(chalk.cyan('\n📝 Next Steps:\n'));
       console.log('1. Review the updated files');
       console.log('2. Test with: npm run deploy:dev');
-      console.log('3. Commit the changes');
-    } else {
-      console.log(chalk.green('\n✅ Everything is already up to date!'));
+      console.log(`3. Commit the changes together with ${MANAGED_DIR}/`);
     }
 
   } catch (error) {
@@ -93,142 +98,155 @@ async function updateCommand(options) {
   }
 }
 
-function getCurrentVersions() {
-  const versions = {
-    cli: require('../../package.json').version
-  };
-
-  // Check deploy script version
-  const deployScriptPath = path.join(process.cwd(), 'deploy.sh');
-  if (fs.existsSync(deployScriptPath)) {
-    const content = fs.readFileSync(deployScriptPath, 'utf8');
-    const versionMatch = content.match(/VERSION="([^"]+)"/);
-    if (versionMatch) {
-      versions.deployScript = versionMatch[1];
-    }
+// Why a file was left alone, by result status
+const SKIPPED_REASONS = {
+  adopted: 'differs from the template and has no baseline; apply the differences by hand',
+  deleted: 'was deleted locally',
+  missing: 'is not installed'
+};
+
+// Current templates of the managed files, generated the way init/migrate
+// generated them
+function renderTemplates(projectPath, generator, options, packages) {
+  const projectInfo = packages.length === 1 ? packages[0] : detectProject();
+  const templates = [];
+
+  if (!options.workflowsOnly) {
+    templates.push(
+      { file: 'deploy.sh', content: generateDeployScript(), mode: '755' },
+      { file: '.deploy.config', content: generateDeployConfig(projectInfo) },
+      { file: 'DEPLOY.md', content: generateDeployDoc(projectInfo) }
+    );
   }
 
-  // Check workflow version (from comments)
-  const workflowPath = path.join(process.cwd(), '.github', 'workflows', 'ci-cd.yml');
-  if (fs.existsSync(workflowPath)) {
-    const content = fs.readFileSync(workflowPath, 'utf8');
-    const versionMatch = content.match(/# Version: ([^\n]+)/);
-    if (versionMatch) {
-      versions.workflow = versionMatch[1];
-    } else {
-      versions.workflow = '1.0.0'; // Default for old workflows
+  if (!options.scriptsOnly) {
+    const buildkiteAnalysis = generator.analyze ? new BuildkiteAnalyzer(projectPath).analyze() : null;
+    const translation = generator.command === 'migrate'
+      ? translatePipeline(buildkiteAnalysis?.pipeline, { fullTranslation: generator.fullTranslation })
+      : { jobs: {}, branches: [] };
+    const workflowOptions = { branches: translation.branches, fullTranslation: generator.fullTranslation };
+
+    for (const workflow of generateWorkflows(packages, buildkiteAnalysis, translation.jobs, generator.monorepo, workflowOptions)) {
+      templates.push({ file: path.join('.github', 'workflows', workflow.file), content: workflow.content });
     }
   }
 
-  return versions;
+  return templates;
 }
 
-function checkForUpdates(currentVersions) {
-  const updates = [];
-  const latestVersions = {
-    deployScript: '2.0.0',
-    workflow: '1.1.0',
-    cli: require('../../package.json').version
+// Projects set up before baselines were recorded have no manifest
+function inferGenerator(projectPath) {
+  const workflowPath = path.join(projectPath, '.github', 'workflows');
+  const perPackage = fs.existsSync(workflowPath) &&
+    !fs.existsSync(path.join(workflowPath, 'ci-cd.yml')) &&
+    fs.readdirSync(workflowPath).some(file => /^ci-cd-.+\.yml$/.test(file));
+
+  return {
+    command: 'init',
+    analyze: fs.existsSync(path.join(projectPath, '.buildkite')),
+    monorepo: perPackage ? 'per-package' : 'matrix'
   };
+}
 
-  for (const [component, current] of Object.entries(currentVersions)) {
-    if (component === 'cli') continue; // Can't update CLI from within CLI
-    
-    const latest = latestVersions[component];
-    if (current && latest && semver.lt(current, latest)) {
-      updates.push({
-        component,
-        current,
-        latest
+// Returns { file, status, conflicts, diff } where status is one of
+// current, updated, added, conflict, adopted (no baseline to merge from),
+// deleted (removed locally) or missing (never installed)
+function updateFile(projectPath, template, { managed, dryRun }) {
+  const target = path.join(projectPath, template.file);
+  const local = fs.existsSync(target) ? fs.readFileSync(target, 'utf8') : null;
+  const baseline = readBaseline(projectPath, template.file);
+  const result = { file: template.file, status: 'current', conflicts: 0, diff: '' };
+
+  let content = local;
+  if (local === null) {
+    // A file deleted after it was generated stays deleted
+    if (baseline !== null || !managed) {
+      return { ...result, status: baseline !== null ? 'deleted' : 'missing' };
+    }
+    content = template.content;
+    result.status = 'added';
+  } else if (baseline === null) {
+    // Without a baseline local edits can't be told apart from template
+    // changes, so only show what the template would change
+    if (local !== template.content) {
+      result.status = 'adopted';
+      result.diff = unifiedDiff(local, template.content, {
+        fromFile: `a/${template.file} (local)`,
+        toFile: `b/${template.file} (template)`
       });
     }
+  } else if (baseline !== template.content) {
+    const merged = merge3(baseline, local, template.content);
+    content = merged.content;
+    result.conflicts = merged.conflicts;
+    if (merged.conflicts > 0) {
+      result.status = 'conflict';
+    } else if (content !== local) {
+      result.status = 'updated';
+      result.localChanges = local !== baseline;
+    }
   }
 
-  return updates;
-}
-
-function updateDeployScript() {
-  const sourcePath = path.join(__dirname, '../../scripts/deploy.sh');
-  const targetPath = path.join(process.cwd(), 'deploy.sh');
-  
-  if (!fs.existsSync(targetPath)) {
-    return false;
+  if (content !== local) {
+    result.diff = unifiedDiff(local || '', content, {
+      fromFile: `a/${template.file}`,
+      toFile: `b/${template.file}`
+    });
   }
 
-  const sourceContent = fs.readFileSync(sourcePath, 'utf8');
-  const targetContent = fs.readFileSync(targetPath, 'utf8');
-  
-  if (sourceContent !== targetContent) {
-    fs.writeFileSync(targetPath, sourceContent);
-    fs.chmodSync(targetPath, '755');
-    return true;
+  if (!dryRun) {
+    if (content !== local) {
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.writeFileSync(target, content);
+      if (template.mode) {
+        fs.chmodSync(target, template.mode);
+      }
+    }
+    if (baseline !== template.content) {
+      writeBaseline(projectPath, template.file, template.content);
+    }
   }
-  
-  return false;
+
+  return result;
 }
 
-function updateDeployConfig(projectInfo) {
-  const configPath = path.join(process.cwd(), '.deploy.config');
-  
-  if (!fs.existsSync(configPath)) {
-    return false;
+function showResult(result, dryRun) {
+  const { file } = result;
+
+  switch (result.status) {
+    case 'current':
+      console.log(chalk.green(`  ✓ ${file} is up to date`));
+      break;
+    case 'updated':
+      console.log(chalk.cyan(`  ⬆ ${file} ${dryRun ? 'would be updated' : 'updated'}${result.localChanges ? ' (local changes kept)' : ''}`));
+      break;
+    case 'added':
+      console.log(chalk.cyan(`  + ${file} ${dryRun ? 'would be added' : 'added'}`));
+      break;
+    case 'conflict':
+      console.log(chalk.red(`  ✗ ${file} ${dryRun ? 'would have' : 'has'} ${result.conflicts} conflict(s) between local changes and the template`));
+      break;
+    case 'adopted':
+      console.log(chalk.yellow(`  ! ${file} differs from the template and has no baseline; left unchanged`));
+      break;
+    case 'deleted':
+      console.log(chalk.gray(`  - ${file} was deleted locally; skipped`));
+      break;
+    case 'missing':
+      console.log(chalk.gray(`  - ${file} is not installed`));
+      break;
   }
 
-  const currentConfig = fs.readFileSync(configPath, 'utf8');
-  
-  // Check if any new configuration options need to be added
-  const updates = [];
-  
-  if (projectInfo.staging && !currentConfig.includes('HAS_STAGING')) {
-    updates.push('HAS_STAGING="true"');
-  }
-  
-  if (projectInfo.features.graphql && !currentConfig.includes('HAS_GRAPHQL')) {
-    updates.push('HAS_GRAPHQL="true"');
+  if (result.diff) {
+    showDiff(result.diff);
   }
-  
-  if (updates.length > 0) {
-    const newConfig = currentConfig + '\n# Updated by karma-deploy CLI\n' + updates.join('\n') + '\n';
-    fs.writeFileSync(configPath, newConfig);
-    return true;
-  }
-  
-  return false;
 }
 
-function updateWorkflow(projectInfo) {
-  const workflowPath = path.join(process.cwd(), '.github', 'workflows', 'ci-cd.yml');
-  
-  if (!fs.existsSync(workflowPath)) {
-    return false;
-  }
-
-  const currentContent = fs.readFileSync(workflowPath, 'utf8');
-  
-  // Check if workflow uses old format
-  if (!currentContent.includes('karmadev/karma-workflows')) {
-    console.log(chalk.yellow('\n⚠️  Workflow uses old format. Run "karma migrate" to update.'));
-    return false;
-  }
-  
-  // Check for missing features
-  const updates = [];
-  
-  if (projectInfo.features.sentry && !currentContent.includes('sentry-release')) {
-    updates.push('Sentry release job');
-  }
-  
-  if (projectInfo.staging && !currentContent.includes('staging')) {
-    updates.push('Staging environment support');
-  }
-  
-  if (updates.length > 0) {
-    console.log(chalk.yellow(`\n⚠️  Workflow may need updates for: ${updates.join(', ')}`));
-    console.log('Run "karma init --force" to regenerate the workflow.');
-    return false;
+function showDiff(diff) {
+  for (const line of colorizeDiff(diff)) {
+    console.log(`      ${line}`);
   }
-  
-  return false;
+  console.log('');
 }
 
-module.exports = updateCommand;
\ No newline at end of file
+module.exports = updateCommand;
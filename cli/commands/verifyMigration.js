@@ -0,0 +1,84 @@
+const chalk = require('chalk');
+const fs = require('fs');
+const path = require('path');
+const BuildkiteAnalyzer = require('../utils/buildkiteAnalyzer');
+const { loadWorkflow } = require('../utils/workflowParser');
+const { verifyMigration } = require('../utils/migrationVerifier');
+
+const CATEGORY_TITLES = {
+  inputs: 'Reusable Workflow Inputs',
+  step: 'Steps',
+  command: 'Test & Lint Commands',
+  gate: 'Manual Gates',
+  secret: 'Secrets',
+  'build-arg': 'Docker Build Args',
+  environment: 'Environments'
+};
+
+const STATUS_ICONS = {
+  pass: '✅',
+  warn: '⚠️ ',
+  fail: '❌'
+};
+
+async function verifyMigrationCommand(options) {
+  if (!options.json) {
+    console.log(chalk.cyan('\n🔎 Karma Migration Verification\n'));
+  }
+
+  try {
+    const workflowPath = path.resolve(options.workflow || path.join('.github', 'workflows', 'ci-cd.yml'));
+    if (!fs.existsSync(workflowPath)) {
+      throw new Error(`Workflow not found: ${path.relative(process.cwd(), workflowPath)}. Run "karma migrate" first.`);
+    }
+
+    const buildkiteAnalysis = new BuildkiteAnalyzer().analyze();
+    if (!buildkiteAnalysis) {
+      throw new Error('No Buildkite configuration found to verify against');
+    }
+
+    const workflow = loadWorkflow(workflowPath);
+    const report = verifyMigration(buildkiteAnalysis, workflow);
+
+    if (options.json) {
+      console.log(JSON.stringify(report, null, 2));
+    } else {
+      displayReport(report);
+    }
+
+    if (!report.ok) {
+      process.exit(1);
+    }
+  } catch (error) {
+    console.error(chalk.red(`\n❌ Error: ${error.message}\n`));
+    process.exit(1);
+  }
+}
+
+function displayReport(report) {
+  console.log(`  Workflow: ${path.relative(process.cwd(), report.workflow)}`);
+
+  for (const [category, title] of Object.entries(CATEGORY_TITLES)) {
+    const checks = report.checks.filter(check => check.category === category);
+    if (checks.length === 0) continue;
+
+    console.log(chalk.cyan(`\n${title}:\n`));
+    for (const check of checks) {
+      const detail = check.status === 'pass' ? chalk.gray(check.detail) : check.detail;
+      console.log(`  ${STATUS_ICONS[check.status]} ${check.subject}`);
+      console.log(`     ${detail}`);
+    }
+  }
+
+  const { pass, warn, fail } = report.summary;
+  console.log(chalk.cyan('\n📊 Summary:\n'));
+  console.log(`  ${chalk.green(`${pass} passed`)}, ${chalk.yellow(`${warn} warnings`)}, ${chalk.red(`${fail} failed`)}`);
+
+  if (report.ok) {
+    console.log(chalk.green('\n✅ The workflow covers everything the Buildkite pipeline did\n'));
+  } else {
+    console.log(chalk.red('\n❌ The workflow does not yet match the Buildkite pipeline\n'));
+  }
+}
+
+module.exports = verifyMigrationCommand;
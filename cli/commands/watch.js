@@ -0,0 +1,96 @@
+const chalk = require('chalk');
+const { watchTag, OK_CONCLUSIONS } = require('../utils/runWatcher');
+const { createGitHubApi, githubToken } = require('../utils/githubApi');
+const { createGit, parseGitHubRepo } = require('../utils/git');
+const { loadDeployConfig } = require('../utils/deployConfig');
+const { tagEnvironment } = require('../utils/tagFormat');
+const { monitorSync, syncFailure } = require('../utils/argocd');
+
+async function watchCommand(tag, options) {
+  try {
+    const repo = options.repo || parseGitHubRepo(createGit().remoteUrl());
+    if (!repo || !/^[^/\s]+\/[^/\s]+$/.test(repo)) {
+      throw new Error('Could not determine the GitHub repository; pass --repo owner/name');
+    }
+    const token = githubToken();
+    if (!token) {
+      throw new Error('No GitHub token: set GITHUB_TOKEN or log in with "gh auth login"');
+    }
+    const interval = Number(options.interval);
+    const timeout = Number(options.timeout);
+    if (!(interval > 0) || !(timeout > 0)) {
+      throw new Error('--interval and --timeout must be positive numbers');
+    }
+
+    if (!options.json) {
+      console.log(chalk.cyan(`\n👀 Watching ${tag} in ${repo}\n`));
+    }
+
+    const result = await watchTag(createGitHubApi({ token }), repo, tag, {
+      workflow: options.workflow,
+      interval: interval * 1000,
+      timeout: timeout * 60 * 1000,
+      stream: options.json ? null : process.stdout
+    });
+
+    // Kubernetes deployments continue into ArgoCD once the workflow has
+    // pushed the image tag to the GitOps repository
+    const config = loadDeployConfig();
+    const environment = tagEnvironment(tag, config.VERSION_PREFIX);
+    let sync = null;
+    if (result.conclusion === 'success' && options.argocd !== false && config.DEPLOY_TYPE === 'kubernetes' && environment) {
+      if (!options.json) console.log('');
+      sync = await monitorSync(config, environment, tag, {
+        log: options.json ? () => {} : console.log,
+        stream: options.json ? null : process.stdout,
+        interval: interval * 1000
+      });
+    }
+
+    if (options.json) {
+      console.log(JSON.stringify({ ...result, argocd: sync }, null, 2));
+      if (result.conclusion !== 'success' || (sync && sync.status !== 'healthy')) process.exit(1);
+      return;
+    }
+
+    if (result.runs.length === 0) {
+      throw new Error(`No workflow run was triggered by ${tag}${options.workflow ? ` in ${options.workflow}` : ''}; check the workflow's tag triggers with "karma lint"`);
+    }
+
+    if (result.timedOut) {
+      console.log(chalk.yellow(`\n⏱  ${tag} is still running after ${timeout} minute(s)`));
+      result.runs.forEach(run => console.log(chalk.yellow(`   ${run.url}`)));
+      console.log('');
+      process.exit(1);
+    }
+
+    if (result.conclusion !== 'success') {
+      console.log(chalk.red(`\n❌ ${tag} concluded with ${result.conclusion}`));
+      for (const run of result.runs.filter(candidate => !OK_CONCLUSIONS.includes(candidate.conclusion))) {
+        for (const job of run.jobs.filter(candidate => candidate.conclusion && !OK_CONCLUSIONS.includes(candidate.conclusion))) {
+          const steps = job.failedSteps.length > 0 ? `: ${job.failedSteps.join(', ')}` : '';
+          console.log(chalk.red(`   • ${run.name} › ${job.name} ${job.conclusion}${steps}`));
+          console.log(chalk.gray(`     ${job.url}`));
+        }
+      }
+      console.log('');
+      process.exit(1);
+    }
+
+    const failure = sync && syncFailure(sync);
+    if (failure) {
+      console.log(chalk.red(`\n❌ ${failure}\n`));
+      process.exit(1);
+    }
+
+    console.log(chalk.green(`\n✅ ${tag} succeeded${sync ? `; ${sync.app} is Synced and Healthy` : ''}`));
+    result.runs.forEach(run => console.log(chalk.gray(`   ${run.url}`)));
+    if (sync) console.log(chalk.gray(`   ${sync.url}`));
+    console.log('');
+  } catch (error) {
+    console.error(chalk.red(`\n❌ Error: ${error.message}\n`));
+    process.exit(1);
+  }
+}
+
+module.exports = watchCommand;
@@ -10,6 +10,17 @@ const initCommand = require('./commands/init');
 const updateCommand = require('./commands/update');
 const analyzeCommand = require('./commands/analyze');
 const migrateCommand = require('./commands/migrate');
+const verifyMigrationCommand = require('./commands/verifyMigration');
+const registryCommands = require('./commands/registry');
+const deployCommand = require('./commands/deploy');
+const rollbackCommand = require('./commands/rollback');
+const promoteCommand = require('./commands/promote');
+const changelogCommand = require('./commands/changelog');
+const lintCommand = require('./commands/lint');
+const configCommands = require('./commands/config');
+const k8sCommands = require('./commands/k8s');
+const secretsCommands = require('./commands/secrets');
+const watchCommand = require('./commands/watch');
 
 // Version from package.json
 const packageJson = require('../package.json');
@@ -17,7 +28,10 @@ const packageJson = require('../package.json');
 program
   .name('karma')
   .description('Karma Deployment CLI - Manage CI/CD pipelines and deployment scripts')
-  .version(packageJson.version);
+  .version(packageJson.version)
+  // Options after a subcommand belong to it, so `karma deploy --version`
+  // doesn't print the CLI version
+  .enablePositionalOptions();
 
 program
   .command('init')
@@ -25,6 +39,7 @@ program
   .option('--force', 'Overwrite existing configuration')
   .option('--analyze', 'Analyze existing Buildkite pipeline if present')
   .option('--staging', 'Include staging environment setup')
+  .option('--monorepo <layout>', 'Workflow layout for monorepos: matrix or per-package', 'matrix')
   .action(initCommand);
 
 program
@@ -47,8 +62,182 @@ program
   .description('Migrate from Buildkite to GitHub Actions')
   .option('--dry-run', 'Show what would be done without making changes')
   .option('--keep-buildkite', 'Keep Buildkite configuration files')
+  .option('--full-translation', 'Translate every Buildkite step into its own job instead of relying on the reusable pipeline')
+  .option('--monorepo <layout>', 'Workflow layout for monorepos: matrix or per-package', 'matrix')
   .action(migrateCommand);
 
+program
+  .command('verify-migration')
+  .description('Check that the GitHub Actions workflow matches the Buildkite pipeline')
+  .option('--workflow <path>', 'Workflow to verify', '.github/workflows/ci-cd.yml')
+  .option('--json', 'Output the parity report as JSON')
+  .action(verifyMigrationCommand);
+
+program
+  .command('lint [files...]')
+  .description('Lint GitHub Actions workflows against the reusable pipelines')
+  .option('--json', 'Output findings as JSON')
+  .action(lintCommand);
+
+const registry = program
+  .command('registry')
+  .description('Inspect and validate the services registry');
+
+registry
+  .command('list')
+  .description('List registered services')
+  .option('--json', 'Output services as JSON')
+  .action(registryCommands.list);
+
+registry
+  .command('show <service>')
+  .description('Show the registry entry for a service')
+  .option('--json', 'Output the entry as JSON')
+  .option('--field <path>', 'Print a single field, e.g. environments or sentry.project')
+  .action(registryCommands.show);
+
+registry
+  .command('validate [file]')
+  .description('Validate the services registry against its schema')
+  .action(registryCommands.validate);
+
+const config = program
+  .command('config')
+  .description('Read, change and validate .deploy.config');
+
+config
+  .command('get <key>')
+  .description('Print the effective value of a setting')
+  .option('--json', 'Output the value and where it comes from as JSON')
+  .action(configCommands.get);
+
+config
+  .command('set <key> <value>')
+  .description('Set a value in .deploy.config, keeping comments and layout')
+  .option('--local', 'Write to .deploy.config.local instead')
+  .option('--force', 'Write unknown keys and invalid values anyway')
+  .action(configCommands.set);
+
+config
+  .command('validate')
+  .description('Check .deploy.config for unknown keys and invalid values')
+  .option('--json', 'Output findings as JSON')
+  .action(configCommands.validate);
+
+config
+  .command('show')
+  .description('Show the settings from .deploy.config and .deploy.config.local')
+  .option('--effective', 'Include defaults and environment variables')
+  .option('--json', 'Output settings as JSON')
+  .action(configCommands.show);
+
+const k8s = program
+  .command('k8s')
+  .description('Generate and validate kustomize overlays');
+
+k8s
+  .command('overlay')
+  .description('Manage environment overlays')
+  .command('add <env>')
+  .description('Derive a new environment overlay from an existing one')
+  .option('--from <env>', 'Overlay to derive from', 'production')
+  .option('--replicas <count>', 'Replicas for the new environment', '1')
+  .option('--scale <factor>', 'Factor applied to cpu and memory requests and limits', '0.5')
+  .option('--dry-run', 'Show what would be generated without writing files')
+  .option('--force', 'Replace an existing overlay')
+  .action(k8sCommands.overlayAdd);
+
+k8s
+  .command('validate')
+  .description('Check that every overlay resolves its resources, patches and images')
+  .option('--json', 'Output findings as JSON')
+  .action(k8sCommands.validate);
+
+k8s
+  .command('render <env>')
+  .description('Build an overlay in-process and print the manifests')
+  .option('--image-tag <tag>', "Set the tag of the service's images, as a deployment would")
+  .action(k8sCommands.render);
+
+k8s
+  .command('diff <from> <to>')
+  .description('Show the rendered differences between two overlays')
+  .option('--image-tag <tag>', "Set the tag of the service's images in both")
+  .option('--json', 'Output the differences as JSON')
+  .action(k8sCommands.diff);
+
+const secrets = program
+  .command('secrets')
+  .description('Check the GitHub Actions secrets the workflows need');
+
+secrets
+  .command('check')
+  .description('Compare required secrets with those set on GitHub')
+  .option('--repo <owner/name>', 'GitHub repository (defaults to the origin remote)')
+  .option('--script [file]', 'Write a gh script that sets the missing secrets (stdout without a file)')
+  .option('--json', 'Output the results as JSON')
+  .action(secretsCommands.check);
+
+program
+  .command('deploy [environment]')
+  .description('Deploy by pushing a release tag (dev, staging, prod, hotfix or rollback)')
+  .option('--major', 'Bump the major version')
+  .option('--minor', 'Bump the minor version')
+  .option('--patch', 'Bump the patch version')
+  .option('--version <version>', 'Deploy a specific version (X.Y.Z)')
+  .option('--rebuild', 'Redeploy the current version')
+  .option('--message <message>', 'Tag message')
+  .option('--preview', 'Show what would be deployed without making changes')
+  .option('--force-check <name>', 'Deploy although this pre-flight check fails (repeatable)', (name, names) => names.concat(name), [])
+  .option('--no-monitor', 'Skip monitoring the GitHub Actions run')
+  .action(deployCommand);
+
+program
+  .command('rollback [environment]')
+  .description('Roll an environment back to an earlier successful deployment')
+  .option('--env <environment>', 'Environment to roll back (dev, staging or prod)')
+  .option('--version <version>', 'Tag or version to roll back to')
+  .option('--to-previous-successful', 'Roll back to the last successful deployment before the current one')
+  .option('--skip-confirm', 'Do not ask for confirmation')
+  .option('--history', 'Show deployment history instead of rolling back')
+  .option('--json', 'Output the history as JSON (with --history)')
+  .option('--no-monitor', 'Skip monitoring the GitHub Actions run')
+  .action(rollbackCommand);
+
+program
+  .command('promote <from> <to>')
+  .description('Deploy the commit of the latest successful deployment in one environment to the next (dev → staging → prod)')
+  .option('--version <version>', 'Version to promote as (X.Y.Z)')
+  .option('--major', 'Bump the major version (promoting timestamped dev builds)')
+  .option('--minor', 'Bump the minor version (promoting timestamped dev builds)')
+  .option('--patch', 'Bump the patch version (promoting timestamped dev builds)')
+  .option('--message <message>', 'Tag message')
+  .option('--force-check <name>', 'Promote although this pre-flight check fails (repeatable)', (name, names) => names.concat(name), [])
+  .option('--preview', 'Show what would be promoted without making changes')
+  .option('--skip-confirm', 'Do not ask for confirmation (staging only)')
+  .option('--no-monitor', 'Skip monitoring the GitHub Actions run')
+  .action(promoteCommand);
+
+program
+  .command('changelog [from] [to]')
+  .description('Changes between two deployment tags, grouped by conventional-commit type and PR')
+  .option('--repo <owner/name>', 'GitHub repository for links (defaults to the origin remote)')
+  .option('--tag-message', 'Output the plain-text changelog used in deployment tag messages')
+  .option('--release', 'Create or update the GitHub Release of <to> with the changelog')
+  .option('--json', 'Output the changelog as JSON')
+  .action(changelogCommand);
+
+program
+  .command('watch <tag>')
+  .description('Follow the GitHub Actions runs a pushed tag triggered and exit with their conclusion')
+  .option('--repo <owner/name>', 'GitHub repository (defaults to the origin remote)')
+  .option('--workflow <file>', 'Only watch this workflow (file name or workflow name)')
+  .option('--interval <seconds>', 'Seconds between status checks', '5')
+  .option('--timeout <minutes>', 'Give up after this many minutes', '60')
+  .option('--no-argocd', 'Stop when the workflow finishes instead of following the ArgoCD sync')
+  .option('--json', 'Print the final status as JSON instead of following it')
+  .action(watchCommand);
+
 program
   .command('info')
   .description('Show information about current project setup')
@@ -0,0 +1,334 @@
+const http = require('http');
+const https = require('https');
+const chalk = require('chalk');
+const { formatDuration, createRedraw } = require('./runWatcher');
+
+// Follows an ArgoCD application after the deploy workflow has pushed the
+// new image tag to the GitOps repository: first until ArgoCD has synced the
+// commit that carries the tag, then until every resource is healthy. Like
+// runWatcher.js, the client, clock, sleep and output stream are injectable.
+
+const DEFAULT_SERVER = 'argocd.karma.life';
+// {service}, {environment} (development, staging, production) and {env}
+// (dev, staging, prod) are filled in
+const DEFAULT_APP_TEMPLATE = '{service}-{environment}';
+const DEFAULT_SYNC_TIMEOUT = 300;
+const DEFAULT_HEALTH_TIMEOUT = 300;
+
+const SHORT_ENVIRONMENTS = { development: 'dev', staging: 'staging', production: 'prod' };
+
+// Operation phases that mean the last sync failed
+const FAILED_PHASES = ['Failed', 'Error'];
+
+class ArgoCDError extends Error {
+  constructor(message, status, url) {
+    super(message);
+    this.name = 'ArgoCDError';
+    this.status = status;
+    this.url = url;
+  }
+}
+
+function serverUrl(server) {
+  const base = /^https?:\/\//.test(server) ? server : `https://${server}`;
+  return base.replace(/\/+$/, '');
+}
+
+// ARGOCD_SERVER from .deploy.config as a URL
+function argocdServer(config) {
+  return serverUrl(config.ARGOCD_SERVER || DEFAULT_SERVER);
+}
+
+// ArgoCD settings from .deploy.config, with defaults
+function argocdSettings(config, environment) {
+  const template = config.ARGOCD_APP || DEFAULT_APP_TEMPLATE;
+  const service = config.SERVICE_NAME;
+  return {
+    server: argocdServer(config),
+    app: template
+      .replace(/\{service\}/g, service)
+      .replace(/\{environment\}/g, environment)
+      .replace(/\{env\}/g, SHORT_ENVIRONMENTS[environment] || environment),
+    syncTimeout: Number(config.ARGOCD_SYNC_TIMEOUT) || DEFAULT_SYNC_TIMEOUT,
+    healthTimeout: Number(config.ARGOCD_HEALTH_TIMEOUT) || DEFAULT_HEALTH_TIMEOUT
+  };
+}
+
+// Client for the ArgoCD REST API, authenticated with an API token
+// (ARGOCD_AUTH_TOKEN, as the monitor-argocd-sync workflow uses)
+function createArgoCDClient({ server = DEFAULT_SERVER, token = process.env.ARGOCD_AUTH_TOKEN } = {}) {
+  const base = serverUrl(server);
+
+  function get(path) {
+    const url = new URL(`${base}${path}`);
+    const client = url.protocol === 'http:' ? http : https;
+    const headers = { Accept: 'application/json', 'User-Agent': 'karma-deploy-cli' };
+    if (token) {
+      headers.Authorization = `Bearer ${token}`;
+    }
+
+    return new Promise((resolve, reject) => {
+      const req = client.request(url, { method: 'GET', headers }, res => {
+        let data = '';
+        res.setEncoding('utf8');
+        res.on('data', chunk => { data += chunk; });
+        res.on('end', () => {
+          let body = null;
+          try {
+            body = data ? JSON.parse(data) : null;
+          } catch (error) {
+            // Proxy error pages aren't JSON
+          }
+          if (res.statusCode < 200 || res.statusCode >= 300) {
+            const detail = body?.message || body?.error || `HTTP ${res.statusCode}`;
+            reject(new ArgoCDError(`GET ${path}: ${detail}`, res.statusCode, url.href));
+            return;
+          }
+          resolve(body);
+        });
+      });
+      req.on('error', error => reject(new Error(`ArgoCD request to ${url.href} failed: ${error.message}`)));
+      req.end();
+    });
+  }
+
+  return {
+    server: base,
+
+    // `refresh` makes ArgoCD compare against git now instead of at its next
+    // polling interval
+    getApplication(name, { refresh = false } = {}) {
+      return get(`/api/v1/applications/${encodeURIComponent(name)}${refresh ? '?refresh=normal' : ''}`);
+    }
+  };
+}
+
+// The application's state as far as a deployment cares
+function appState(app, imageTag) {
+  const status = app.status || {};
+  const images = status.summary?.images || [];
+  const operation = status.operationState || null;
+  const revision = status.sync?.revision || null;
+  // A failed sync only matters when it was a sync of the current revision,
+  // not a leftover from an earlier deployment
+  const failedSync = operation && FAILED_PHASES.includes(operation.phase) &&
+    (!operation.syncResult?.revision || operation.syncResult.revision === revision);
+  return {
+    sync: status.sync?.status || 'Unknown',
+    revision,
+    health: status.health?.status || 'Unknown',
+    healthMessage: status.health?.message || null,
+    images,
+    // The GitOps commit that sets the image tag has been synced
+    imageDeployed: images.some(image => image.endsWith(`:${imageTag}`)),
+    operating: operation?.phase === 'Running' || operation?.phase === 'Terminating',
+    operation: operation ? { phase: operation.phase, message: operation.message || null } : null,
+    syncErrors: [
+      ...(failedSync ? [operation.message || `Sync ${operation.phase.toLowerCase()}`] : []),
+      ...(failedSync ? operation.syncResult?.resources || [] : [])
+        .filter(resource => resource.status === 'SyncFailed' || resource.hookPhase === 'Failed')
+        .map(resource => `${resource.kind} ${resource.name}: ${resource.message || resource.status}`),
+      ...(status.conditions || [])
+        .filter(condition => condition.type === 'SyncError')
+        .map(condition => condition.message)
+    ],
+    resources: (status.resources || [])
+      .filter(resource => resource.health)
+      .map(resource => ({
+        kind: resource.kind,
+        name: resource.name,
+        namespace: resource.namespace || null,
+        sync: resource.status || 'Unknown',
+        health: resource.health.status,
+        message: resource.health.message || null
+      }))
+  };
+}
+
+const HEALTH_ICONS = {
+  Healthy: chalk.green('✓'),
+  Progressing: chalk.yellow('…'),
+  Suspended: chalk.gray('–'),
+  Degraded: chalk.red('✗'),
+  Missing: chalk.red('?'),
+  Unknown: chalk.gray('?')
+};
+
+function healthIcon(health) {
+  return HEALTH_ICONS[health] || HEALTH_ICONS.Unknown;
+}
+
+function stateLine(name, state) {
+  const image = state.imageDeployed ? 'new image' : 'waiting for the new image';
+  return `${healthIcon(state.health)} ${chalk.bold(name)} ${state.sync} / ${state.health} (${image})`;
+}
+
+function resourceLabel(resource) {
+  return `${resource.kind} ${resource.namespace ? `${resource.namespace}/` : ''}${resource.name}`;
+}
+
+function renderState(name, state, elapsed) {
+  const lines = [`${stateLine(name, state)} ${chalk.gray(elapsed)}`];
+  for (const resource of state.resources) {
+    const message = resource.message && resource.health !== 'Healthy' ? chalk.gray(` ${resource.message}`) : '';
+    lines.push(`  ${healthIcon(resource.health)} ${resourceLabel(resource)} ${resource.sync} / ${resource.health}${message}`);
+  }
+  return lines;
+}
+
+// Redraws the state in a terminal, prints changes elsewhere (see
+// runWatcher.js)
+function createReporter(stream) {
+  if (!stream) {
+    return () => {};
+  }
+
+  if (stream.isTTY) {
+    const redraw = createRedraw(stream);
+    return (name, state, elapsed) => redraw(renderState(name, state, elapsed));
+  }
+
+  const reported = new Map();
+  const report = (key, value, line) => {
+    if (reported.get(key) === value) return;
+    reported.set(key, value);
+    stream.write(`${line}\n`);
+  };
+  return (name, state, elapsed) => {
+    report('app', `${state.sync}/${state.health}/${state.imageDeployed}`, `${stateLine(name, state)} ${chalk.gray(elapsed)}`);
+    for (const resource of state.resources) {
+      report(resourceLabel(resource), `${resource.sync}/${resource.health}`,
+        `  ${healthIcon(resource.health)} ${resourceLabel(resource)} ${resource.sync} / ${resource.health}${resource.message && resource.health !== 'Healthy' ? ` ${resource.message}` : ''}`);
+    }
+  };
+}
+
+// Polls the application until it runs imageTag Synced and Healthy.
+// syncTimeout (seconds) bounds the wait for ArgoCD to sync the GitOps
+// commit, healthTimeout the wait for the resources to become healthy after
+// that. Returns { app, url, status, message, state } where status is
+// 'healthy', 'degraded', 'sync-failed' or 'timeout'.
+async function watchApplication(client, name, options = {}) {
+  const {
+    imageTag,
+    syncTimeout = DEFAULT_SYNC_TIMEOUT,
+    healthTimeout = DEFAULT_HEALTH_TIMEOUT,
+    interval = 5000,
+    stream = process.stdout,
+    now = Date.now,
+    sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+  } = options;
+
+  const url = `${client.server}/applications/${encodeURIComponent(name)}`;
+  const report = createReporter(stream);
+  const started = now();
+  let syncedAt = null;
+  let polls = 0;
+
+  const finish = (status, message, state) => {
+    report(name, state, formatDuration(now() - started));
+    return { app: name, url, status, message, state };
+  };
+
+  for (;;) {
+    // A refresh now and then picks up the GitOps commit without waiting
+    // for ArgoCD's own polling
+    const app = await client.getApplication(name, { refresh: !syncedAt && polls % 12 === 0 });
+    polls++;
+    const state = appState(app, imageTag);
+
+    if (state.syncErrors.length > 0) {
+      return finish('sync-failed', state.syncErrors[0], state);
+    }
+
+    if (state.imageDeployed && state.sync === 'Synced' && !state.operating) {
+      syncedAt = syncedAt || now();
+      if (state.health === 'Healthy') {
+        return finish('healthy', null, state);
+      }
+      if (state.health === 'Degraded') {
+        return finish('degraded', state.healthMessage, state);
+      }
+      if (now() - syncedAt >= healthTimeout * 1000) {
+        return finish('timeout', `${name} is still ${state.health} after ${healthTimeout}s`, state);
+      }
+    } else if (now() - started >= syncTimeout * 1000) {
+      const waitingFor = state.imageDeployed ? `to finish syncing (${state.sync})` : `to pick up ${imageTag}`;
+      return finish('timeout', `Gave up after ${syncTimeout}s waiting for ${name} ${waitingFor}`, state);
+    }
+
+    report(name, state, formatDuration(now() - started));
+    await sleep(interval);
+  }
+}
+
+// Sync errors and the resources that aren't healthy
+function problemDetails(result) {
+  const { state } = result;
+  return [
+    ...state.syncErrors,
+    ...state.resources
+      .filter(resource => resource.health !== 'Healthy')
+      .map(resource => `${resourceLabel(resource)} is ${resource.health}${resource.message ? `: ${resource.message}` : ''}`)
+  ];
+}
+
+// Follows the ArgoCD application a deployment tag goes to, for deploy,
+// rollback and watch. Returns null without ARGOCD_AUTH_TOKEN (or an
+// injected client), after logging where to look instead.
+async function monitorSync(config, environment, tag, options = {}) {
+  const { log = console.log, stream = process.stdout, sleep, interval } = options;
+  const settings = argocdSettings(config, environment);
+  const client = options.client || (process.env.ARGOCD_AUTH_TOKEN ? createArgoCDClient({ server: settings.server }) : null);
+  const link = `${settings.server}/applications/${encodeURIComponent(settings.app)}`;
+  if (!client) {
+    log(chalk.yellow(`📊 Set ARGOCD_AUTH_TOKEN to follow the ArgoCD sync, or check it at ${link}`));
+    return null;
+  }
+
+  log(chalk.blue(`⏳ Waiting for ArgoCD to sync ${settings.app} to ${tag}...`));
+  try {
+    return await watchApplication(client, settings.app, {
+      imageTag: tag,
+      syncTimeout: settings.syncTimeout,
+      healthTimeout: settings.healthTimeout,
+      stream,
+      ...(sleep ? { sleep } : {}),
+      ...(interval ? { interval } : {})
+    });
+  } catch (error) {
+    if (error.status === 404) {
+      throw new Error(`ArgoCD application ${settings.app} was not found at ${settings.server}; set ARGOCD_APP in .deploy.config`);
+    }
+    throw error;
+  }
+}
+
+// Error message for a watch that didn't end Synced and Healthy, or null
+function syncFailure(result) {
+  if (result.status === 'healthy') {
+    return null;
+  }
+  const summary = {
+    degraded: `ArgoCD reports ${result.app} Degraded`,
+    'sync-failed': `ArgoCD failed to sync ${result.app}`,
+    timeout: 'ArgoCD sync timed out'
+  }[result.status];
+  const details = problemDetails(result).filter(line => line !== result.message);
+  return [
+    `${summary}${result.message ? `: ${result.message}` : ''}`,
+    ...details.map(line => `   • ${line}`),
+    `   ArgoCD: ${result.url}`
+  ].join('\n');
+}
+
+module.exports = {
+  ArgoCDError,
+  argocdServer,
+  argocdSettings,
+  createArgoCDClient,
+  appState,
+  watchApplication,
+  monitorSync,
+  syncFailure
+};
@@ -1,6 +1,25 @@
 const fs = require('fs');
 const path = require('path');
 const yaml = require('js-yaml');
+const {
+  parseAndEvaluate,
+  toPlainValue,
+  force,
+  isAttrs,
+  describeValue,
+  NixCall,
+  NixConditional
+} = require('./nixParser');
+const { buildStepGraph } = require('./stepGraph');
+const {
+  getEnvReferences,
+  shellReferences,
+  buildArgs,
+  assignedVariables,
+  getEnvToShell,
+  isAgentVariable,
+  isSecretName
+} = require('./buildkiteEnv');
 
 class BuildkiteAnalyzer {
   constructor(projectPath = process.cwd()) {
@@ -56,6 +75,22 @@ class BuildkiteAnalyzer {
       }
     }
 
+    // Surface the parsed pipeline at the top level of the analysis
+    if (analysis.pipeline) {
+      const pipeline = analysis.pipeline;
+      analysis.steps = pipeline.steps;
+      analysis.environments = [...(pipeline.environments || [])];
+      analysis.secrets = [...(pipeline.secrets || [])];
+      analysis.customSteps = pipeline.steps.filter(step => step.type === 'custom');
+      analysis.graph = pipeline.graph || null;
+
+      for (const [feature, enabled] of Object.entries(pipeline.features)) {
+        if (enabled) {
+          analysis.features[feature] = true;
+        }
+      }
+    }
+
     return analysis;
   }
 
@@ -68,95 +103,246 @@ class BuildkiteAnalyzer {
       features: {},
       environments: [],
       secrets: [],
-      dockerBuildArgs: []
+      dockerBuildArgs: [],
+      variables: [],
+      env: {}
     };
 
+    // Every getEnv "NAME" lookup the pipeline actually evaluates is a secret
+    const envLookups = [];
+    let root;
+    try {
+      root = parseAndEvaluate(content, {
+        onCall: call => {
+          if (/(^|\.)getEnv$/.test(call.fn) && call.args.length === 1) {
+            const name = toPlainValue(call.args[0]);
+            if (typeof name === 'string') {
+              envLookups.push(name);
+            }
+          }
+        }
+      });
+    } catch (error) {
+      console.error(`Error parsing Nix file ${filePath}:`, error.message);
+      return null;
+    }
+
+    const pipeline = this.findNixPipeline(root);
+    if (pipeline.env) {
+      analysis.env = toPlainValue(pipeline.env);
+    }
+    analysis.steps = this.collectNixSteps(pipeline.steps, null);
+    analysis.graph = buildStepGraph(analysis.steps);
+
+    // Strings that end up in the pipeline (commands, build args, env), so
+    // that comments and unused bindings never switch features on
+    const strings = collectStrings([analysis.steps, analysis.env]);
+    const mentions = pattern => strings.some(str => pattern.test(str));
+
     // Extract test steps
-    if (content.includes('Test') || content.includes('test')) {
+    if (analysis.steps.some(step => step.type === 'test')) {
       analysis.features.tests = true;
-      
-      // Extract test commands
-      const testMatch = content.match(/command\s*=\s*''([^']+)''/g);
-      if (testMatch) {
-        analysis.steps.push({
-          type: 'test',
-          name: 'Run Tests',
-          commands: testMatch.map(m => m.replace(/command\s*=\s*''/, '').replace(/''/, ''))
-        });
-      }
     }
 
     // Extract Docker build
-    if (content.includes('dockerBuild')) {
+    const dockerSteps = analysis.steps.filter(step => step.type === 'docker-build');
+    if (dockerSteps.length > 0) {
       analysis.features.docker = true;
-      
-      // Extract build args
-      const buildArgsMatch = content.match(/additionalBuildArgs\s*=\s*\[([\s\S]*?)\]/);
-      if (buildArgsMatch) {
-        const args = buildArgsMatch[1].match(/"[^"]+"/g);
-        if (args) {
-          analysis.dockerBuildArgs = args.map(arg => arg.replace(/"/g, ''));
-        }
-      }
-
-      // Check for npmAuth
-      if (content.includes('npmAuth = true')) {
+      if (dockerSteps.some(step => step.npmAuth)) {
         analysis.features.npmAuth = true;
       }
     }
+    analysis.dockerBuildArgs = collectBuildArgs(analysis.steps);
+    if (analysis.steps.some(step => (step.commands || []).some(command => /\bdocker\s+build\b/.test(command)))) {
+      analysis.features.docker = true;
+    }
 
     // Extract deployment environments
-    const deployMatches = content.matchAll(/deploy\s+"([^"]+)"/g);
-    for (const match of deployMatches) {
-      analysis.environments.push(match[1]);
+    for (const step of analysis.steps) {
+      if (step.type === 'deploy' && step.environment && !analysis.environments.includes(step.environment)) {
+        analysis.environments.push(step.environment);
+      }
+    }
+    if (analysis.environments.length > 0) {
+      analysis.features.deployment = true;
     }
 
     // Check for Sentry
-    if (content.includes('SENTRY') || content.includes('sentry')) {
+    if (mentions(/sentry/i)) {
       analysis.features.sentry = true;
-      
-      // Extract Sentry configuration
-      const sentryVars = content.match(/SENTRY_[A-Z_]+/g);
-      if (sentryVars) {
-        analysis.secrets.push(...new Set(sentryVars));
-      }
     }
 
     // Check for GraphQL/Apollo
-    if (content.includes('apollo') || content.includes('APOLLO')) {
+    if (mentions(/apollo/i)) {
       analysis.features.graphql = true;
     }
 
     // Check for deployment blocks
-    if (content.includes('block') && content.includes('deploy')) {
+    if (analysis.steps.some(step => step.type === 'block')) {
       analysis.features.manualApproval = true;
     }
 
     // Extract environment-specific builds
-    if (content.includes('BUILDKITE_BRANCH') && content.includes('master')) {
+    if (analysis.steps.some(step => /BUILDKITE_BRANCH|\bbranch\b/.test(`${step.condition || ''} ${step.if || ''}`) || step.branches)) {
       analysis.features.branchBasedDeployment = true;
     }
 
+    if (analysis.steps.some(step => step.parallelism > 1)) {
+      analysis.features.parallelTests = true;
+    }
+
+    if (pipeline.notify) {
+      analysis.features.notifications = true;
+    }
+
     // Check for FontAwesome
-    if (content.includes('FONTAWESOME')) {
+    if (mentions(/FONTAWESOME/)) {
       analysis.features.fontawesome = true;
-      analysis.secrets.push('FONTAWESOME_NPM_TOKEN');
     }
 
     // Check for Google Maps
-    if (content.includes('GOOGLE_MAPS_KEY')) {
+    if (mentions(/GOOGLE_MAPS_KEY/)) {
       analysis.features.googleMaps = true;
     }
 
-    // Extract custom environment variables
-    const envMatches = content.matchAll(/getEnv\s+"([^"]+)"/g);
-    for (const match of envMatches) {
-      if (!analysis.secrets.includes(match[1])) {
-        analysis.secrets.push(match[1]);
+    // Secrets and variables are only what the steps actually read
+    const references = externalReferences(analysis.steps, analysis.env, envLookups);
+    analysis.secrets = references.secrets;
+    analysis.variables = references.variables;
+
+    return analysis;
+  }
+
+  // Locates the attribute set holding `steps`. Besides the plain
+  // `{ steps = [ ... ]; }` shape, pipelines may be a bare list or be wrapped
+  // in a helper call such as `mkPipeline { steps = ...; }`.
+  findNixPipeline(value) {
+    value = force(value);
+
+    if (Array.isArray(value)) {
+      return { steps: value };
+    }
+
+    if (isAttrs(value)) {
+      return {
+        steps: value.steps !== undefined ? force(value.steps) : [],
+        env: value.env,
+        notify: value.notify
+      };
+    }
+
+    if (value instanceof NixCall) {
+      for (const arg of value.args) {
+        const forced = force(arg);
+        if (Array.isArray(forced) || (isAttrs(forced) && forced.steps !== undefined)) {
+          return this.findNixPipeline(forced);
+        }
       }
     }
 
-    return analysis;
+    return { steps: [] };
+  }
+
+  // Flattens the evaluated step list into step descriptors. Steps behind a
+  // condition the evaluator couldn't decide (e.g. `lib.optionals isMaster`)
+  // are kept and carry that condition.
+  collectNixSteps(items, condition) {
+    const steps = [];
+
+    for (const item of asArray(force(items))) {
+      const value = force(item);
+
+      if (Array.isArray(value)) {
+        steps.push(...this.collectNixSteps(value, condition));
+      } else if (value instanceof NixConditional) {
+        const test = describeValue(value.condition);
+        steps.push(...this.collectNixSteps(value.consequent, joinConditions(condition, test)));
+        steps.push(...this.collectNixSteps(value.alternate, joinConditions(condition, `!(${test})`)));
+      } else if (isAttrs(value)) {
+        steps.push(this.stepFromAttrs(toPlainValue(value), condition));
+      } else if (value instanceof NixCall) {
+        steps.push(this.nixCallStep(value, condition));
+      } else if (value === 'wait') {
+        steps.push(withCondition({ type: 'wait' }, condition));
+      }
+    }
+
+    return steps;
+  }
+
+  // A step written as a literal Buildkite attribute set, in pipeline.yml or
+  // pipeline.nix
+  stepFromAttrs(attrs, condition) {
+    const step = { type: 'command' };
+
+    if (attrs.block !== undefined || attrs.input !== undefined) {
+      step.type = attrs.block !== undefined ? 'block' : 'input';
+      step.label = attrs.block !== undefined ? attrs.block : attrs.input;
+      if (attrs.prompt) step.prompt = attrs.prompt;
+      if (attrs.fields) step.fields = attrs.fields;
+    } else if (attrs.wait !== undefined) {
+      step.type = 'wait';
+      if (attrs.continue_on_failure) step.continueOnFailure = true;
+    } else if (attrs.trigger !== undefined) {
+      step.type = 'trigger';
+      step.label = attrs.label || attrs.trigger;
+      step.pipeline = attrs.trigger;
+      if (attrs.build) step.build = attrs.build;
+      if (attrs.async) step.async = true;
+    } else {
+      step.label = attrs.label || attrs.name || null;
+      step.commands = splitCommands(attrs.commands !== undefined ? attrs.commands : attrs.command);
+      const environment = deployEnvironment(step.label);
+      if (environment) {
+        step.type = 'deploy';
+        step.environment = environment;
+      } else if (isTestStep(step.label, step.commands)) {
+        step.type = 'test';
+      }
+    }
+
+    return withCondition(Object.assign(step, stepOptions(attrs)), condition);
+  }
+
+  // A step produced by a helper function, e.g. `dockerBuild { ... }` or
+  // `deploy "production" { ... }`
+  nixCallStep(call, condition) {
+    const fn = call.fn.split('.').pop();
+    const args = call.args.map(toPlainValue);
+    const positional = args.filter(arg => typeof arg === 'string');
+    const options = Object.assign({}, ...args.filter(arg => arg && typeof arg === 'object' && !Array.isArray(arg)));
+    let step;
+
+    if (fn === 'dockerBuild') {
+      step = {
+        type: 'docker-build',
+        label: options.label || `Docker build${options.name ? ` ${options.name}` : ''}`,
+        name: options.name || null,
+        buildArgs: asArray(options.additionalBuildArgs).filter(arg => typeof arg === 'string'),
+        npmAuth: options.npmAuth === true
+      };
+    } else if (fn === 'deploy') {
+      const environment = positional[0] || options.environment || options.env || null;
+      step = {
+        type: 'deploy',
+        label: options.label || `Deploy${environment ? ` ${environment}` : ''}`,
+        environment
+      };
+    } else if (fn === 'block') {
+      step = { type: 'block', label: positional[0] || options.block || options.label || null };
+      if (options.prompt) step.prompt = options.prompt;
+      if (options.fields) step.fields = options.fields;
+    } else if (fn === 'wait') {
+      step = { type: 'wait' };
+    } else {
+      step = { type: 'custom', fn: call.fn, label: options.label || fn, args };
+      if (options.command !== undefined || options.commands !== undefined) {
+        step.commands = splitCommands(options.commands !== undefined ? options.commands : options.command);
+      }
+    }
+
+    step.line = call.line;
+    return withCondition(Object.assign(step, stepOptions(options)), condition);
   }
 
   analyzeYamlPipeline(filePath) {
@@ -169,31 +355,60 @@ class BuildkiteAnalyzer {
         steps: [],
         features: {},
         environments: [],
-        secrets: []
+        secrets: [],
+        dockerBuildArgs: [],
+        variables: [],
+        env: pipeline?.env || {}
       };
 
-      if (pipeline.steps) {
-        for (const step of pipeline.steps) {
-          // Analyze each step
-          if (step.label) {
-            analysis.steps.push({
-              name: step.label,
-              commands: step.commands || step.command,
-              plugins: step.plugins
-            });
-          }
+      if (pipeline?.steps) {
+        analysis.steps = this.collectYamlSteps(pipeline.steps, null);
+      }
+      analysis.dockerBuildArgs = collectBuildArgs(analysis.steps);
+      const references = externalReferences(analysis.steps, analysis.env, []);
+      analysis.secrets = references.secrets;
+      analysis.variables = references.variables;
+
+      for (const step of analysis.steps) {
+        // Check for specific features
+        if (step.type === 'test') {
+          analysis.features.tests = true;
+        }
 
-          // Check for specific features
-          if (step.command?.includes('test') || step.commands?.some(c => c.includes('test'))) {
-            analysis.features.tests = true;
-          }
+        if (step.plugins?.some(p => pluginName(p).startsWith('docker'))) {
+          analysis.features.docker = true;
+        }
+
+        if (step.type === 'block' || step.type === 'input') {
+          analysis.features.manualApproval = true;
+        }
 
-          if (step.plugins?.some(p => p['docker-compose'] || p['docker'])) {
-            analysis.features.docker = true;
+        if (step.branches || /BUILDKITE_BRANCH/.test(step.if || '')) {
+          analysis.features.branchBasedDeployment = true;
+        }
+
+        if (step.parallelism > 1) {
+          analysis.features.parallelTests = true;
+        }
+
+        if (step.matrix) {
+          analysis.features.matrixBuilds = true;
+        }
+
+        if (step.type === 'deploy') {
+          analysis.features.deployment = true;
+          if (step.environment && !analysis.environments.includes(step.environment)) {
+            analysis.environments.push(step.environment);
           }
         }
       }
 
+      if (pipeline?.notify) {
+        analysis.features.notifications = true;
+      }
+
+      analysis.graph = buildStepGraph(analysis.steps);
+
       return analysis;
     } catch (error) {
       console.error(`Error parsing YAML file ${filePath}:`, error);
@@ -201,6 +416,41 @@ class BuildkiteAnalyzer {
     }
   }
 
+  // Flattens pipeline.yml steps, including `group` steps, into step
+  // descriptors
+  collectYamlSteps(items, group) {
+    const steps = [];
+
+    for (const item of items || []) {
+      if (item === 'wait' || item === 'waiter') {
+        steps.push({ type: 'wait' });
+      } else if (item === 'block') {
+        steps.push({ type: 'block', label: null });
+      } else if (item && typeof item === 'object' && item.group !== undefined && Array.isArray(item.steps)) {
+        // Group-level dependencies apply to every step inside the group
+        const children = this.collectYamlSteps(item.steps, item.group || item.label);
+        const groupOptions = stepOptions(item);
+        for (const child of children) {
+          if (groupOptions.dependsOn) {
+            child.dependsOn = [...groupOptions.dependsOn, ...(child.dependsOn || [])];
+          }
+          if (groupOptions.if && !child.if) {
+            child.if = groupOptions.if;
+          }
+        }
+        steps.push(...children);
+      } else if (item && typeof item === 'object') {
+        const step = this.stepFromAttrs(item, null);
+        if (group) {
+          step.group = group;
+        }
+        steps.push(step);
+      }
+    }
+
+    return steps;
+  }
+
   compareWithGitHubActions() {
     const buildkiteAnalysis = this.analyze();
     if (!buildkiteAnalysis) {
@@ -229,10 +479,6 @@ class BuildkiteAnalyzer {
         comparison.recommendations.push('Ensure Sentry release creation is configured in GitHub Actions');
       }
 
-      if (features.fontawesome) {
-        comparison.recommendations.push('Add FONTAWESOME_NPM_TOKEN to GitHub secrets');
-      }
-
       if (features.googleMaps) {
         comparison.recommendations.push('Add STOREFRONT_PUBLIC_GOOGLE_MAPS_KEY to GitHub secrets');
       }
@@ -268,8 +514,155 @@ class BuildkiteAnalyzer {
       );
     }
 
+    comparison.recommendations.push('Run "karma verify-migration" for a step-by-step parity report');
+
     return comparison;
   }
 }
 
+function asArray(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+// Turns a `command`/`commands` value into one entry per shell line
+function splitCommands(value) {
+  return asArray(value)
+    .filter(command => typeof command === 'string')
+    .flatMap(command => command.split('\n'))
+    .map(command => command.trim())
+    .filter(command => command && !command.startsWith('#'));
+}
+
+// "Deploy to production", ":rocket: deploy staging" etc.
+function deployEnvironment(label) {
+  if (!label || !/deploy/i.test(label)) return null;
+  const match = label.match(/\b(production|prod|staging|development|dev)\b/i);
+  if (!match) return null;
+  const environment = match[1].toLowerCase();
+  return { prod: 'production', dev: 'development' }[environment] || environment;
+}
+
+// Plugins are { "docker#v5.3.0": { ... } } objects or bare "name#version" strings
+function pluginName(plugin) {
+  const name = typeof plugin === 'string' ? plugin : Object.keys(plugin || {})[0] || '';
+  return name.split('#')[0].replace(/^.*\//, '').replace(/-buildkite-plugin$/, '');
+}
+
+function isTestStep(label, commands) {
+  const pattern = /\b(test|tests|jest|mocha|vitest)\b/i;
+  return pattern.test(label || '') || commands.some(command => pattern.test(command));
+}
+
+// Buildkite step attributes shared by every kind of step
+function stepOptions(attrs) {
+  const options = {};
+  const dependsOn = attrs.depends_on !== undefined ? attrs.depends_on : attrs.dependsOn;
+
+  const key = attrs.key !== undefined ? attrs.key : (attrs.id !== undefined ? attrs.id : attrs.identifier);
+
+  if (key !== undefined) options.key = key;
+  if (dependsOn !== undefined) options.dependsOn = asArray(dependsOn);
+  if (attrs.if !== undefined) options.if = attrs.if;
+  if (attrs.branches !== undefined) options.branches = attrs.branches;
+  if (attrs.env !== undefined) options.env = attrs.env;
+  if (attrs.plugins !== undefined) options.plugins = asArray(attrs.plugins);
+  if (attrs.agents !== undefined) options.agents = attrs.agents;
+  if (attrs.parallelism !== undefined) options.parallelism = attrs.parallelism;
+  if (attrs.retry !== undefined) options.retry = attrs.retry;
+  if (attrs.timeout_in_minutes !== undefined) options.timeoutInMinutes = attrs.timeout_in_minutes;
+  if (attrs.artifact_paths !== undefined) options.artifactPaths = asArray(attrs.artifact_paths);
+  if (attrs.concurrency !== undefined) options.concurrency = attrs.concurrency;
+  if (attrs.concurrency_group !== undefined) options.concurrencyGroup = attrs.concurrency_group;
+  if (attrs.soft_fail !== undefined) options.softFail = attrs.soft_fail;
+  if (attrs.matrix !== undefined) options.matrix = attrs.matrix;
+  if (attrs.allow_dependency_failure !== undefined) options.allowDependencyFailure = attrs.allow_dependency_failure;
+
+  return options;
+}
+
+// Build args as NAME or NAME=value: additionalBuildArgs of dockerBuild
+// helpers, with or without a leading --build-arg, and --build-arg flags of
+// `docker build` commands. getEnv values become the $NAME they read.
+function collectBuildArgs(steps) {
+  const args = [];
+  const add = arg => {
+    if (!args.includes(arg)) args.push(arg);
+  };
+  for (const step of steps) {
+    for (const arg of step.buildArgs || []) {
+      add(getEnvToShell(String(arg).replace(/^--build-arg[\s=]+/, '')));
+    }
+    for (const command of step.commands || []) {
+      buildArgs(command).forEach(({ name, value }) => add(value === null ? name : `${name}=${getEnvToShell(value)}`));
+    }
+  }
+  return args;
+}
+
+// Variables the steps read from the agent's environment: getEnv lookups,
+// shell expansions and build args or docker plugin variables passed through
+// by name. Variables the pipeline or step env sets, or a script assigns
+// itself, are left out. getEnv lookups and secret-looking names are
+// secrets; the rest are plain variables.
+function externalReferences(steps, pipelineEnv, getEnvCalls) {
+  const secrets = [];
+  const variables = [];
+  const add = (name, secret) => {
+    if (isAgentVariable(name) || secrets.includes(name) || variables.includes(name)) return;
+    (secret || isSecretName(name) ? secrets : variables).push(name);
+  };
+  const scan = (texts, defined) => {
+    for (const text of texts) {
+      getEnvReferences(text).forEach(name => add(name, true));
+      shellReferences(text).filter(name => !defined.has(name)).forEach(name => add(name, false));
+    }
+  };
+
+  getEnvCalls.forEach(name => add(name, true));
+  const pipelineDefined = new Set(Object.keys(pipelineEnv || {}));
+  scan(collectStrings(Object.values(pipelineEnv || {})), new Set());
+
+  for (const step of steps) {
+    const commands = step.commands || [];
+    const defined = new Set([...pipelineDefined, ...Object.keys(step.env || {}), ...assignedVariables(commands.join('\n'))]);
+    scan([...commands, ...(step.buildArgs || []), ...collectStrings(Object.values(step.env || {}))], defined);
+
+    const passedThrough = [
+      ...commands.flatMap(command => buildArgs(command)).filter(arg => arg.value === null).map(arg => arg.name),
+      ...(step.buildArgs || []).map(arg => String(arg).replace(/^--build-arg[\s=]+/, '')).filter(arg => /^[A-Za-z_][A-Za-z0-9_]*$/.test(arg)),
+      ...(step.plugins || []).flatMap(plugin => asArray(Object.values(plugin || {})[0]?.environment))
+        .filter(variable => typeof variable === 'string' && !variable.includes('='))
+    ];
+    passedThrough.filter(name => !defined.has(name)).forEach(name => add(name, false));
+  }
+
+  return { secrets, variables };
+}
+
+function joinConditions(outer, inner) {
+  return outer ? `(${outer}) && (${inner})` : inner;
+}
+
+function withCondition(step, condition) {
+  if (condition) {
+    step.condition = condition;
+  }
+  return step;
+}
+
+function collectStrings(value, strings = []) {
+  if (typeof value === 'string') {
+    strings.push(value);
+  } else if (Array.isArray(value)) {
+    value.forEach(item => collectStrings(item, strings));
+  } else if (value && typeof value === 'object') {
+    for (const [key, item] of Object.entries(value)) {
+      strings.push(key);
+      collectStrings(item, strings);
+    }
+  }
+  return strings;
+}
+
 module.exports = BuildkiteAnalyzer;
\ No newline at end of file
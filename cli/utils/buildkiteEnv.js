@@ -0,0 +1,99 @@
+// Environment variables a Buildkite step reads, in the forms they take once
+// pipeline.nix is evaluated:
+//
+//   ${getEnv "NAME"}          a getEnv call the evaluator kept inside a string
+//   $NAME, ${NAME}            shell expansion in a command
+//   --build-arg NAME[=value]  docker build arguments; without a value the
+//                             build reads NAME from the environment
+
+const GETENV_INTERPOLATION = /\$\{\s*(?:builtins\.)?getEnv\s+"([A-Za-z_][A-Za-z0-9_]*)"\s*\}/g;
+const SHELL_VARIABLE = /\$\$?(?:\{([A-Z][A-Z0-9_]*)(?:[:?+-][^}]*)?\}|([A-Z][A-Z0-9_]*))/g;
+const BUILD_ARG = /--build-arg[\s=]+(["']?)([A-Za-z_][A-Za-z0-9_]*)(?:=("[^"]*"|'[^']*'|(?:\$\{[^}]*\}|[^\s"'])*))?\1/g;
+const ASSIGNMENT = /(?:^|[\s;&|(])(?:export\s+)?([A-Z][A-Z0-9_]*)=(\S*)/g;
+
+// Names that look like credentials. Bundlers inline variables with the
+// public prefixes into client code, so those are configuration by design.
+const SECRET_NAME = /TOKEN|SECRET|PASSWORD|PASSWD|PRIVATE|CREDENTIAL|API_KEY|AUTH|_KEY$|^KEY$/;
+const PUBLIC_PREFIX = /^(VITE_|NEXT_PUBLIC_|REACT_APP_|PUBLIC_|EXPO_PUBLIC_|GATSBY_|NUXT_PUBLIC_)/;
+
+// Set by the Buildkite agent or the shell, never by the pipeline's secrets
+const AGENT_VARIABLE = /^(BUILDKITE(_[A-Z0-9_]*)?|CI|HOME|PATH|PWD|OLDPWD|USER|SHELL|TERM|HOSTNAME|TMPDIR|RANDOM|UID|IFS)$/;
+
+// Buildkite environment variables with a GitHub Actions equivalent
+const BUILDKITE_ENV = {
+  BUILDKITE_BRANCH: '${{ github.head_ref || github.ref_name }}',
+  BUILDKITE_COMMIT: '${{ github.sha }}',
+  BUILDKITE_TAG: "${{ startsWith(github.ref, 'refs/tags/') && github.ref_name || '' }}",
+  BUILDKITE_BUILD_NUMBER: '${{ github.run_number }}',
+  BUILDKITE_BUILD_ID: '${{ github.run_id }}',
+  BUILDKITE_BUILD_URL: '${{ github.server_url }}/${{ github.repository }}/actions/runs/${{ github.run_id }}',
+  BUILDKITE_PIPELINE_SLUG: '${{ github.event.repository.name }}',
+  BUILDKITE_REPO: '${{ github.repositoryUrl }}',
+  BUILDKITE_BUILD_CREATOR: '${{ github.actor }}',
+  BUILDKITE_PULL_REQUEST: "${{ github.event.pull_request.number || 'false' }}",
+  BUILDKITE_MESSAGE: '${{ github.event.head_commit.message }}'
+};
+
+// Looks like a credential rather than public configuration
+function isSecretName(name) {
+  return SECRET_NAME.test(name) && !PUBLIC_PREFIX.test(name);
+}
+
+function unique(values) {
+  return [...new Set(values)];
+}
+
+// Names read with getEnv inside strings
+function getEnvReferences(text) {
+  return unique([...String(text).matchAll(GETENV_INTERPOLATION)].map(match => match[1]));
+}
+
+// Names expanded by the shell, leaving out agent and shell variables
+function shellReferences(text) {
+  const withoutGetEnv = String(text).replace(GETENV_INTERPOLATION, '');
+  return unique([...withoutGetEnv.matchAll(SHELL_VARIABLE)].map(match => match[1] || match[2]))
+    .filter(name => !AGENT_VARIABLE.test(name));
+}
+
+// [{ name, value }] for every --build-arg; value is null when the build
+// reads the variable from the environment
+function buildArgs(command) {
+  return [...String(command).matchAll(BUILD_ARG)]
+    .map(match => ({ name: match[2], value: match[3] === undefined ? null : match[3].replace(/^(["'])(.*)\1$/, '$2') }));
+}
+
+// Variables a script assigns itself (`VERSION=$(...)`, `export X=1`);
+// `NPM_TOKEN=$NPM_TOKEN` passes the outer value on, so it doesn't count
+function assignedVariables(text) {
+  return unique([...String(text).matchAll(ASSIGNMENT)]
+    .filter(([, name, value]) => !new RegExp(`\\$\\{?${name}\\b`).test(value))
+    .map(match => match[1]));
+}
+
+// Rewrites getEnv interpolations as shell expansions, which is what they
+// read at run time in Buildkite
+function getEnvToShell(text) {
+  return String(text).replace(GETENV_INTERPOLATION, (match, name) => `$${name}`);
+}
+
+// Rewrites getEnv interpolations as GitHub Actions secrets, for values
+// that aren't run by a shell (env entries)
+function getEnvToSecret(text) {
+  return String(text).replace(GETENV_INTERPOLATION, (match, name) => `\${{ secrets.${name} }}`);
+}
+
+function isAgentVariable(name) {
+  return AGENT_VARIABLE.test(name);
+}
+
+module.exports = {
+  getEnvReferences,
+  shellReferences,
+  buildArgs,
+  assignedVariables,
+  getEnvToShell,
+  getEnvToSecret,
+  isAgentVariable,
+  isSecretName,
+  BUILDKITE_ENV
+};
@@ -0,0 +1,258 @@
+const { listTags, latestTag, DEFAULT_PREFIX } = require('./tagFormat');
+
+// Changelogs between two deployments, built from the mainline commits in
+// between: one entry per squash-merged or merged PR, or per commit pushed
+// directly. Entries are grouped by conventional-commit type
+// (`feat(scope)!: subject`); commits that don't follow the convention end
+// up under Other Changes.
+//
+// A changelog is { from, to, repo, commits, entries, breaking, sections }
+// where each entry is { type, scope, subject, breaking, notes, pr, issues,
+// commits, authors } and sections are [{ type, title, entries }] in the
+// order below. It renders as Markdown (GitHub Releases, the terminal), as
+// plain text (annotated tag messages) or as JSON.
+
+const TYPES = [
+  { type: 'feat', title: 'Features' },
+  { type: 'fix', title: 'Bug Fixes' },
+  { type: 'perf', title: 'Performance' },
+  { type: 'revert', title: 'Reverts' },
+  { type: 'refactor', title: 'Refactoring' },
+  { type: 'docs', title: 'Documentation' },
+  { type: 'test', title: 'Tests' },
+  { type: 'build', title: 'Build' },
+  { type: 'ci', title: 'CI' },
+  { type: 'style', title: 'Style' },
+  { type: 'chore', title: 'Chores' },
+  { type: 'other', title: 'Other Changes' }
+];
+
+const TYPE_ALIASES = { feature: 'feat', bugfix: 'fix', hotfix: 'fix', doc: 'docs', tests: 'test' };
+
+const CONVENTIONAL_HEADER = /^(\w+)(?:\(([^)]*)\))?(!)?:\s*(.+)$/;
+const MERGE_PR = /^Merge pull request #(\d+) from (\S+)/;
+const SQUASH_PR = /\s*\(#(\d+)\)$/;
+const BREAKING_FOOTER = /^BREAKING[ -]CHANGE:\s*(.+)$/gm;
+
+// The version bumps deploy commits are bookkeeping, not changes
+const VERSION_BUMP = /^chore: bump version to \S+ for \S+ deployment$/;
+
+// Type, scope, subject, breaking notes, PR and referenced issues of one
+// commit message
+function parseCommitMessage(message) {
+  const lines = message.split('\n');
+  let header = lines[0].trim();
+  let pr = null;
+
+  const merge = header.match(MERGE_PR);
+  if (merge) {
+    pr = Number(merge[1]);
+    // GitHub puts the PR title on the first line of the body
+    header = lines.slice(1).map(line => line.trim()).find(Boolean) || merge[2];
+  }
+  const squash = header.match(SQUASH_PR);
+  if (squash) {
+    pr = pr || Number(squash[1]);
+    header = header.slice(0, squash.index);
+  }
+
+  const conventional = header.match(CONVENTIONAL_HEADER);
+  const rawType = conventional ? conventional[1].toLowerCase() : null;
+  const type = TYPE_ALIASES[rawType] || rawType;
+  const known = TYPES.some(entry => entry.type === type && type !== 'other');
+
+  const notes = [...message.matchAll(BREAKING_FOOTER)].map(match => match[1].trim());
+  const issues = [...new Set([...message.matchAll(/(?:^|[\s(])#(\d+)\b/g)].map(match => Number(match[1])))]
+    .filter(number => number !== pr);
+
+  return {
+    type: known ? type : 'other',
+    scope: known && conventional[2] ? conventional[2] : null,
+    subject: known ? conventional[4].trim() : header,
+    breaking: Boolean(known && conventional[3]) || notes.length > 0,
+    notes,
+    pr,
+    issues
+  };
+}
+
+// The first type in section order, for merged PRs whose title isn't
+// conventional but whose commits are
+function leadingType(types) {
+  return TYPES.map(entry => entry.type).find(type => types.includes(type)) || 'other';
+}
+
+// Builds the changelog of the commits in `to` but not in `from`; without
+// `from`, of all of `to`'s history. `repo` ("owner/name") adds links.
+function buildChangelog(git, { from = null, to = 'HEAD', repo = null } = {}) {
+  const mainline = git.commits(from, to, { firstParent: true })
+    .filter(commit => !VERSION_BUMP.test(commit.message.split('\n')[0]));
+
+  const entries = [];
+  const byPr = new Map();
+  for (const commit of mainline) {
+    const parsed = parseCommitMessage(commit.message);
+
+    // A merge commit stands for its PR; the commits it brought in can mark
+    // it breaking or give it a type
+    if (commit.parents.length > 1) {
+      const branch = git.commits(commit.parents[0], commit.sha).filter(candidate => candidate.sha !== commit.sha);
+      const branchParsed = branch.map(candidate => parseCommitMessage(candidate.message));
+      if (parsed.type === 'other') {
+        parsed.type = leadingType(branchParsed.map(candidate => candidate.type));
+      }
+      parsed.notes.push(...branchParsed.flatMap(candidate => candidate.notes));
+      parsed.breaking = parsed.breaking || branchParsed.some(candidate => candidate.breaking);
+      parsed.issues = [...new Set([...parsed.issues, ...branchParsed.flatMap(candidate => candidate.issues)])]
+        .filter(number => number !== parsed.pr);
+    }
+
+    const existing = parsed.pr !== null ? byPr.get(parsed.pr) : null;
+    if (existing) {
+      existing.commits.push(commit.sha);
+      existing.authors = [...new Set([...existing.authors, commit.author])];
+      existing.breaking = existing.breaking || parsed.breaking;
+      existing.notes.push(...parsed.notes);
+      existing.issues = [...new Set([...existing.issues, ...parsed.issues])];
+      continue;
+    }
+
+    const entry = { ...parsed, commits: [commit.sha], authors: [commit.author] };
+    entries.push(entry);
+    if (entry.pr !== null) byPr.set(entry.pr, entry);
+  }
+
+  const sections = TYPES
+    .map(({ type, title }) => ({ type, title, entries: entries.filter(entry => entry.type === type) }))
+    .filter(section => section.entries.length > 0);
+
+  return {
+    from,
+    to,
+    repo,
+    commits: mainline.length,
+    entries,
+    breaking: entries.filter(entry => entry.breaking),
+    sections
+  };
+}
+
+// The deployment before `tag` in the same environment, to diff it against,
+// or the latest production deployment when `to` isn't a deployment tag
+function previousDeploymentTag(tags, to, prefix = DEFAULT_PREFIX) {
+  const deployments = listTags(tags, { prefix });
+  const index = deployments.findIndex(parsed => parsed.tag === to);
+  if (index === -1) {
+    const production = latestTag(tags, 'production', prefix);
+    return production ? production.tag : null;
+  }
+  const previous = deployments.slice(index + 1).find(parsed => parsed.environment === deployments[index].environment);
+  return previous ? previous.tag : null;
+}
+
+function entryLine(entry, { link, sha, markdown }) {
+  const scope = entry.scope ? `${markdown ? `**${entry.scope}:**` : `${entry.scope}:`} ` : '';
+  const breaking = entry.breaking ? (markdown ? '**BREAKING** ' : 'BREAKING: ') : '';
+  const refs = [];
+  if (entry.pr !== null) refs.push(link(`#${entry.pr}`, 'pull', entry.pr));
+  if (entry.issues.length > 0) refs.push(`refs ${entry.issues.map(number => link(`#${number}`, 'issues', number)).join(', ')}`);
+  if (entry.pr === null) refs.push(sha(entry.commits[0]));
+  return `- ${breaking}${scope}${entry.subject} (${refs.join('; ')})`;
+}
+
+// Markdown for a GitHub Release body or the terminal. PRs, issues and
+// commits link to GitHub when the repository is known.
+function renderMarkdown(changelog, { title = null } = {}) {
+  const base = changelog.repo ? `https://github.com/${changelog.repo}` : null;
+  const link = (text, kind, number) => (base ? `[${text}](${base}/${kind}/${number})` : text);
+  const sha = value => (base ? `[${value.slice(0, 7)}](${base}/commit/${value})` : value.slice(0, 7));
+
+  const lines = [];
+  if (title) lines.push(`## ${title}`, '');
+  if (changelog.entries.length === 0) {
+    lines.push('No changes.', '');
+  }
+
+  if (changelog.breaking.length > 0) {
+    lines.push('### ⚠️ Breaking Changes', '');
+    for (const entry of changelog.breaking) {
+      lines.push(`- ${entry.scope ? `**${entry.scope}:** ` : ''}${entry.subject}`);
+      entry.notes.forEach(note => lines.push(`  - ${note}`));
+    }
+    lines.push('');
+  }
+  for (const section of changelog.sections) {
+    lines.push(`### ${section.title}`, '');
+    section.entries.forEach(entry => lines.push(entryLine(entry, { link, sha, markdown: true })));
+    lines.push('');
+  }
+
+  if (base && changelog.from) {
+    lines.push(`**Full Changelog**: ${base}/compare/${changelog.from}...${changelog.to}`, '');
+  }
+  return lines.join('\n').trimEnd() + '\n';
+}
+
+// Plain text for the body of an annotated tag, which git shows as is
+function renderText(changelog) {
+  const link = text => text;
+  const sha = value => value.slice(0, 7);
+
+  const lines = [`Changes since ${changelog.from || 'the first commit'}:`];
+  if (changelog.entries.length === 0) {
+    lines.push('', 'No changes.');
+  }
+  if (changelog.breaking.length > 0) {
+    lines.push('', 'Breaking Changes');
+    for (const entry of changelog.breaking) {
+      lines.push(`- ${entry.scope ? `${entry.scope}: ` : ''}${entry.subject}`);
+      entry.notes.forEach(note => lines.push(`  ${note}`));
+    }
+  }
+  for (const section of changelog.sections) {
+    lines.push('', section.title);
+    section.entries.forEach(entry => lines.push(entryLine(entry, { link, sha, markdown: false })));
+  }
+  return lines.join('\n');
+}
+
+// A deployment tag message: the subject line, then the changelog since the
+// previous deployment. The changelog is left out when the history isn't
+// available (shallow clones) rather than failing the deployment.
+function tagMessage(git, subject, { from, to = 'HEAD' } = {}) {
+  if (!from) {
+    return subject;
+  }
+  try {
+    return `${subject}\n\n${renderText(buildChangelog(git, { from, to }))}`;
+  } catch (error) {
+    return subject;
+  }
+}
+
+// Creates the GitHub Release for a tag with the changelog as its body, or
+// updates the body when the release exists. Deployments other than
+// production are marked as pre-releases.
+async function publishRelease(api, repo, tag, body, { prerelease = false } = {}) {
+  let release = null;
+  try {
+    release = await api.get(`/repos/${repo}/releases/tags/${encodeURIComponent(tag)}`);
+  } catch (error) {
+    if (error.status !== 404) throw error;
+  }
+  if (release) {
+    return api.patch(`/repos/${repo}/releases/${release.id}`, { body });
+  }
+  return api.post(`/repos/${repo}/releases`, { tag_name: tag, name: tag, body, prerelease });
+}
+
+module.exports = {
+  CHANGELOG_TYPES: TYPES,
+  parseCommitMessage,
+  buildChangelog,
+  previousDeploymentTag,
+  renderMarkdown,
+  renderText,
+  tagMessage,
+  publishRelease
+};
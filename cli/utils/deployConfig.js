@@ -0,0 +1,213 @@
+const fs = require('fs');
+const path = require('path');
+
+// Settings deploy.sh and rollback.sh have always understood, with their
+// defaults. Environment variables override the defaults; .deploy.config and
+// then .deploy.config.local override both, as when the shell scripts sourced
+// them.
+const DEPLOY_DEFAULTS = {
+  SERVICE_NAME: null,
+  DEFAULT_BRANCH: 'master',
+  DEPLOY_BRANCHES: 'master main',
+  VERSION_PREFIX: 'v',
+  ENABLE_HOTFIX: 'true',
+  ENABLE_PREVIEW: 'true',
+  MONITOR_DEPLOYMENT: 'true',
+  DEPLOY_TYPE: 'kubernetes',
+  // timestamp (dev-YYYYMMDD-HHMM-N) or legacy (vX.Y.Z-dev), see tagFormat.js
+  DEV_TAG_FORMAT: 'timestamp',
+  // Deployments listed when picking a rollback target
+  MAX_VERSIONS_TO_SHOW: '20'
+};
+
+const CONFIG_FILES = ['.deploy.config', '.deploy.config.local'];
+
+const ASSIGNMENT = /^(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)=(.*)$/;
+
+// Generated configs name the detected deployment SERVICE_TYPE; it stands in
+// for DEPLOY_TYPE when that isn't set
+const SERVICE_TYPE_ALIASES = {
+  kubernetes: 'kubernetes',
+  firebase: 'firebase',
+  'cloud-functions': 'cloud-function',
+  'cloud-function': 'cloud-function'
+};
+
+function loadDeployConfig(projectPath = process.cwd(), env = process.env) {
+  return resolveConfig(loadConfigLayers(projectPath, env), projectPath).values;
+}
+
+// The layers making up the configuration, lowest precedence first:
+// [{ source, path, values, document }]. Defaults and environment variables
+// have no path or document.
+function loadConfigLayers(projectPath = process.cwd(), env = process.env) {
+  const layers = [{ source: 'default', path: null, values: { ...DEPLOY_DEFAULTS }, document: null }];
+
+  const fromEnv = {};
+  for (const key of Object.keys(DEPLOY_DEFAULTS)) {
+    if (env[key] !== undefined) {
+      fromEnv[key] = env[key];
+    }
+  }
+  layers.push({ source: 'environment', path: null, values: fromEnv, document: null });
+
+  for (const file of CONFIG_FILES) {
+    const filePath = path.join(projectPath, file);
+    if (fs.existsSync(filePath)) {
+      const document = parseConfigDocument(fs.readFileSync(filePath, 'utf8'));
+      layers.push({ source: file, path: filePath, values: documentValues(document), document });
+    }
+  }
+
+  return layers;
+}
+
+// Merges layers into { values, sources }, where sources[key] names the layer
+// the value came from
+function resolveConfig(layers, projectPath = process.cwd()) {
+  const values = {};
+  const sources = {};
+
+  for (const layer of layers) {
+    for (const [key, value] of Object.entries(layer.values)) {
+      values[key] = value;
+      sources[key] = layer.source;
+    }
+  }
+
+  if (!values.SERVICE_NAME) {
+    values.SERVICE_NAME = path.basename(path.resolve(projectPath));
+    sources.SERVICE_NAME = 'directory name';
+  }
+
+  if (sources.DEPLOY_TYPE === 'default' && SERVICE_TYPE_ALIASES[values.SERVICE_TYPE]) {
+    values.DEPLOY_TYPE = SERVICE_TYPE_ALIASES[values.SERVICE_TYPE];
+    sources.DEPLOY_TYPE = `SERVICE_TYPE in ${sources.SERVICE_TYPE}`;
+  }
+
+  return { values, sources };
+}
+
+// Reads the KEY="value" assignments of a shell-style config file. Anything
+// that is not a plain assignment (comments, commands) is ignored.
+function parseDeployConfig(content) {
+  return documentValues(parseConfigDocument(content));
+}
+
+// Parses a config file line by line, keeping enough to write it back with
+// its comments and layout: { lines, assignments: [{ index, key, value }],
+// ignored: [{ index, text }] } where ignored lines are neither assignments,
+// comments nor blank
+function parseConfigDocument(content) {
+  const lines = content.split('\n');
+  const assignments = [];
+  const ignored = [];
+
+  lines.forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    const match = line.match(ASSIGNMENT);
+    if (match) {
+      assignments.push({ index, key: match[1], value: unquote(match[2].trim()) });
+    } else if (line !== '' && !line.startsWith('#')) {
+      ignored.push({ index, text: line });
+    }
+  });
+
+  return { lines, assignments, ignored };
+}
+
+// As in the shell, the last assignment of a key wins
+function documentValues(document) {
+  const values = {};
+  for (const { key, value } of document.assignments) {
+    values[key] = value;
+  }
+  return values;
+}
+
+// Returns content with key set to value. The last assignment of the key is
+// rewritten in place, keeping any export and trailing comment; a new key is
+// appended.
+function setConfigValue(content, key, value) {
+  const document = parseConfigDocument(content);
+  const existing = document.assignments.filter(assignment => assignment.key === key).pop();
+
+  if (!existing) {
+    const prefix = content === '' || content.endsWith('\n') ? content : `${content}\n`;
+    return `${prefix}${formatAssignment(key, value)}\n`;
+  }
+
+  const lines = [...document.lines];
+  const match = lines[existing.index].match(/^(\s*(?:export\s+)?[A-Za-z_][A-Za-z0-9_]*=)("(?:[^"\\]|\\.)*"?|'[^']*'?|[^\s#]*)(.*)$/);
+  const [, assignment, oldValue, rest] = match;
+  // Unquoted values stay unquoted when the shell doesn't need quotes
+  const formatted = !/^["']/.test(oldValue) && oldValue !== '' && /^[A-Za-z0-9_.,:/@+-]+$/.test(value)
+    ? value
+    : quote(value);
+  lines[existing.index] = `${assignment}${formatted}${rest}`;
+
+  return lines.join('\n');
+}
+
+function formatAssignment(key, value) {
+  return `${key}=${quote(value)}`;
+}
+
+function quote(value) {
+  return `"${String(value).replace(/(["\\$`])/g, '\\$1')}"`;
+}
+
+// Builds a config file from a header (comment lines) and sections of
+// { comment, values }, each section preceded by a blank line
+function serializeDeployConfig(sections, header = []) {
+  let content = header.map(line => `# ${line}\n`).join('');
+  for (const { comment, values } of sections) {
+    content += `\n${comment ? `# ${comment}\n` : ''}`;
+    for (const [key, value] of Object.entries(values)) {
+      content += `${formatAssignment(key, value)}\n`;
+    }
+  }
+  return content;
+}
+
+function unquote(value) {
+  if (value.startsWith('"')) {
+    const end = value.indexOf('"', 1);
+    return value.slice(1, end === -1 ? undefined : end).replace(/\\(["\\$`])/g, '$1');
+  }
+  if (value.startsWith("'")) {
+    const end = value.indexOf("'", 1);
+    return value.slice(1, end === -1 ? undefined : end);
+  }
+  // Unquoted values end at the first whitespace or comment
+  return value.split(/\s+#|\s/)[0];
+}
+
+function isEnabled(value) {
+  return String(value).toLowerCase() === 'true';
+}
+
+// A package name as a service name: without the npm scope and reduced to
+// [a-z0-9-], since @karma/api is not a valid service, function or project ID
+function serviceSlug(name) {
+  return name
+    .replace(/^@[^/]+\//, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9-]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+module.exports = {
+  loadDeployConfig,
+  loadConfigLayers,
+  resolveConfig,
+  parseDeployConfig,
+  parseConfigDocument,
+  setConfigValue,
+  serializeDeployConfig,
+  isEnabled,
+  serviceSlug,
+  DEPLOY_DEFAULTS,
+  CONFIG_FILES,
+  SERVICE_TYPE_ALIASES
+};
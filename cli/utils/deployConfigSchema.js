@@ -0,0 +1,186 @@
+const { SERVICE_TYPE_ALIASES, isEnabled } = require('./deployConfig');
+
+// Keys .deploy.config understands, per DEPLOY_TYPE. Each key has a type:
+// 'string', 'boolean', 'integer' (with optional min/max), 'list' (space
+// separated, with optional allowed items) or 'enum' (with values); strings
+// and list items may have a pattern. Required keys must be set for that deploy type,
+// keys requiredWith a boolean key whenever that key is enabled.
+// Of each group in ONE_OF_KEYS exactly one key must be set.
+
+const DEPLOY_TYPES = ['kubernetes', 'firebase', 'cloud-function', 'generic'];
+
+const COMMON_KEYS = {
+  SERVICE_NAME: { type: 'string', pattern: /^[a-z0-9][a-z0-9-]*$/, description: 'Service name: lowercase letters, digits and dashes (default: directory name)' },
+  SERVICE_TYPE: { type: 'enum', values: ['kubernetes', 'firebase', 'cloud-functions', 'unknown'], description: 'Deployment detected by karma init; used when DEPLOY_TYPE is not set' },
+  DEPLOY_TYPE: { type: 'enum', values: DEPLOY_TYPES, description: 'How the service is deployed' },
+  DEFAULT_BRANCH: { type: 'string', description: 'Default git branch' },
+  DEPLOY_BRANCHES: { type: 'list', description: 'Branches deployments may be made from' },
+  VERSION_PREFIX: { type: 'string', pattern: /^[A-Za-z]*$/, description: 'Prefix of release tags' },
+  ENABLE_HOTFIX: { type: 'boolean', description: 'Allow hotfix deployments' },
+  ENABLE_PREVIEW: { type: 'boolean', description: 'Show a preview before deploying' },
+  MONITOR_DEPLOYMENT: { type: 'boolean', description: 'Watch the GitHub Actions run after pushing a tag' },
+  DEV_TAG_FORMAT: { type: 'enum', values: ['timestamp', 'legacy'], description: 'Development tags: dev-YYYYMMDD-HHMM-N or vX.Y.Z-dev' },
+  MAX_VERSIONS_TO_SHOW: { type: 'integer', min: 1, description: 'Deployments listed when picking a rollback target' },
+  HAS_STAGING: { type: 'boolean', description: 'The service has a staging environment' },
+  NODE_VERSION: { type: 'string', pattern: /^\d+(\.\d+){0,2}$/, description: 'Node.js version used by CI' },
+  DOCKER_BUILD: { type: 'boolean', description: 'CI builds a Docker image' },
+  BUILD_COMMAND: { type: 'string', description: 'Build command run before deploying' },
+  HAS_GRAPHQL: { type: 'boolean', description: 'The service publishes a GraphQL schema' },
+  APOLLO_GRAPH: { type: 'string', description: 'Apollo graph the schema is published to' },
+  APOLLO_SUBGRAPH: { type: 'string', description: 'Apollo subgraph name' }
+};
+
+const TYPE_KEYS = {
+  kubernetes: {
+    K8S_DIR: { type: 'string', description: 'Directory with the Kubernetes manifests' },
+    KUSTOMIZE_ENABLED: { type: 'boolean', description: 'Manifests are kustomize overlays' },
+    ARGOCD_SERVER: { type: 'string', description: 'ArgoCD server followed after deploying (default: argocd.karma.life)' },
+    ARGOCD_APP: { type: 'string', description: 'ArgoCD application per environment, with {service}, {environment} or {env} (default: {service}-{environment})' },
+    ARGOCD_SYNC_TIMEOUT: { type: 'integer', min: 1, description: 'Seconds to wait for ArgoCD to sync the new image tag (default: 300)' },
+    ARGOCD_HEALTH_TIMEOUT: { type: 'integer', min: 1, description: 'Seconds to wait for the synced application to become healthy (default: 300)' }
+  },
+  firebase: {
+    FIREBASE_PROJECT_DEV: { type: 'string', required: true, description: 'Firebase project for development' },
+    FIREBASE_PROJECT_STAGING: { type: 'string', requiredWith: 'HAS_STAGING', description: 'Firebase project for staging' },
+    FIREBASE_PROJECT_PROD: { type: 'string', required: true, description: 'Firebase project for production' },
+    FIREBASE_HOSTING_TARGET: { type: 'string', description: 'Hosting target from firebase.json' },
+    DEPLOY_TARGETS: { type: 'list', items: ['hosting', 'functions', 'firestore', 'storage', 'database', 'remoteconfig', 'extensions'], description: 'Firebase products to deploy' }
+  },
+  'cloud-function': {
+    FUNCTION_NAME: { type: 'string', description: 'Cloud Function name when the source exports a single handler' },
+    FUNCTIONS: { type: 'list', pattern: /^[A-Za-z][\w-]*(:[\w$]+)?$/, description: 'Functions to deploy as name or name:entryPoint, instead of FUNCTION_NAME' },
+    FUNCTION_TRIGGERS: { type: 'list', pattern: /^[A-Za-z][\w-]*=(http|topic:[\w.~%+-]+|event:[\w.]+(,[\w.-]+=[^\s,]+)*)$/, description: 'Triggers as name=http, name=topic:<topic> or name=event:<type>[,<attribute>=<value>] (default: from the source)' },
+    FUNCTION_ALLOW_UNAUTHENTICATED: { type: 'list', pattern: /^[A-Za-z][\w-]*$/, description: 'HTTP functions that can be called without credentials' },
+    FUNCTION_REGION: { type: 'string', pattern: /^[a-z]+-[a-z]+\d+$/, description: 'GCP region, e.g. europe-north1' },
+    FUNCTION_RUNTIME: { type: 'string', pattern: /^nodejs\d+$/, description: 'Runtime, e.g. nodejs18' },
+    FUNCTION_MEMORY: { type: 'string', pattern: /^\d+(MB|GB|Mi|Gi)$/, description: 'Memory, e.g. 256MB' },
+    FUNCTION_TIMEOUT: { type: 'integer', min: 1, max: 3600, description: 'Timeout in seconds' },
+    VPC_CONNECTOR: { type: 'string', description: 'Serverless VPC connector' },
+    GCP_PROJECT_DEV: { type: 'string', description: 'GCP project for development' },
+    GCP_PROJECT_STAGING: { type: 'string', description: 'GCP project for staging' },
+    GCP_PROJECT_PROD: { type: 'string', description: 'GCP project for production' }
+  },
+  generic: {}
+};
+
+const ONE_OF_KEYS = {
+  'cloud-function': [['FUNCTION_NAME', 'FUNCTIONS']]
+};
+
+// Keys for a deploy type; unknown types only get the common keys
+function schemaFor(deployType) {
+  return { ...COMMON_KEYS, ...(TYPE_KEYS[deployType] || {}) };
+}
+
+// Error message for an invalid value, or null
+function checkValue(spec, value) {
+  const text = String(value);
+
+  switch (spec.type) {
+    case 'boolean':
+      return /^(true|false)$/i.test(text) ? null : 'expected true or false';
+    case 'integer': {
+      if (!/^\d+$/.test(text)) return 'expected a whole number';
+      const number = Number(text);
+      if (spec.min !== undefined && number < spec.min) return `expected at least ${spec.min}`;
+      if (spec.max !== undefined && number > spec.max) return `expected at most ${spec.max}`;
+      return null;
+    }
+    case 'enum':
+      return spec.values.includes(text) ? null : `expected one of ${spec.values.join(', ')}`;
+    case 'list': {
+      const items = text.split(/\s+/).filter(Boolean);
+      if (items.length === 0) return 'expected at least one value';
+      const unknown = spec.items ? items.filter(item => !spec.items.includes(item)) : [];
+      if (unknown.length > 0) return `unknown ${unknown.join(', ')} (expected ${spec.items.join(', ')})`;
+      const invalid = spec.pattern ? items.filter(item => !spec.pattern.test(item)) : [];
+      return invalid.length > 0 ? `${invalid.join(', ')} does not match ${spec.pattern}` : null;
+    }
+    default:
+      if (text === '') return 'expected a non-empty value';
+      return spec.pattern && !spec.pattern.test(text) ? `does not match ${spec.pattern}` : null;
+  }
+}
+
+// Deploy types other than `deployType` that know a key
+function typesWithKey(key, deployType) {
+  return DEPLOY_TYPES.filter(type => type !== deployType && TYPE_KEYS[type][key]);
+}
+
+// Validates configuration layers from loadConfigLayers() against the schema
+// of the effective DEPLOY_TYPE. Returns findings
+// { key, severity: 'error' | 'warning', source, line, message }.
+function validateDeployConfig(layers, values) {
+  const findings = [];
+  const add = (severity, key, source, line, message) => {
+    findings.push({ key, severity, source, line, message });
+  };
+
+  const deployType = values.DEPLOY_TYPE;
+  const schema = schemaFor(deployType);
+
+  for (const layer of layers) {
+    if (layer.source === 'default') {
+      continue;
+    }
+
+    for (const { index, text } of layer.document?.ignored || []) {
+      add('warning', null, layer.source, index + 1, `"${text}" is not a KEY=value assignment; the CLI ignores it`);
+    }
+
+    const assignments = layer.document
+      ? layer.document.assignments
+      : Object.entries(layer.values).map(([key, value]) => ({ key, value, index: null }));
+
+    for (const { key, value, index } of assignments) {
+      const line = index === null ? null : index + 1;
+      const spec = schema[key];
+      if (!spec) {
+        const others = typesWithKey(key, deployType);
+        add('warning', key, layer.source, line, others.length > 0
+          ? `${key} only applies to DEPLOY_TYPE ${others.join(' or ')}`
+          : `Unknown key ${key}`);
+        continue;
+      }
+      const problem = checkValue(spec, value);
+      if (problem) {
+        add('error', key, layer.source, line, `${key}=${JSON.stringify(value)}: ${problem}`);
+      }
+    }
+  }
+
+  for (const [key, spec] of Object.entries(schema)) {
+    if (spec.required && (values[key] === undefined || values[key] === '')) {
+      add('error', key, null, null, `${key} is required when DEPLOY_TYPE is ${deployType}`);
+    } else if (spec.requiredWith && isEnabled(values[spec.requiredWith]) && (values[key] === undefined || values[key] === '')) {
+      add('error', key, null, null, `${key} is required when ${spec.requiredWith} is enabled`);
+    }
+  }
+
+  for (const group of ONE_OF_KEYS[deployType] || []) {
+    const set = group.filter(key => values[key] !== undefined && values[key] !== '');
+    if (set.length === 0) {
+      add('error', group[0], null, null, `One of ${group.join(' or ')} is required when DEPLOY_TYPE is ${deployType}`);
+    } else if (set.length > 1) {
+      add('error', set[1], null, null, `${set.join(' and ')} are both set; set only one of them`);
+    }
+  }
+
+  const fileValues = layers.filter(layer => layer.document).reduce((merged, layer) => ({ ...merged, ...layer.values }), {});
+  const aliased = SERVICE_TYPE_ALIASES[fileValues.SERVICE_TYPE];
+  if (fileValues.DEPLOY_TYPE && aliased && aliased !== fileValues.DEPLOY_TYPE) {
+    add('warning', 'SERVICE_TYPE', null, null, `SERVICE_TYPE "${fileValues.SERVICE_TYPE}" disagrees with DEPLOY_TYPE "${fileValues.DEPLOY_TYPE}"; DEPLOY_TYPE wins`);
+  }
+
+  return findings;
+}
+
+module.exports = {
+  DEPLOY_TYPES,
+  COMMON_KEYS,
+  TYPE_KEYS,
+  ONE_OF_KEYS,
+  schemaFor,
+  checkValue,
+  validateDeployConfig
+};
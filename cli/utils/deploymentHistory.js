@@ -0,0 +1,102 @@
+const { parseTag, compareTags, DEFAULT_PREFIX } = require('./tagFormat');
+const { listRuns } = require('./gh');
+
+// Deployment history, rebuilt from deployment tags and the GitHub Actions
+// runs they triggered. Each deployment is:
+//
+//   { tag, environment, version, commit, author, date, message,
+//     rollback, rollbackOf, run: { id, status, conclusion, url } | null,
+//     status: 'success' | 'failure' | 'in_progress' | 'unknown' }
+//
+// Deployments are ordered newest first by tag creation time.
+
+// Conclusions that don't fail a deployment. Shared with the run watcher and
+// the pre-flight checks, so a run is judged the same way everywhere.
+const OK_CONCLUSIONS = ['success', 'neutral', 'skipped'];
+
+function loadHistory({ git, gh, environment, prefix = DEFAULT_PREFIX } = {}) {
+  return buildHistory(git.tagDetails(), listRuns(gh), { environment, prefix });
+}
+
+// Pure part of loadHistory: tag records from git.tagDetails() and runs from
+// gh.listRuns()
+function buildHistory(tagRecords, runs, { environment, prefix = DEFAULT_PREFIX } = {}) {
+  const runsByTag = latestRunPerTag(runs);
+
+  return tagRecords
+    .map(record => ({ record, parsed: parseTag(record.tag, prefix) }))
+    .filter(({ parsed }) => parsed && (!environment || parsed.environment === environment))
+    .sort((a, b) => (Date.parse(b.record.date) - Date.parse(a.record.date)) || compareTags(b.parsed, a.parsed))
+    .map(({ record, parsed }) => {
+      const run = runsByTag.get(record.tag) || null;
+      return {
+        tag: record.tag,
+        environment: parsed.environment,
+        version: parsed.version,
+        commit: record.commit,
+        author: record.author || null,
+        date: record.date,
+        message: record.subject || '',
+        rollback: parsed.rollback !== null,
+        rollbackOf: parsed.rollback !== null ? parsed.base : null,
+        run: run && {
+          id: run.databaseId,
+          status: run.status,
+          conclusion: run.conclusion || null,
+          url: run.url
+        },
+        status: runStatus(run)
+      };
+    });
+}
+
+// gh lists runs newest first; a rebuilt tag is judged by its last run
+function latestRunPerTag(runs) {
+  const byTag = new Map();
+  for (const run of runs) {
+    const tag = (run.headBranch || '').replace(/^refs\/tags\//, '');
+    if (tag && !byTag.has(tag)) {
+      byTag.set(tag, run);
+    }
+  }
+  return byTag;
+}
+
+function runStatus(run) {
+  if (!run) return 'unknown';
+  if (run.status !== 'completed') return 'in_progress';
+  return OK_CONCLUSIONS.includes(run.conclusion) ? 'success' : 'failure';
+}
+
+// The deployment an environment is running: its newest deployment that
+// didn't fail, since a failed deployment leaves the previous one in place
+function currentDeployment(history) {
+  return history.find(deployment => deployment.status !== 'failure') || null;
+}
+
+// Deployment matching --version: a tag name, or a version/build as shown in
+// the history (1.2.3, 20250828-1430-1)
+function findDeployment(history, version) {
+  return history.find(deployment => deployment.tag === version) ||
+    history.find(deployment => !deployment.rollback && deployment.version === version.replace(/^v/, '')) ||
+    null;
+}
+
+// Newest successful deployment of a different commit than the current one.
+// `succeeded` can look further than the recorded status, e.g. query the runs
+// of deployments older than the fetched run list.
+function previousSuccessful(history, current = currentDeployment(history), succeeded = deployment => deployment.status === 'success') {
+  return history.find(deployment => deployment.status !== 'failure' &&
+    (!current || deployment.commit !== current.commit) &&
+    succeeded(deployment)) || null;
+}
+
+module.exports = {
+  OK_CONCLUSIONS,
+  loadHistory,
+  buildHistory,
+  currentDeployment,
+  findDeployment,
+  previousSuccessful,
+  runStatus
+};
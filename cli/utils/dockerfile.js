@@ -0,0 +1,345 @@
+const fs = require('fs');
+const path = require('path');
+const semver = require('semver');
+const { LTS_CODENAMES } = require('./nodeVersion');
+
+// Reads Dockerfiles the way the BuildKit frontend splits them: one entry per
+// instruction, with line continuations joined, comments dropped and heredoc
+// bodies kept with the instruction that opens them. parseDockerfile builds
+// on that to describe stages, base images, build args, ports and
+// healthchecks; inspectDockerfile checks the result against the project.
+
+// `# escape=`` ` parser directive, allowed only before the first instruction
+function escapeCharacter(lines) {
+  for (const line of lines) {
+    const directive = line.match(/^#\s*escape\s*=\s*([\\`])\s*$/i);
+    if (directive) return directive[1];
+    if (!/^#\s*\w+\s*=/.test(line)) break;
+  }
+  return '\\';
+}
+
+// [{ instruction, args, line, heredocs }] with instruction uppercased and
+// line the 1-based line the instruction starts on
+function readInstructions(content) {
+  const lines = content.split(/\r?\n/);
+  const escape = escapeCharacter(lines);
+  const instructions = [];
+
+  let index = 0;
+  while (index < lines.length) {
+    const start = index;
+    let text = lines[index].trim();
+    index++;
+    if (!text || text.startsWith('#')) {
+      continue;
+    }
+
+    // Continuation lines may be interleaved with comments and blank lines
+    while (text.endsWith(escape) && index < lines.length) {
+      text = text.slice(0, -1);
+      const next = lines[index].trim();
+      index++;
+      if (next.startsWith('#')) {
+        text += escape;
+        continue;
+      }
+      text += ` ${next}`;
+    }
+
+    const match = text.match(/^(\S+)\s*([\s\S]*)$/);
+    const heredocs = [];
+    for (const marker of match[2].matchAll(/<<-?(["']?)([A-Za-z_]\w*)\1/g)) {
+      const body = [];
+      while (index < lines.length && lines[index].replace(/^\t+/, '') !== marker[2]) {
+        body.push(lines[index]);
+        index++;
+      }
+      index++;
+      heredocs.push({ name: marker[2], body: body.join('\n') });
+    }
+
+    instructions.push({ instruction: match[1].toUpperCase(), args: match[2].trim(), line: start + 1, heredocs });
+  }
+
+  return instructions;
+}
+
+// Splits on whitespace outside quotes, dropping the quotes
+function splitWords(text) {
+  const words = [];
+  let current = '';
+  let quote = null;
+  let started = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === quote) {
+        quote = null;
+      } else if (char === '\\' && quote === '"' && i + 1 < text.length) {
+        current += text[++i];
+      } else {
+        current += char;
+      }
+    } else if (char === '"' || char === '\'') {
+      quote = char;
+      started = true;
+    } else if (/\s/.test(char)) {
+      if (started) {
+        words.push(current);
+        current = '';
+        started = false;
+      }
+    } else {
+      current += char === '\\' && i + 1 < text.length ? text[++i] : char;
+      started = true;
+    }
+  }
+  if (started) {
+    words.push(current);
+  }
+  return words;
+}
+
+// ARG and ENV arguments as [{ key, value }]; value is null for an ARG
+// without a default. ENV also accepts the legacy `ENV KEY value` form.
+function keyValues(instruction, args) {
+  const words = splitWords(args);
+  if (instruction === 'ENV' && words.length > 0 && !words[0].includes('=')) {
+    return [{ key: words[0], value: words.slice(1).join(' ') }];
+  }
+  return words.map(word => {
+    const separator = word.indexOf('=');
+    return separator === -1
+      ? { key: word, value: null }
+      : { key: word.slice(0, separator), value: word.slice(separator + 1) };
+  });
+}
+
+// Expands $VAR, ${VAR}, ${VAR:-default} and ${VAR:+alternative} with the
+// known values; unknown variables are left as written
+function substitute(text, values) {
+  return text.replace(/\$(?:\{([A-Za-z_]\w*)(?::([-+])([^}]*))?\}|([A-Za-z_]\w*))/g, (match, braced, operator, word, bare) => {
+    const name = braced || bare;
+    const value = values[name];
+    if (operator === '-') return value ? value : word;
+    if (operator === '+') return value ? word : '';
+    return value === undefined || value === null ? match : value;
+  });
+}
+
+// { image, repository, tag, digest } for an image reference
+function parseImage(reference) {
+  const [withoutDigest, digest = null] = reference.split('@');
+  const slash = withoutDigest.lastIndexOf('/');
+  const colon = withoutDigest.lastIndexOf(':');
+  const hasTag = colon > slash;
+  return {
+    image: reference,
+    repository: hasTag ? withoutDigest.slice(0, colon) : withoutDigest,
+    tag: hasTag ? withoutDigest.slice(colon + 1) : null,
+    digest
+  };
+}
+
+function isNodeImage({ repository }) {
+  return /^(node|nodejs\d*)/.test(repository.split('/').pop());
+}
+
+// Major Node version an image provides, as a string, or null when the image
+// isn't a Node image or its tag doesn't say (node:lts, node:latest)
+function imageNodeVersion({ repository, tag }) {
+  const name = repository.split('/').pop();
+  const distroless = name.match(/^nodejs(\d+)/);
+  if (distroless) return distroless[1];
+  if (name !== 'node' || !tag) return null;
+
+  const numeric = tag.match(/^v?(\d+)/);
+  if (numeric) return numeric[1];
+  const codename = tag.toLowerCase().split('-').find(part => LTS_CODENAMES[part]);
+  return codename ? String(LTS_CODENAMES[codename]) : null;
+}
+
+// Returns {
+//   stages: [{ index, name, image, repository, tag, nodeVersion, parent, line }],
+//   baseImages, targets, buildArgs: [{ name, default, stage, line }],
+//   env: [{ key, value, stage, line }], exposedPorts: [{ port, protocol, line }],
+//   healthcheck: { command, disabled, line } | null,
+//   npm: { copiesNpmrc, writesNpmrc, installs, secretMounts }
+// }
+// A stage's parent is the earlier stage it builds FROM, if any. Ports and
+// the healthcheck are those of the final stage; global ARGs (before the
+// first FROM) have stage null.
+function parseDockerfile(content) {
+  const result = {
+    stages: [],
+    baseImages: [],
+    targets: [],
+    buildArgs: [],
+    env: [],
+    exposedPorts: [],
+    healthcheck: null,
+    npm: { copiesNpmrc: false, writesNpmrc: false, installs: false, secretMounts: [] }
+  };
+  const globalArgs = {};
+  // Per-stage state that isn't part of the result
+  const internal = new Map();
+  let stage = null;
+  let values = {};
+
+  for (const { instruction, args, line, heredocs } of readInstructions(content)) {
+    if (instruction === 'FROM') {
+      const words = splitWords(args).filter(word => !word.startsWith('--'));
+      const reference = substitute(words[0] || '', globalArgs);
+      const name = words.length >= 3 && words[1].toLowerCase() === 'as' ? words[2] : null;
+      const parent = result.stages.find(candidate => candidate.name && candidate.name.toLowerCase() === reference.toLowerCase());
+      const image = parent ? { image: parent.image, repository: parent.repository, tag: parent.tag, digest: parent.digest } : parseImage(reference);
+
+      stage = {
+        index: result.stages.length,
+        name,
+        ...image,
+        nodeVersion: parent ? parent.nodeVersion : imageNodeVersion(image),
+        parent: parent ? parent.name : null,
+        line
+      };
+      result.stages.push(stage);
+      if (!parent) {
+        result.baseImages.push({ image: image.image, nodeVersion: stage.nodeVersion, stage: name || String(stage.index), line });
+      }
+      if (name) {
+        result.targets.push(name);
+      }
+      // Variables, ports and healthchecks carry over from a parent stage
+      values = parent ? { ...internal.get(parent).values } : {};
+      internal.set(stage, parent
+        ? { values, exposedPorts: [...internal.get(parent).exposedPorts], healthcheck: internal.get(parent).healthcheck }
+        : { values, exposedPorts: [], healthcheck: null });
+      continue;
+    }
+
+    if (instruction === 'ARG') {
+      for (const { key, value } of keyValues('ARG', args)) {
+        result.buildArgs.push({ name: key, default: value, stage: stage ? (stage.name || String(stage.index)) : null, line });
+        if (!stage) {
+          globalArgs[key] = value;
+        } else {
+          values[key] = value !== null ? substitute(value, values) : (globalArgs[key] ?? null);
+        }
+      }
+    } else if (instruction === 'ENV' && stage) {
+      for (const { key, value } of keyValues('ENV', args)) {
+        result.env.push({ key, value, stage: stage.name || String(stage.index), line });
+        values[key] = substitute(value, values);
+      }
+    } else if (instruction === 'EXPOSE' && stage) {
+      for (const word of splitWords(substitute(args, values))) {
+        const match = word.match(/^(\d+)(?:\/(tcp|udp))?$/i);
+        if (match) {
+          internal.get(stage).exposedPorts.push({ port: Number(match[1]), protocol: (match[2] || 'tcp').toLowerCase(), line });
+        }
+      }
+    } else if (instruction === 'HEALTHCHECK' && stage) {
+      const disabled = /^NONE$/i.test(args);
+      internal.get(stage).healthcheck = { command: disabled ? null : args.replace(/^(--\S+\s+)*CMD\s+/i, ''), disabled, line };
+    } else if ((instruction === 'COPY' || instruction === 'ADD') && stage) {
+      if (splitWords(args).some(word => !word.startsWith('--') && path.basename(word) === '.npmrc')) {
+        result.npm.copiesNpmrc = true;
+      }
+    } else if (instruction === 'RUN' && stage) {
+      const script = [args, ...heredocs.map(heredoc => heredoc.body)].join('\n');
+      for (const mount of args.matchAll(/--mount=(\S+)/g)) {
+        const options = Object.fromEntries(mount[1].split(',').map(option => option.split('=')));
+        if (options.type === 'secret') {
+          result.npm.secretMounts.push(options.id || path.basename(options.target || ''));
+        }
+      }
+      if (/\.npmrc|npm config set|_authToken/.test(script)) {
+        result.npm.writesNpmrc = true;
+      }
+      if (/\b(npm (ci|install|i)\b|yarn( install)?\b|pnpm (i|install)\b|bun install\b)/.test(script)) {
+        result.npm.installs = true;
+      }
+    }
+  }
+
+  if (stage) {
+    result.exposedPorts = internal.get(stage).exposedPorts;
+    result.healthcheck = internal.get(stage).healthcheck;
+  }
+  return result;
+}
+
+// The Node version the image runs: the final stage's. A final stage that
+// isn't Node-based (e.g. nginx serving a build) falls back to the last
+// stage that names a version.
+function dockerNodeVersion(parsed) {
+  const stages = [...parsed.stages].reverse();
+  if (!stages[0] || stages[0].nodeVersion || isNodeImage(stages[0])) {
+    return stages[0]?.nodeVersion || null;
+  }
+  return stages.find(candidate => candidate.nodeVersion)?.nodeVersion || null;
+}
+
+// Parses projectPath/Dockerfile and checks it against package.json.
+// Returns null without a Dockerfile, else the parseDockerfile result plus
+// { file, nodeVersion, npmAuth: { required, token, npmrc }, findings }.
+function inspectDockerfile(projectPath, packageJson = null) {
+  const dockerfilePath = path.join(projectPath, 'Dockerfile');
+  if (!fs.existsSync(dockerfilePath)) {
+    return null;
+  }
+
+  const parsed = parseDockerfile(fs.readFileSync(dockerfilePath, 'utf8'));
+  const file = 'Dockerfile';
+  const findings = [];
+  const add = (severity, message, line) => findings.push({ severity, file: line ? `${file}:${line}` : file, message });
+
+  const nodeVersion = dockerNodeVersion(parsed);
+  const engines = packageJson?.engines?.node;
+  if (nodeVersion && engines && semver.validRange(engines) && !semver.intersects(`${nodeVersion}.x`, engines)) {
+    const stage = [...parsed.stages].reverse().find(candidate => candidate.nodeVersion === nodeVersion);
+    add('warning', `The image runs Node ${nodeVersion} (${stage.image}), which does not satisfy engines.node "${engines}" in package.json`, stage.line);
+  }
+
+  // node:latest, node:lts and the like move to new majors over time
+  for (const base of parsed.baseImages) {
+    if (!base.nodeVersion && isNodeImage(parseImage(base.image))) {
+      add('warning', `${base.image} does not pin a Node version, so rebuilds can change it`, base.line);
+    }
+  }
+
+  // Private @karmalicious packages need NPM_TOKEN, which docker-build.yml
+  // passes as a build arg (not as a BuildKit secret)
+  const dependencies = { ...packageJson?.dependencies, ...packageJson?.devDependencies };
+  const npmAuth = {
+    required: Object.keys(dependencies).some(name => name.startsWith('@karmalicious/')),
+    token: parsed.buildArgs.some(arg => arg.name === 'NPM_TOKEN'),
+    npmrc: parsed.npm.copiesNpmrc || parsed.npm.writesNpmrc
+  };
+  const npmSecretMounts = parsed.npm.secretMounts.filter(id => /npm/i.test(id));
+
+  if (npmAuth.required && parsed.npm.installs && !npmAuth.token) {
+    add('warning', npmSecretMounts.length > 0
+      ? `Private @karmalicious packages are installed with the ${npmSecretMounts.join(', ')} secret mount, but docker-build.yml only passes NPM_TOKEN as a build arg`
+      : 'Private @karmalicious packages are installed, but the Dockerfile does not declare ARG NPM_TOKEN');
+  }
+  if (npmAuth.token && !npmAuth.npmrc) {
+    add('warning', 'ARG NPM_TOKEN is declared, but no .npmrc is copied or written, so npm never uses it');
+  }
+  if (parsed.npm.copiesNpmrc && !fs.existsSync(path.join(projectPath, '.npmrc'))) {
+    add('warning', 'The Dockerfile copies .npmrc, which does not exist in the project');
+  }
+
+  return { file, ...parsed, nodeVersion, npmAuth, findings };
+}
+
+module.exports = {
+  readInstructions,
+  splitWords,
+  keyValues,
+  parseImage,
+  parseDockerfile,
+  inspectDockerfile
+};
@@ -0,0 +1,365 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { loadDeployConfig } = require('./deployConfig');
+const { parseDockerfile } = require('./dockerfile');
+const { listOverlays, findKustomization, containers } = require('./kustomize');
+const { kustomizeBuild } = require('./kustomizeBuild');
+const { isSecretName, BUILDKITE_ENV } = require('./buildkiteEnv');
+
+// Inventory of the environment variables a service needs, from the code
+// that reads them (process.env, import.meta.env), the Dockerfile (ARG, ENV),
+// the rendered kustomize overlays and existing GitHub workflows. Each
+// variable is classified as a build arg (declared with ARG), a secret or
+// public config.
+
+const SOURCE_EXTENSIONS = ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.mts', '.cts', '.vue', '.svelte'];
+const IGNORED_DIRS = ['node_modules', '.git', 'dist', 'build', 'coverage', 'out', '.next', '.nuxt', '.turbo', '.cache', 'vendor',
+  '__tests__', 'test', 'tests', 'e2e', 'cypress'];
+const TEST_FILE = /\.(test|spec|stories)\.[cm]?[jt]sx?$/;
+// Large repositories are sampled rather than walked completely
+const MAX_SOURCE_FILES = 5000;
+const MAX_FILE_SIZE = 512 * 1024;
+
+// Set by the OS, the runtime or the platform, never by the service's config
+const PLATFORM_VARIABLES = new Set(['PATH', 'HOME', 'PWD', 'HOSTNAME', 'CI', 'TERM', 'SHELL', 'USER', 'TMPDIR', 'TZ', 'LANG',
+  'K_SERVICE', 'K_REVISION', 'K_CONFIGURATION', 'FUNCTION_TARGET', 'FUNCTION_SIGNATURE_TYPE', 'GCLOUD_PROJECT',
+  'GOOGLE_CLOUD_PROJECT', 'FIREBASE_CONFIG', 'KUBERNETES_SERVICE_HOST', 'KUBERNETES_SERVICE_PORT',
+  // import.meta.env built-ins
+  'MODE', 'DEV', 'PROD', 'SSR', 'BASE_URL']);
+const PLATFORM_PREFIXES = ['npm_', 'GITHUB_', 'RUNNER_', 'BUILDKITE_'];
+
+// Usually read without being configured anywhere
+const UNCONFIGURED_OK = new Set(['NODE_ENV', 'PORT', 'DEBUG', 'LOG_LEVEL']);
+
+// Secrets docker-build.yml passes to every Docker build
+const PIPELINE_BUILD_SECRETS = ['NPM_TOKEN', 'VITE_ABLY_API_KEY'];
+
+// Build args for the commit being built, which GitHub provides itself
+const COMMIT_BUILD_ARGS = new Set(['BUILD_SHA', 'COMMIT_SHA', 'GIT_SHA', 'GIT_COMMIT', 'SOURCE_COMMIT']);
+
+function isPlatformVariable(name) {
+  return PLATFORM_VARIABLES.has(name) || PLATFORM_PREFIXES.some(prefix => name.startsWith(prefix));
+}
+
+function lineOf(text, index) {
+  return text.slice(0, index).split('\n').length;
+}
+
+function walkSourceFiles(projectPath) {
+  const files = [];
+  const walk = dir => {
+    let entries;
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch (error) {
+      return;
+    }
+    for (const entry of entries) {
+      if (files.length >= MAX_SOURCE_FILES) return;
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        if (!IGNORED_DIRS.includes(entry.name) && !entry.name.startsWith('.')) {
+          walk(fullPath);
+        }
+      } else if (entry.isFile() && SOURCE_EXTENSIONS.includes(path.extname(entry.name)) && !TEST_FILE.test(entry.name)) {
+        files.push(fullPath);
+      }
+    }
+  };
+  walk(projectPath);
+  return files;
+}
+
+// [{ name, line }] for process.env.X, process.env['X'], import.meta.env.X
+// and `const { X, Y: y = 1 } = process.env`
+function codeReferences(source) {
+  const found = [];
+  const patterns = [
+    /\bprocess\.env\.([A-Za-z_]\w*)/g,
+    /\bprocess\.env\[\s*['"`]([A-Za-z_]\w*)['"`]\s*\]/g,
+    /\bimport\.meta\.env\.([A-Za-z_]\w*)/g
+  ];
+  for (const pattern of patterns) {
+    for (const match of source.matchAll(pattern)) {
+      found.push({ name: match[1], line: lineOf(source, match.index) });
+    }
+  }
+  for (const match of source.matchAll(/\{([^{}]*)\}\s*=\s*process\.env\b/g)) {
+    for (const part of match[1].split(',')) {
+      const name = part.trim().match(/^([A-Za-z_]\w*)/)?.[1];
+      if (name) {
+        found.push({ name, line: lineOf(source, match.index) });
+      }
+    }
+  }
+  return found;
+}
+
+function scanCode(projectPath, add) {
+  for (const file of walkSourceFiles(projectPath)) {
+    if (fs.statSync(file).size > MAX_FILE_SIZE) continue;
+    const relative = path.relative(projectPath, file);
+    const seen = new Set();
+    for (const { name, line } of codeReferences(fs.readFileSync(file, 'utf8'))) {
+      if (seen.has(name)) continue;
+      seen.add(name);
+      add(name, { type: 'code', file: relative, line, detail: 'read by code' });
+    }
+  }
+}
+
+// ARGs are build args; ENV values set defaults the running container sees.
+// Returns the ARGs whose value an ENV copies into the image.
+function scanDockerfile(projectPath, add) {
+  const dockerfilePath = path.join(projectPath, 'Dockerfile');
+  if (!fs.existsSync(dockerfilePath)) {
+    return null;
+  }
+
+  const { buildArgs, env } = parseDockerfile(fs.readFileSync(dockerfilePath, 'utf8'));
+  for (const arg of buildArgs) {
+    add(arg.name, { type: 'dockerfile', file: 'Dockerfile', line: arg.line, detail: 'ARG', value: arg.default, provided: Boolean(arg.default) });
+  }
+
+  const persisted = [];
+  for (const { key, value, line } of env) {
+    add(key, { type: 'dockerfile', file: 'Dockerfile', line, detail: 'ENV', value, provided: true });
+    for (const copied of (value || '').matchAll(/\$\{?([A-Za-z_]\w*)/g)) {
+      persisted.push({ arg: copied[1], env: key, line });
+    }
+  }
+  return persisted;
+}
+
+// Keys of rendered ConfigMaps and Secrets, and container env entries, for
+// every overlay (or the base when there are none)
+function scanKustomize(projectPath, add) {
+  const k8sDir = loadDeployConfig(projectPath).K8S_DIR || 'kubernetes';
+  const k8sPath = path.join(projectPath, k8sDir);
+  const targets = listOverlays(k8sPath).map(env => ({ env, dir: path.join(k8sPath, 'overlays', env) }));
+  if (targets.length === 0 && findKustomization(path.join(k8sPath, 'base'))) {
+    targets.push({ env: 'base', dir: path.join(k8sPath, 'base') });
+  }
+
+  for (const { env, dir } of targets) {
+    const file = path.relative(projectPath, findKustomization(dir) || dir);
+    let documents;
+    try {
+      ({ documents } = kustomizeBuild(dir, { projectPath }));
+    } catch (error) {
+      continue;
+    }
+
+    for (const doc of documents) {
+      const label = `${doc.kind} ${doc.metadata?.name} (${env})`;
+      if (doc.kind === 'ConfigMap') {
+        Object.keys(doc.data || {}).forEach(key => add(key, { type: 'kustomize', file, detail: label, provided: true }));
+      } else if (doc.kind === 'Secret') {
+        Object.keys({ ...doc.data, ...doc.stringData }).forEach(key => add(key, { type: 'kustomize', file, detail: label, secret: true, provided: true }));
+      } else if (doc.kind === 'SealedSecret') {
+        Object.keys(doc.spec?.encryptedData || {}).forEach(key => add(key, { type: 'kustomize', file, detail: label, secret: true, provided: true }));
+      } else if (doc.kind === 'ExternalSecret') {
+        (doc.spec?.data || []).forEach(entry => entry?.secretKey && add(entry.secretKey, { type: 'kustomize', file, detail: label, secret: true, provided: true }));
+      }
+
+      for (const container of containers(doc)) {
+        for (const entry of container.env || []) {
+          if (!entry?.name) continue;
+          const secretRef = entry.valueFrom?.secretKeyRef;
+          add(entry.name, {
+            type: 'kustomize',
+            file,
+            detail: secretRef ? `secretKeyRef ${secretRef.name} (${env})` : `${doc.kind} ${doc.metadata?.name} env (${env})`,
+            secret: Boolean(secretRef),
+            provided: true
+          });
+        }
+      }
+    }
+  }
+}
+
+// `secrets.X` and `vars.X` references, env blocks and build-arg lines
+function scanWorkflows(projectPath, add) {
+  const workflowsPath = path.join(projectPath, '.github', 'workflows');
+  if (!fs.existsSync(workflowsPath)) return;
+
+  for (const name of fs.readdirSync(workflowsPath).filter(name => /\.ya?ml$/.test(name)).sort()) {
+    const file = path.join('.github', 'workflows', name);
+    const content = fs.readFileSync(path.join(projectPath, file), 'utf8');
+
+    for (const match of content.matchAll(/\bsecrets\.([A-Za-z_]\w*)/g)) {
+      add(match[1], { type: 'workflow', file, line: lineOf(content, match.index), detail: 'GitHub secret', secret: true, provided: true });
+    }
+    for (const match of content.matchAll(/\bvars\.([A-Za-z_]\w*)/g)) {
+      add(match[1], { type: 'workflow', file, line: lineOf(content, match.index), detail: 'GitHub variable', provided: true });
+    }
+
+    let workflow;
+    try {
+      workflow = yaml.load(content);
+    } catch (error) {
+      continue;
+    }
+    const visit = node => {
+      if (Array.isArray(node)) {
+        node.forEach(visit);
+        return;
+      }
+      if (!node || typeof node !== 'object') return;
+      for (const [key, value] of Object.entries(node)) {
+        if (key === 'env' && value && typeof value === 'object' && !Array.isArray(value)) {
+          Object.keys(value).forEach(envName => add(envName, { type: 'workflow', file, detail: 'workflow env', provided: true }));
+        } else if ((key === 'build-args' || key === 'docker-build-args') && typeof value === 'string') {
+          for (const arg of value.split('\n').map(line => line.trim()).filter(Boolean)) {
+            add(arg.split('=')[0], { type: 'workflow', file, detail: key, provided: true });
+          }
+        } else {
+          visit(value);
+        }
+      }
+    };
+    visit(workflow);
+  }
+}
+
+// Build args and secrets the Buildkite pipeline passes, for projects that
+// haven't migrated yet
+function scanBuildkite(buildkiteAnalysis, add) {
+  const pipeline = buildkiteAnalysis?.pipeline;
+  if (!pipeline) return;
+  const file = buildkiteAnalysis.files?.[0] || '.buildkite';
+
+  for (const arg of pipeline.dockerBuildArgs || []) {
+    const separator = arg.indexOf('=');
+    const key = separator === -1 ? arg : arg.slice(0, separator);
+    const value = separator === -1 ? null : arg.slice(separator + 1);
+    add(key, { type: 'buildkite', file, detail: 'Docker build arg', value, provided: true });
+  }
+  for (const name of pipeline.secrets || []) {
+    add(name, { type: 'buildkite', file, detail: 'pipeline secret', secret: true, provided: true });
+  }
+  for (const name of pipeline.variables || []) {
+    add(name, { type: 'buildkite', file, detail: 'agent environment variable', provided: true });
+  }
+}
+
+function classify(name, sources) {
+  const secretSource = sources.some(source => source.secret);
+  const sensitive = secretSource || isSecretName(name);
+  const declaredArg = sources.some(source => source.type === 'dockerfile' && source.detail === 'ARG');
+  return { kind: declaredArg ? 'build-arg' : sensitive ? 'secret' : 'config', sensitive };
+}
+
+// Returns { variables, findings, dockerfile }. Each variable is
+// { name, kind: 'build-arg' | 'secret' | 'config', sensitive, provided,
+//   sources: [{ type, file, line?, detail, value? }] } where type is one of
+// code, dockerfile, kustomize, workflow and buildkite. Findings are
+// { severity, file, message }.
+function scanEnvironment(projectPath = process.cwd(), { buildkiteAnalysis = null } = {}) {
+  const byName = new Map();
+  const add = (name, source) => {
+    if (isPlatformVariable(name) || name === 'GITHUB_TOKEN') return;
+    if (!byName.has(name)) byName.set(name, []);
+    byName.get(name).push(source);
+  };
+
+  scanCode(projectPath, add);
+  const persisted = scanDockerfile(projectPath, add);
+  scanKustomize(projectPath, add);
+  scanWorkflows(projectPath, add);
+  scanBuildkite(buildkiteAnalysis, add);
+
+  const kindOrder = ['build-arg', 'secret', 'config'];
+  const variables = [...byName.entries()]
+    .map(([name, sources]) => ({
+      name,
+      ...classify(name, sources),
+      // The standard pipeline passes its build secrets to every build
+      provided: sources.some(source => source.provided) || PIPELINE_BUILD_SECRETS.includes(name),
+      sources: sources.map(({ secret, provided, ...source }) => source)
+    }))
+    .sort((a, b) => kindOrder.indexOf(a.kind) - kindOrder.indexOf(b.kind) || a.name.localeCompare(b.name));
+
+  const findings = [];
+  for (const variable of variables) {
+    const code = variable.sources.find(source => source.type === 'code');
+    if (code && !variable.provided && !UNCONFIGURED_OK.has(variable.name)) {
+      findings.push({
+        severity: 'warning',
+        file: `${code.file}:${code.line}`,
+        message: `${variable.name} is read but no Dockerfile, kustomize overlay or workflow sets it`
+      });
+    }
+    if (isSecretBuildArg(variable)) {
+      findings.push({
+        severity: 'warning',
+        file: 'Dockerfile',
+        message: `Build arg ${variable.name} looks secret; the generated workflow passes it from secrets.${variable.name} through docker-build-secrets, so add that repository secret`
+      });
+    }
+  }
+
+  for (const { arg, env, line } of persisted || []) {
+    const variable = variables.find(candidate => candidate.name === arg);
+    if (variable && variable.kind === 'build-arg' && variable.sensitive) {
+      findings.push({
+        severity: 'warning',
+        file: `Dockerfile:${line}`,
+        message: `ENV ${env} copies build arg ${arg} into the image, so the secret ends up in every layer after it`
+      });
+    }
+  }
+
+  return { variables, findings, dockerfile: persisted !== null };
+}
+
+// docker-build-args lines for the build args the Dockerfile declares
+// without a default: the value the Buildkite pipeline passed (literal, or a
+// Buildkite variable GitHub has an equivalent for), github.sha for commit
+// args, else the repository variable of the same name. Secret build args
+// are left to dockerBuildSecrets.
+function dockerBuildArgs(inventory) {
+  const lines = [];
+  for (const variable of inventory.variables.filter(candidate => !candidate.sensitive)) {
+    const passed = variable.sources.find(source => source.type === 'buildkite' && source.value);
+    const value = passed && githubValue(passed.value);
+    const declared = variable.sources.find(source => source.type === 'dockerfile' && source.detail === 'ARG');
+    if (value && (declared || !inventory.dockerfile)) {
+      lines.push(`${variable.name}=${value}`);
+    } else if (declared && !declared.value) {
+      lines.push(`${variable.name}=${COMMIT_BUILD_ARGS.has(variable.name) ? '${{ github.sha }}' : `\${{ vars.${variable.name} }}`}`);
+    }
+  }
+  return lines;
+}
+
+// A value passed in Buildkite as GitHub Actions sees it, or null when it
+// reads something GitHub doesn't have
+function githubValue(value) {
+  if (!value.includes('$')) {
+    return value;
+  }
+  const variable = value.match(/^\$\{?([A-Z][A-Z0-9_]*)\}?$/)?.[1];
+  return BUILDKITE_ENV[variable] || null;
+}
+
+function isSecretBuildArg(variable) {
+  return variable.kind === 'build-arg' && variable.sensitive && !PIPELINE_BUILD_SECRETS.includes(variable.name);
+}
+
+// Names of the secret build args, for docker-build-secrets. Inputs can't
+// read secrets, so docker-build.yml looks each one up in the secrets the
+// caller inherits.
+function dockerBuildSecrets(inventory) {
+  return inventory.variables.filter(isSecretBuildArg).map(variable => variable.name);
+}
+
+module.exports = {
+  scanEnvironment,
+  dockerBuildArgs,
+  dockerBuildSecrets,
+  codeReferences,
+  PIPELINE_BUILD_SECRETS
+};
@@ -0,0 +1,78 @@
+const fs = require('fs');
+const path = require('path');
+const inquirer = require('inquirer');
+const { loadConfigLayers } = require('./deployConfig');
+
+// The Firebase project each environment deploys to, as .deploy.config keys.
+// Project IDs are never derived from the service name: a guessed ID either
+// doesn't exist or belongs to someone else. They come from .deploy.config,
+// the .firebaserc aliases or the user. The staging project is required for
+// services with staging, which would otherwise have nowhere to deploy it.
+const FIREBASE_PROJECT_KEYS = {
+  FIREBASE_PROJECT_DEV: { environment: 'development', aliases: ['dev', 'development'], required: true },
+  FIREBASE_PROJECT_STAGING: { environment: 'staging', aliases: ['staging'], required: 'staging' },
+  FIREBASE_PROJECT_PROD: { environment: 'production', aliases: ['prod', 'production'], required: true }
+};
+
+// Projects known for a directory: its committed .deploy.config first, then
+// the matching .firebaserc aliases. Returns { FIREBASE_PROJECT_*: id }.
+function firebaseProjects(projectPath) {
+  const config = loadConfigLayers(projectPath, {}).find(layer => layer.source === '.deploy.config');
+  const aliases = firebaseAliases(projectPath);
+
+  const projects = {};
+  for (const [key, { aliases: names }] of Object.entries(FIREBASE_PROJECT_KEYS)) {
+    const project = config?.values[key] || names.map(name => aliases[name]).find(Boolean);
+    if (project) {
+      projects[key] = project;
+    }
+  }
+  return projects;
+}
+
+function firebaseAliases(projectPath) {
+  const file = path.join(projectPath, '.firebaserc');
+  if (!fs.existsSync(file)) {
+    return {};
+  }
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8')).projects || {};
+  } catch (error) {
+    return {};
+  }
+}
+
+function missingFirebaseProjects(projects, { staging = false } = {}) {
+  return Object.keys(FIREBASE_PROJECT_KEYS).filter(key => {
+    const { required } = FIREBASE_PROJECT_KEYS[key];
+    return (required === true || (required === 'staging' && staging)) && !projects[key];
+  });
+}
+
+// The known projects plus answers for the required ones that aren't known;
+// `name` labels the questions in monorepos
+async function promptFirebaseProjects(projectPath, { name = null, staging = false, prompt = inquirer.prompt } = {}) {
+  const projects = firebaseProjects(projectPath);
+  const missing = missingFirebaseProjects(projects, { staging });
+  if (missing.length === 0) {
+    return projects;
+  }
+
+  const answers = await prompt(missing.map(key => ({
+    type: 'input',
+    name: key,
+    message: `${name ? `${name}: ` : ''}Firebase project for ${FIREBASE_PROJECT_KEYS[key].environment} (${key}):`,
+    validate: value => /^[a-z0-9][a-z0-9-]*$/.test(value.trim()) || 'Enter the ID of an existing Firebase project'
+  })));
+  for (const key of missing) {
+    projects[key] = answers[key].trim();
+  }
+  return projects;
+}
+
+module.exports = {
+  FIREBASE_PROJECT_KEYS,
+  firebaseProjects,
+  missingFirebaseProjects,
+  promptFirebaseProjects
+};
@@ -0,0 +1,201 @@
+const fs = require('fs');
+const path = require('path');
+
+// Finds the handlers a Cloud Functions project exports. Each handler is
+// deployed as a function of its own, so the entry file is scanned for
+// CommonJS exports, ES module exports and Functions Framework registrations
+// (functions.http('name', ...)). The scan is textual: handlers assembled at
+// runtime are not found and have to be listed in FUNCTIONS instead.
+//
+// Each handler is { name, trigger } with trigger 'http', 'topic' (with
+// the Pub/Sub topic) or 'event'. The trigger comes from the registration,
+// the firebase-functions wrapper (onRequest, pubsub.topic(...), ...) or the
+// parameters: (req, res) is HTTP, a single parameter or one named like
+// an event is an event handler. Exported values that aren't functions
+// (objects, strings, numbers, class instances) are left out.
+
+// Handler source lives in functions/ when it has its own package.json
+// (the firebase-tools layout), otherwise in the project directory
+function functionsDirectory(projectPath) {
+  return fs.existsSync(path.join(projectPath, 'functions', 'package.json')) ? 'functions' : '.';
+}
+
+// The file gcloud loads: package.json `main`, or index.js. Compiled output
+// (e.g. lib/index.js) usually isn't committed, so the TypeScript source is
+// scanned in its place.
+function findEntryFile(sourcePath) {
+  const candidates = [];
+  const packageJsonPath = path.join(sourcePath, 'package.json');
+  if (fs.existsSync(packageJsonPath)) {
+    try {
+      const { main } = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'));
+      if (main) {
+        candidates.push(main, main.replace(/^(\.\/)?(lib|dist|build)\//, 'src/').replace(/\.js$/, '.ts'));
+      }
+    } catch (error) {
+      // An unreadable package.json falls back to the conventional names
+    }
+  }
+  candidates.push('index.js', 'src/index.ts', 'src/index.js', 'index.ts');
+
+  return candidates
+    .map(candidate => path.join(sourcePath, candidate))
+    .find(candidate => fs.existsSync(candidate) && fs.statSync(candidate).isFile()) || null;
+}
+
+function stripComments(source) {
+  return source
+    .replace(/\/\*[\s\S]*?\*\//g, '')
+    .replace(/(^|[^:'"`\\])\/\/.*$/gm, '$1');
+}
+
+// Entries in `{ a, b: c, d as e }` as { name, local }: the exported name is
+// the key of an object literal entry or the name after `as` in an export
+// list, local the variable it refers to
+function namesInBraces(body) {
+  return body
+    .split(',')
+    .map(part => part.trim())
+    .filter(Boolean)
+    .filter(part => !part.startsWith('...'))
+    .map(part => {
+      const renamed = part.match(/^([\w$]+)\s+as\s+([\w$]+)$/);
+      if (renamed) return { name: renamed[2], local: renamed[1] };
+      const entry = part.match(/^['"]?([\w$]+)['"]?(?:\s*:\s*([\w$]+)\s*$)?/);
+      if (!entry) return null;
+      return { name: entry[1], local: entry[2] || (/^[\w$]+$/.test(part) ? entry[1] : null) };
+    })
+    .filter(Boolean);
+}
+
+const FUNCTION_VALUE = /^(?:async\s+)?(?:function\b\*?\s*[\w$]*\s*\(([^)]*)\)|\(([^)]*)\)\s*=>|([\w$]+)\s*=>)/;
+const NOT_A_FUNCTION = /^(?:[{[\d'"`-]|(?:true|false|null|undefined|new|class)\b)/;
+const HTTP_PARAMETER = /^(req|request)$/i;
+const EVENT_PARAMETER = /^(cloudEvent|event|evt|message|msg|data|file|object|change|snapshot|context)$/i;
+
+// The code a local variable or function declaration assigns, or null
+function declaredValue(code, name) {
+  const escaped = name.replace(/\$/g, '\\$');
+  const declaration = code.match(new RegExp(`\\b((?:async\\s+)?function\\*?\\s+${escaped}\\s*\\()`));
+  if (declaration) {
+    return code.slice(declaration.index);
+  }
+  const variable = code.match(new RegExp(`\\b(?:const|let|var)\\s+${escaped}\\s*=\\s*`));
+  return variable ? code.slice(variable.index + variable[0].length) : null;
+}
+
+// { trigger, topic } of the exported value `value` starts, with trigger
+// null for values that aren't functions. Values that can't be told apart,
+// such as imported handlers, are taken to be HTTP handlers.
+function triggerOf(value, code, seen = new Set()) {
+  const text = value.trimStart();
+
+  const fn = text.match(FUNCTION_VALUE);
+  if (fn) {
+    const parameters = (fn[1] ?? fn[2] ?? fn[3]).split(',').map(parameter => parameter.trim()).filter(Boolean);
+    const first = (parameters[0] || '').replace(/[\s=:].*$/, '');
+    if (HTTP_PARAMETER.test(first) || (parameters.length !== 1 && !EVENT_PARAMETER.test(first))) {
+      return { trigger: 'http' };
+    }
+    return { trigger: 'event' };
+  }
+  if (NOT_A_FUNCTION.test(text)) {
+    return { trigger: null };
+  }
+
+  // firebase-functions and similar wrappers: onRequest(...), pubsub.topic('t').onPublish(...)
+  const head = text.slice(0, text.search(/=>|\bfunction\b|[{;\n]|$/));
+  const topic = head.match(/\b(?:topic|onMessagePublished)\(\s*['"]([^'"]+)['"]/);
+  if (topic) {
+    return { trigger: 'topic', topic: topic[1] };
+  }
+  if (/\b(?:onRequest|onCall)\s*\(/.test(head)) {
+    return { trigger: 'http' };
+  }
+  if (/\bon[A-Z]\w*\s*\(/.test(head)) {
+    return { trigger: 'event' };
+  }
+
+  const identifier = text.match(/^([\w$]+)\s*(?:[;,})]|$)/);
+  if (identifier && !seen.has(identifier[1])) {
+    seen.add(identifier[1]);
+    const declared = declaredValue(code, identifier[1]);
+    if (declared) {
+      return triggerOf(declared, code, seen);
+    }
+  }
+  return { trigger: 'http' };
+}
+
+// Exported handlers as { name, trigger[, topic] }, in the order they appear
+function exportedHandlers(source) {
+  const code = stripComments(source);
+  const found = [];
+  const valueAfter = match => code.slice(match.index + match[0].length);
+
+  for (const match of code.matchAll(/\b(?:module\.)?exports\.([\w$]+)\s*=(?!=)/g)) {
+    found.push({ name: match[1], index: match.index, ...triggerOf(valueAfter(match), code) });
+  }
+  for (const match of code.matchAll(/\bexport\s+(?:const|let|var)\s+([\w$]+)\s*=/g)) {
+    found.push({ name: match[1], index: match.index, ...triggerOf(valueAfter(match), code) });
+  }
+  for (const match of code.matchAll(/\bexport\s+((?:async\s+)?function\*?\s+([\w$]+))/g)) {
+    found.push({ name: match[2], index: match.index, ...triggerOf(code.slice(match.index + match[0].length - match[1].length), code) });
+  }
+  for (const match of code.matchAll(/\bfunctions\.(http|cloudEvent)\(\s*['"]([\w$-]+)['"]/g)) {
+    found.push({ name: match[2], index: match.index, trigger: match[1] === 'http' ? 'http' : 'event' });
+  }
+
+  for (const match of code.matchAll(/\bmodule\.exports\s*=\s*\{([^}]*)\}/g)) {
+    for (const { name, local } of namesInBraces(match[1])) {
+      found.push({ name, index: match.index, ...(local ? triggerOf(local, code) : { trigger: 'http' }) });
+    }
+  }
+
+  for (const match of code.matchAll(/\bexport\s*\{([^}]*)\}(?!\s*from)/g)) {
+    for (const { name, local } of namesInBraces(match[1])) {
+      found.push({ name, index: match.index, ...triggerOf(local, code) });
+    }
+  }
+
+  const seen = new Set();
+  return found
+    .sort((a, b) => a.index - b.index)
+    .filter(({ name }) => name !== 'default' && name !== '__esModule')
+    .filter(({ name }) => !seen.has(name) && seen.add(name))
+    .filter(({ trigger }) => trigger !== null)
+    .map(({ index, ...handler }) => handler);
+}
+
+// Returns { directory, entryFile, handlers } with directory and entryFile
+// relative to projectPath and handlers as from exportedHandlers(); entryFile
+// is null when no source was found
+function discoverFunctions(projectPath) {
+  const directory = functionsDirectory(projectPath);
+  const entryPath = findEntryFile(path.join(projectPath, directory));
+
+  if (!entryPath) {
+    return { directory, entryFile: null, handlers: [] };
+  }
+
+  return {
+    directory,
+    entryFile: path.relative(projectPath, entryPath),
+    handlers: exportedHandlers(fs.readFileSync(entryPath, 'utf8'))
+  };
+}
+
+// Cloud Function names are lowercase with hyphens
+function functionName(handler) {
+  return handler
+    .replace(/([a-z0-9])([A-Z])/g, '$1-$2')
+    .replace(/[^a-zA-Z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .toLowerCase();
+}
+
+module.exports = {
+  discoverFunctions,
+  exportedHandlers,
+  functionName
+};
@@ -0,0 +1,33 @@
+const { execFileSync, spawnSync } = require('child_process');
+
+// Runs the GitHub CLI and returns its stdout. With { inherit: true } the
+// command talks to the terminal directly (e.g. `gh run watch`).
+function runGh(args, options = {}) {
+  if (options.inherit) {
+    const result = spawnSync('gh', args, { stdio: 'inherit' });
+    if (result.status !== 0) {
+      throw new Error(`gh ${args[0]} exited with code ${result.status}`);
+    }
+    return '';
+  }
+  return execFileSync('gh', args, { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] });
+}
+
+// Workflow runs, newest first. `branch` narrows the list to one tag or
+// branch. Returns [] when gh is missing or not authenticated.
+function listRuns(gh = runGh, { branch, limit = 100 } = {}) {
+  const args = ['run', 'list', '--limit', String(limit), '--json', 'databaseId,headBranch,status,conclusion,url,createdAt'];
+  if (branch) {
+    args.push('--branch', branch);
+  }
+  try {
+    return JSON.parse(gh(args));
+  } catch (error) {
+    return [];
+  }
+}
+
+module.exports = {
+  runGh,
+  listRuns
+};
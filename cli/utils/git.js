@@ -0,0 +1,175 @@
+const { execFileSync } = require('child_process');
+
+// Thin wrapper around the git CLI. Commands that deploy, roll back or
+// promote take one of these so tests can pass a fake instead.
+function createGit(cwd = process.cwd()) {
+  const run = (args, options = {}) => execFileSync('git', args, {
+    cwd,
+    encoding: 'utf8',
+    stdio: options.inherit ? 'inherit' : ['ignore', 'pipe', 'pipe']
+  });
+
+  const lines = output => (output || '').split('\n').map(line => line.trim()).filter(Boolean);
+
+  return {
+    run,
+
+    currentBranch() {
+      return run(['branch', '--show-current']).trim();
+    },
+
+    shortSha(ref = 'HEAD') {
+      return run(['rev-parse', '--short', ref]).trim();
+    },
+
+    sha(ref = 'HEAD') {
+      return run(['rev-parse', ref]).trim();
+    },
+
+    // `git status --porcelain` lines; empty when the tree is clean
+    status() {
+      return lines(run(['status', '--porcelain']));
+    },
+
+    fetchTags() {
+      run(['fetch', '--tags']);
+    },
+
+    fetchBranch(branch, remote = 'origin') {
+      run(['fetch', remote, branch]);
+    },
+
+    // Commits HEAD is { ahead, behind } of a remote branch, or null when the
+    // branch isn't on the remote
+    compareWithRemote(branch, remote = 'origin') {
+      try {
+        const [ahead, behind] = run(['rev-list', '--left-right', '--count', `HEAD...refs/remotes/${remote}/${branch}`])
+          .trim().split(/\s+/).map(Number);
+        return { ahead, behind };
+      } catch (error) {
+        return null;
+      }
+    },
+
+    // Branches of a remote that contain ref, without the remote's name
+    remoteBranchesContaining(ref, remote = 'origin') {
+      return lines(run(['branch', '-r', '--contains', ref, '--format=%(refname:short)']))
+        .filter(branch => branch.startsWith(`${remote}/`))
+        .map(branch => branch.slice(remote.length + 1));
+    },
+
+    // A file as it is at ref, relative to the working directory, or null
+    // when ref doesn't have it
+    fileAt(ref, file) {
+      try {
+        return run(['show', `${ref}:./${file}`]);
+      } catch (error) {
+        return null;
+      }
+    },
+
+    tags(pattern = '*') {
+      return lines(run(['tag', '-l', pattern]));
+    },
+
+    tagExists(tag) {
+      try {
+        run(['rev-parse', '-q', '--verify', `refs/tags/${tag}`]);
+        return true;
+      } catch (error) {
+        return false;
+      }
+    },
+
+    // Tags with the commit they point at, who created them and when.
+    // Annotated tags report the tagger; lightweight ones the commit author.
+    tagDetails(pattern = '*') {
+      const fields = [
+        '%(refname:short)',
+        '%(objectname)',
+        '%(*objectname)',
+        '%(if)%(taggername)%(then)%(taggername)%(else)%(authorname)%(end)',
+        '%(creatordate:iso-strict)',
+        '%(contents:subject)'
+      ];
+      return lines(run(['for-each-ref', `refs/tags/${pattern}`, `--format=${fields.join('%1f')}`]))
+        .map(line => {
+          const [tag, object, peeled, author, date, subject] = line.split('\x1f');
+          return { tag, commit: peeled || object, author, date, subject };
+        });
+    },
+
+    createTag(tag, message, { force = false, ref } = {}) {
+      run(['tag', '-a', tag, '-m', message, ...(force ? ['-f'] : []), ...(ref ? [ref] : [])]);
+    },
+
+    deleteTag(tag) {
+      run(['tag', '-d', tag]);
+    },
+
+    pushTag(tag, { force = false } = {}) {
+      run(['push', 'origin', tag, ...(force ? ['-f'] : [])]);
+    },
+
+    deleteRemoteTag(tag) {
+      run(['push', 'origin', `:refs/tags/${tag}`]);
+    },
+
+    add(...files) {
+      run(['add', ...files]);
+    },
+
+    // Commits what is staged, or only `files` when given
+    commit(message, files = []) {
+      run(['commit', '-m', message, ...(files.length > 0 ? ['--', ...files] : [])]);
+    },
+
+    pushBranch(branch) {
+      run(['push', 'origin', branch]);
+    },
+
+    userName() {
+      try {
+        return run(['config', 'user.name']).trim() || null;
+      } catch (error) {
+        return null;
+      }
+    },
+
+    // Commit subjects in `to` but not in `from`, newest first
+    log(from, to, limit = 10) {
+      return lines(run(['log', '--oneline', `-${limit}`, `${from}..${to}`]));
+    },
+
+    // Commits in `to` but not in `from` (everything reachable from `to`
+    // without one), newest first, as { sha, parents, author, date, message }.
+    // firstParent keeps to the mainline: one commit per merged PR.
+    commits(from, to = 'HEAD', { firstParent = false } = {}) {
+      const format = ['%H', '%P', '%an', '%aI', '%B'].join('%x1f') + '%x1e';
+      const output = run(['log', `--format=${format}`, ...(firstParent ? ['--first-parent'] : []), from ? `${from}..${to}` : to]);
+      return output.split('\x1e').map(record => record.replace(/^\n/, '')).filter(Boolean).map(record => {
+        const [sha, parents, author, date, message] = record.split('\x1f');
+        return { sha, parents: parents.split(' ').filter(Boolean), author, date, message: message.trim() };
+      });
+    },
+
+    remoteUrl(remote = 'origin') {
+      try {
+        return run(['remote', 'get-url', remote]).trim();
+      } catch (error) {
+        return null;
+      }
+    }
+  };
+}
+
+// "owner/repo" from a GitHub remote URL (https or ssh), or null
+function parseGitHubRepo(remoteUrl) {
+  const match = (remoteUrl || '').match(/github\.com[:/]([^/]+\/[^/]+?)(?:\.git)?\/?$/);
+  return match ? match[1] : null;
+}
+
+module.exports = {
+  createGit,
+  parseGitHubRepo
+};
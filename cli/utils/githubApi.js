@@ -0,0 +1,125 @@
+const http = require('http');
+const https = require('https');
+const { runGh } = require('./gh');
+
+// Small client for the GitHub REST API. GITHUB_API_URL (set on Actions
+// runners and for GitHub Enterprise) points it elsewhere, e.g. at a local
+// mock server over plain http.
+
+const DEFAULT_API_URL = 'https://api.github.com';
+
+class GitHubApiError extends Error {
+  constructor(message, status, url) {
+    super(message);
+    this.name = 'GitHubApiError';
+    this.status = status;
+    this.url = url;
+  }
+}
+
+// GITHUB_TOKEN or GH_TOKEN, falling back to the token gh is logged in with
+function githubToken(gh = runGh) {
+  if (process.env.GITHUB_TOKEN || process.env.GH_TOKEN) {
+    return process.env.GITHUB_TOKEN || process.env.GH_TOKEN;
+  }
+  try {
+    return gh(['auth', 'token']).trim() || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// The URL of rel="next" in a Link header, or null on the last page
+function nextPage(link) {
+  const match = (link || '').match(/<([^>]+)>;\s*rel="next"/);
+  return match ? match[1] : null;
+}
+
+function createGitHubApi({ token, baseUrl = process.env.GITHUB_API_URL || DEFAULT_API_URL } = {}) {
+  const base = baseUrl.replace(/\/+$/, '');
+
+  // Resolves to { status, headers, body } for any status; only network
+  // failures reject
+  function request(method, pathOrUrl, body) {
+    const url = new URL(/^https?:\/\//.test(pathOrUrl) ? pathOrUrl : `${base}${pathOrUrl}`);
+    const client = url.protocol === 'http:' ? http : https;
+    const payload = body === undefined ? null : JSON.stringify(body);
+    const headers = {
+      Accept: 'application/vnd.github+json',
+      'User-Agent': 'karma-deploy-cli',
+      'X-GitHub-Api-Version': '2022-11-28'
+    };
+    if (token) {
+      headers.Authorization = `Bearer ${token}`;
+    }
+    if (payload) {
+      headers['Content-Type'] = 'application/json';
+      headers['Content-Length'] = Buffer.byteLength(payload);
+    }
+
+    return new Promise((resolve, reject) => {
+      const req = client.request(url, { method, headers }, res => {
+        let data = '';
+        res.setEncoding('utf8');
+        res.on('data', chunk => { data += chunk; });
+        res.on('end', () => {
+          let parsed = data;
+          try {
+            parsed = data ? JSON.parse(data) : null;
+          } catch (error) {
+            // Non-JSON bodies (e.g. proxy error pages) are returned as text
+          }
+          resolve({ status: res.statusCode, headers: res.headers, body: parsed });
+        });
+      });
+      req.on('error', error => reject(new Error(`GitHub API request to ${url.href} failed: ${error.message}`)));
+      if (payload) {
+        req.write(payload);
+      }
+      req.end();
+    });
+  }
+
+  async function call(method, pathOrUrl, body) {
+    const response = await request(method, pathOrUrl, body);
+    if (response.status < 200 || response.status >= 300) {
+      const detail = response.body?.message || `HTTP ${response.status}`;
+      throw new GitHubApiError(`${method} ${pathOrUrl}: ${detail}`, response.status, pathOrUrl);
+    }
+    return response;
+  }
+
+  return {
+    request,
+
+    async get(path) {
+      return (await call('GET', path)).body;
+    },
+
+    async post(path, body) {
+      return (await call('POST', path, body)).body;
+    },
+
+    async patch(path, body) {
+      return (await call('PATCH', path, body)).body;
+    },
+
+    // Every item under `key` across all pages, following Link headers
+    async paginate(path, key) {
+      const items = [];
+      let next = `${path}${path.includes('?') ? '&' : '?'}per_page=100`;
+      while (next) {
+        const response = await call('GET', next);
+        items.push(...(response.body?.[key] || []));
+        next = nextPage(response.headers.link);
+      }
+      return items;
+    }
+  };
+}
+
+module.exports = {
+  GitHubApiError,
+  githubToken,
+  createGitHubApi
+};
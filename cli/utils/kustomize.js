@@ -0,0 +1,704 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+// Reads the kustomize layout deploy-k8s.yml works with: <k8sDir>/base and
+// one directory per environment under <k8sDir>/overlays. Overlays can be
+// validated (every resource, patch and generator file resolves, patches and
+// `images` entries match something) and new ones derived from an existing
+// overlay, usually production.
+
+const KUSTOMIZATION_FILES = ['kustomization.yaml', 'kustomization.yml', 'Kustomization'];
+
+// Workload kinds whose pod template holds the containers
+const WORKLOAD_KINDS = ['Deployment', 'StatefulSet', 'DaemonSet', 'ReplicaSet', 'Job', 'CronJob', 'Pod'];
+
+function findKustomization(dir) {
+  const file = KUSTOMIZATION_FILES.find(name => fs.existsSync(path.join(dir, name)));
+  return file ? path.join(dir, file) : null;
+}
+
+// Directories of the overlays under <k8sPath>/overlays, by environment
+function listOverlays(k8sPath) {
+  const overlaysPath = path.join(k8sPath, 'overlays');
+  if (!fs.existsSync(overlaysPath)) {
+    return [];
+  }
+  return fs.readdirSync(overlaysPath)
+    .filter(name => fs.statSync(path.join(overlaysPath, name)).isDirectory())
+    .sort();
+}
+
+function isRemote(entry) {
+  return /^(https?:\/\/|git@|ssh:\/\/|github\.com\/)/.test(entry) || entry.includes('?ref=');
+}
+
+function podSpecs(doc) {
+  if (!WORKLOAD_KINDS.includes(doc?.kind)) {
+    return [];
+  }
+  const spec = doc.kind === 'Pod' ? doc.spec
+    : doc.kind === 'CronJob' ? doc.spec?.jobTemplate?.spec?.template?.spec
+      : doc.spec?.template?.spec;
+  return spec ? [spec] : [];
+}
+
+function containers(doc) {
+  return podSpecs(doc).flatMap(spec => [...(spec.containers || []), ...(spec.initContainers || [])]);
+}
+
+// Image name without tag or digest, as kustomize's `images` matches it
+function imageName(image) {
+  const withoutDigest = image.split('@')[0];
+  const lastSlash = withoutDigest.lastIndexOf('/');
+  const tagStart = withoutDigest.indexOf(':', lastSlash + 1);
+  return tagStart === -1 ? withoutDigest : withoutDigest.slice(0, tagStart);
+}
+
+function loadDocuments(file) {
+  return yaml.loadAll(fs.readFileSync(file, 'utf8')).filter(doc => doc !== null && doc !== undefined);
+}
+
+// Checks a kustomization and everything it includes. Resolved directories
+// are cached so a base shared by several overlays is checked once; each
+// result lists the resources it produces ({ kind, name, doc }) after its
+// namePrefix/nameSuffix and `images` are applied.
+function resolveKustomization(dir, context) {
+  if (context.cache.has(dir)) {
+    return context.cache.get(dir);
+  }
+  if (context.stack.includes(dir)) {
+    context.add('error', dir, `includes itself through ${context.stack.map(entry => context.relative(entry)).join(' → ')}`);
+    return { resources: [] };
+  }
+
+  const file = findKustomization(dir);
+  if (!file) {
+    return null;
+  }
+
+  const add = (severity, message) => context.add(severity, file, message);
+  let kustomization;
+  try {
+    kustomization = yaml.load(fs.readFileSync(file, 'utf8')) || {};
+  } catch (error) {
+    add('error', `invalid YAML: ${error.reason || error.message}`);
+    const result = { resources: [] };
+    context.cache.set(dir, result);
+    return result;
+  }
+
+  context.stack.push(dir);
+  const resources = [];
+
+  for (const field of ['resources', 'bases', 'components']) {
+    for (const entry of kustomization[field] || []) {
+      if (typeof entry !== 'string' || isRemote(entry)) {
+        continue;
+      }
+      const target = path.resolve(dir, entry);
+      if (!fs.existsSync(target)) {
+        add('error', `${field} entry ${entry} does not exist`);
+      } else if (fs.statSync(target).isDirectory()) {
+        const child = resolveKustomization(target, context);
+        if (!child) {
+          add('error', `${field} entry ${entry} is a directory without a kustomization.yaml`);
+        } else {
+          resources.push(...JSON.parse(JSON.stringify(child.resources)));
+        }
+      } else {
+        try {
+          for (const doc of loadDocuments(target)) {
+            resources.push({ kind: doc.kind, name: doc.metadata?.name, doc });
+          }
+        } catch (error) {
+          add('error', `${entry}: invalid YAML: ${error.reason || error.message}`);
+        }
+      }
+    }
+  }
+
+  // Generated ConfigMaps and Secrets can be patched like any other resource
+  for (const [field, kind] of [['configMapGenerator', 'ConfigMap'], ['secretGenerator', 'Secret']]) {
+    for (const generator of kustomization[field] || []) {
+      const sources = [
+        ...(generator.files || []).map(entry => String(entry).split('=').pop()),
+        ...(generator.envs || []),
+        ...(generator.env ? [generator.env] : [])
+      ];
+      for (const source of sources) {
+        if (!fs.existsSync(path.resolve(dir, source))) {
+          add('error', `${field} ${generator.name}: ${source} does not exist`);
+        }
+      }
+      if (generator.behavior !== 'merge' && generator.behavior !== 'replace') {
+        resources.push({ kind, name: generator.name, doc: { kind, metadata: { name: generator.name } } });
+      }
+    }
+  }
+
+  const patchDocs = checkPatches(dir, kustomization, resources, add);
+
+  // Every `images` entry has to match a container image, or kustomize
+  // silently leaves the image as it is
+  const images = [...resources.map(resource => resource.doc), ...patchDocs]
+    .flatMap(containers)
+    .map(container => container.image)
+    .filter(Boolean);
+  for (const entry of kustomization.images || []) {
+    if (!entry?.name) {
+      add('error', 'images entry without a name');
+    } else if (!images.some(image => imageName(image) === entry.name)) {
+      add('error', `images entry ${entry.name} matches no container image`);
+    }
+  }
+  applyImages(resources, kustomization.images || []);
+
+  for (const resource of resources) {
+    if (resource.name && resource.kind !== 'Namespace') {
+      resource.name = `${kustomization.namePrefix || ''}${resource.name}${kustomization.nameSuffix || ''}`;
+    }
+  }
+
+  context.stack.pop();
+  const result = { resources };
+  context.cache.set(dir, result);
+  return result;
+}
+
+// Checks that patch files exist and patches match a resource. Returns the
+// patch documents, whose container images count for `images`.
+function checkPatches(dir, kustomization, resources, add) {
+  const patches = [
+    ...(kustomization.patches || []),
+    ...(kustomization.patchesStrategicMerge || []).map(entry => (
+      typeof entry === 'string' && !entry.includes('\n') ? { path: entry } : { patch: entry }
+    )),
+    ...(kustomization.patchesJson6902 || [])
+  ];
+  const patchDocs = [];
+
+  for (const patch of patches) {
+    let docs = [];
+    const label = patch.path || 'inline patch';
+    if (patch.path) {
+      const file = path.resolve(dir, patch.path);
+      if (!fs.existsSync(file)) {
+        add('error', `patch ${patch.path} does not exist`);
+        continue;
+      }
+      try {
+        docs = loadDocuments(file);
+      } catch (error) {
+        add('error', `patch ${patch.path}: invalid YAML: ${error.reason || error.message}`);
+        continue;
+      }
+    } else if (typeof patch.patch === 'string') {
+      try {
+        docs = yaml.loadAll(patch.patch).filter(Boolean);
+      } catch (error) {
+        add('error', `inline patch: invalid YAML: ${error.reason || error.message}`);
+        continue;
+      }
+    }
+
+    if (patch.target) {
+      const { kind, name } = patch.target;
+      if ((kind || name) && !resources.some(resource => matchesTarget(resource, patch.target))) {
+        add('error', `${label} targets ${kind || '*'}/${name || '*'}, which no resource defines`);
+      }
+      continue;
+    }
+
+    // Strategic merge patches name their target in the document itself
+    for (const doc of docs.filter(doc => !Array.isArray(doc))) {
+      patchDocs.push(doc);
+      const name = doc.metadata?.name;
+      if (doc.kind && name && !resources.some(resource => resource.kind === doc.kind && resource.name === name)) {
+        add('error', `${label} patches ${doc.kind}/${name}, which no resource defines`);
+      }
+    }
+  }
+
+  return patchDocs;
+}
+
+// Patch targets take anchored regular expressions for kind and name
+function matchesTarget(resource, target) {
+  const matches = (pattern, value) => {
+    if (!pattern) return true;
+    try {
+      return new RegExp(`^(?:${pattern})$`).test(value || '');
+    } catch (error) {
+      return pattern === value;
+    }
+  };
+  return matches(target.kind, resource.kind) && matches(target.name, resource.name);
+}
+
+function applyImages(resources, entries) {
+  for (const resource of resources) {
+    for (const container of containers(resource.doc)) {
+      if (!container.image) continue;
+      const entry = entries.find(candidate => candidate?.name === imageName(container.image));
+      if (!entry) continue;
+      const tag = entry.digest ? `@${entry.digest}` : entry.newTag ? `:${entry.newTag}` : container.image.slice(imageName(container.image).length);
+      container.image = `${entry.newName || entry.name}${tag}`;
+    }
+  }
+}
+
+// Validates the base and every overlay under k8sPath. Returns findings
+// { severity: 'error' | 'warning', file, message } with file relative to
+// projectPath. With a serviceName, overlays whose images don't contain it
+// are reported: deploy-k8s.yml only rewrites images that do.
+function validateKustomize(projectPath, k8sPath, { serviceName } = {}) {
+  const findings = [];
+  const relative = file => path.relative(projectPath, file) || '.';
+  const context = {
+    cache: new Map(),
+    stack: [],
+    relative,
+    add: (severity, file, message) => {
+      if (!findings.some(finding => finding.file === relative(file) && finding.message === message)) {
+        findings.push({ severity, file: relative(file), message });
+      }
+    }
+  };
+
+  if (!fs.existsSync(k8sPath)) {
+    context.add('error', k8sPath, 'directory does not exist');
+    return findings;
+  }
+
+  const basePath = path.join(k8sPath, 'base');
+  if (fs.existsSync(basePath) && !resolveKustomization(basePath, context)) {
+    context.add('error', basePath, 'no kustomization.yaml');
+  }
+
+  const overlays = listOverlays(k8sPath);
+  if (overlays.length === 0) {
+    context.add('warning', path.join(k8sPath, 'overlays'), 'no overlays found');
+  }
+
+  for (const env of overlays) {
+    const overlayPath = path.join(k8sPath, 'overlays', env);
+    const result = resolveKustomization(overlayPath, context);
+    if (!result) {
+      context.add('error', overlayPath, 'no kustomization.yaml');
+      continue;
+    }
+
+    const images = result.resources.flatMap(resource => containers(resource.doc)).map(container => container.image);
+    if (serviceName && images.length > 0 && !images.some(image => image && image.includes(serviceName))) {
+      context.add('warning', findKustomization(overlayPath), `no container image contains "${serviceName}"; deploy-k8s.yml only updates images that do`);
+    }
+  }
+
+  return findings;
+}
+
+// Renames the source environment in a string: `production` and `prod`
+// for the production overlay, otherwise the overlay name, as whole words,
+// keeping upper case
+function environmentRenamer(from, env) {
+  const names = from === 'production' ? ['production', 'prod'] : [from];
+  const pattern = new RegExp(`(^|[^A-Za-z0-9])(${names.map(name => name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})(?=$|[^A-Za-z0-9])`, 'gi');
+  return value => {
+    if (typeof value !== 'string') return value;
+    return value.replace(pattern, (match, before, name) => before + (name === name.toUpperCase() ? env.toUpperCase() : env));
+  };
+}
+
+// Kubernetes quantities: cpu in cores or millicores, memory in bytes with
+// an optional binary or decimal suffix
+const MEMORY_UNITS = { Ki: 1024, Mi: 1024 ** 2, Gi: 1024 ** 3, Ti: 1024 ** 4, K: 1e3, k: 1e3, M: 1e6, G: 1e9, T: 1e12, '': 1 };
+
+function scaleQuantity(resource, quantity, factor) {
+  const text = String(quantity);
+  if (resource === 'cpu') {
+    const millicores = text.endsWith('m') ? Number(text.slice(0, -1)) : Number(text) * 1000;
+    if (Number.isNaN(millicores)) return quantity;
+    return `${Math.max(10, Math.round(millicores * factor))}m`;
+  }
+  if (resource === 'memory') {
+    const match = text.match(/^(\d+(?:\.\d+)?)([KkMGT]i?|)$/);
+    if (!match || !(match[2] in MEMORY_UNITS)) return quantity;
+    const mebibytes = Number(match[1]) * MEMORY_UNITS[match[2]] / 1024 ** 2;
+    return `${Math.max(64, Math.round(mebibytes * factor))}Mi`;
+  }
+  return quantity;
+}
+
+// Host for the new environment: production/prod labels are renamed,
+// otherwise the first label gets an `<env>-` prefix
+function deriveHost(host, rename, env) {
+  if (typeof host !== 'string' || host.startsWith('*')) return host;
+  const renamed = rename(host);
+  return renamed !== host ? renamed : host.replace(/^([^.]+)/, `${env}-$1`);
+}
+
+// Rewrites one manifest document for the new environment, recording what
+// changed in `changes`
+function transformDocument(doc, options, note) {
+  const { rename, env, replicas, scale } = options;
+  if (!doc || typeof doc !== 'object') return doc;
+
+  // JSON 6902 patches are lists of operations
+  if (Array.isArray(doc)) {
+    return doc.map(operation => {
+      if (operation?.path && /\/replicas$/.test(operation.path) && typeof operation.value === 'number') {
+        note(`${operation.path} ${operation.value} → ${replicas}`);
+        return { ...operation, value: replicas };
+      }
+      return operation?.value !== undefined ? { ...operation, value: rename(operation.value) } : operation;
+    });
+  }
+
+  const id = `${doc.kind}/${doc.metadata?.name}`;
+
+  if (doc.metadata?.namespace) {
+    doc.metadata.namespace = rename(doc.metadata.namespace);
+  }
+  if (doc.kind === 'Namespace' && doc.metadata?.name) {
+    doc.metadata.name = rename(doc.metadata.name);
+  }
+
+  if (WORKLOAD_KINDS.includes(doc.kind) && typeof doc.spec?.replicas === 'number' && doc.spec.replicas !== replicas) {
+    note(`${id} replicas ${doc.spec.replicas} → ${replicas}`);
+    doc.spec.replicas = replicas;
+  }
+
+  for (const container of containers(doc)) {
+    for (const kind of ['requests', 'limits']) {
+      for (const resource of ['cpu', 'memory']) {
+        const current = container.resources?.[kind]?.[resource];
+        if (current === undefined) continue;
+        const scaled = scaleQuantity(resource, current, scale);
+        if (scaled !== current) {
+          note(`${id} ${container.name} ${resource} ${kind.replace(/s$/, '')} ${current} → ${scaled}`);
+          container.resources[kind][resource] = scaled;
+        }
+      }
+    }
+    for (const variable of container.env || []) {
+      const value = rename(variable.value);
+      if (value !== variable.value) {
+        note(`${id} ${container.name} env ${variable.name}=${value}`);
+        variable.value = value;
+      }
+    }
+  }
+
+  if (doc.kind === 'HorizontalPodAutoscaler' && doc.spec) {
+    if (typeof doc.spec.minReplicas === 'number') {
+      doc.spec.minReplicas = Math.min(doc.spec.minReplicas, replicas);
+    }
+    if (typeof doc.spec.maxReplicas === 'number') {
+      const maxReplicas = Math.max(replicas, Math.ceil(doc.spec.maxReplicas * scale));
+      note(`${id} maxReplicas ${doc.spec.maxReplicas} → ${maxReplicas}`);
+      doc.spec.maxReplicas = maxReplicas;
+    }
+  }
+
+  if (doc.kind === 'ConfigMap' && doc.data) {
+    for (const [key, value] of Object.entries(doc.data)) {
+      if (rename(value) !== value) {
+        note(`${id} ${key}=${rename(value)}`);
+        doc.data[key] = rename(value);
+      }
+    }
+  }
+
+  if (doc.kind === 'Ingress' && doc.spec) {
+    for (const rule of doc.spec.rules || []) {
+      const host = deriveHost(rule.host, rename, env);
+      if (host !== rule.host) {
+        note(`${id} host ${rule.host} → ${host}`);
+        rule.host = host;
+      }
+    }
+    for (const tls of doc.spec.tls || []) {
+      const hosts = (tls.hosts || []).map(host => deriveHost(host, rename, env));
+      if (hosts.join() !== (tls.hosts || []).join() && tls.secretName) {
+        const secretName = rename(tls.secretName) !== tls.secretName ? rename(tls.secretName) : `${tls.secretName}-${env}`;
+        note(`${id} TLS secret ${tls.secretName} → ${secretName}`);
+        tls.secretName = secretName;
+      }
+      if (tls.hosts) tls.hosts = hosts;
+    }
+  }
+
+  return doc;
+}
+
+// Tag the derived overlay's images get until the first deploy sets theirs.
+// deploy-k8s.yml rewrites newTag in place, so the entry is kept.
+const UNDEPLOYED_TAG = 'undeployed';
+
+function transformKustomization(kustomization, options, note) {
+  const { rename, env, replicas } = options;
+  const { namespace } = kustomization;
+
+  for (const field of ['namespace', 'namePrefix', 'nameSuffix']) {
+    if (kustomization[field] && rename(kustomization[field]) !== kustomization[field]) {
+      note(`${field} ${kustomization[field]} → ${rename(kustomization[field])}`);
+      kustomization[field] = rename(kustomization[field]);
+    }
+  }
+
+  // A namespace without the environment in it would be shared with the
+  // source overlay, and applying the new one would replace its resources
+  if (!namespace || kustomization.namespace === namespace) {
+    kustomization.namespace = namespace ? `${namespace}-${env}` : env;
+    note(namespace ? `namespace ${namespace} → ${kustomization.namespace}` : `namespace ${kustomization.namespace}`);
+  }
+
+  // The source's release isn't the new environment's
+  for (const image of kustomization.images || []) {
+    if (image.newTag !== undefined || image.digest !== undefined) {
+      note(`images ${image.name} ${image.digest || image.newTag} → ${UNDEPLOYED_TAG}`);
+      delete image.digest;
+      image.newTag = UNDEPLOYED_TAG;
+    }
+  }
+
+  const renameValues = values => {
+    for (const key of Object.keys(values || {})) {
+      values[key] = rename(values[key]);
+    }
+  };
+  renameValues(kustomization.commonLabels);
+  renameValues(kustomization.commonAnnotations);
+  for (const label of kustomization.labels || []) {
+    renameValues(label.pairs);
+  }
+
+  for (const generator of [...(kustomization.configMapGenerator || []), ...(kustomization.secretGenerator || [])]) {
+    generator.literals = (generator.literals || []).map(literal => {
+      const [key, ...value] = String(literal).split('=');
+      return value.length > 0 ? `${key}=${rename(value.join('='))}` : literal;
+    });
+    if (generator.literals.length === 0) delete generator.literals;
+  }
+
+  for (const entry of kustomization.replicas || []) {
+    if (entry.count !== replicas) {
+      note(`replicas ${entry.name} ${entry.count} → ${replicas}`);
+      entry.count = replicas;
+    }
+  }
+
+  return kustomization;
+}
+
+function dumpDocuments(docs) {
+  return docs.map(doc => yaml.dump(doc, { lineWidth: -1, noRefs: true, quotingType: '"' })).join('---\n');
+}
+
+function listFiles(dir, prefix = '') {
+  return fs.readdirSync(dir).sort().flatMap(name => {
+    const file = path.join(dir, name);
+    return fs.statSync(file).isDirectory() ? listFiles(file, path.join(prefix, name)) : [path.join(prefix, name)];
+  });
+}
+
+// What a new overlay would be derived from: the `from` overlay, else the
+// base, else null when neither has a kustomization
+function overlaySource(k8sPath, from = 'production') {
+  if (findKustomization(path.join(k8sPath, 'overlays', from))) return path.join('overlays', from);
+  if (findKustomization(path.join(k8sPath, 'base'))) return 'base';
+  return null;
+}
+
+// Files for a new overlay `env`, derived from the `from` overlay: every file
+// is copied with the environment renamed, replicas set, cpu and memory
+// scaled by `scale`, and ingress hosts moved to the new environment.
+// Without that overlay the new one is built on the base. Returns
+// { source, files: [{ file, content }], changes } with file relative to the
+// new overlay's directory.
+function generateOverlay(k8sPath, env, { from = 'production', replicas = 1, scale = 0.5, serviceName } = {}) {
+  const sourcePath = path.join(k8sPath, 'overlays', from);
+
+  if (!findKustomization(sourcePath)) {
+    return overlayFromBase(k8sPath, env, { from, replicas, serviceName });
+  }
+
+  const sources = listFiles(sourcePath).map(file => {
+    const content = fs.readFileSync(path.join(sourcePath, file), 'utf8');
+    if (!/\.ya?ml$/.test(file) && !KUSTOMIZATION_FILES.includes(file)) {
+      return { file, content };
+    }
+    try {
+      return { file, content, docs: yaml.loadAll(content).filter(doc => doc !== null && doc !== undefined) };
+    } catch (error) {
+      throw new Error(`${path.join('overlays', from, file)}: invalid YAML: ${error.reason || error.message}`);
+    }
+  });
+
+  // Ingress hosts move to the new environment everywhere they appear, so
+  // URLs in env vars and ConfigMaps follow the ingress
+  const renameEnvironment = environmentRenamer(from, env);
+  const hosts = new Map();
+  for (const doc of sources.flatMap(source => source.docs || [])) {
+    if (doc?.kind !== 'Ingress') continue;
+    const names = [...(doc.spec?.rules || []).map(rule => rule.host), ...(doc.spec?.tls || []).flatMap(tls => tls.hosts || [])];
+    for (const host of names.filter(Boolean)) {
+      hosts.set(host, deriveHost(host, renameEnvironment, env));
+    }
+  }
+  const rename = value => {
+    if (typeof value !== 'string') return value;
+    let renamed = value;
+    for (const [host, derived] of hosts) {
+      const escaped = host.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      renamed = renamed.replace(new RegExp(`(?<![\\w.-])${escaped}(?![\\w-])`, 'g'), derived);
+    }
+    return renameEnvironment(renamed);
+  };
+  const options = { env, replicas, scale, rename };
+
+  const files = [];
+  const changes = [];
+  for (const { file, content, docs } of sources) {
+    const note = change => changes.push(`${file}: ${change}`);
+
+    if (KUSTOMIZATION_FILES.includes(file)) {
+      const kustomization = transformKustomization(docs[0] || {}, options, note);
+      files.push({ file, content: dumpDocuments([kustomization]) });
+    } else if (docs) {
+      files.push({ file, content: dumpDocuments(docs.map(doc => transformDocument(doc, options, note))) });
+    } else if (/\.(env|properties)$/.test(file)) {
+      files.push({ file, content: content.replace(/^([^#=\n]+=)(.*)$/gm, (line, key, value) => key + options.rename(value)) });
+    } else {
+      files.push({ file, content });
+    }
+  }
+
+  return { source: path.join('overlays', from), files, changes };
+}
+
+// An overlay on the base: the environment's namespace and label, and a
+// patch scaling the service's Deployment down
+function overlayFromBase(k8sPath, env, { from, replicas, serviceName }) {
+  const basePath = path.join(k8sPath, 'base');
+  if (!findKustomization(basePath)) {
+    throw new Error(`Neither ${path.join('overlays', from)} nor base has a kustomization.yaml in ${k8sPath}; nothing to derive the ${env} overlay from`);
+  }
+
+  const { resources } = resolveKustomization(basePath, {
+    cache: new Map(), stack: [], relative: file => file, add: () => {}
+  });
+  const deployment = resources.find(resource => resource.kind === 'Deployment' && (!serviceName || resource.name === serviceName)) ||
+    resources.find(resource => resource.kind === 'Deployment');
+  const configMap = resources.find(resource => resource.kind === 'ConfigMap' && resource.name === (serviceName || deployment?.name));
+
+  const kustomization = {
+    apiVersion: 'kustomize.config.k8s.io/v1beta1',
+    kind: 'Kustomization',
+    resources: ['../../base'],
+    namespace: env,
+    labels: [{ pairs: { environment: env }, includeSelectors: true }]
+  };
+  const files = [];
+  const patches = [];
+
+  const name = serviceName || deployment?.name;
+  if (name) {
+    files.push({
+      file: 'configmap.yaml',
+      content: dumpDocuments([{
+        apiVersion: 'v1',
+        kind: 'ConfigMap',
+        metadata: { name },
+        data: { NODE_ENV: env, SENTRY_ENVIRONMENT: env }
+      }])
+    });
+    // A ConfigMap the base already defines can only be patched
+    if (configMap) {
+      patches.push({ path: 'configmap.yaml' });
+    } else {
+      kustomization.resources.push('configmap.yaml');
+    }
+  }
+
+  if (deployment) {
+    const container = containers(deployment.doc)[0];
+    files.push({
+      file: 'deployment.yaml',
+      content: dumpDocuments([{
+        apiVersion: 'apps/v1',
+        kind: 'Deployment',
+        metadata: { name: deployment.name },
+        spec: {
+          replicas,
+          ...(container ? {
+            template: {
+              spec: {
+                containers: [{
+                  name: container.name,
+                  resources: {
+                    requests: { memory: '256Mi', cpu: '100m' },
+                    limits: { memory: '512Mi', cpu: '500m' }
+                  }
+                }]
+              }
+            }
+          } : {})
+        }
+      }])
+    });
+    patches.push({ path: 'deployment.yaml' });
+  }
+
+  if (patches.length > 0) {
+    kustomization.patches = patches;
+  }
+  files.unshift({ file: 'kustomization.yaml', content: dumpDocuments([kustomization]) });
+
+  return {
+    source: 'base',
+    files,
+    changes: deployment ? [`deployment.yaml: Deployment/${deployment.name} replicas ${replicas}`] : []
+  };
+}
+
+// Writes the overlay generateOverlay() derives; an existing overlay is only
+// replaced with `force`
+function addOverlay(k8sPath, env, options = {}) {
+  const overlayPath = path.join(k8sPath, 'overlays', env);
+  const exists = fs.existsSync(overlayPath) && fs.readdirSync(overlayPath).length > 0;
+  if (exists && !options.force) {
+    throw new Error(`${path.join('overlays', env)} already exists; use --force to replace it`);
+  }
+  if (env === (options.from || 'production')) {
+    throw new Error(`Cannot derive the ${env} overlay from itself`);
+  }
+
+  const result = generateOverlay(k8sPath, env, options);
+  if (!options.dryRun) {
+    if (exists) {
+      fs.rmSync(overlayPath, { recursive: true });
+    }
+    for (const { file, content } of result.files) {
+      fs.mkdirSync(path.dirname(path.join(overlayPath, file)), { recursive: true });
+      fs.writeFileSync(path.join(overlayPath, file), content);
+    }
+  }
+  return { ...result, path: overlayPath };
+}
+
+module.exports = {
+  WORKLOAD_KINDS,
+  findKustomization,
+  isRemote,
+  containers,
+  imageName,
+  loadDocuments,
+  dumpDocuments,
+  listOverlays,
+  overlaySource,
+  validateKustomize,
+  generateOverlay,
+  addOverlay
+};
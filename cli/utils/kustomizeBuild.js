@@ -0,0 +1,778 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const yaml = require('js-yaml');
+const {
+  WORKLOAD_KINDS,
+  findKustomization,
+  isRemote,
+  containers,
+  imageName,
+  loadDocuments,
+  dumpDocuments,
+  listOverlays
+} = require('./kustomize');
+const { unifiedDiff } = require('./textMerge');
+
+// An in-process `kustomize build` covering what our overlays use:
+// resources and components, strategic merge and JSON 6902 patches,
+// ConfigMap/Secret generators with name hashes, images, replicas,
+// namespace, name prefixes/suffixes, labels and annotations. Problems are
+// reported as findings instead of aborting; renderOverlay() and
+// diffOverlays() turn errors into exceptions for `karma k8s render` and
+// `karma k8s diff`.
+
+const CLUSTER_SCOPED_KINDS = [
+  'Namespace', 'ClusterRole', 'ClusterRoleBinding', 'CustomResourceDefinition', 'PersistentVolume',
+  'StorageClass', 'PriorityClass', 'IngressClass', 'MutatingWebhookConfiguration', 'ValidatingWebhookConfiguration'
+];
+
+// kustomize's legacy output order; other kinds follow, webhooks come last
+const KIND_ORDER = [
+  'Namespace', 'ResourceQuota', 'StorageClass', 'CustomResourceDefinition', 'ServiceAccount',
+  'PodSecurityPolicy', 'Role', 'ClusterRole', 'RoleBinding', 'ClusterRoleBinding', 'ConfigMap', 'Secret',
+  'Endpoints', 'Service', 'LimitRange', 'PriorityClass', 'PersistentVolume', 'PersistentVolumeClaim',
+  'Deployment', 'StatefulSet', 'CronJob', 'PodDisruptionBudget'
+];
+const KIND_ORDER_LAST = ['MutatingWebhookConfiguration', 'ValidatingWebhookConfiguration'];
+
+// Keys strategic merge patches merge lists on; other lists are replaced
+const MERGE_KEYS = {
+  containers: 'name',
+  initContainers: 'name',
+  ephemeralContainers: 'name',
+  env: 'name',
+  volumes: 'name',
+  volumeMounts: 'mountPath',
+  imagePullSecrets: 'name',
+  hostAliases: 'ip',
+  topologySpreadConstraints: 'topologyKey'
+};
+
+function podTemplates(doc) {
+  if (!WORKLOAD_KINDS.includes(doc?.kind)) {
+    return [];
+  }
+  if (doc.kind === 'Pod') {
+    return [doc];
+  }
+  const template = doc.kind === 'CronJob' ? doc.spec?.jobTemplate?.spec?.template : doc.spec?.template;
+  return template ? [template] : [];
+}
+
+function podSpecs(doc) {
+  return podTemplates(doc).map(template => template.spec).filter(Boolean);
+}
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// A resource in the build: the document and every name it has had, so
+// references written against an earlier name can be updated
+function resource(doc, file) {
+  return { doc, file, names: doc.metadata?.name ? [doc.metadata.name] : [] };
+}
+
+function rename(entry, name) {
+  entry.doc.metadata.name = name;
+  entry.names.push(name);
+}
+
+// Builds the kustomization in `dir`. Returns { resources } or null when the
+// directory has no kustomization file. Results are cached per directory;
+// callers clone what they change.
+function buildKustomization(dir, context) {
+  if (context.cache.has(dir)) {
+    return context.cache.get(dir);
+  }
+  if (context.stack.includes(dir)) {
+    context.add('error', dir, `includes itself through ${context.stack.map(entry => context.relative(entry)).join(' → ')}`);
+    return { resources: [] };
+  }
+
+  const file = findKustomization(dir);
+  if (!file) {
+    return null;
+  }
+
+  const add = (severity, message) => context.add(severity, file, message);
+  let kustomization;
+  try {
+    kustomization = yaml.load(fs.readFileSync(file, 'utf8')) || {};
+  } catch (error) {
+    add('error', `invalid YAML: ${error.reason || error.message}`);
+    const result = { resources: [] };
+    context.cache.set(dir, result);
+    return result;
+  }
+
+  context.stack.push(dir);
+  let resources = loadResources(dir, kustomization, context, add);
+  applyGenerators(dir, kustomization, resources, add);
+
+  // Components transform what the kustomization including them has so far
+  for (const entry of kustomization.components || []) {
+    const componentPath = path.resolve(dir, entry);
+    if (!fs.existsSync(componentPath)) {
+      add('error', `components entry ${entry} does not exist`);
+      continue;
+    }
+    const componentFile = findKustomization(componentPath);
+    if (!componentFile) {
+      add('error', `components entry ${entry} is a directory without a kustomization.yaml`);
+      continue;
+    }
+    const componentAdd = (severity, message) => context.add(severity, componentFile, message);
+    let component;
+    try {
+      component = yaml.load(fs.readFileSync(componentFile, 'utf8')) || {};
+    } catch (error) {
+      componentAdd('error', `invalid YAML: ${error.reason || error.message}`);
+      continue;
+    }
+    resources.push(...loadResources(componentPath, component, context, componentAdd));
+    applyGenerators(componentPath, component, resources, componentAdd);
+    resources = transform(componentPath, component, resources, componentAdd);
+  }
+
+  resources = transform(dir, kustomization, resources, add);
+  context.stack.pop();
+
+  const result = { resources };
+  context.cache.set(dir, result);
+  return result;
+}
+
+function loadResources(dir, kustomization, context, add) {
+  const resources = [];
+  for (const field of ['resources', 'bases']) {
+    for (const entry of kustomization[field] || []) {
+      if (typeof entry !== 'string') {
+        continue;
+      }
+      if (isRemote(entry)) {
+        add('warning', `${field} entry ${entry} is remote and is not included`);
+        continue;
+      }
+      const target = path.resolve(dir, entry);
+      if (!fs.existsSync(target)) {
+        add('error', `${field} entry ${entry} does not exist`);
+      } else if (fs.statSync(target).isDirectory()) {
+        const child = buildKustomization(target, context);
+        if (!child) {
+          add('error', `${field} entry ${entry} is a directory without a kustomization.yaml`);
+        } else {
+          resources.push(...clone(child.resources));
+        }
+      } else {
+        try {
+          resources.push(...loadDocuments(target).map(doc => resource(doc, target)));
+        } catch (error) {
+          add('error', `${entry}: invalid YAML: ${error.reason || error.message}`);
+        }
+      }
+    }
+  }
+  return resources;
+}
+
+// Patches, images and replicas, then namespace, names, labels and
+// annotations: kustomize's order, so patches name resources as the
+// kustomizations below this one left them
+function transform(dir, kustomization, resources, add) {
+  const result = applyPatches(dir, kustomization, resources, add);
+  applyImages(kustomization, result, add);
+  applyReplicas(kustomization, result, add);
+
+  if (kustomization.namespace) {
+    for (const { doc } of result) {
+      if (!CLUSTER_SCOPED_KINDS.includes(doc.kind)) {
+        doc.metadata = { ...doc.metadata, namespace: kustomization.namespace };
+      }
+    }
+  }
+
+  if (kustomization.namePrefix || kustomization.nameSuffix) {
+    for (const entry of result) {
+      if (entry.doc.metadata?.name && !['Namespace', 'CustomResourceDefinition'].includes(entry.doc.kind)) {
+        rename(entry, `${kustomization.namePrefix || ''}${entry.doc.metadata.name}${kustomization.nameSuffix || ''}`);
+      }
+    }
+  }
+
+  if (kustomization.commonLabels) {
+    applyLabels(result, kustomization.commonLabels, { selectors: true, templates: true });
+  }
+  for (const label of kustomization.labels || []) {
+    applyLabels(result, label.pairs || {}, {
+      selectors: Boolean(label.includeSelectors),
+      templates: Boolean(label.includeSelectors || label.includeTemplates)
+    });
+  }
+  if (kustomization.commonAnnotations) {
+    for (const { doc } of result) {
+      doc.metadata = { ...doc.metadata, annotations: { ...doc.metadata?.annotations, ...kustomization.commonAnnotations } };
+      for (const template of podTemplates(doc)) {
+        template.metadata = { ...template.metadata, annotations: { ...template.metadata?.annotations, ...kustomization.commonAnnotations } };
+      }
+    }
+  }
+
+  return result;
+}
+
+function applyLabels(resources, labels, { selectors, templates }) {
+  for (const { doc } of resources) {
+    doc.metadata = { ...doc.metadata, labels: { ...doc.metadata?.labels, ...labels } };
+    if (templates) {
+      for (const template of podTemplates(doc)) {
+        if (template !== doc) {
+          template.metadata = { ...template.metadata, labels: { ...template.metadata?.labels, ...labels } };
+        }
+      }
+    }
+    if (!selectors) continue;
+    if (doc.kind === 'Service') {
+      doc.spec = { ...doc.spec, selector: { ...doc.spec?.selector, ...labels } };
+    } else if (['Deployment', 'StatefulSet', 'DaemonSet', 'ReplicaSet'].includes(doc.kind)) {
+      doc.spec = { ...doc.spec, selector: { ...doc.spec?.selector, matchLabels: { ...doc.spec?.selector?.matchLabels, ...labels } } };
+    }
+  }
+}
+
+// ConfigMaps and Secrets from configMapGenerator and secretGenerator. The
+// content hash is added to their names when the build is finished.
+function applyGenerators(dir, kustomization, resources, add) {
+  const defaults = kustomization.generatorOptions || {};
+
+  for (const [field, kind] of [['configMapGenerator', 'ConfigMap'], ['secretGenerator', 'Secret']]) {
+    for (const generator of kustomization[field] || []) {
+      const data = {};
+      for (const literal of generator.literals || []) {
+        const [key, ...value] = String(literal).split('=');
+        data[key] = value.join('=').replace(/^(["'])(.*)\1$/, '$2');
+      }
+      for (const entry of generator.files || []) {
+        const [key, source] = String(entry).includes('=') ? String(entry).split('=') : [path.basename(String(entry)), String(entry)];
+        const file = path.resolve(dir, source);
+        if (!fs.existsSync(file)) {
+          add('error', `${field} ${generator.name}: ${source} does not exist`);
+          continue;
+        }
+        data[key] = fs.readFileSync(file, 'utf8');
+      }
+      for (const source of [...(generator.envs || []), ...(generator.env ? [generator.env] : [])]) {
+        const file = path.resolve(dir, source);
+        if (!fs.existsSync(file)) {
+          add('error', `${field} ${generator.name}: ${source} does not exist`);
+          continue;
+        }
+        for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+          const match = line.trim().match(/^([^#=\s][^=]*)=(.*)$/);
+          if (match) data[match[1].trim()] = match[2];
+        }
+      }
+
+      const options = { ...defaults, ...generator.options };
+      const encoded = kind === 'Secret'
+        ? Object.fromEntries(Object.entries(data).map(([key, value]) => [key, Buffer.from(value).toString('base64')]))
+        : data;
+      const existing = resources.find(entry => entry.doc.kind === kind && entry.doc.metadata?.name === generator.name);
+
+      if (generator.behavior === 'merge' || generator.behavior === 'replace') {
+        if (!existing) {
+          add('error', `${field} ${generator.name} has behavior ${generator.behavior} but no ${kind} ${generator.name} is generated below it`);
+          continue;
+        }
+        existing.doc.data = generator.behavior === 'merge' ? { ...existing.doc.data, ...encoded } : encoded;
+        continue;
+      }
+      if (existing) {
+        add('error', `${field} ${generator.name} conflicts with an existing ${kind}; use behavior: merge or replace`);
+        continue;
+      }
+
+      const doc = {
+        apiVersion: 'v1',
+        kind,
+        metadata: {
+          name: generator.name,
+          ...(generator.namespace ? { namespace: generator.namespace } : {}),
+          ...(options.labels ? { labels: { ...options.labels } } : {}),
+          ...(options.annotations ? { annotations: { ...options.annotations } } : {})
+        },
+        ...(kind === 'Secret' ? { type: generator.type || 'Opaque' } : {}),
+        data: encoded
+      };
+      const entry = resource(doc, null);
+      entry.hashed = !options.disableNameSuffixHash;
+      resources.push(entry);
+    }
+  }
+}
+
+function parsePatch(dir, patch, add) {
+  const label = patch.path || 'inline patch';
+  if (patch.path) {
+    const file = path.resolve(dir, patch.path);
+    if (!fs.existsSync(file)) {
+      add('error', `patch ${patch.path} does not exist`);
+      return null;
+    }
+    try {
+      return { label, docs: loadDocuments(file) };
+    } catch (error) {
+      add('error', `patch ${patch.path}: invalid YAML: ${error.reason || error.message}`);
+      return null;
+    }
+  }
+  if (typeof patch.patch === 'string') {
+    try {
+      return { label, docs: yaml.loadAll(patch.patch).filter(doc => doc !== null && doc !== undefined) };
+    } catch (error) {
+      add('error', `inline patch: invalid YAML: ${error.reason || error.message}`);
+      return null;
+    }
+  }
+  if (isObject(patch.patch)) {
+    return { label, docs: [patch.patch] };
+  }
+  return { label, docs: [] };
+}
+
+// Patch targets take anchored regular expressions for kind and name, and
+// equality label selectors
+function matchesTarget(doc, target) {
+  const matches = (pattern, value) => {
+    if (!pattern) return true;
+    try {
+      return new RegExp(`^(?:${pattern})$`).test(value || '');
+    } catch (error) {
+      return pattern === value;
+    }
+  };
+  const labels = doc.metadata?.labels || {};
+  const selected = !target.labelSelector || String(target.labelSelector).split(',').every(term => {
+    const [key, value] = term.split('=').map(part => part.trim());
+    return value === undefined ? key in labels : labels[key] === value;
+  });
+  return matches(target.kind, doc.kind) && matches(target.name, doc.metadata?.name) &&
+    matches(target.namespace, doc.metadata?.namespace) && selected;
+}
+
+function applyPatches(dir, kustomization, resources, add) {
+  const patches = [
+    ...(kustomization.patchesStrategicMerge || []).map(entry => (
+      typeof entry === 'string' && !entry.includes('\n') ? { path: entry } : { patch: entry }
+    )),
+    ...(kustomization.patches || []),
+    ...(kustomization.patchesJson6902 || [])
+  ];
+
+  for (const patch of patches) {
+    const parsed = parsePatch(dir, patch, add);
+    if (!parsed) continue;
+    const { label, docs } = parsed;
+
+    // JSON 6902 patches are one list of operations
+    if (docs.length === 1 && Array.isArray(docs[0])) {
+      if (!patch.target) {
+        add('error', `${label} is a JSON 6902 patch without a target`);
+        continue;
+      }
+      const targets = resources.filter(entry => matchesTarget(entry.doc, patch.target));
+      if (targets.length === 0) {
+        add('error', `${label} targets ${patch.target.kind || '*'}/${patch.target.name || '*'}, which no resource defines`);
+      }
+      for (const entry of targets) {
+        try {
+          entry.doc = applyJsonPatch(entry.doc, docs[0]);
+        } catch (error) {
+          add('error', `${label}: ${error.message} in ${entry.doc.kind}/${entry.doc.metadata?.name}`);
+        }
+      }
+      continue;
+    }
+
+    for (const doc of docs) {
+      // With a target the patch applies to every match, otherwise to the
+      // resource it names
+      const targets = patch.target
+        ? resources.filter(entry => matchesTarget(entry.doc, patch.target))
+        : resources.filter(entry => entry.doc.kind === doc.kind && entry.doc.metadata?.name === doc.metadata?.name);
+      if (targets.length === 0) {
+        const what = patch.target
+          ? `targets ${patch.target.kind || '*'}/${patch.target.name || '*'}`
+          : `patches ${doc.kind}/${doc.metadata?.name}`;
+        add('error', `${label} ${what}, which no resource defines`);
+        continue;
+      }
+      for (const entry of targets) {
+        if (doc.$patch === 'delete') {
+          entry.deleted = true;
+          continue;
+        }
+        const patchDoc = patch.target ? { ...clone(doc), metadata: { ...doc.metadata, name: entry.doc.metadata?.name } } : clone(doc);
+        entry.doc = strategicMerge(entry.doc, patchDoc, null);
+      }
+    }
+  }
+
+  return resources.filter(entry => !entry.deleted);
+}
+
+// Kubernetes strategic merge: maps merge, `null` deletes a key, lists with
+// a merge key merge item by item, other lists are replaced
+function strategicMerge(target, patch, key) {
+  if (Array.isArray(patch)) {
+    return Array.isArray(target) ? mergeList(target, patch, key) : clone(patch).filter(item => !item?.$patch);
+  }
+  if (!isObject(patch)) {
+    return clone(patch);
+  }
+  if (patch.$patch === 'replace') {
+    const { $patch, ...rest } = patch;
+    return clone(rest);
+  }
+  const result = isObject(target) ? { ...target } : {};
+  for (const [name, value] of Object.entries(patch)) {
+    if (name.startsWith('$')) continue;
+    if (value === null) {
+      delete result[name];
+    } else {
+      result[name] = strategicMerge(result[name], value, name);
+    }
+  }
+  return result;
+}
+
+function mergeList(target, patch, key) {
+  const mergeKey = key === 'ports'
+    ? (patch.some(item => item?.containerPort !== undefined) ? 'containerPort' : 'port')
+    : MERGE_KEYS[key];
+  if (!mergeKey || !patch.every(isObject)) {
+    return clone(patch);
+  }
+
+  const result = target.map(item => clone(item));
+  for (const item of patch) {
+    const index = result.findIndex(existing => isObject(existing) && existing[mergeKey] === item[mergeKey]);
+    if (item.$patch === 'delete') {
+      if (index !== -1) result.splice(index, 1);
+    } else if (index === -1) {
+      result.push(strategicMerge(undefined, item, null));
+    } else {
+      result[index] = strategicMerge(result[index], item, null);
+    }
+  }
+  return result;
+}
+
+// RFC 6902 operations on a document
+function applyJsonPatch(doc, operations) {
+  let result = clone(doc);
+  const parse = pointer => String(pointer).split('/').slice(1).map(part => part.replace(/~1/g, '/').replace(/~0/g, '~'));
+  const parentOf = (parts, create) => {
+    let node = result;
+    for (const part of parts.slice(0, -1)) {
+      if (node[part] === undefined && create) node[part] = {};
+      node = node[part];
+      if (node === undefined || node === null) throw new Error(`path /${parts.join('/')} does not exist`);
+    }
+    return node;
+  };
+  const get = parts => parts.reduce((node, part) => {
+    if (node === undefined || node === null || !(part in Object(node))) throw new Error(`path /${parts.join('/')} does not exist`);
+    return node[part];
+  }, result);
+  const put = (parts, value, insert) => {
+    if (parts.length === 0) {
+      result = value;
+      return;
+    }
+    const parent = parentOf(parts, false);
+    const last = parts[parts.length - 1];
+    if (Array.isArray(parent)) {
+      const index = last === '-' ? parent.length : Number(last);
+      parent.splice(index, insert ? 0 : 1, value);
+    } else {
+      parent[last] = value;
+    }
+  };
+  const remove = parts => {
+    get(parts);
+    const parent = parentOf(parts, false);
+    const last = parts[parts.length - 1];
+    if (Array.isArray(parent)) parent.splice(Number(last), 1);
+    else delete parent[last];
+  };
+
+  for (const operation of operations) {
+    const parts = parse(operation.path);
+    switch (operation.op) {
+      case 'add':
+        put(parts, clone(operation.value), true);
+        break;
+      case 'replace':
+        get(parts);
+        put(parts, clone(operation.value), false);
+        break;
+      case 'remove':
+        remove(parts);
+        break;
+      case 'move':
+      case 'copy': {
+        const from = parse(operation.from);
+        const value = clone(get(from));
+        if (operation.op === 'move') remove(from);
+        put(parts, value, true);
+        break;
+      }
+      case 'test':
+        if (JSON.stringify(get(parts)) !== JSON.stringify(operation.value)) {
+          throw new Error(`test of ${operation.path} failed`);
+        }
+        break;
+      default:
+        throw new Error(`unknown operation ${operation.op}`);
+    }
+  }
+  return result;
+}
+
+// Every `images` entry has to match a container image, or kustomize
+// silently leaves the image as it is
+function applyImages(kustomization, resources, add) {
+  for (const entry of kustomization.images || []) {
+    if (!entry?.name) {
+      add('error', 'images entry without a name');
+      continue;
+    }
+    let matched = false;
+    for (const container of resources.flatMap(({ doc }) => containers(doc))) {
+      if (!container.image || imageName(container.image) !== entry.name) continue;
+      matched = true;
+      const reference = entry.digest ? `@${entry.digest}` : entry.newTag ? `:${entry.newTag}` : container.image.slice(entry.name.length);
+      container.image = `${entry.newName || entry.name}${reference}`;
+    }
+    if (!matched) {
+      add('error', `images entry ${entry.name} matches no container image`);
+    }
+  }
+}
+
+function applyReplicas(kustomization, resources, add) {
+  for (const entry of kustomization.replicas || []) {
+    const targets = resources.filter(({ doc }) => doc.metadata?.name === entry.name &&
+      (['Deployment', 'StatefulSet', 'ReplicaSet'].includes(doc.kind) || doc.spec?.replicas !== undefined));
+    if (targets.length === 0) {
+      add('error', `replicas entry ${entry.name} matches no workload`);
+    }
+    for (const { doc } of targets) {
+      doc.spec = { ...doc.spec, replicas: entry.count };
+    }
+  }
+}
+
+// kustomize's name hash: the first ten hex digits of a SHA-256 over the
+// generated object's JSON, with digits and vowels that could spell words
+// swapped out
+function nameHash(doc) {
+  const content = doc.kind === 'Secret'
+    ? { kind: 'Secret', type: doc.type || 'Opaque', name: doc.metadata.name, data: doc.data || {} }
+    : { kind: 'ConfigMap', name: doc.metadata.name, data: doc.data || {}, ...(doc.binaryData ? { binaryData: doc.binaryData } : {}) };
+  const json = sortedJson(content).replace(/[<>&\u2028\u2029]/g, char => `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`);
+  const hex = crypto.createHash('sha256').update(json).digest('hex');
+  return hex.slice(0, 10).replace(/[013ae]/g, char => ({ 0: 'g', 1: 'h', 3: 'k', a: 'm', e: 't' })[char]);
+}
+
+// JSON with object keys sorted, as Go's encoding/json writes maps
+function sortedJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(sortedJson).join(',')}]`;
+  }
+  if (isObject(value)) {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${sortedJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// Points references in workloads, ingresses and autoscalers at the final
+// names of the ConfigMaps, Secrets, Services and workloads they name
+function updateReferences(resources) {
+  const finalNames = {};
+  for (const { doc, names } of resources) {
+    finalNames[doc.kind] = finalNames[doc.kind] || {};
+    for (const name of names) {
+      finalNames[doc.kind][name] = doc.metadata.name;
+    }
+  }
+  const lookup = (kind, name) => finalNames[kind]?.[name] || name;
+  const fix = (object, field, kind) => {
+    if (object && typeof object[field] === 'string') object[field] = lookup(kind, object[field]);
+  };
+
+  for (const { doc } of resources) {
+    for (const spec of podSpecs(doc)) {
+      for (const container of [...(spec.containers || []), ...(spec.initContainers || [])]) {
+        for (const source of container.envFrom || []) {
+          fix(source.configMapRef, 'name', 'ConfigMap');
+          fix(source.secretRef, 'name', 'Secret');
+        }
+        for (const variable of container.env || []) {
+          fix(variable.valueFrom?.configMapKeyRef, 'name', 'ConfigMap');
+          fix(variable.valueFrom?.secretKeyRef, 'name', 'Secret');
+        }
+      }
+      for (const volume of spec.volumes || []) {
+        fix(volume.configMap, 'name', 'ConfigMap');
+        fix(volume.secret, 'secretName', 'Secret');
+        for (const source of volume.projected?.sources || []) {
+          fix(source.configMap, 'name', 'ConfigMap');
+          fix(source.secret, 'name', 'Secret');
+        }
+      }
+      for (const secret of spec.imagePullSecrets || []) {
+        fix(secret, 'name', 'Secret');
+      }
+      fix(spec, 'serviceAccountName', 'ServiceAccount');
+    }
+
+    if (doc.kind === 'Ingress') {
+      const backends = [doc.spec?.defaultBackend, ...(doc.spec?.rules || []).flatMap(rule => (rule.http?.paths || []).map(entry => entry.backend))];
+      for (const backend of backends.filter(Boolean)) {
+        fix(backend.service, 'name', 'Service');
+        fix(backend, 'serviceName', 'Service');
+      }
+      for (const tls of doc.spec?.tls || []) {
+        fix(tls, 'secretName', 'Secret');
+      }
+    }
+    if (doc.kind === 'HorizontalPodAutoscaler' && doc.spec?.scaleTargetRef) {
+      fix(doc.spec.scaleTargetRef, 'name', doc.spec.scaleTargetRef.kind);
+    }
+    if (doc.kind === 'StatefulSet') {
+      fix(doc.spec, 'serviceName', 'Service');
+    }
+  }
+}
+
+function kindRank(kind) {
+  if (KIND_ORDER_LAST.includes(kind)) return KIND_ORDER.length + 1 + KIND_ORDER_LAST.indexOf(kind);
+  const index = KIND_ORDER.indexOf(kind);
+  return index === -1 ? KIND_ORDER.length : index;
+}
+
+// Builds the kustomization in `dir` the way `kustomize build` would.
+// Returns { documents, ids, findings } with documents in kustomize's output
+// order. ids[i] is `Kind/name` of documents[i] under the name it was
+// loaded with, before prefixes and hashes, so builds of different overlays
+// can be compared. Findings are { severity, file, message } with file
+// relative to projectPath.
+function kustomizeBuild(dir, { projectPath = process.cwd() } = {}) {
+  const findings = [];
+  const context = createContext(projectPath, findings);
+  const result = buildKustomization(dir, context);
+  if (!result) {
+    context.add('error', dir, 'no kustomization.yaml');
+    return { documents: [], ids: [], findings };
+  }
+
+  const resources = clone(result.resources);
+  for (const entry of resources.filter(candidate => candidate.hashed)) {
+    rename(entry, `${entry.doc.metadata.name}-${nameHash(entry.doc)}`);
+  }
+  updateReferences(resources);
+
+  const sorted = resources
+    .map((entry, index) => ({ entry, index }))
+    .sort((a, b) => kindRank(a.entry.doc.kind) - kindRank(b.entry.doc.kind) ||
+      (a.entry.doc.kind || '').localeCompare(b.entry.doc.kind || '') ||
+      (a.entry.doc.metadata?.name || '').localeCompare(b.entry.doc.metadata?.name || '') ||
+      a.index - b.index)
+    .map(({ entry }) => entry);
+
+  return {
+    documents: sorted.map(entry => entry.doc),
+    ids: sorted.map(entry => `${entry.doc.kind}/${entry.names[0] || ''}`),
+    findings
+  };
+}
+
+// Findings are recorded once per file and message
+function createContext(projectPath, findings) {
+  const relative = file => path.relative(projectPath, file) || '.';
+  return {
+    cache: new Map(),
+    stack: [],
+    relative,
+    add: (severity, file, message) => {
+      if (!findings.some(finding => finding.file === relative(file) && finding.message === message)) {
+        findings.push({ severity, file: relative(file), message });
+      }
+    }
+  };
+}
+
+// The manifests ArgoCD would sync for an overlay. With an imageTag, the
+// service's images get that tag, as deploy-k8s.yml sets it for a release.
+// Build errors are thrown; returns { documents, ids, warnings, tagged }.
+function renderOverlay(projectPath, k8sPath, env, { serviceName, imageTag } = {}) {
+  const overlayPath = path.join(k8sPath, 'overlays', env);
+  if (!findKustomization(overlayPath)) {
+    const overlays = listOverlays(k8sPath);
+    throw new Error(`No overlay for ${env} in ${path.relative(projectPath, k8sPath) || '.'}/overlays` +
+      (overlays.length > 0 ? ` (overlays: ${overlays.join(', ')})` : ''));
+  }
+
+  const { documents, ids, findings } = kustomizeBuild(overlayPath, { projectPath });
+  const errors = findings.filter(finding => finding.severity === 'error');
+  if (errors.length > 0) {
+    throw new Error(`${env} overlay does not build:\n${errors.map(finding => `  ${finding.file}: ${finding.message}`).join('\n')}`);
+  }
+
+  let tagged = 0;
+  if (imageTag) {
+    for (const container of documents.flatMap(containers)) {
+      if (container.image && serviceName && container.image.includes(serviceName)) {
+        container.image = `${imageName(container.image)}:${imageTag}`;
+        tagged++;
+      }
+    }
+  }
+
+  return { documents, ids, warnings: findings, tagged };
+}
+
+// Rendered differences between two overlays, resource by resource. Returns
+// [{ id, status: 'changed' | 'same' | 'only-<env>', diff }] in the order of
+// the first overlay, then resources only the second has.
+function diffOverlays(projectPath, k8sPath, from, to, options = {}) {
+  const rendered = [from, to].map(env => {
+    const { documents, ids } = renderOverlay(projectPath, k8sPath, env, options);
+    return new Map(ids.map((id, index) => [id, dumpDocuments([documents[index]])]));
+  });
+  const ids = [...new Set([...rendered[0].keys(), ...rendered[1].keys()])];
+
+  return ids.map(id => {
+    const [left, right] = rendered.map(documents => documents.get(id));
+    if (left === undefined || right === undefined) {
+      return { id, status: `only-${left === undefined ? to : from}`, diff: unifiedDiff(left || '', right || '', { fromFile: `${from}/${id}`, toFile: `${to}/${id}` }) };
+    }
+    const diff = unifiedDiff(left, right, { fromFile: `${from}/${id}`, toFile: `${to}/${id}` });
+    return { id, status: diff ? 'changed' : 'same', diff };
+  });
+}
+
+module.exports = {
+  kustomizeBuild,
+  renderOverlay,
+  diffOverlays,
+  strategicMerge,
+  applyJsonPatch
+};
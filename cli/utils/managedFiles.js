@@ -0,0 +1,74 @@
+const fs = require('fs');
+const path = require('path');
+
+// Files generated by the CLI (deploy.sh, .deploy.config, DEPLOY.md and the
+// workflows) are "managed": the generated content is kept as a baseline
+// under .karma/baseline so `karma update` can tell local edits apart from
+// template changes and merge the two. The manifest records how the files
+// were generated, so an update regenerates them the same way.
+//
+// .karma/ is meant to be committed along with the files it tracks.
+
+const MANAGED_DIR = '.karma';
+const BASELINE_DIR = path.join(MANAGED_DIR, 'baseline');
+const MANIFEST_FILE = path.join(MANAGED_DIR, 'manifest.json');
+
+function baselinePath(projectPath, file) {
+  return path.join(projectPath, BASELINE_DIR, file);
+}
+
+function readBaseline(projectPath, file) {
+  const baseline = baselinePath(projectPath, file);
+  return fs.existsSync(baseline) ? fs.readFileSync(baseline, 'utf8') : null;
+}
+
+function writeBaseline(projectPath, file, content) {
+  const baseline = baselinePath(projectPath, file);
+  fs.mkdirSync(path.dirname(baseline), { recursive: true });
+  fs.writeFileSync(baseline, content);
+}
+
+// Writes a generated file and records it as the baseline
+function writeManagedFile(projectPath, file, content, { mode } = {}) {
+  const target = path.join(projectPath, file);
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  fs.writeFileSync(target, content);
+  if (mode) {
+    fs.chmodSync(target, mode);
+  }
+  writeBaseline(projectPath, file, content);
+}
+
+function loadManifest(projectPath) {
+  const manifestPath = path.join(projectPath, MANIFEST_FILE);
+  if (!fs.existsSync(manifestPath)) {
+    return null;
+  }
+  try {
+    return JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid ${MANIFEST_FILE}: ${error.message}`);
+  }
+}
+
+// generator: the options the files were generated with, e.g.
+// { command: 'migrate', analyze: true, monorepo: 'matrix', fullTranslation: false }
+function saveManifest(projectPath, generator) {
+  const manifestPath = path.join(projectPath, MANIFEST_FILE);
+  fs.mkdirSync(path.dirname(manifestPath), { recursive: true });
+  const manifest = {
+    cliVersion: require('../../package.json').version,
+    generator
+  };
+  fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2) + '\n');
+}
+
+module.exports = {
+  MANAGED_DIR,
+  BASELINE_DIR,
+  readBaseline,
+  writeBaseline,
+  writeManagedFile,
+  loadManifest,
+  saveManifest
+};
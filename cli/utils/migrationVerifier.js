@@ -0,0 +1,458 @@
+// Compares a Buildkite pipeline analysis with the GitHub Actions workflow that
+// replaced it and reports, check by check, whether the workflow still does
+// everything the pipeline did.
+//
+// Each check is { category, subject, status: 'pass' | 'warn' | 'fail', detail }.
+// The reusable node-service-pipeline is taken into account: commands, secrets
+// and environments it handles count as covered when the inputs passed to it
+// enable them.
+
+const { matchesFilter } = require('./workflowParser');
+const { PIPELINE_COMMAND, cleanLabel } = require('./stepTranslator');
+const { buildArgs: parseBuildArgs } = require('./buildkiteEnv');
+
+const SERVICE_PIPELINE = 'node-service-pipeline.yml';
+
+// Refs that determine-env.yml maps onto each environment in tags mode
+const SAMPLE_TAGS = {
+  development: ['dev-20250101-1200-1', 'v1.0.0-dev'],
+  beta: ['v1.0.0-beta'],
+  production: ['v1.0.0']
+};
+
+const CATEGORIES = ['inputs', 'step', 'command', 'gate', 'secret', 'build-arg', 'environment'];
+
+function verifyMigration(buildkiteAnalysis, workflow) {
+  const pipeline = buildkiteAnalysis?.pipeline || {};
+  const context = workflowContext(workflow);
+  const checks = [];
+
+  const add = (category, subject, status, detail) => {
+    checks.push({ category, subject, status, detail });
+  };
+
+  verifyPipelineInputs(context, add);
+
+  for (const step of pipeline.steps || []) {
+    verifyStep(step, pipeline.steps, context, add);
+  }
+
+  for (const name of pipeline.secrets || []) {
+    verifySecret(name, context, add);
+  }
+
+  for (const arg of pipeline.dockerBuildArgs || []) {
+    verifyBuildArg(arg, context, add);
+  }
+
+  for (const environment of pipeline.environments || []) {
+    verifyEnvironment(environment, context, add);
+  }
+
+  checks.sort((a, b) => CATEGORIES.indexOf(a.category) - CATEGORIES.indexOf(b.category));
+
+  const summary = {
+    pass: checks.filter(check => check.status === 'pass').length,
+    warn: checks.filter(check => check.status === 'warn').length,
+    fail: checks.filter(check => check.status === 'fail').length
+  };
+
+  return {
+    workflow: workflow.path,
+    checks,
+    summary,
+    ok: summary.fail === 0
+  };
+}
+
+// Collects the facts about the workflow the individual checks need
+function workflowContext(workflow) {
+  const pipelineJobs = workflow.jobs.filter(job => job.reusable?.file === SERVICE_PIPELINE);
+  const runs = workflow.jobs.flatMap(job => job.runs);
+
+  const envKeys = new Set(Object.keys(workflow.env));
+  for (const job of workflow.jobs) {
+    Object.keys(job.env).forEach(key => envKeys.add(key));
+    for (const step of job.steps) {
+      Object.keys(step?.env || {}).forEach(key => envKeys.add(key));
+    }
+  }
+
+  // Build args passed to the pipeline input, `docker build` and build actions
+  const buildArgs = new Map();
+  for (const job of pipelineJobs) {
+    const declared = 'docker-build-args' in job.reusable.inputs;
+    for (const arg of parseArgLines(job.with['docker-build-args'])) {
+      buildArgs.set(arg.key, { ...arg, source: declared ? 'pipeline' : 'undeclared-input', input: 'docker-build-args' });
+    }
+    // Secret build args by name, read from the secrets the job inherits
+    const secretsDeclared = 'docker-build-secrets' in job.reusable.inputs;
+    for (const arg of parseArgLines(job.with['docker-build-secrets'])) {
+      buildArgs.set(arg.key, {
+        key: arg.key,
+        value: null,
+        source: secretsDeclared ? 'pipeline-secret' : 'undeclared-input',
+        input: 'docker-build-secrets',
+        inherited: job.secrets === 'inherit'
+      });
+    }
+  }
+  for (const script of runs) {
+    for (const { name, value } of parseBuildArgs(script)) {
+      buildArgs.set(name, { key: name, value, source: 'run' });
+    }
+  }
+  for (const job of workflow.jobs) {
+    for (const step of job.steps) {
+      for (const arg of parseArgLines(step?.with?.['build-args'])) {
+        buildArgs.set(arg.key, { ...arg, source: 'action' });
+      }
+    }
+  }
+
+  return {
+    workflow,
+    pipelineJobs,
+    runs: runs.map(normalizeScript),
+    envKeys,
+    buildArgs,
+    secretMappings: secretMappings(workflow),
+    environments: reachableEnvironments(workflow, pipelineJobs)
+  };
+}
+
+// Where the workflow reads each secret: env entries, reusable workflow
+// secrets, action inputs (build-args included) and run scripts. A name
+// merely appearing in the file, say in a literal ${getEnv "NAME"}, is not
+// a mapping.
+function secretMappings(workflow) {
+  const mappings = new Map();
+  const record = (value, where) => {
+    for (const match of JSON.stringify(value ?? null).matchAll(/\$\{\{\s*secrets\.([A-Za-z0-9_]+)\s*\}\}/g)) {
+      if (!mappings.has(match[1])) mappings.set(match[1], where);
+    }
+  };
+  const envMappings = (env, scope) => {
+    for (const [key, value] of Object.entries(env || {})) {
+      record(value, `Mapped to env ${key}${scope}`);
+    }
+  };
+
+  envMappings(workflow.env, '');
+  for (const job of workflow.jobs) {
+    envMappings(job.env, ` in job "${job.id}"`);
+    if (job.reusable && job.secrets && job.secrets !== 'inherit') {
+      for (const [key, value] of Object.entries(job.secrets)) {
+        record(value, `Passed to ${job.reusable.file} as ${key}`);
+      }
+    }
+    for (const step of job.steps) {
+      envMappings(step?.env, ` in job "${job.id}"`);
+      for (const [input, value] of Object.entries(step?.with || {})) {
+        if (input === 'command') continue;
+        record(value, input === 'build-args' ? 'Passed as a Docker build arg' : `Passed to ${step.uses} as ${input}`);
+      }
+    }
+    for (const script of job.runs) {
+      record(script, `Interpolated into a run script of job "${job.id}"`);
+    }
+  }
+  return mappings;
+}
+
+// The reusable workflow rejects any input it does not declare, and fails
+// when a required one is missing
+function verifyPipelineInputs(context, add) {
+  for (const job of context.workflow.jobs) {
+    if (!job.reusable) continue;
+
+    const subject = `${job.id} → ${job.reusable.file}`;
+    if (!job.reusable.exists) {
+      add('inputs', subject, 'fail', `Reusable workflow ${job.reusable.file} does not exist`);
+      continue;
+    }
+
+    const problems = [];
+    for (const input of Object.keys(job.with)) {
+      if (!(input in job.reusable.inputs)) {
+        problems.push(`input "${input}" is not declared`);
+      }
+    }
+    for (const [input, spec] of Object.entries(job.reusable.inputs)) {
+      if (spec?.required && !(input in job.with)) {
+        problems.push(`required input "${input}" is missing`);
+      }
+    }
+    if (job.secrets !== 'inherit') {
+      for (const [secret, spec] of Object.entries(job.reusable.secrets)) {
+        if (spec?.required && !(job.secrets && secret in job.secrets)) {
+          problems.push(`required secret "${secret}" is not passed`);
+        }
+      }
+    }
+
+    if (problems.length > 0) {
+      add('inputs', subject, 'fail', problems.join('; '));
+    } else {
+      add('inputs', subject, 'pass', `${Object.keys(job.with).length} inputs match the declared schema`);
+    }
+  }
+}
+
+function verifyStep(step, steps, context, add) {
+  const subject = cleanLabel(step.label) || step.key || step.type;
+
+  switch (step.type) {
+    case 'wait':
+      return;
+
+    case 'test':
+    case 'command':
+      if (!step.commands?.length) {
+        add('step', subject, 'warn', 'Step has no commands to compare');
+        return;
+      }
+      for (const command of step.commands) {
+        const result = commandCoverage(command, context);
+        add('command', `${subject}: ${command}`, result.status, result.detail);
+      }
+      return;
+
+    case 'docker-build':
+      if (context.pipelineJobs.length > 0) {
+        add('step', subject, 'pass', `Image is built by ${SERVICE_PIPELINE}`);
+      } else if (context.runs.some(script => /\bdocker(\s+compose|-compose)?\s+build\b/.test(script)) || hasActionStep(context, 'docker/build-push-action')) {
+        add('step', subject, 'pass', 'Image is built by a workflow job');
+      } else {
+        add('step', subject, 'fail', 'No job builds the Docker image');
+      }
+      return;
+
+    case 'deploy':
+      if (context.environments.has(step.environment)) {
+        add('step', subject, 'pass', `Deploys to ${step.environment}`);
+      } else {
+        add('step', subject, 'fail', `Nothing deploys to ${step.environment}`);
+      }
+      return;
+
+    case 'block':
+      verifyGate(step, steps, context, add);
+      return;
+
+    default: {
+      // trigger, input and custom steps only carry over as a job of their own
+      const job = findJobForStep(step, context);
+      if (job) {
+        add('step', subject, 'pass', `Handled by job "${job.id}"`);
+      } else {
+        add('step', subject, 'fail', `No job replaces this ${step.type} step`);
+      }
+    }
+  }
+}
+
+function commandCoverage(command, context) {
+  const normalized = normalizeScript(command);
+  if (context.runs.some(script => script.includes(normalized))) {
+    return { status: 'pass', detail: 'Run by a workflow job' };
+  }
+
+  // The translator turns artifact transfers into the artifact actions
+  const artifact = command.match(/^buildkite-agent\s+artifact\s+(upload|download)\b/);
+  if (artifact) {
+    return hasActionStep(context, `actions/${artifact[1]}-artifact`)
+      ? { status: 'pass', detail: `Replaced by actions/${artifact[1]}-artifact` }
+      : { status: 'fail', detail: `No job uses actions/${artifact[1]}-artifact` };
+  }
+  if (/^buildkite-agent\b/.test(command)) {
+    return { status: 'warn', detail: 'buildkite-agent has no GitHub Actions equivalent; check this is not needed' };
+  }
+
+  if (context.pipelineJobs.length > 0 && PIPELINE_COMMAND.test(command)) {
+    const inputs = context.pipelineJobs[0].with;
+    if (/\blint\b/.test(command)) {
+      return inputs['run-lint'] === false
+        ? { status: 'fail', detail: `${SERVICE_PIPELINE} is called with run-lint: false` }
+        : { status: 'pass', detail: `Linting runs in ${SERVICE_PIPELINE}` };
+    }
+    if (/\b(typecheck|type-check|typescript-check)\b/.test(command)) {
+      return inputs['run-typecheck'] === false
+        ? { status: 'fail', detail: `${SERVICE_PIPELINE} is called with run-typecheck: false` }
+        : { status: 'pass', detail: `Type checking runs in ${SERVICE_PIPELINE}` };
+    }
+    return { status: 'pass', detail: `Runs in ${SERVICE_PIPELINE}` };
+  }
+
+  return { status: 'fail', detail: 'No workflow job runs this command' };
+}
+
+// A block step is reproduced by an approval job bound to a protected
+// environment. When the gate only guards deployments the reusable pipeline
+// performs, the protection has to live on the deployment environment itself.
+function verifyGate(step, steps, context, add) {
+  const subject = cleanLabel(step.label) || step.key || 'Manual approval';
+  const job = findJobForStep(step, context);
+
+  if (job?.environment) {
+    add('gate', subject, 'pass', `Job "${job.id}" waits on environment "${job.environment}"`);
+    return;
+  }
+  if (job) {
+    add('gate', subject, 'fail', `Job "${job.id}" has no environment, so nothing pauses for approval`);
+    return;
+  }
+
+  const gated = steps.slice(steps.indexOf(step) + 1).filter(next => next.type === 'deploy');
+  if (gated.length > 0 && context.pipelineJobs.length > 0) {
+    const environments = [...new Set(gated.map(next => next.environment))].join(', ');
+    add('gate', subject, 'warn', `Make sure the ${environments} environment requires reviewers in the repository settings`);
+    return;
+  }
+
+  add('gate', subject, 'fail', 'No job reproduces this manual approval');
+}
+
+function verifySecret(name, context, add) {
+  const { pipelineJobs } = context;
+
+  if (context.secretMappings.has(name)) {
+    add('secret', name, 'pass', context.secretMappings.get(name));
+    return;
+  }
+
+  const consumer = pipelineJobs.find(job =>
+    name in job.reusable.secrets && (job.secrets === 'inherit' || (job.secrets && name in job.secrets))
+  );
+  if (consumer) {
+    add('secret', name, 'pass', `Passed to ${SERVICE_PIPELINE}`);
+    return;
+  }
+
+  const buildArg = context.buildArgs.get(name);
+  if (buildArg?.source === 'pipeline-secret') {
+    if (buildArg.inherited) {
+      add('secret', name, 'pass', 'Passed through docker-build-secrets');
+    } else {
+      add('secret', name, 'fail', 'Named in docker-build-secrets, but the job does not pass secrets: inherit');
+    }
+    return;
+  }
+  if (buildArg?.value && /getEnv/.test(buildArg.value)) {
+    add('secret', name, 'fail', `Docker build arg ${name} is the literal ${buildArg.value}; read it from secrets.${name}`);
+    return;
+  }
+  if (buildArg || context.envKeys.has(name)) {
+    add('secret', name, 'fail', `${buildArg ? 'Docker build arg' : 'Environment variable'} ${name} is not set from a secret`);
+    return;
+  }
+
+  add('secret', name, 'fail', 'Not referenced by the workflow or accepted by the reusable pipeline');
+}
+
+function verifyBuildArg(arg, context, add) {
+  const [key, ...rest] = arg.split('=');
+  const value = rest.length > 0 ? rest.join('=') : null;
+  const found = context.buildArgs.get(key);
+
+  if (!found) {
+    add('build-arg', key, 'fail', 'Not passed to the Docker build');
+    return;
+  }
+  if (found.source === 'undeclared-input') {
+    add('build-arg', key, 'fail', `Passed through ${found.input}, which ${SERVICE_PIPELINE} does not declare`);
+    return;
+  }
+
+  // Literal values have to match; interpolated ones come from secrets
+  const literal = value !== null && !value.includes('$');
+  if (literal && found.value !== null && found.value !== value) {
+    add('build-arg', key, 'fail', `Value differs: Buildkite "${value}", workflow "${found.value}"`);
+    return;
+  }
+
+  add('build-arg', key, 'pass', found.input ? `Passed through ${found.input}` : 'Passed to the Docker build');
+}
+
+function verifyEnvironment(environment, context, add) {
+  const source = context.environments.get(environment);
+  if (source) {
+    add('environment', environment, 'pass', source);
+  } else if (environment === 'staging' && context.pipelineJobs.length > 0) {
+    add('environment', environment, 'fail', `${SERVICE_PIPELINE} has no staging environment and no job deploys to it`);
+  } else {
+    add('environment', environment, 'fail', 'No trigger or job deploys to this environment');
+  }
+}
+
+// Maps each environment the workflow can deploy to onto a short explanation
+function reachableEnvironments(workflow, pipelineJobs) {
+  const environments = new Map();
+
+  for (const job of workflow.jobs) {
+    if (job.environment && !/-approval$/.test(job.environment)) {
+      environments.set(job.environment, `Job "${job.id}" deploys to it`);
+    }
+  }
+
+  const { tags, branches } = workflow.triggers;
+  for (const job of pipelineJobs) {
+    if (job.with['deployment-mode'] === 'branches') {
+      const byBranch = {
+        development: job.with['development-branch'] || 'dev',
+        beta: 'beta',
+        production: job.with['production-branch'] || 'main'
+      };
+      for (const [environment, branch] of Object.entries(byBranch)) {
+        const pattern = branches.find(filter => matchesFilter(filter, branch));
+        if (pattern && !environments.has(environment)) {
+          environments.set(environment, `Pushes to ${branch} deploy through ${SERVICE_PIPELINE}`);
+        }
+      }
+      continue;
+    }
+
+    for (const [environment, samples] of Object.entries(SAMPLE_TAGS)) {
+      const pattern = tags.find(filter => samples.some(tag => matchesFilter(filter, tag)));
+      if (pattern && !environments.has(environment)) {
+        environments.set(environment, `Tags matching ${pattern} deploy through ${SERVICE_PIPELINE}`);
+      }
+    }
+  }
+
+  return environments;
+}
+
+function findJobForStep(step, context) {
+  const names = [cleanLabel(step.label), step.key].filter(Boolean).map(name => name.toLowerCase());
+  return context.workflow.jobs.find(job =>
+    names.includes(String(job.name).toLowerCase()) || names.includes(job.id.toLowerCase())
+  );
+}
+
+function hasActionStep(context, action) {
+  return context.workflow.jobs.some(job =>
+    job.steps.some(step => typeof step?.uses === 'string' && step.uses.startsWith(action))
+  );
+}
+
+// `KEY=value` per line, as used by docker-build-args and build-push-action
+function parseArgLines(value) {
+  if (typeof value !== 'string') return [];
+  return value
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => /^[A-Za-z_][A-Za-z0-9_]*(=|$)/.test(line))
+    .map(line => {
+      const [key, ...rest] = line.split('=');
+      return { key, value: rest.length > 0 ? rest.join('=') : null };
+    });
+}
+
+function normalizeScript(script) {
+  return script.replace(/\\\n/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+module.exports = {
+  verifyMigration
+};
@@ -0,0 +1,1382 @@
+// Parser and partial evaluator for the subset of the Nix language used by
+// Karma's .buildkite/pipeline.nix files.
+//
+// The evaluator is deliberately forgiving: anything it cannot resolve (the
+// pipeline's function arguments, imports, unknown helpers) becomes a symbolic
+// value instead of an error, so the analyzer can still walk the step tree.
+
+class NixSyntaxError extends Error {
+  constructor(message, line, column) {
+    super(`${message} (line ${line}, column ${column})`);
+    this.name = 'NixSyntaxError';
+    this.line = line;
+    this.column = column;
+  }
+}
+
+const KEYWORDS = new Set(['let', 'in', 'rec', 'with', 'inherit', 'if', 'then', 'else', 'assert']);
+
+// Longest operators first so that e.g. "//" wins over "/"
+const OPERATORS = ['...', '==', '!=', '<=', '>=', '&&', '||', '->', '//', '++',
+  '{', '}', '[', ']', '(', ')', ';', ':', ',', '.', '@', '=', '?', '+', '-', '*', '/', '<', '>', '!'];
+
+const ID_START = /[A-Za-z_]/;
+const ID_CHAR = /[A-Za-z0-9_'-]/;
+const PATH_PATTERN = /^(?:\.{1,2}|~)(?:\/[A-Za-z0-9._+-]+)+\/?/;
+const SEARCH_PATH_PATTERN = /^<[A-Za-z0-9._+-]+(?:\/[A-Za-z0-9._+-]+)*>/;
+const NUMBER_PATTERN = /^(?:\d+\.\d*|\.\d+|\d+)(?:[eE][+-]?\d+)?/;
+
+// ---------------------------------------------------------------------------
+// Tokenizer
+// ---------------------------------------------------------------------------
+
+class Lexer {
+  constructor(source) {
+    this.source = source;
+    this.pos = 0;
+    this.line = 1;
+    this.column = 1;
+  }
+
+  error(message) {
+    return new NixSyntaxError(message, this.line, this.column);
+  }
+
+  peekChar(offset = 0) {
+    return this.source[this.pos + offset];
+  }
+
+  advance(count = 1) {
+    for (let i = 0; i < count; i++) {
+      if (this.source[this.pos] === '\n') {
+        this.line++;
+        this.column = 1;
+      } else {
+        this.column++;
+      }
+      this.pos++;
+    }
+  }
+
+  skipTrivia() {
+    while (this.pos < this.source.length) {
+      const ch = this.peekChar();
+      if (ch === ' ' || ch === '\t' || ch === '\r' || ch === '\n') {
+        this.advance();
+      } else if (ch === '#') {
+        while (this.pos < this.source.length && this.peekChar() !== '\n') {
+          this.advance();
+        }
+      } else if (ch === '/' && this.peekChar(1) === '*') {
+        const end = this.source.indexOf('*/', this.pos + 2);
+        if (end === -1) {
+          throw this.error('Unterminated block comment');
+        }
+        this.advance(end + 2 - this.pos);
+      } else {
+        break;
+      }
+    }
+  }
+
+  // Tokenize until end of input, or until the "}" closing an interpolation
+  // when insideInterpolation is set.
+  tokenize(insideInterpolation = false) {
+    const tokens = [];
+    let depth = 0;
+
+    for (;;) {
+      this.skipTrivia();
+      if (this.pos >= this.source.length) {
+        if (insideInterpolation) {
+          throw this.error('Unterminated string interpolation');
+        }
+        tokens.push(this.token('EOF', null));
+        return tokens;
+      }
+
+      const ch = this.peekChar();
+      if (insideInterpolation && ch === '}' && depth === 0) {
+        this.advance();
+        tokens.push(this.token('EOF', null));
+        return tokens;
+      }
+
+      const token = this.nextToken();
+      if (token.type === 'OP' && token.value === '{') depth++;
+      if (token.type === 'OP' && token.value === '}') depth--;
+      if (token.type === 'INTERP_OPEN') depth++;
+      tokens.push(token);
+    }
+  }
+
+  token(type, value, line = this.line, column = this.column) {
+    return { type, value, line, column };
+  }
+
+  nextToken() {
+    const line = this.line;
+    const column = this.column;
+    const rest = this.source.slice(this.pos, this.pos + 256);
+    const ch = rest[0];
+
+    if (ch === '"') {
+      this.advance();
+      return { type: 'STRING', value: this.readString(), line, column };
+    }
+
+    if (ch === '\'' && rest[1] === '\'') {
+      this.advance(2);
+      return { type: 'STRING', value: stripIndentation(this.readIndentedString()), line, column };
+    }
+
+    // "${" outside of a string is a dynamic attribute name
+    if (ch === '$' && rest[1] === '{') {
+      this.advance(2);
+      return { type: 'INTERP_OPEN', value: '${', line, column };
+    }
+
+    const pathMatch = rest.match(PATH_PATTERN);
+    if (pathMatch) {
+      this.advance(pathMatch[0].length);
+      return { type: 'PATH', value: pathMatch[0], line, column };
+    }
+
+    const searchPathMatch = rest.match(SEARCH_PATH_PATTERN);
+    if (searchPathMatch) {
+      this.advance(searchPathMatch[0].length);
+      return { type: 'PATH', value: searchPathMatch[0], line, column };
+    }
+
+    if (/[0-9]/.test(ch)) {
+      const numberMatch = rest.match(NUMBER_PATTERN);
+      this.advance(numberMatch[0].length);
+      return { type: 'NUMBER', value: Number(numberMatch[0]), line, column };
+    }
+
+    if (ID_START.test(ch)) {
+      let length = 1;
+      while (length < rest.length && ID_CHAR.test(rest[length])) {
+        length++;
+      }
+      const word = rest.slice(0, length);
+      this.advance(length);
+      return { type: KEYWORDS.has(word) ? 'KEYWORD' : 'ID', value: word, line, column };
+    }
+
+    const op = OPERATORS.find(candidate => rest.startsWith(candidate));
+    if (op) {
+      this.advance(op.length);
+      return { type: 'OP', value: op, line, column };
+    }
+
+    throw this.error(`Unexpected character '${ch}'`);
+  }
+
+  // Reads a "..." string after the opening quote. Returns a list of parts,
+  // each either a literal string or { tokens } for an interpolation.
+  readString() {
+    const parts = [];
+    let text = '';
+
+    for (;;) {
+      if (this.pos >= this.source.length) {
+        throw this.error('Unterminated string');
+      }
+      const ch = this.peekChar();
+
+      if (ch === '"') {
+        this.advance();
+        break;
+      }
+
+      if (ch === '\\') {
+        const next = this.peekChar(1);
+        const escapes = { n: '\n', t: '\t', r: '\r' };
+        text += escapes[next] !== undefined ? escapes[next] : next;
+        this.advance(2);
+        continue;
+      }
+
+      if (ch === '$' && this.peekChar(1) === '{') {
+        this.advance(2);
+        if (text) parts.push(text);
+        text = '';
+        parts.push({ tokens: this.tokenize(true) });
+        continue;
+      }
+
+      text += ch;
+      this.advance();
+    }
+
+    if (text || parts.length === 0) parts.push(text);
+    return parts;
+  }
+
+  // Reads a ''...'' string after the opening quotes. Indentation is stripped
+  // afterwards by stripIndentation().
+  readIndentedString() {
+    const parts = [];
+    let text = '';
+
+    for (;;) {
+      if (this.pos >= this.source.length) {
+        throw this.error('Unterminated indented string');
+      }
+      const ch = this.peekChar();
+
+      if (ch === '\'' && this.peekChar(1) === '\'') {
+        const next = this.peekChar(2);
+        if (next === '\'') {
+          // ''' escapes ''
+          text += '\'\'';
+          this.advance(3);
+          continue;
+        }
+        if (next === '$') {
+          text += '$';
+          this.advance(3);
+          continue;
+        }
+        if (next === '\\') {
+          const escaped = this.peekChar(3);
+          const escapes = { n: '\n', t: '\t', r: '\r' };
+          text += escapes[escaped] !== undefined ? escapes[escaped] : escaped;
+          this.advance(4);
+          continue;
+        }
+        this.advance(2);
+        break;
+      }
+
+      if (ch === '$' && this.peekChar(1) === '{') {
+        this.advance(2);
+        if (text) parts.push(text);
+        text = '';
+        parts.push({ tokens: this.tokenize(true) });
+        continue;
+      }
+
+      text += ch;
+      this.advance();
+    }
+
+    if (text || parts.length === 0) parts.push(text);
+    return parts;
+  }
+}
+
+// Removes the common leading indentation of an indented string, the way Nix
+// does: whitespace-only lines are ignored when computing the indentation, and
+// a whitespace-only first line is dropped. Interpolations count as content.
+function stripIndentation(parts) {
+  const PLACEHOLDER = '\u0000';
+  const interpolations = [];
+  const joined = parts.map(part => {
+    if (typeof part === 'string') return part;
+    interpolations.push(part);
+    return PLACEHOLDER;
+  }).join('');
+
+  let lines = joined.split('\n');
+  if (lines.length > 1 && lines[0].trim() === '') {
+    lines = lines.slice(1);
+  }
+
+  const indents = lines
+    .filter(line => line.trim() !== '')
+    .map(line => line.match(/^ */)[0].length);
+  const minIndent = indents.length > 0 ? Math.min(...indents) : 0;
+
+  const stripped = lines
+    .map(line => (line.trim() === '' ? line.replace(/^ +/, '') : line.slice(minIndent)))
+    .join('\n')
+    // The last line is only indentation before the closing ''
+    .replace(/\n[ \t]*$/, '\n');
+
+  const result = [];
+  let index = 0;
+  for (const segment of stripped.split(PLACEHOLDER)) {
+    if (segment) result.push(segment);
+    if (index < interpolations.length) {
+      result.push(interpolations[index]);
+    }
+    index++;
+  }
+  if (result.length === 0) result.push('');
+  return result;
+}
+
+function tokenize(source) {
+  return new Lexer(source).tokenize();
+}
+
+// ---------------------------------------------------------------------------
+// Parser
+// ---------------------------------------------------------------------------
+
+// Binary operators by precedence, lowest first. "right" marks right
+// associative operators; "none" marks non-associative ones.
+const BINARY_LEVELS = [
+  { ops: ['->'], assoc: 'right' },
+  { ops: ['||'], assoc: 'left' },
+  { ops: ['&&'], assoc: 'left' },
+  { ops: ['==', '!='], assoc: 'none' },
+  { ops: ['<', '<=', '>', '>='], assoc: 'none' },
+  { ops: ['//'], assoc: 'right' },
+  { ops: ['!'], unary: true },
+  { ops: ['+', '-'], assoc: 'left' },
+  { ops: ['*', '/'], assoc: 'left' },
+  { ops: ['++'], assoc: 'right' },
+  { ops: ['?'], hasAttr: true },
+  { ops: ['-'], unary: true }
+];
+
+class Parser {
+  constructor(tokens) {
+    this.tokens = tokens;
+    this.index = 0;
+  }
+
+  peek(offset = 0) {
+    return this.tokens[Math.min(this.index + offset, this.tokens.length - 1)];
+  }
+
+  next() {
+    const token = this.peek();
+    if (this.index < this.tokens.length - 1) this.index++;
+    return token;
+  }
+
+  isOp(value, offset = 0) {
+    const token = this.peek(offset);
+    return token.type === 'OP' && token.value === value;
+  }
+
+  isKeyword(value, offset = 0) {
+    const token = this.peek(offset);
+    return token.type === 'KEYWORD' && token.value === value;
+  }
+
+  error(message, token = this.peek()) {
+    return new NixSyntaxError(message, token.line, token.column);
+  }
+
+  expectOp(value) {
+    if (!this.isOp(value)) {
+      throw this.error(`Expected '${value}' but found ${describeToken(this.peek())}`);
+    }
+    return this.next();
+  }
+
+  expectKeyword(value) {
+    if (!this.isKeyword(value)) {
+      throw this.error(`Expected '${value}' but found ${describeToken(this.peek())}`);
+    }
+    return this.next();
+  }
+
+  parseProgram() {
+    const expr = this.parseExpr();
+    if (this.peek().type !== 'EOF') {
+      throw this.error(`Unexpected ${describeToken(this.peek())}`);
+    }
+    return expr;
+  }
+
+  parseExpr() {
+    const token = this.peek();
+
+    if (this.isLambdaStart()) {
+      return this.parseLambda();
+    }
+
+    if (this.isKeyword('let') && !this.isOp('{', 1)) {
+      this.next();
+      const bindings = this.parseBindings(() => this.isKeyword('in'));
+      this.expectKeyword('in');
+      return { type: 'let', bindings, body: this.parseExpr(), line: token.line };
+    }
+
+    if (this.isKeyword('with')) {
+      this.next();
+      const scope = this.parseExpr();
+      this.expectOp(';');
+      return { type: 'with', scope, body: this.parseExpr(), line: token.line };
+    }
+
+    if (this.isKeyword('assert')) {
+      this.next();
+      const condition = this.parseExpr();
+      this.expectOp(';');
+      return { type: 'assert', condition, body: this.parseExpr(), line: token.line };
+    }
+
+    if (this.isKeyword('if')) {
+      this.next();
+      const condition = this.parseExpr();
+      this.expectKeyword('then');
+      const consequent = this.parseExpr();
+      this.expectKeyword('else');
+      const alternate = this.parseExpr();
+      return { type: 'if', condition, consequent, alternate, line: token.line };
+    }
+
+    return this.parseBinary(0);
+  }
+
+  // Distinguishes "x: ...", "{ a, b ? 1, ... }: ..." and "args@{ ... }: ..."
+  // from ordinary expressions and attribute sets.
+  isLambdaStart() {
+    const token = this.peek();
+
+    if (token.type === 'ID') {
+      return this.isOp(':', 1) || (this.isOp('@', 1) && this.isOp('{', 2));
+    }
+
+    if (!this.isOp('{')) {
+      return false;
+    }
+
+    const first = this.peek(1);
+    if (first.type === 'OP' && first.value === '...') {
+      return true;
+    }
+    if (first.type === 'OP' && first.value === '}') {
+      return this.isOp(':', 2) || this.isOp('@', 2);
+    }
+    if (first.type === 'ID') {
+      const second = this.peek(2);
+      if (second.type === 'OP' && (second.value === ',' || second.value === '?')) {
+        return true;
+      }
+      if (second.type === 'OP' && second.value === '}') {
+        return this.isOp(':', 3) || this.isOp('@', 3);
+      }
+    }
+    return false;
+  }
+
+  parseLambda() {
+    const token = this.peek();
+
+    if (token.type === 'ID' && this.isOp(':', 1)) {
+      this.next();
+      this.next();
+      return { type: 'lambda', param: token.value, formals: null, body: this.parseExpr(), line: token.line };
+    }
+
+    let param = null;
+    if (token.type === 'ID') {
+      param = this.next().value;
+      this.expectOp('@');
+    }
+
+    const formals = this.parseFormals();
+
+    if (this.isOp('@')) {
+      this.next();
+      const name = this.next();
+      if (name.type !== 'ID') {
+        throw this.error('Expected identifier after "@"', name);
+      }
+      param = name.value;
+    }
+
+    this.expectOp(':');
+    return { type: 'lambda', param, formals, body: this.parseExpr(), line: token.line };
+  }
+
+  parseFormals() {
+    this.expectOp('{');
+    const formals = { names: [], defaults: {}, ellipsis: false };
+
+    while (!this.isOp('}')) {
+      if (this.isOp('...')) {
+        this.next();
+        formals.ellipsis = true;
+      } else {
+        const name = this.next();
+        if (name.type !== 'ID') {
+          throw this.error(`Expected formal argument name but found ${describeToken(name)}`, name);
+        }
+        formals.names.push(name.value);
+        if (this.isOp('?')) {
+          this.next();
+          formals.defaults[name.value] = this.parseExpr();
+        }
+      }
+
+      if (!this.isOp('}')) {
+        this.expectOp(',');
+      }
+    }
+
+    this.expectOp('}');
+    return formals;
+  }
+
+  // Parses "name = value;" and "inherit ...;" entries until isEnd() holds.
+  parseBindings(isEnd) {
+    const bindings = [];
+
+    while (!isEnd()) {
+      const token = this.peek();
+      if (token.type === 'EOF') {
+        throw this.error('Unexpected end of input in attribute set');
+      }
+
+      if (this.isKeyword('inherit')) {
+        this.next();
+        let from = null;
+        if (this.isOp('(')) {
+          this.next();
+          from = this.parseExpr();
+          this.expectOp(')');
+        }
+        const names = [];
+        while (!this.isOp(';')) {
+          const name = this.next();
+          if (name.type === 'ID') {
+            names.push(name.value);
+          } else if (name.type === 'STRING' && name.value.every(part => typeof part === 'string')) {
+            names.push(name.value.join(''));
+          } else {
+            throw this.error(`Unexpected ${describeToken(name)} in inherit`, name);
+          }
+        }
+        this.expectOp(';');
+        bindings.push({ type: 'inherit', from, names, line: token.line });
+        continue;
+      }
+
+      const path = this.parseAttrPath();
+      this.expectOp('=');
+      const value = this.parseExpr();
+      this.expectOp(';');
+      bindings.push({ type: 'binding', path, value, line: token.line });
+    }
+
+    return bindings;
+  }
+
+  // An attribute path is a dot-separated list of identifiers, strings or
+  // ${...} interpolations. Static names are returned as strings.
+  parseAttrPath() {
+    const path = [this.parseAttrName()];
+    while (this.isOp('.')) {
+      this.next();
+      path.push(this.parseAttrName());
+    }
+    return path;
+  }
+
+  parseAttrName() {
+    const token = this.next();
+
+    if (token.type === 'ID' || token.type === 'KEYWORD') {
+      return token.value;
+    }
+
+    if (token.type === 'STRING') {
+      if (token.value.every(part => typeof part === 'string')) {
+        return token.value.join('');
+      }
+      return this.stringNode(token);
+    }
+
+    if (token.type === 'INTERP_OPEN') {
+      const expr = this.parseExpr();
+      this.expectOp('}');
+      return expr;
+    }
+
+    throw this.error(`Expected attribute name but found ${describeToken(token)}`, token);
+  }
+
+  parseBinary(level) {
+    if (level >= BINARY_LEVELS.length) {
+      return this.parseApplication();
+    }
+
+    const { ops, assoc, unary, hasAttr } = BINARY_LEVELS[level];
+    const token = this.peek();
+
+    if (unary) {
+      if (token.type === 'OP' && ops.includes(token.value)) {
+        this.next();
+        const operand = this.parseBinary(level);
+        return { type: 'unary', op: token.value, operand, line: token.line };
+      }
+      return this.parseBinary(level + 1);
+    }
+
+    let left = this.parseBinary(level + 1);
+
+    if (hasAttr) {
+      while (this.isOp('?')) {
+        this.next();
+        left = { type: 'hasAttr', target: left, path: this.parseAttrPath(), line: token.line };
+      }
+      return left;
+    }
+
+    while (this.peek().type === 'OP' && ops.includes(this.peek().value)) {
+      const op = this.next().value;
+      const right = assoc === 'right' ? this.parseBinary(level) : this.parseBinary(level + 1);
+      left = { type: 'binary', op, left, right, line: token.line };
+      if (assoc !== 'left') break;
+    }
+
+    return left;
+  }
+
+  parseApplication() {
+    let fn = this.parseSelect();
+    while (this.startsPrimary()) {
+      const arg = this.parseSelect();
+      fn = { type: 'apply', fn, arg, line: fn.line };
+    }
+    return fn;
+  }
+
+  startsPrimary() {
+    const token = this.peek();
+    if (token.type === 'ID' || token.type === 'NUMBER' || token.type === 'STRING' || token.type === 'PATH') {
+      return true;
+    }
+    if (token.type === 'KEYWORD') {
+      return token.value === 'rec' || (token.value === 'let' && this.isOp('{', 1));
+    }
+    return token.type === 'OP' && ['(', '[', '{'].includes(token.value);
+  }
+
+  parseSelect() {
+    let target = this.parsePrimary();
+
+    while (this.isOp('.')) {
+      const token = this.next();
+      const path = this.parseAttrPath();
+      let fallback = null;
+      if (this.peek().type === 'ID' && this.peek().value === 'or') {
+        this.next();
+        fallback = this.parseSelect();
+      }
+      target = { type: 'select', target, path, fallback, line: token.line };
+    }
+
+    return target;
+  }
+
+  parsePrimary() {
+    const token = this.next();
+
+    switch (token.type) {
+      case 'NUMBER':
+        return { type: 'literal', value: token.value, line: token.line };
+      case 'PATH':
+        return { type: 'path', value: token.value, line: token.line };
+      case 'STRING':
+        return this.stringNode(token);
+      case 'ID':
+        return { type: 'var', name: token.value, line: token.line };
+      case 'KEYWORD':
+        if (token.value === 'rec') {
+          this.expectOp('{');
+          const bindings = this.parseBindings(() => this.isOp('}'));
+          this.expectOp('}');
+          return { type: 'attrs', rec: true, bindings, line: token.line };
+        }
+        if (token.value === 'let' && this.isOp('{')) {
+          // Legacy "let { ... body = ...; }" form
+          this.next();
+          const bindings = this.parseBindings(() => this.isOp('}'));
+          this.expectOp('}');
+          return { type: 'select', target: { type: 'attrs', rec: true, bindings, line: token.line }, path: ['body'], fallback: null, line: token.line };
+        }
+        break;
+      case 'OP':
+        if (token.value === '(') {
+          const expr = this.parseExpr();
+          this.expectOp(')');
+          return expr;
+        }
+        if (token.value === '[') {
+          const items = [];
+          while (!this.isOp(']')) {
+            if (this.peek().type === 'EOF') {
+              throw this.error('Unterminated list', token);
+            }
+            items.push(this.parseSelect());
+          }
+          this.expectOp(']');
+          return { type: 'list', items, line: token.line };
+        }
+        if (token.value === '{') {
+          const bindings = this.parseBindings(() => this.isOp('}'));
+          this.expectOp('}');
+          return { type: 'attrs', rec: false, bindings, line: token.line };
+        }
+        break;
+      default:
+        break;
+    }
+
+    throw this.error(`Unexpected ${describeToken(token)}`, token);
+  }
+
+  stringNode(token) {
+    const parts = token.value.map(part => {
+      if (typeof part === 'string') return part;
+      return new Parser(part.tokens).parseProgram();
+    });
+    return { type: 'string', parts, line: token.line };
+  }
+}
+
+function describeToken(token) {
+  if (token.type === 'EOF') return 'end of input';
+  if (token.type === 'STRING') return 'string';
+  return `'${token.value}'`;
+}
+
+function parse(source) {
+  return new Parser(tokenize(source)).parseProgram();
+}
+
+// ---------------------------------------------------------------------------
+// Evaluator
+// ---------------------------------------------------------------------------
+
+// A reference to something outside the file (a function argument, an import,
+// an unknown builtin). Selecting from it or calling it stays symbolic.
+class NixSymbol {
+  constructor(name) {
+    this.name = name;
+  }
+
+  toString() {
+    return this.name;
+  }
+}
+
+// The result of calling a function the evaluator doesn't know, e.g.
+// `dockerBuild { ... }` when dockerBuild comes from an import.
+class NixCall {
+  constructor(fn, args, line) {
+    this.fn = fn;
+    this.args = args;
+    this.line = line;
+  }
+
+  toString() {
+    return `${this.fn} ${this.args.map(arg => describeValue(arg)).join(' ')}`;
+  }
+}
+
+// An expression whose value can't be known statically, e.g. a comparison
+// against a symbol. Keeps a printable rendering of the original expression.
+class NixOpaque {
+  constructor(text) {
+    this.text = text;
+  }
+
+  toString() {
+    return this.text;
+  }
+}
+
+// `if cond then a else b` where cond is not statically known.
+class NixConditional {
+  constructor(condition, consequent, alternate) {
+    this.condition = condition;
+    this.consequent = consequent;
+    this.alternate = alternate;
+  }
+}
+
+class NixLambda {
+  constructor(node, env) {
+    this.node = node;
+    this.env = env;
+  }
+}
+
+class NixBuiltin {
+  constructor(name, arity, impl, args = []) {
+    this.name = name;
+    this.arity = arity;
+    this.impl = impl;
+    this.args = args;
+  }
+}
+
+class Thunk {
+  constructor(evaluate) {
+    this.evaluate = evaluate;
+    this.state = 'pending';
+    this.value = undefined;
+  }
+
+  force() {
+    if (this.state === 'done') return this.value;
+    if (this.state === 'running') {
+      throw new Error('Infinite recursion while evaluating pipeline.nix');
+    }
+    this.state = 'running';
+    this.value = force(this.evaluate());
+    this.state = 'done';
+    this.evaluate = null;
+    return this.value;
+  }
+}
+
+function force(value) {
+  while (value instanceof Thunk) {
+    value = value.force();
+  }
+  return value;
+}
+
+function isAttrs(value) {
+  return value !== null && typeof value === 'object' && value.constructor === Object;
+}
+
+function isSymbolic(value) {
+  return value instanceof NixSymbol || value instanceof NixCall ||
+    value instanceof NixOpaque || value instanceof NixConditional;
+}
+
+// Printable rendering of a value, used for interpolating symbolic values
+// into strings and for opaque expressions.
+function describeValue(value) {
+  value = force(value);
+  if (typeof value === 'string') return JSON.stringify(value);
+  if (value === null) return 'null';
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+  if (Array.isArray(value)) return `[ ${value.map(describeValue).join(' ')} ]`;
+  if (value instanceof NixConditional) {
+    return `if ${describeValue(value.condition)} then ${describeValue(value.consequent)} else ${describeValue(value.alternate)}`;
+  }
+  if (value instanceof NixCall) return `(${value.toString()})`;
+  if (isSymbolic(value)) return value.toString();
+  if (value instanceof NixLambda || value instanceof NixBuiltin) return '<function>';
+  if (isAttrs(value)) return '{ ... }';
+  return String(value);
+}
+
+class Scope {
+  constructor(vars, parent = null, withScope = null) {
+    this.vars = vars;
+    this.parent = parent;
+    this.withScope = withScope;
+  }
+
+  lookup(name) {
+    for (let scope = this; scope; scope = scope.parent) {
+      if (scope.vars && Object.prototype.hasOwnProperty.call(scope.vars, name)) {
+        return scope.vars[name];
+      }
+    }
+    // "with" scopes are consulted only after all lexical bindings
+    for (let scope = this; scope; scope = scope.parent) {
+      if (scope.withScope) {
+        const attrs = force(scope.withScope);
+        if (isAttrs(attrs) && Object.prototype.hasOwnProperty.call(attrs, name)) {
+          return attrs[name];
+        }
+        if (attrs instanceof NixSymbol) {
+          return new NixSymbol(`${attrs.name}.${name}`);
+        }
+      }
+    }
+    return undefined;
+  }
+}
+
+const MAX_CALL_DEPTH = 200;
+
+class Evaluator {
+  constructor(options = {}) {
+    this.onCall = options.onCall || null;
+    this.depth = 0;
+    this.globals = new Scope(createBuiltins(this));
+    // Argument the top-level pipeline function is applied to
+    this.rootArg = new NixSymbol('args');
+  }
+
+  evaluate(node, scope = this.globals) {
+    switch (node.type) {
+      case 'literal':
+        return node.value;
+      case 'path':
+        return node.value;
+      case 'string':
+        return this.evalString(node, scope);
+      case 'var':
+        return this.evalVar(node, scope);
+      case 'list':
+        return node.items.map(item => new Thunk(() => this.evaluate(item, scope)));
+      case 'attrs':
+        return this.evalAttrs(node, scope);
+      case 'let': {
+        const vars = {};
+        const letScope = new Scope(vars, scope);
+        this.bindInto(vars, node.bindings, letScope, scope);
+        return this.evaluate(node.body, letScope);
+      }
+      case 'with':
+        return this.evaluate(node.body, new Scope(null, scope, new Thunk(() => this.evaluate(node.scope, scope))));
+      case 'assert':
+        return this.evaluate(node.body, scope);
+      case 'if':
+        return this.evalIf(node, scope);
+      case 'lambda':
+        return new NixLambda(node, scope);
+      case 'apply':
+        return this.evalApply(node, scope);
+      case 'select':
+        return this.evalSelect(node, scope);
+      case 'hasAttr':
+        return this.evalHasAttr(node, scope);
+      case 'unary':
+        return this.evalUnary(node, scope);
+      case 'binary':
+        return this.evalBinary(node, scope);
+      default:
+        throw new Error(`Unsupported Nix expression: ${node.type}`);
+    }
+  }
+
+  evalVar(node, scope) {
+    if (node.name === 'true') return true;
+    if (node.name === 'false') return false;
+    if (node.name === 'null') return null;
+    const value = scope.lookup(node.name);
+    return value !== undefined ? value : new NixSymbol(node.name);
+  }
+
+  evalString(node, scope) {
+    let result = '';
+    for (const part of node.parts) {
+      if (typeof part === 'string') {
+        result += part;
+        continue;
+      }
+      const value = force(this.evaluate(part, scope));
+      if (typeof value === 'string' || typeof value === 'number') {
+        result += value;
+      } else if (typeof value === 'boolean') {
+        result += value ? '1' : '';
+      } else if (value === null) {
+        // null interpolates to nothing
+      } else {
+        result += `\${${describeInterpolation(value)}}`;
+      }
+    }
+    return result;
+  }
+
+  evalAttrs(node, scope) {
+    const attrs = {};
+    if (node.rec) {
+      const recScope = new Scope(attrs, scope);
+      this.bindInto(attrs, node.bindings, recScope, scope);
+    } else {
+      this.bindInto(attrs, node.bindings, scope, scope);
+    }
+    return attrs;
+  }
+
+  // Populates target from a list of bindings. valueScope is where right-hand
+  // sides are evaluated; inheritScope is where plain "inherit x;" looks up x.
+  bindInto(target, bindings, valueScope, inheritScope) {
+    for (const binding of bindings) {
+      if (binding.type === 'inherit') {
+        for (const name of binding.names) {
+          if (binding.from) {
+            target[name] = new Thunk(() => this.selectPath(this.evaluate(binding.from, valueScope), [name], null));
+          } else {
+            target[name] = new Thunk(() => this.evalVar({ name }, inheritScope));
+          }
+        }
+        continue;
+      }
+
+      const names = binding.path.map(segment => this.attrName(segment, valueScope));
+      let container = target;
+      for (let i = 0; i < names.length - 1; i++) {
+        const existing = container[names[i]] !== undefined ? force(container[names[i]]) : undefined;
+        if (isAttrs(existing)) {
+          container = existing;
+        } else {
+          const nested = {};
+          container[names[i]] = nested;
+          container = nested;
+        }
+      }
+      container[names[names.length - 1]] = new Thunk(() => this.evaluate(binding.value, valueScope));
+    }
+  }
+
+  attrName(segment, scope) {
+    if (typeof segment === 'string') return segment;
+    const value = force(this.evaluate(segment, scope));
+    return typeof value === 'string' ? value : `\${${describeInterpolation(value)}}`;
+  }
+
+  evalIf(node, scope) {
+    const condition = force(this.evaluate(node.condition, scope));
+    if (typeof condition === 'boolean') {
+      return this.evaluate(condition ? node.consequent : node.alternate, scope);
+    }
+    return new NixConditional(
+      condition,
+      new Thunk(() => this.evaluate(node.consequent, scope)),
+      new Thunk(() => this.evaluate(node.alternate, scope))
+    );
+  }
+
+  evalApply(node, scope) {
+    const fn = force(this.evaluate(node.fn, scope));
+    const arg = new Thunk(() => this.evaluate(node.arg, scope));
+    return this.apply(fn, arg, node.line);
+  }
+
+  apply(fn, arg, line) {
+    if (fn instanceof NixLambda) {
+      this.depth++;
+      try {
+        if (this.depth > MAX_CALL_DEPTH) {
+          throw new Error('Maximum call depth exceeded while evaluating pipeline.nix');
+        }
+        return force(this.callLambda(fn, arg));
+      } finally {
+        this.depth--;
+      }
+    }
+
+    if (fn instanceof NixBuiltin) {
+      const args = [...fn.args, arg];
+      if (args.length < fn.arity) {
+        return new NixBuiltin(fn.name, fn.arity, fn.impl, args);
+      }
+      return fn.impl(...args);
+    }
+
+    if (fn instanceof NixCall) {
+      return this.recordCall(new NixCall(fn.fn, [...fn.args, arg], fn.line));
+    }
+
+    if (fn instanceof NixSymbol) {
+      const helper = this.resolveHelper(fn.name);
+      if (helper) {
+        return this.apply(helper, arg, line);
+      }
+      return this.recordCall(new NixCall(fn.name, [arg], line));
+    }
+
+    return this.recordCall(new NixCall(describeValue(fn), [arg], line));
+  }
+
+  recordCall(call) {
+    if (this.onCall) this.onCall(call);
+    return call;
+  }
+
+  // Maps symbols like "pkgs.lib.optionals" onto the helpers we implement
+  resolveHelper(name) {
+    const match = name.match(/(?:^|\.)(lib|builtins)(?:\.(?:lists|strings))?\.([A-Za-z]+)$/);
+    if (!match) return null;
+    const helpers = force(this.globals.vars[match[1]]);
+    return helpers[match[2]] || null;
+  }
+
+  callLambda(lambda, arg) {
+    const { node, env } = lambda;
+    const vars = {};
+    const scope = new Scope(vars, env);
+
+    if (node.param) {
+      vars[node.param] = arg;
+    }
+
+    if (node.formals) {
+      const forced = force(arg);
+      for (const name of node.formals.names) {
+        if (isAttrs(forced) && forced[name] !== undefined) {
+          vars[name] = forced[name];
+        } else if (this.globals.lookup(name) !== undefined) {
+          // lib/builtins passed in as arguments resolve to our own helpers,
+          // also when defaulted as in `lib ? pkgs.lib`
+          vars[name] = this.globals.lookup(name);
+        } else if (node.formals.defaults[name]) {
+          const defaultNode = node.formals.defaults[name];
+          vars[name] = new Thunk(() => this.evaluate(defaultNode, scope));
+        } else if (isSymbolic(forced) && forced !== this.rootArg) {
+          vars[name] = new NixSymbol(`${forced.toString()}.${name}`);
+        } else {
+          vars[name] = new NixSymbol(name);
+        }
+      }
+    }
+
+    return this.evaluate(node.body, scope);
+  }
+
+  evalSelect(node, scope) {
+    const target = this.evaluate(node.target, scope);
+    const path = node.path.map(segment => this.attrName(segment, scope));
+    const fallback = node.fallback ? () => this.evaluate(node.fallback, scope) : null;
+    return this.selectPath(target, path, fallback);
+  }
+
+  selectPath(target, path, fallback) {
+    let value = force(target);
+    for (let i = 0; i < path.length; i++) {
+      if (isAttrs(value)) {
+        if (value[path[i]] === undefined) {
+          if (fallback) return fallback();
+          return new NixSymbol(path.slice(0, i + 1).join('.'));
+        }
+        value = force(value[path[i]]);
+      } else if (value instanceof NixSymbol) {
+        value = new NixSymbol(`${value.name}.${path[i]}`);
+      } else if (fallback) {
+        return fallback();
+      } else {
+        return new NixOpaque(`${describeValue(value)}.${path.slice(i).join('.')}`);
+      }
+    }
+    return value;
+  }
+
+  evalHasAttr(node, scope) {
+    let value = force(this.evaluate(node.target, scope));
+    for (const segment of node.path) {
+      const name = this.attrName(segment, scope);
+      if (!isAttrs(value)) {
+        return isSymbolic(value) ? new NixOpaque(`${describeValue(value)} ? ${name}`) : false;
+      }
+      if (value[name] === undefined) return false;
+      value = force(value[name]);
+    }
+    return true;
+  }
+
+  evalUnary(node, scope) {
+    const operand = force(this.evaluate(node.operand, scope));
+    if (node.op === '!' && typeof operand === 'boolean') return !operand;
+    if (node.op === '-' && typeof operand === 'number') return -operand;
+    return new NixOpaque(`${node.op}${describeValue(operand)}`);
+  }
+
+  evalBinary(node, scope) {
+    const { op } = node;
+    const left = force(this.evaluate(node.left, scope));
+
+    // Short-circuit boolean operators like Nix does
+    if (op === '&&' && left === false) return false;
+    if (op === '||' && left === true) return true;
+    if (op === '->' && left === false) return true;
+
+    const right = force(this.evaluate(node.right, scope));
+
+    if (isSymbolic(left) || isSymbolic(right)) {
+      if (op === '&&' && right === false) return false;
+      if (op === '||' && right === true) return true;
+      if (op === '++' && Array.isArray(left) !== Array.isArray(right)) {
+        // Keep the known half of a list concatenation so its steps are visible
+        return Array.isArray(left) ? [...left, right] : [left, ...right];
+      }
+      return new NixOpaque(`${describeValue(left)} ${op} ${describeValue(right)}`);
+    }
+
+    switch (op) {
+      case '==':
+        return deepEqual(left, right);
+      case '!=':
+        return !deepEqual(left, right);
+      case '&&':
+      case '||':
+      case '->':
+        return right;
+      case '<':
+        return left < right;
+      case '<=':
+        return left <= right;
+      case '>':
+        return left > right;
+      case '>=':
+        return left >= right;
+      case '++':
+        return [...asList(left), ...asList(right)];
+      case '//':
+        return { ...(isAttrs(left) ? left : {}), ...(isAttrs(right) ? right : {}) };
+      case '+':
+        if (typeof left === 'number' && typeof right === 'number') return left + right;
+        return `${left}${right}`;
+      case '-':
+        return left - right;
+      case '*':
+        return left * right;
+      case '/':
+        return Math.trunc(left / right);
+      default:
+        return new NixOpaque(`${describeValue(left)} ${op} ${describeValue(right)}`);
+    }
+  }
+}
+
+function describeInterpolation(value) {
+  return value instanceof NixCall ? value.toString() : describeValue(value);
+}
+
+function asList(value) {
+  return Array.isArray(value) ? value : [value];
+}
+
+function deepEqual(left, right) {
+  left = force(left);
+  right = force(right);
+  if (Array.isArray(left) && Array.isArray(right)) {
+    return left.length === right.length && left.every((item, i) => deepEqual(item, right[i]));
+  }
+  if (isAttrs(left) && isAttrs(right)) {
+    const keys = Object.keys(left);
+    return keys.length === Object.keys(right).length &&
+      keys.every(key => key in right && deepEqual(left[key], right[key]));
+  }
+  return left === right;
+}
+
+// The few builtins and nixpkgs lib helpers that pipeline.nix files use to
+// assemble step lists. Everything else is left symbolic.
+function createBuiltins(evaluator) {
+  const builtin = (name, arity, impl) => new NixBuiltin(name, arity, impl);
+
+  const optionals = builtin('optionals', 2, (cond, list) => {
+    const condition = force(cond);
+    if (condition === true) return force(list);
+    if (condition === false) return [];
+    return [new NixConditional(condition, list, [])];
+  });
+
+  const optional = builtin('optional', 2, (cond, item) => {
+    const condition = force(cond);
+    if (condition === true) return [item];
+    if (condition === false) return [];
+    return [new NixConditional(condition, item, [])];
+  });
+
+  const optionalString = builtin('optionalString', 2, (cond, str) => {
+    const condition = force(cond);
+    if (condition === true) return force(str);
+    if (condition === false) return '';
+    return new NixConditional(condition, str, '');
+  });
+
+  const toString = builtin('toString', 1, value => {
+    const forced = force(value);
+    if (typeof forced === 'string') return forced;
+    if (typeof forced === 'number') return String(forced);
+    if (forced === true) return '1';
+    if (forced === false || forced === null) return '';
+    return `\${${describeInterpolation(forced)}}`;
+  });
+
+  const concatStringsSep = builtin('concatStringsSep', 2, (sep, list) => {
+    const items = force(list);
+    if (!Array.isArray(items)) return new NixOpaque(`concatStringsSep ${describeValue(sep)} ${describeValue(items)}`);
+    return items.map(item => force(toString.impl(item))).join(force(sep));
+  });
+
+  const map = builtin('map', 2, (fn, list) => {
+    const items = force(list);
+    if (!Array.isArray(items)) return new NixCall('map', [fn, list]);
+    return items.map(item => new Thunk(() => evaluator.apply(force(fn), item)));
+  });
+
+  const concatLists = builtin('concatLists', 1, lists => {
+    const items = force(lists);
+    if (!Array.isArray(items)) return new NixCall('concatLists', [lists]);
+    return items.flatMap(item => asList(force(item)));
+  });
+
+  const filter = builtin('filter', 2, (fn, list) => {
+    const items = force(list);
+    if (!Array.isArray(items)) return new NixCall('filter', [fn, list]);
+    return items.filter(item => force(evaluator.apply(force(fn), item)) !== false);
+  });
+
+  const attrNames = builtin('attrNames', 1, attrs => {
+    const forced = force(attrs);
+    return isAttrs(forced) ? Object.keys(forced).sort() : new NixCall('attrNames', [attrs]);
+  });
+
+  const helpers = { optionals, optional, optionalString, toString, concatStringsSep, map, concatLists, filter, attrNames };
+  const builtins = { toString, concatStringsSep, map, concatLists, filter, attrNames };
+
+  return {
+    ...helpers,
+    builtins,
+    lib: { ...helpers, lists: { optionals, optional }, strings: { optionalString, concatStringsSep } }
+  };
+}
+
+// Evaluates a parsed program. If the file is a function (the usual
+// `{ pkgs, ... }: { ... }` shape) it is applied to a symbolic argument.
+// options.onCall is invoked for every call to a function outside the file.
+function evaluate(ast, options = {}) {
+  const evaluator = new Evaluator(options);
+  let value = force(evaluator.evaluate(ast));
+  if (value instanceof NixLambda) {
+    value = force(evaluator.apply(value, evaluator.rootArg));
+  }
+  return value;
+}
+
+function parseAndEvaluate(source, options = {}) {
+  return evaluate(parse(source), options);
+}
+
+// Deeply forces a value into plain JSON-compatible data. Symbolic values are
+// rendered as "${...}" so they stay recognisable in commands and build args.
+function toPlainValue(value) {
+  value = force(value);
+  if (value === null || typeof value === 'string' || typeof value === 'number' || typeof value === 'boolean') {
+    return value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(toPlainValue);
+  }
+  if (isAttrs(value)) {
+    const result = {};
+    for (const key of Object.keys(value)) {
+      result[key] = toPlainValue(value[key]);
+    }
+    return result;
+  }
+  if (value instanceof NixLambda || value instanceof NixBuiltin) {
+    return '<function>';
+  }
+  return `\${${describeInterpolation(value)}}`;
+}
+
+module.exports = {
+  tokenize,
+  parse,
+  evaluate,
+  parseAndEvaluate,
+  toPlainValue,
+  force,
+  isAttrs,
+  describeValue,
+  NixSyntaxError,
+  NixSymbol,
+  NixCall,
+  NixOpaque,
+  NixConditional,
+  NixLambda
+};
@@ -0,0 +1,207 @@
+const fs = require('fs');
+const path = require('path');
+const semver = require('semver');
+const { loadConfigLayers, resolveConfig } = require('./deployConfig');
+
+// Works out which Node major a project builds with. Every place a version
+// can be declared is collected; the most specific one wins and the others
+// are checked against it.
+
+// Node majors the reusable pipelines, Cloud Functions and Firebase build with
+const SUPPORTED_MAJORS = [18, 20, 22, 24];
+
+// Node LTS codenames, as used in .nvmrc (lts/iron) and image tags (node:iron)
+const LTS_CODENAMES = { argon: 4, boron: 6, carbon: 8, dubnium: 10, erbium: 12, fermium: 14, gallium: 16, hydrogen: 18, iron: 20, jod: 22, krypton: 24 };
+
+// Fallbacks when nothing declares a version
+const TYPE_DEFAULTS = { nextjs: 20, gatsby: 18 };
+const DEFAULT_MAJOR = 18;
+
+// Sources in order of precedence. Version manager files come first, then
+// the Dockerfile and engines, a range that picks its newest supported
+// version. NODE_VERSION in .deploy.config is written by init from whatever
+// was resolved, so it comes last: it only decides when nothing else
+// declares a version, and a changed engines range still wins over it.
+const SOURCE_LABELS = {
+  volta: 'volta.node',
+  nvmrc: '.nvmrc',
+  'node-version': '.node-version',
+  'tool-versions': '.tool-versions',
+  dockerfile: 'Dockerfile',
+  engines: 'engines.node',
+  'deploy-config': 'NODE_VERSION'
+};
+
+// `.nvmrc "20"` or `engines.node ">=18" in package.json`
+function describeSource({ type, file, raw }) {
+  const label = SOURCE_LABELS[type];
+  return path.basename(file) === label ? `${file} "${raw}"` : `${label} "${raw}" in ${file}`;
+}
+
+// Major version of a pinned version or alias (20, v20.11.1, lts/iron,
+// lts/*), or null when it can't be told
+function parseNodeVersion(spec) {
+  const value = String(spec).trim().toLowerCase();
+  const numeric = value.match(/^v?(\d+)(\.|$)/);
+  if (numeric) return Number(numeric[1]);
+
+  const alias = value.replace(/^lts\//, '');
+  if (LTS_CODENAMES[alias]) return LTS_CODENAMES[alias];
+  // lts/*, node, stable and latest follow new releases
+  if (['*', 'node', 'stable', 'latest', 'current'].includes(alias)) return SUPPORTED_MAJORS[SUPPORTED_MAJORS.length - 1];
+  return null;
+}
+
+// Highest supported major satisfying a semver range, or null
+function resolveRange(range) {
+  if (!semver.validRange(range)) return null;
+  const majors = SUPPORTED_MAJORS.filter(major => semver.intersects(range, `${major}.x`));
+  return majors.length > 0 ? majors[majors.length - 1] : null;
+}
+
+function readFile(file) {
+  try {
+    return fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    return null;
+  }
+}
+
+function readPackageJson(dir) {
+  const content = readFile(path.join(dir, 'package.json'));
+  if (content === null) return null;
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    return null;
+  }
+}
+
+// Declared versions in one directory, as [{ type, file, raw }] with file
+// relative to rootPath
+function collectDirectory(dir, rootPath) {
+  const found = [];
+  const relative = file => path.relative(rootPath, path.join(dir, file)) || file;
+
+  const { values, sources } = resolveConfig(loadConfigLayers(dir, {}), dir);
+  if (values.NODE_VERSION && sources.NODE_VERSION !== 'default') {
+    found.push({ type: 'deploy-config', file: relative(sources.NODE_VERSION), raw: String(values.NODE_VERSION) });
+  }
+
+  const packageJson = readPackageJson(dir);
+  if (packageJson?.volta?.node) {
+    found.push({ type: 'volta', file: relative('package.json'), raw: packageJson.volta.node });
+  }
+
+  for (const [type, file] of [['nvmrc', '.nvmrc'], ['node-version', '.node-version']]) {
+    const content = readFile(path.join(dir, file));
+    const raw = content?.split('\n').map(line => line.replace(/#.*/, '').trim()).find(Boolean);
+    if (raw) found.push({ type, file: relative(file), raw });
+  }
+
+  const toolVersions = readFile(path.join(dir, '.tool-versions'));
+  const asdf = toolVersions?.match(/^\s*nodejs\s+(\S+)/m);
+  if (asdf) {
+    found.push({ type: 'tool-versions', file: relative('.tool-versions'), raw: asdf[1] });
+  }
+
+  if (packageJson?.engines?.node) {
+    found.push({ type: 'engines', file: relative('package.json'), raw: packageJson.engines.node });
+  }
+
+  return found;
+}
+
+// Resolves the Node major for the package in packagePath. The package
+// directory is searched before rootPath (the repository root of a
+// monorepo); `docker` is the inspectDockerfile result and `type` the
+// detected project type.
+//
+// Returns { version, source, sources, conflicts } where version is a major
+// as a string, source the winning { type, file, raw, major, root } (null
+// when a default was used; root marks a repository-wide declaration),
+// sources every declaration found and conflicts messages for declarations
+// that disagree with version.
+function resolveNodeVersion(packagePath, { rootPath = packagePath, type = null, docker = null } = {}) {
+  const sources = [];
+  const seen = new Set();
+  for (const dir of [...new Set([packagePath, rootPath])]) {
+    for (const source of collectDirectory(dir, rootPath)) {
+      // A package's own declaration hides the root's of the same kind
+      if (seen.has(source.type)) continue;
+      seen.add(source.type);
+      sources.push({ ...source, root: dir !== packagePath });
+    }
+  }
+  if (docker?.nodeVersion) {
+    sources.push({ type: 'dockerfile', file: path.relative(rootPath, path.join(packagePath, docker.file)) || docker.file, raw: docker.nodeVersion, root: false });
+  }
+
+  for (const source of sources) {
+    source.major = source.type === 'engines' ? resolveRange(source.raw) : parseNodeVersion(source.raw);
+  }
+  const order = Object.keys(SOURCE_LABELS);
+  sources.sort((a, b) => order.indexOf(a.type) - order.indexOf(b.type));
+
+  const source = sources.find(candidate => candidate.major !== null) || null;
+  const major = source ? source.major : (TYPE_DEFAULTS[type] || DEFAULT_MAJOR);
+
+  const conflicts = [];
+  const chosen = source ? `Node ${major} from ${describeSource(source)}` : `the default Node ${major}`;
+  for (const candidate of sources.filter(entry => entry !== source)) {
+    if (candidate.major === null && candidate.type !== 'engines') {
+      conflicts.push(`${describeSource(candidate)} is not a Node version and was ignored`);
+    } else if (candidate.type === 'engines') {
+      if (semver.validRange(candidate.raw) && !semver.intersects(candidate.raw, `${major}.x`)) {
+        conflicts.push(`${describeSource(candidate)} does not allow ${chosen}`);
+      }
+    } else if (source && candidate.root && !source.root) {
+      // A package may pin a different version than the rest of the repository
+      continue;
+    } else if (candidate.major !== major) {
+      conflicts.push(`${describeSource(candidate)} differs from ${chosen}`);
+    }
+  }
+  const engines = sources.find(candidate => candidate.type === 'engines');
+  if (engines && engines.major === null && semver.validRange(engines.raw)) {
+    conflicts.push(`${describeSource(engines)} allows none of the supported Node versions (${SUPPORTED_MAJORS.join(', ')})`);
+  }
+  if (source && !SUPPORTED_MAJORS.includes(major)) {
+    conflicts.push(`${chosen} is not supported by the pipelines (${SUPPORTED_MAJORS.join(', ')})`);
+  }
+
+  return { version: String(major), source, sources, conflicts };
+}
+
+// The resolved version of a detected project or package, relative to the
+// current directory like the rest of the generators
+function projectNodeVersion(projectInfo) {
+  if (projectInfo.node) {
+    return projectInfo.node.version;
+  }
+  const rootPath = process.cwd();
+  return resolveNodeVersion(path.join(rootPath, projectInfo.workingDirectory || '.'), {
+    rootPath,
+    type: projectInfo.type,
+    docker: projectInfo.docker
+  }).version;
+}
+
+// Conflicts across detected packages, prefixed with the package name in
+// monorepos
+function nodeVersionConflicts(packages) {
+  return packages.flatMap(pkg => (pkg.node?.conflicts || [])
+    .map(conflict => packages.length > 1 ? `${pkg.name}: ${conflict}` : conflict));
+}
+
+module.exports = {
+  SUPPORTED_MAJORS,
+  LTS_CODENAMES,
+  SOURCE_LABELS,
+  describeSource,
+  parseNodeVersion,
+  resolveRange,
+  resolveNodeVersion,
+  projectNodeVersion,
+  nodeVersionConflicts
+};
@@ -0,0 +1,269 @@
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const semver = require('semver');
+const { listRuns } = require('./gh');
+const { latestVersion, tagEnvironment } = require('./tagFormat');
+const { runStatus, OK_CONCLUSIONS } = require('./deploymentHistory');
+
+// Checks a deployment must pass before its tag is pushed. Each check is
+// { name, description, environments, run(context) } where run resolves to
+// pass(), fail() or skip(); environments (all when omitted) limits where it
+// applies. A failing check stops the deployment unless it is named with
+// --force-check, which is logged and recorded in the tag message.
+//
+// The context is what the Deployer knows by then: { git, gh, config,
+// environment, commit, promoted, version, tag, tags, rebuild, hotfix,
+// devBuild, projectPath, hasStaging, repo(), githubApi() }. commit is the
+// SHA the checks vouch for. deploy() checks HEAD and tags it, or the commit
+// it then makes on top of HEAD that only bumps package.json to the version.
+// A promoted commit is tagged as it is, so the checks of the working tree
+// and the current branch look at that commit instead or are skipped.
+// githubApi() is null without a token.
+
+const pass = (message, details = []) => ({ status: 'pass', message, details });
+const fail = (message, details = []) => ({ status: 'fail', message, details });
+const skip = message => ({ status: 'skip', message, details: [] });
+
+const PREFLIGHT_CHECKS = [
+  {
+    name: 'clean-tree',
+    description: 'No uncommitted changes',
+    run({ git, promoted }) {
+      if (promoted) {
+        return skip('Promotions tag a deployed commit; the working tree is not part of it');
+      }
+      const changes = git.status();
+      if (changes.length === 0) {
+        return pass('Working tree is clean');
+      }
+      return fail(`${changes.length} uncommitted change(s)`, changes.slice(0, 10));
+    }
+  },
+  {
+    name: 'branch',
+    description: 'Deploying from a branch in DEPLOY_BRANCHES',
+    environments: ['staging', 'production'],
+    run({ git, config, commit, promoted }) {
+      const branch = git.currentBranch();
+      const allowed = String(config.DEPLOY_BRANCHES || '').split(/\s+/).filter(Boolean);
+      if (promoted) {
+        const branches = git.remoteBranchesContaining(commit).filter(candidate => allowed.includes(candidate));
+        return branches.length > 0
+          ? pass(`${commit.slice(0, 7)} is on ${branches.join(', ')}`)
+          : fail(`${commit.slice(0, 7)} is not on any of: ${allowed.join(' ')}`);
+      }
+      if (!branch) {
+        return fail(`HEAD is detached; deploy from one of: ${allowed.join(' ')}`);
+      }
+      if (allowed.includes(branch)) {
+        return pass(`On ${branch}`);
+      }
+      return fail(`On ${branch}; deployments are made from: ${allowed.join(' ')}`);
+    }
+  },
+  {
+    name: 'up-to-date',
+    description: 'The branch matches origin',
+    run({ git, promoted }) {
+      if (promoted) {
+        return skip('Promotions tag a commit that was already deployed from origin');
+      }
+      const branch = git.currentBranch();
+      if (!branch) {
+        return fail('HEAD is detached, so it cannot be compared with origin');
+      }
+      try {
+        git.fetchBranch(branch);
+      } catch (error) {
+        // Compared below with what was fetched last, if anything
+      }
+      const comparison = git.compareWithRemote(branch);
+      if (!comparison) {
+        return fail(`${branch} is not on origin; push it first`);
+      }
+      const { ahead, behind } = comparison;
+      if (ahead === 0 && behind === 0) {
+        return pass(`${branch} is up to date with origin/${branch}`);
+      }
+      const parts = [];
+      if (behind > 0) parts.push(`${behind} commit(s) behind`);
+      if (ahead > 0) parts.push(`${ahead} unpushed commit(s)`);
+      return fail(`${branch} has ${parts.join(' and ')} compared with origin/${branch}`);
+    }
+  },
+  {
+    name: 'ci-green',
+    description: 'The commit has a successful CI run',
+    async run({ commit, tags, environment, repo, githubApi }) {
+      // Development builds are often of commits CI hasn't seen yet, so
+      // they go ahead without a token; releases don't
+      const api = githubApi();
+      if (!api && environment === 'development') {
+        return skip('No GitHub token (GITHUB_TOKEN or "gh auth login"); CI was not checked');
+      }
+      if (!api) {
+        return fail('No GitHub token (GITHUB_TOKEN or "gh auth login") to look up CI runs with');
+      }
+      const short = commit.slice(0, 7);
+      const runs = await api.paginate(`/repos/${repo()}/actions/runs?head_sha=${commit}`, 'workflow_runs');
+
+      // Runs of deployment tags at the same commit aren't CI; the newest
+      // run of each workflow decides
+      const newest = new Map();
+      runs
+        .filter(run => !tags.includes(run.head_branch))
+        .sort((a, b) => b.id - a.id)
+        .forEach(run => {
+          if (!newest.has(run.workflow_id)) newest.set(run.workflow_id, run);
+        });
+      const ci = [...newest.values()];
+
+      if (ci.length === 0) {
+        return fail(`No CI run found for ${short}; push it and let CI finish first`);
+      }
+      const running = ci.filter(run => run.status !== 'completed');
+      if (running.length > 0) {
+        return fail(`CI is still running on ${short}: ${running.map(run => run.name).join(', ')}`, running.map(run => run.html_url));
+      }
+      const failing = ci.filter(run => !OK_CONCLUSIONS.includes(run.conclusion));
+      if (failing.length > 0) {
+        return fail(`CI failed on ${short}: ${failing.map(run => `${run.name} (${run.conclusion})`).join(', ')}`, failing.map(run => run.html_url));
+      }
+      return pass(`${ci.map(run => run.name).join(', ')} passed on ${short}`);
+    }
+  },
+  {
+    name: 'version-increase',
+    description: 'The production version is newer than the current one',
+    environments: ['production'],
+    run({ tags, version, rebuild, config }) {
+      if (rebuild) {
+        return skip('Rebuilding the current version');
+      }
+      const current = latestVersion(tags, 'production', config.VERSION_PREFIX);
+      if (semver.gt(version, current)) {
+        return pass(`${version} is newer than ${current}`);
+      }
+      return fail(`${version} is not newer than the current production version ${current}`);
+    }
+  },
+  {
+    name: 'package-version',
+    description: 'package.json agrees with the tag',
+    run({ git, projectPath, commit, promoted, version, tag, rebuild, devBuild }) {
+      if (devBuild) {
+        return skip('Development builds are not versions');
+      }
+      if (rebuild) {
+        return skip('Rebuilds leave package.json as it is');
+      }
+      const packagePath = path.join(projectPath, 'package.json');
+      const content = promoted ? git.fileAt(commit, 'package.json') : fs.existsSync(packagePath) && fs.readFileSync(packagePath, 'utf8');
+      if (!content) {
+        return skip(promoted ? `No package.json at ${commit.slice(0, 7)}` : 'No package.json');
+      }
+      const current = JSON.parse(content).version;
+      if (!current) {
+        return skip('package.json has no version');
+      }
+      if (!semver.valid(current)) {
+        return fail(`package.json version "${current}" is not X.Y.Z`);
+      }
+      if (semver.gt(current, version)) {
+        return fail(`package.json is already at ${current}; ${tag} would take it back to ${version}`);
+      }
+      if (promoted) {
+        return pass(`package.json is at ${current} in ${commit.slice(0, 7)}; the tag carries ${version}`);
+      }
+      return pass(current === version ? `package.json is at ${version}` : `package.json will be bumped from ${current} to ${version}`);
+    }
+  },
+  {
+    name: 'staging-first',
+    description: 'The commit was deployed to staging before production',
+    environments: ['production'],
+    run({ git, gh, config, commit, hasStaging, hotfix }) {
+      if (!hasStaging) {
+        return skip('The service has no staging environment');
+      }
+      if (hotfix) {
+        return skip('Hotfixes go straight to production');
+      }
+      const staged = git.tagDetails()
+        .filter(candidate => candidate.commit === commit && tagEnvironment(candidate.tag, config.VERSION_PREFIX) === 'staging')
+        .sort((a, b) => Date.parse(b.date) - Date.parse(a.date));
+      if (staged.length === 0) {
+        return fail(`${commit.slice(0, 7)} has not been deployed to staging`);
+      }
+
+      const [latest] = staged;
+      const [run] = listRuns(gh, { branch: latest.tag, limit: 1 });
+      const status = runStatus(run);
+      if (status === 'failure') {
+        return fail(`The staging deployment ${latest.tag} failed`, [run.url]);
+      }
+      if (status === 'in_progress') {
+        return fail(`The staging deployment ${latest.tag} has not finished`, [run.url]);
+      }
+      return pass(`Deployed to staging as ${latest.tag}${status === 'unknown' ? ' (build status unknown)' : ''}`);
+    }
+  }
+];
+
+// Rejects --force-check names that aren't checks, before anything is asked
+function validateForcedChecks(force = [], checks = PREFLIGHT_CHECKS) {
+  const names = checks.map(check => check.name);
+  const unknown = force.filter(name => !names.includes(name));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown pre-flight check: ${unknown.join(', ')} (checks: ${names.join(', ')})`);
+  }
+}
+
+// Runs the checks that apply to context.environment and logs each result.
+// Resolves to [{ name, status, message, details }] where status is pass,
+// fail, skip or forced (failed, but named in `force`).
+async function runPreflight(context, { checks = PREFLIGHT_CHECKS, force = [], log = console.log } = {}) {
+  validateForcedChecks(force, checks);
+
+  const results = [];
+  for (const check of checks) {
+    if (check.environments && !check.environments.includes(context.environment)) {
+      continue;
+    }
+    let result;
+    try {
+      result = await check.run(context);
+    } catch (error) {
+      result = fail(`Could not be checked: ${error.message.split('\n')[0]}`);
+    }
+    if (result.status === 'fail' && force.includes(check.name)) {
+      result = { ...result, status: 'forced' };
+    }
+    results.push({ name: check.name, ...result });
+    logResult(log, check.name, result);
+  }
+  return results;
+}
+
+function logResult(log, name, { status, message, details }) {
+  const label = name.padEnd(16);
+  if (status === 'pass') {
+    log(`  ${chalk.green('✓')} ${label} ${message}`);
+  } else if (status === 'skip') {
+    log(chalk.gray(`  – ${label} ${message}`));
+  } else if (status === 'forced') {
+    log(chalk.yellow(`  ⚠ ${label} ${message} (forced with --force-check=${name})`));
+  } else {
+    log(chalk.red(`  ✗ ${label} ${message}`));
+  }
+  if (status !== 'pass') {
+    details.forEach(detail => log(chalk.gray(`      ${detail}`)));
+  }
+}
+
+module.exports = {
+  PREFLIGHT_CHECKS,
+  validateForcedChecks,
+  runPreflight
+};
@@ -1,6 +1,16 @@
 const fs = require('fs');
 const path = require('path');
 const yaml = require('js-yaml');
+const { getService } = require('./serviceRegistry');
+const { listOverlays } = require('./kustomize');
+const { inspectDockerfile } = require('./dockerfile');
+const { resolveNodeVersion } = require('./nodeVersion');
+const { serviceSlug, loadConfigLayers, resolveConfig, isEnabled } = require('./deployConfig');
+
+// Directories never searched for workspace packages or nested services
+const IGNORED_DIRS = ['node_modules', 'dist', 'build', 'coverage'];
+// How deep nested services are looked for when there are no workspaces
+const NESTED_SEARCH_DEPTH = 2;
 
 class ProjectDetector {
   constructor(projectPath = process.cwd()) {
@@ -24,13 +34,173 @@ class ProjectDetector {
       environments: this.detectEnvironments(),
       cicd: this.detectCICD(),
       features: this.detectFeatures(),
+      docker: inspectDockerfile(this.projectPath, this.packageJson),
       dependencies: this.detectKeyDependencies(),
-      staging: this.requiresStaging()
+      staging: this.requiresStaging(),
+      packageManager: this.detectPackageManager(),
+      workingDirectory: '.'
     };
+    info.node = resolveNodeVersion(this.projectPath, { type: info.type, docker: info.docker });
 
     return info;
   }
 
+  // Returns one project descriptor per deployable package. A repository
+  // without workspaces or nested services yields just the root project.
+  detectPackages() {
+    const workspaces = this.detectWorkspaces();
+    const rootDeployable = this.detectDeploymentType() !== 'unknown';
+
+    let directories;
+    if (workspaces) {
+      directories = workspaces.directories;
+    } else if (!rootDeployable) {
+      directories = this.findNestedPackages('', NESTED_SEARCH_DEPTH);
+    } else {
+      directories = [];
+    }
+
+    const candidates = directories.map(dir => ({
+      dir,
+      detector: new ProjectDetector(path.join(this.projectPath, dir))
+    }));
+    const deployable = candidates.filter(({ detector }) => detector.detectDeploymentType() !== 'unknown');
+
+    if (deployable.length === 0) {
+      return [this.detectProject()];
+    }
+
+    // Workspace packages a service depends on belong in its path filters
+    const workspaceNames = new Map(candidates
+      .filter(({ detector }) => detector.packageJson?.name)
+      .map(({ dir, detector }) => [detector.packageJson.name, dir]));
+    const packageManager = this.detectPackageManager();
+
+    // Root manifests and lockfiles affect every workspace package
+    const sharedPaths = workspaces
+      ? ['package.json', 'package-lock.json', 'yarn.lock', 'pnpm-lock.yaml', 'pnpm-workspace.yaml']
+        .filter(file => fs.existsSync(path.join(this.projectPath, file)))
+      : [];
+
+    return deployable.map(({ dir, detector }) => {
+      const info = detector.detectProject();
+      const dependencies = {
+        ...detector.packageJson?.dependencies,
+        ...detector.packageJson?.devDependencies
+      };
+
+      info.workingDirectory = dir;
+      // .nvmrc and friends at the repository root apply to every package
+      info.node = resolveNodeVersion(detector.projectPath, { rootPath: this.projectPath, type: info.type, docker: info.docker });
+      info.packageManager = packageManager;
+      info.workspaceDependencies = Object.keys(dependencies)
+        .filter(name => workspaceNames.has(name) && workspaceNames.get(name) !== dir)
+        .map(name => workspaceNames.get(name));
+      info.sharedPaths = sharedPaths;
+      return info;
+    });
+  }
+
+  // npm/yarn `workspaces` in package.json, or pnpm-workspace.yaml
+  detectWorkspaces() {
+    let patterns = null;
+    let manager = null;
+
+    const pnpmPath = path.join(this.projectPath, 'pnpm-workspace.yaml');
+    if (fs.existsSync(pnpmPath)) {
+      patterns = yaml.load(fs.readFileSync(pnpmPath, 'utf8'))?.packages || [];
+      manager = 'pnpm';
+    } else if (this.packageJson?.workspaces) {
+      const workspaces = this.packageJson.workspaces;
+      patterns = Array.isArray(workspaces) ? workspaces : workspaces.packages || [];
+      manager = this.detectPackageManager();
+    }
+
+    if (!patterns) {
+      return null;
+    }
+
+    const included = new Set();
+    for (const pattern of patterns.filter(pattern => !pattern.startsWith('!'))) {
+      this.expandWorkspacePattern(pattern).forEach(dir => included.add(dir));
+    }
+    for (const pattern of patterns.filter(pattern => pattern.startsWith('!'))) {
+      this.expandWorkspacePattern(pattern.slice(1)).forEach(dir => included.delete(dir));
+    }
+
+    return {
+      manager,
+      patterns,
+      directories: [...included].sort()
+    };
+  }
+
+  // Supports the glob forms workspaces use in practice: literal directories,
+  // `*` within a path segment and `**` for any depth
+  expandWorkspacePattern(pattern) {
+    const segments = pattern.replace(/^\.\//, '').replace(/\/+$/, '').split('/').filter(Boolean);
+    let dirs = [''];
+
+    for (const segment of segments) {
+      const next = [];
+      for (const dir of dirs) {
+        if (segment === '**') {
+          next.push(dir, ...this.subdirectories(dir, Infinity));
+        } else if (segment.includes('*')) {
+          const regex = new RegExp(`^${segment.split('*').map(escapeRegExp).join('[^/]*')}$`);
+          next.push(...this.subdirectories(dir, 1).filter(sub => regex.test(path.basename(sub))));
+        } else {
+          const candidate = dir ? `${dir}/${segment}` : segment;
+          if (isDirectory(path.join(this.projectPath, candidate))) {
+            next.push(candidate);
+          }
+        }
+      }
+      dirs = [...new Set(next)];
+    }
+
+    return dirs.filter(dir => dir && fs.existsSync(path.join(this.projectPath, dir, 'package.json')));
+  }
+
+  // Directories with their own package.json, e.g. `backend/`
+  findNestedPackages(dir, depth) {
+    return this.subdirectories(dir, depth)
+      .filter(sub => fs.existsSync(path.join(this.projectPath, sub, 'package.json')));
+  }
+
+  // Relative (posix) paths of the directories below `dir`, up to `depth` levels
+  subdirectories(dir, depth) {
+    if (depth <= 0) {
+      return [];
+    }
+
+    const absolute = path.join(this.projectPath, dir);
+    if (!isDirectory(absolute)) {
+      return [];
+    }
+
+    const result = [];
+    for (const entry of fs.readdirSync(absolute, { withFileTypes: true })) {
+      if (!entry.isDirectory() || entry.name.startsWith('.') || IGNORED_DIRS.includes(entry.name)) {
+        continue;
+      }
+      const sub = dir ? `${dir}/${entry.name}` : entry.name;
+      result.push(sub, ...this.subdirectories(sub, depth - 1));
+    }
+    return result;
+  }
+
+  detectPackageManager() {
+    if (fs.existsSync(path.join(this.projectPath, 'pnpm-lock.yaml')) ||
+        fs.existsSync(path.join(this.projectPath, 'pnpm-workspace.yaml'))) {
+      return 'pnpm';
+    }
+    if (fs.existsSync(path.join(this.projectPath, 'yarn.lock'))) {
+      return 'yarn';
+    }
+    return 'npm';
+  }
+
   detectProjectType() {
     // Check for Next.js
     if (this.packageJson?.dependencies?.next || this.packageJson?.devDependencies?.next) {
@@ -92,13 +262,7 @@ class ProjectDetector {
     const environments = [];
     
     // Check Kubernetes overlays
-    const overlaysPath = path.join(this.projectPath, 'kubernetes', 'overlays');
-    if (fs.existsSync(overlaysPath)) {
-      const dirs = fs.readdirSync(overlaysPath).filter(dir => 
-        fs.statSync(path.join(overlaysPath, dir)).isDirectory()
-      );
-      environments.push(...dirs);
-    }
+    environments.push(...listOverlays(path.join(this.projectPath, 'kubernetes')));
 
     // Check for common environment indicators
     if (environments.length === 0) {
@@ -248,36 +412,11 @@ class ProjectDetector {
 
   requiresStaging() {
     const projectName = this.packageJson?.name || '';
-    
-    // Known projects that use staging
-    const stagingProjects = [
-      'storefront-web',
-      'storefront-service',
-      'karma-merchant-web',
-      'karma-merchant-api'
-    ];
-
-    // Known projects that DON'T use staging
-    const noStagingProjects = [
-      'admin-frontend',
-      'karma-admin-api',
-      'karma-admin-frontend',
-      'payment-service',
-      'inventory-service',
-      'location-service',
-      'sale-service',
-      'user-service',
-      'cash-register',
-      'karma-mobile-api'
-    ];
 
-    // Check explicit lists first
-    if (stagingProjects.includes(projectName)) {
-      return true;
-    }
-    
-    if (noStagingProjects.includes(projectName)) {
-      return false;
+    // Registered services declare their environments
+    const service = getService(serviceSlug(projectName));
+    if (service) {
+      return service.environments.includes('staging');
     }
 
     // Check if staging overlay already exists
@@ -285,6 +424,12 @@ class ProjectDetector {
       return true;
     }
 
+    // Opted in with karma init --staging, which deployments follow too
+    const { values } = resolveConfig(loadConfigLayers(this.projectPath, {}), this.projectPath);
+    if (isEnabled(values.HAS_STAGING)) {
+      return true;
+    }
+
     // For customer-facing services (storefront/merchant), default to true
     // For internal/support services, default to false
     if (projectName.includes('storefront') || projectName.includes('merchant')) {
@@ -295,7 +440,16 @@ class ProjectDetector {
   }
 }
 
+function isDirectory(dirPath) {
+  return fs.existsSync(dirPath) && fs.statSync(dirPath).isDirectory();
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+}
+
 module.exports = {
   detectProject: () => new ProjectDetector().detectProject(),
+  detectPackages: () => new ProjectDetector().detectPackages(),
   ProjectDetector
 };
\ No newline at end of file
@@ -0,0 +1,244 @@
+const chalk = require('chalk');
+const { OK_CONCLUSIONS } = require('./deploymentHistory');
+
+// Follows the GitHub Actions runs a pushed tag triggered, through the REST
+// API. Runs are matched on the commit the tag points at and on the tag
+// name GitHub records as their head_branch, so deployments of other tags
+// running at the same time are never picked up. The API client, clock,
+// sleep and output stream are injectable, so a watch can be replayed
+// against a mocked API (or a local server via GITHUB_API_URL).
+
+// How long a pushed tag may take to trigger its runs
+const START_TIMEOUT_MS = 2 * 60 * 1000;
+
+// Allowance for the local clock running ahead of GitHub's when only runs
+// created after a push are wanted
+const CLOCK_SKEW_MS = 60 * 1000;
+
+function formatDuration(ms) {
+  const seconds = Math.max(0, Math.round(ms / 1000));
+  const minutes = Math.floor(seconds / 60);
+  return minutes > 0 ? `${minutes}m ${String(seconds % 60).padStart(2, '0')}s` : `${seconds}s`;
+}
+
+// Elapsed time of a run, job or step so far; '' before it starts
+function elapsed(startedAt, completedAt, now) {
+  if (!startedAt) return '';
+  const end = completedAt ? Date.parse(completedAt) : now;
+  return formatDuration(end - Date.parse(startedAt));
+}
+
+function statusIcon(status, conclusion) {
+  if (status !== 'completed') {
+    return status === 'in_progress' ? chalk.yellow('…') : chalk.gray('·');
+  }
+  if (conclusion === 'success') return chalk.green('✓');
+  if (OK_CONCLUSIONS.includes(conclusion)) return chalk.gray('–');
+  return chalk.red('✗');
+}
+
+function failed(item) {
+  return item.status === 'completed' && !OK_CONCLUSIONS.includes(item.conclusion);
+}
+
+// The commit a tag points at, peeling annotated tags
+async function tagCommit(api, repo, tag) {
+  let ref;
+  try {
+    ref = await api.get(`/repos/${repo}/git/ref/tags/${tag.split('/').map(encodeURIComponent).join('/')}`);
+  } catch (error) {
+    if (error.status === 404) {
+      throw new Error(`Tag ${tag} was not found in ${repo}; has it been pushed?`);
+    }
+    throw error;
+  }
+
+  let object = ref.object;
+  while (object.type === 'tag') {
+    object = (await api.get(`/repos/${repo}/git/tags/${object.sha}`)).object;
+  }
+  return object.sha;
+}
+
+// The newest run per workflow that the tag's push triggered. `workflow`
+// narrows them to one workflow file (ci-cd.yml) or name; `since` skips runs
+// created before a push, for tags pushed again at the same commit.
+async function findTagRuns(api, repo, tag, { sha, workflow = null, since = null } = {}) {
+  const runs = await api.paginate(`/repos/${repo}/actions/runs?event=push&head_sha=${sha}`, 'workflow_runs');
+  const newest = new Map();
+  runs
+    .filter(run => run.head_branch === tag)
+    .filter(run => !workflow || run.name === workflow || (run.path || '').split('/').pop() === workflow)
+    .filter(run => !since || Date.parse(run.created_at) >= since.getTime() - CLOCK_SKEW_MS)
+    .sort((a, b) => b.id - a.id)
+    .forEach(run => {
+      if (!newest.has(run.workflow_id)) newest.set(run.workflow_id, run);
+    });
+  return [...newest.values()].sort((a, b) => a.id - b.id);
+}
+
+async function runState(api, repo, id) {
+  const [run, jobs] = await Promise.all([
+    api.get(`/repos/${repo}/actions/runs/${id}`),
+    api.paginate(`/repos/${repo}/actions/runs/${id}/jobs?filter=latest`, 'jobs')
+  ]);
+  return { run, jobs };
+}
+
+function runLabel(run) {
+  const file = (run.path || '').split('/').pop();
+  return `${run.name} #${run.run_number}${file && file !== run.name ? ` (${file})` : ''}`;
+}
+
+// Lines describing the runs as they stand: every job, and the steps of
+// jobs that are running or failed
+function renderRuns(states, now) {
+  const lines = [];
+  for (const { run, jobs } of states) {
+    const finished = run.status === 'completed' ? run.updated_at : null;
+    lines.push(`${statusIcon(run.status, run.conclusion)} ${chalk.bold(runLabel(run))} ${chalk.gray(elapsed(run.run_started_at || run.created_at, finished, now))}`);
+    for (const job of jobs) {
+      lines.push(`  ${statusIcon(job.status, job.conclusion)} ${job.name} ${chalk.gray(elapsed(job.started_at, job.completed_at, now))}`);
+      if (job.status !== 'in_progress' && !failed(job)) continue;
+      for (const step of job.steps || []) {
+        if (step.status === 'queued' && job.status === 'completed') continue;
+        lines.push(`      ${statusIcon(step.status, step.conclusion)} ${step.name} ${chalk.gray(elapsed(step.started_at, step.completed_at, now))}`);
+      }
+    }
+  }
+  return lines.map(line => line.trimEnd());
+}
+
+// Replaces the lines written last time with new ones, for live output in a
+// terminal
+function createRedraw(stream) {
+  let drawn = 0;
+  return lines => {
+    const width = stream.columns || 80;
+    // Long lines would wrap and throw off the count of lines to redraw
+    const fitted = lines.map(line => {
+      const plain = line.replace(/\x1b\[[0-9;]*m/g, '');
+      return plain.length > width ? plain.slice(0, width - 1) : line;
+    });
+    stream.write(`${drawn > 0 ? `\x1b[${drawn}A\x1b[0J` : ''}${fitted.join('\n')}\n`);
+    drawn = fitted.length;
+  };
+}
+
+// A terminal gets the whole picture redrawn on every poll; anything else
+// (CI logs, pipes) gets one line per job or step that starts or finishes
+function createReporter(stream, now) {
+  if (!stream) {
+    return { update() {}, finish() {} };
+  }
+
+  if (stream.isTTY) {
+    const redraw = createRedraw(stream);
+    const draw = states => redraw(renderRuns(states, now()));
+    return { update: draw, finish: draw };
+  }
+
+  const reported = new Set();
+  const report = (key, line) => {
+    if (reported.has(key)) return;
+    reported.add(key);
+    stream.write(`${line}\n`);
+  };
+  const update = states => {
+    for (const { run, jobs } of states) {
+      report(`run:${run.id}`, `${statusIcon('in_progress')} ${runLabel(run)} ${chalk.gray(run.html_url)}`);
+      for (const job of jobs.filter(candidate => candidate.status === 'in_progress' || candidate.status === 'completed')) {
+        report(`job:${job.id}`, `  ${statusIcon('in_progress')} ${job.name}`);
+        for (const step of (job.steps || []).filter(candidate => candidate.status === 'completed')) {
+          report(`step:${job.id}:${step.number}`, `      ${statusIcon(step.status, step.conclusion)} ${step.name} ${chalk.gray(elapsed(step.started_at, step.completed_at, now()))}`);
+        }
+        if (job.status === 'completed') {
+          report(`job-done:${job.id}`, `  ${statusIcon(job.status, job.conclusion)} ${job.name} ${job.conclusion} ${chalk.gray(elapsed(job.started_at, job.completed_at, now()))}`);
+        }
+      }
+      if (run.status === 'completed') {
+        report(`run-done:${run.id}`, `${statusIcon(run.status, run.conclusion)} ${runLabel(run)} ${run.conclusion} ${chalk.gray(elapsed(run.run_started_at || run.created_at, run.updated_at, now()))}`);
+      }
+    }
+  };
+  return { update, finish: update };
+}
+
+function summarize({ run, jobs }) {
+  return {
+    id: run.id,
+    name: run.name,
+    workflow: run.path || null,
+    runNumber: run.run_number,
+    url: run.html_url,
+    status: run.status,
+    conclusion: run.conclusion || null,
+    jobs: jobs.map(job => ({
+      name: job.name,
+      status: job.status,
+      conclusion: job.conclusion || null,
+      url: job.html_url,
+      failedSteps: (job.steps || []).filter(failed).map(step => step.name)
+    }))
+  };
+}
+
+// Waits for the runs the tag triggered and follows them until they finish.
+// Returns { tag, sha, runs, conclusion, timedOut } where conclusion is
+// 'success' when every run passed, else the first failing run's conclusion,
+// and null when no run started or the watch timed out first.
+async function watchTag(api, repo, tag, options = {}) {
+  const {
+    workflow = null,
+    since = null,
+    interval = 5000,
+    timeout = 60 * 60 * 1000,
+    stream = process.stdout,
+    now = Date.now,
+    sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+  } = options;
+
+  const sha = await tagCommit(api, repo, tag);
+  const started = now();
+
+  let runs = await findTagRuns(api, repo, tag, { sha, workflow, since });
+  while (runs.length === 0 && now() - started < START_TIMEOUT_MS) {
+    await sleep(interval);
+    runs = await findTagRuns(api, repo, tag, { sha, workflow, since });
+  }
+  if (runs.length === 0) {
+    return { tag, sha, runs: [], conclusion: null, timedOut: false };
+  }
+
+  const reporter = createReporter(stream, now);
+  for (;;) {
+    const states = await Promise.all(runs.map(run => runState(api, repo, run.id)));
+    const done = states.every(({ run }) => run.status === 'completed');
+    const timedOut = !done && now() - started >= timeout;
+
+    if (done || timedOut) {
+      reporter.finish(states);
+      const failing = states.find(({ run }) => failed(run));
+      return {
+        tag,
+        sha,
+        runs: states.map(summarize),
+        conclusion: timedOut ? null : failing ? failing.run.conclusion : 'success',
+        timedOut
+      };
+    }
+
+    reporter.update(states);
+    await sleep(interval);
+  }
+}
+
+module.exports = {
+  OK_CONCLUSIONS,
+  formatDuration,
+  createRedraw,
+  tagCommit,
+  findTagRuns,
+  renderRuns,
+  watchTag
+};
@@ -1,21 +1,26 @@
 const fs = require('fs');
 const path = require('path');
 const { execSync } = require('child_process');
+const { resolveService } = require('./serviceRegistry');
+const { writeManagedFile } = require('./managedFiles');
+const { serializeDeployConfig, serviceSlug, loadConfigLayers } = require('./deployConfig');
+const { projectNodeVersion } = require('./nodeVersion');
+const { discoverFunctions, functionName } = require('./functionDiscovery');
+const { functionList } = require('./workflowGenerator');
+const { firebaseProjects } = require('./firebaseProjects');
+
+const DEPLOY_SCRIPT_TEMPLATE = path.join(__dirname, '../../scripts/deploy.sh');
 
 async function installDeployScript(projectInfo, options = {}) {
   const projectPath = process.cwd();
-  
-  // Download deploy script
-  const deployScriptPath = path.join(__dirname, '../../scripts/deploy.sh');
-  const targetPath = path.join(projectPath, 'deploy.sh');
+  // Generated first, so a configuration error leaves no files behind
+  const deployConfig = generateDeployConfig(projectInfo);
   
   // Copy deploy script
-  fs.copyFileSync(deployScriptPath, targetPath);
-  fs.chmodSync(targetPath, '755');
+  writeManagedFile(projectPath, 'deploy.sh', generateDeployScript(), { mode: '755' });
   
   // Create .deploy.config
-  const config = generateDeployConfig(projectInfo);
-  fs.writeFileSync(path.join(projectPath, '.deploy.config'), config);
+  writeManagedFile(projectPath, '.deploy.config', deployConfig);
   
   // Update package.json
   updatePackageJson(projectPath, projectInfo);
@@ -24,72 +29,89 @@ async function installDeployScript(projectInfo, options = {}) {
   updateGitignore(projectPath);
   
   // Create DEPLOY.md documentation
-  createDeployDoc(projectPath, projectInfo);
+  writeManagedFile(projectPath, 'DEPLOY.md', generateDeployDoc(projectInfo));
 }
 
-function generateDeployConfig(projectInfo) {
-  let config = `# Karma Deploy Configuration
-# Generated by karma-deploy CLI
+function generateDeployScript() {
+  return fs.readFileSync(DEPLOY_SCRIPT_TEMPLATE, 'utf8');
+}
 
-# Service Configuration
-SERVICE_NAME="${projectInfo.name}"
-SERVICE_TYPE="${projectInfo.deployment}"
-`;
+function generateDeployConfig(projectInfo) {
+  const service = serviceSlug(projectInfo.name);
+  const sections = [{
+    comment: 'Service Configuration',
+    values: { SERVICE_NAME: service, SERVICE_TYPE: projectInfo.deployment }
+  }];
 
   if (projectInfo.deployment === 'kubernetes') {
-    config += `
-# Kubernetes Configuration
-K8S_DIR="kubernetes"
-KUSTOMIZE_ENABLED="true"
-`;
+    sections.push({
+      comment: 'Kubernetes Configuration',
+      values: { K8S_DIR: 'kubernetes', KUSTOMIZE_ENABLED: 'true' }
+    });
+  }
+
+  // The runtime follows the detected Node version, so it isn't pinned here.
+  // A single handler deploys as FUNCTION_NAME and several as the FUNCTIONS
+  // the workflow would deploy. The functions, triggers and access already
+  // configured are kept, and handlers whose trigger can't be told fail here.
+  if (projectInfo.deployment === 'cloud-functions') {
+    const projectPath = path.join(process.cwd(), projectInfo.workingDirectory || '.');
+    const existing = loadConfigLayers(projectPath, {}).find(layer => layer.source === '.deploy.config')?.values || {};
+    const { handlers } = discoverFunctions(projectPath);
+    let values;
+    if (existing.FUNCTIONS) {
+      values = { FUNCTIONS: existing.FUNCTIONS };
+    } else if (handlers.length > 1) {
+      values = { FUNCTIONS: handlers.map(handler => `${functionName(handler.name)}:${handler.name}`).join(' ') };
+    } else {
+      values = { FUNCTION_NAME: existing.FUNCTION_NAME || functionName(service) };
+    }
+    values.FUNCTION_REGION = existing.FUNCTION_REGION || 'europe-north1';
+    for (const key of ['FUNCTION_TRIGGERS', 'FUNCTION_ALLOW_UNAUTHENTICATED']) {
+      if (existing[key]) values[key] = existing[key];
+    }
+    functionList(projectInfo, { SERVICE_NAME: service, ...values }, handlers);
+    sections.push({ comment: 'Cloud Function Configuration', values });
+  }
+
+  // Projects picked during init, else the ones .deploy.config already has
+  // or .firebaserc names, so regenerating the file keeps them
+  if (projectInfo.deployment === 'firebase') {
+    const projectPath = path.join(process.cwd(), projectInfo.workingDirectory || '.');
+    sections.push({
+      comment: 'Firebase Configuration',
+      values: projectInfo.firebaseProjects || firebaseProjects(projectPath)
+    });
   }
 
   if (projectInfo.features.graphql) {
-    config += `
-# GraphQL Configuration
-HAS_GRAPHQL="true"
-`;
-    if (projectInfo.name.includes('merchant')) {
-      config += `APOLLO_GRAPH="karma-merchant"
-APOLLO_SUBGRAPH="Base"
-`;
+    const values = { HAS_GRAPHQL: 'true' };
+    const { apollo } = resolveService(service);
+    if (apollo) {
+      values.APOLLO_GRAPH = apollo.graph;
+      values.APOLLO_SUBGRAPH = apollo.subgraph;
     }
+    sections.push({ comment: 'GraphQL Configuration', values });
   }
 
   if (projectInfo.staging) {
-    config += `
-# Staging Environment
-HAS_STAGING="true"
-`;
+    sections.push({ comment: 'Staging Environment', values: { HAS_STAGING: 'true' } });
   }
 
-  config += `
-# Build Configuration
-NODE_VERSION="${getNodeVersion(projectInfo)}"
-`;
-
+  const build = { NODE_VERSION: projectNodeVersion(projectInfo) };
   if (projectInfo.features.docker) {
-    config += `DOCKER_BUILD="true"
-`;
+    build.DOCKER_BUILD = 'true';
   }
+  sections.push({ comment: 'Build Configuration', values: build });
 
-  return config;
-}
-
-function getNodeVersion(projectInfo) {
-  if (projectInfo.packageJson?.engines?.node) {
-    const match = projectInfo.packageJson.engines.node.match(/(\d+)/);
-    if (match) return match[1];
-  }
-  
-  // Defaults based on project type
-  if (projectInfo.type === 'nextjs') return '20';
-  if (projectInfo.type === 'gatsby') return '18';
-  return '18';
+  return serializeDeployConfig(sections, ['Karma Deploy Configuration', 'Generated by karma-deploy CLI']);
 }
 
 function updatePackageJson(projectPath, projectInfo) {
   const packageJsonPath = path.join(projectPath, 'package.json');
+  if (!fs.existsSync(packageJsonPath)) {
+    return;
+  }
   const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'));
   
   // Add deploy scripts
@@ -128,8 +150,8 @@ function updateGitignore(projectPath) {
   }
 }
 
-function createDeployDoc(projectPath, projectInfo) {
-  const doc = `# Deployment Guide
+function generateDeployDoc(projectInfo) {
+  return `# Deployment Guide
 
 This project uses the Karma unified deployment system.
 
@@ -146,11 +168,11 @@ ${projectInfo.staging ? '\n# Deploy to staging\nnpm run deploy:staging' : ''}
 
 ## GitHub Actions
 
-Deployments are automatically triggered by pushing version tags:
+Deployments are automatically triggered by pushing deployment tags:
 
 \`\`\`bash
-# Deploy to development
-git tag v1.0.0-dev
+# Deploy to development (npm run deploy:dev picks the next build number)
+git tag dev-20250828-1430-1
 git push --tags
 
 # Deploy to production
@@ -168,10 +190,11 @@ ${projectInfo.staging ? '\n\n# Deploy to staging\ngit tag v1.0.0-staging\ngit pu
 
 Run \`karma update\` to update deployment scripts to the latest version.
 `;
-
-  fs.writeFileSync(path.join(projectPath, 'DEPLOY.md'), doc);
 }
 
 module.exports = {
-  installDeployScript
+  installDeployScript,
+  generateDeployScript,
+  generateDeployConfig,
+  generateDeployDoc
 };
\ No newline at end of file
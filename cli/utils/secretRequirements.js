@@ -0,0 +1,73 @@
+const { deployType } = require('./workflowGenerator');
+
+// The GitHub Actions secrets a project's generated workflows need. Shared
+// credentials are organization secrets, so one rotation reaches every
+// repository; anything tied to one service's project or account is a
+// repository secret.
+const KNOWN_SECRETS = {
+  NPM_TOKEN: { description: 'NPM authentication token for private packages', scope: 'org' },
+  GCP_SA_KEY: { description: 'Service account key for GCP deployment', scope: 'repo' },
+  GITOPS_TOKEN: { description: 'GitHub token for GitOps repository access', scope: 'org' },
+  SLACK_WEBHOOK_URL: { description: 'Slack webhook for deployment notifications', scope: 'org' },
+  SENTRY_AUTH_TOKEN: { description: 'Sentry authentication token', scope: 'org' },
+  FONTAWESOME_NPM_TOKEN: { description: 'FontAwesome Pro NPM token', scope: 'org' },
+  STOREFRONT_PUBLIC_GOOGLE_MAPS_KEY: { description: 'Google Maps API key', scope: 'repo' },
+  APOLLO_KEY: { description: 'Apollo Studio API key', scope: 'repo' },
+  FIREBASE_DEPLOY_TOKEN: { description: 'Firebase CI token, used when the service account cannot deploy', scope: 'repo' }
+};
+
+function secret(name, options = {}) {
+  const known = KNOWN_SECRETS[name] || { description: 'Used by the Buildkite pipeline', scope: 'repo' };
+  return { name, description: known.description, scope: known.scope, required: options.required !== false };
+}
+
+// Returns [{ name, description, scope: 'org' | 'repo', required }].
+// Optional secrets enable extras (notifications, fallbacks) and are never
+// reported as missing.
+function requiredSecrets(packages, buildkiteAnalysis) {
+  const secrets = [secret('NPM_TOKEN'), secret('GCP_SA_KEY')];
+  const features = buildkiteAnalysis?.pipeline?.features || {};
+
+  // Firebase apps and Cloud Functions deploy directly; everything else goes
+  // through GitOps
+  if (packages.some(pkg => !['firebase', 'cloud-function'].includes(deployType(pkg)))) {
+    secrets.push(secret('GITOPS_TOKEN'));
+  }
+
+  if (packages.some(pkg => pkg.features.sentry) || features.sentry) {
+    secrets.push(secret('SENTRY_AUTH_TOKEN'));
+  }
+
+  if (features.googleMaps) {
+    secrets.push(secret('STOREFRONT_PUBLIC_GOOGLE_MAPS_KEY'));
+  }
+
+  if (packages.some(pkg => pkg.features.graphql)) {
+    secrets.push(secret('APOLLO_KEY'));
+  }
+
+  // Secrets the Buildkite pipeline reads carry over to the translated jobs
+  for (const name of buildkiteAnalysis?.pipeline?.secrets || []) {
+    secrets.push(secret(name));
+  }
+
+  secrets.push(secret('SLACK_WEBHOOK_URL', { required: false }));
+  if (packages.some(pkg => deployType(pkg) === 'firebase')) {
+    secrets.push(secret('FIREBASE_DEPLOY_TOKEN', { required: false }));
+  }
+
+  const seen = new Set();
+  return secrets.filter(({ name }) => !seen.has(name) && seen.add(name));
+}
+
+// "NAME: description (organization secret)" for listings
+function describeSecret(secret) {
+  const notes = [secret.scope === 'org' && 'organization secret', !secret.required && 'optional'].filter(Boolean);
+  return `${secret.name}: ${secret.description}${notes.length > 0 ? ` (${notes.join(', ')})` : ''}`;
+}
+
+module.exports = {
+  KNOWN_SECRETS,
+  requiredSecrets,
+  describeSecret
+};
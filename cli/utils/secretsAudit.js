@@ -0,0 +1,153 @@
+// Compares the secrets a project needs with the ones GitHub Actions can
+// hand its workflows: repository secrets, organization secrets shared with
+// the repository and environment secrets.
+
+// Listing endpoints that answer 403/404 when the token may not see them
+// (org secrets need admin:org) or the feature is unavailable
+async function optionalList(api, path, key) {
+  try {
+    return await api.paginate(path, key);
+  } catch (error) {
+    if (error.status === 403 || error.status === 404) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+// What GitHub has for `repo` ("owner/name"). `orgSecrets` lists every
+// organization secret and is null when the token can't read them.
+async function fetchSecrets(api, repo) {
+  let info;
+  try {
+    info = await api.get(`/repos/${repo}`);
+  } catch (error) {
+    if (error.status === 404) {
+      throw new Error(`Repository ${repo} not found, or the token cannot access it`);
+    }
+    throw error;
+  }
+
+  let repoSecrets;
+  try {
+    repoSecrets = await api.paginate(`/repos/${repo}/actions/secrets`, 'secrets');
+  } catch (error) {
+    if (error.status === 403 || error.status === 404) {
+      throw new Error(`The token cannot read Actions secrets of ${repo}; it needs admin access to the repository`);
+    }
+    throw error;
+  }
+
+  const isOrg = info.owner?.type === 'Organization';
+  const owner = info.owner?.login || repo.split('/')[0];
+  const sharedSecrets = isOrg ? await optionalList(api, `/repos/${repo}/actions/organization-secrets`, 'secrets') : [];
+  const orgSecrets = isOrg ? await optionalList(api, `/orgs/${owner}/actions/secrets`, 'secrets') : null;
+
+  const environmentSecrets = {};
+  for (const environment of await optionalList(api, `/repos/${repo}/environments`, 'environments') || []) {
+    const secrets = await optionalList(api, `/repos/${repo}/environments/${encodeURIComponent(environment.name)}/secrets`, 'secrets');
+    environmentSecrets[environment.name] = (secrets || []).map(({ name }) => name);
+  }
+
+  return {
+    repo,
+    repoId: info.id,
+    owner,
+    isOrg,
+    repoSecrets: repoSecrets.map(({ name }) => name),
+    sharedSecrets: (sharedSecrets || []).map(({ name }) => name),
+    orgSecrets: orgSecrets && orgSecrets.map(({ name, visibility }) => ({ name, visibility })),
+    environmentSecrets
+  };
+}
+
+// One result per requirement, with status 'ok', 'missing' (required but
+// not available), 'not-shared' (an organization secret exists but this
+// repository can't read it) or 'unset' (optional and not available).
+// `sources` lists where the secret was found: 'repo', 'org' or
+// 'environment:<name>'.
+function auditSecrets(requirements, available) {
+  return requirements.map(requirement => {
+    const { name, scope, required } = requirement;
+    const sources = [];
+    if (available.repoSecrets.includes(name)) sources.push('repo');
+    if (available.sharedSecrets.includes(name)) sources.push('org');
+    for (const [environment, names] of Object.entries(available.environmentSecrets)) {
+      if (names.includes(name)) sources.push(`environment:${environment}`);
+    }
+
+    const notes = [];
+    let status = 'ok';
+    if (sources.length === 0) {
+      const orgSecret = available.orgSecrets?.find(candidate => candidate.name === name);
+      if (orgSecret) {
+        status = 'not-shared';
+        notes.push(`The ${available.owner} organization secret has visibility "${orgSecret.visibility}" and is not shared with ${available.repo}`);
+      } else {
+        status = required ? 'missing' : 'unset';
+      }
+    } else if (sources.every(source => source.startsWith('environment:'))) {
+      notes.push(`Only set for ${sources.map(source => source.slice('environment:'.length)).join(', ')}; jobs without that environment get an empty value`);
+    }
+
+    if (sources.includes('repo') && sources.includes('org')) {
+      notes.push('The repository secret overrides the organization secret');
+    } else if (sources.includes('repo') && scope === 'org' && available.isOrg) {
+      notes.push('Usually an organization secret; this repository copy has to be rotated separately');
+    }
+
+    return { ...requirement, status, sources, notes };
+  });
+}
+
+function quote(value) {
+  return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
+// A bash script that fixes the missing and unshared secrets with gh. gh
+// prompts for each value; organization secrets are only created when the
+// organization's secrets could be listed, so an existing one is never
+// overwritten.
+function secretScript(results, available) {
+  const { repo, owner, repoId } = available;
+  const lines = [
+    '#!/usr/bin/env bash',
+    `# Sets the GitHub Actions secrets that "karma secrets check" found missing for ${repo}.`,
+    '# gh prompts for each value; to script it, add --body "$VALUE" to a command.',
+    'set -euo pipefail',
+    ''
+  ];
+
+  const pending = results.filter(result => result.status === 'missing' || result.status === 'not-shared');
+  for (const result of pending) {
+    lines.push(`# ${result.name}: ${result.description}`);
+    if (result.status === 'not-shared') {
+      const orgSecret = available.orgSecrets.find(candidate => candidate.name === result.name);
+      if (orgSecret.visibility === 'selected') {
+        lines.push(`gh api --method PUT /orgs/${owner}/actions/secrets/${result.name}/repositories/${repoId}`);
+      } else {
+        lines.push(`# The organization secret's visibility is "${orgSecret.visibility}"; an organization admin has to change it to include ${repo}`);
+      }
+    } else if (result.scope === 'org' && available.isOrg && available.orgSecrets) {
+      lines.push(`gh secret set ${result.name} --org ${quote(owner)} --visibility selected --repos ${quote(repo.split('/')[1])}`);
+    } else {
+      if (result.scope === 'org' && available.isOrg) {
+        lines.push(`# Normally an organization secret; if ${owner} already has it, ask an organization admin to share it instead`);
+      }
+      lines.push(`gh secret set ${result.name} --repo ${quote(repo)}`);
+    }
+    lines.push('');
+  }
+
+  if (pending.length === 0) {
+    lines.push('# Nothing to do: every required secret is available', '');
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  fetchSecrets,
+  auditSecrets,
+  secretScript
+};
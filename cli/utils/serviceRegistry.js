@@ -0,0 +1,238 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+// The registry ships with the CLI; KARMA_SERVICES_REGISTRY points at another
+// copy, e.g. a checkout with unreleased changes
+const DEFAULT_REGISTRY_PATH = path.join(__dirname, '..', '..', 'registry', 'services.yml');
+const SCHEMA_VERSION = 1;
+
+const ENVIRONMENTS = ['development', 'staging', 'beta', 'production'];
+
+// Allowed keys per section: 'string', 'strings' (list), 'environments' (list
+// of known environment names), or a nested section
+const SERVICE_SCHEMA = {
+  environments: 'environments',
+  sentry: {
+    org: 'string',
+    project: 'string'
+  },
+  apollo: {
+    graph: 'string',
+    subgraph: 'string'
+  },
+  gcp: {
+    registry: 'string',
+    projects: 'projects'
+  },
+  owners: 'strings'
+};
+
+const cache = new Map();
+
+function registryPath() {
+  return process.env.KARMA_SERVICES_REGISTRY || DEFAULT_REGISTRY_PATH;
+}
+
+// Loads and validates the registry. Throws when the file is missing or
+// invalid, so callers never act on a half-understood registry.
+function loadRegistry(filePath = registryPath()) {
+  if (cache.has(filePath)) {
+    return cache.get(filePath);
+  }
+
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Services registry not found: ${filePath}`);
+  }
+
+  let doc;
+  try {
+    doc = yaml.load(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Services registry ${filePath} is not valid YAML: ${error.message}`);
+  }
+
+  const { errors } = validateRegistry(doc);
+  if (errors.length > 0) {
+    throw new Error(`Services registry ${filePath} is invalid:\n  ${errors.join('\n  ')}`);
+  }
+
+  const registry = {
+    path: filePath,
+    version: doc.version,
+    defaults: doc.defaults || {},
+    services: doc.services || {}
+  };
+  cache.set(filePath, registry);
+  return registry;
+}
+
+// Returns the registered service merged with the registry defaults, or null
+// when the service is not registered
+function getService(name, registry = loadRegistry()) {
+  if (!Object.prototype.hasOwnProperty.call(registry.services, name)) {
+    return null;
+  }
+  return buildService(name, registry.services[name] || {}, registry, true);
+}
+
+// Like getService, but unregistered services get the registry defaults
+function resolveService(name, registry = loadRegistry()) {
+  return getService(name, registry) || buildService(name, {}, registry, false);
+}
+
+function listServices(registry = loadRegistry()) {
+  return Object.keys(registry.services)
+    .sort()
+    .map(name => getService(name, registry));
+}
+
+function buildService(name, entry, registry, registered) {
+  const service = merge(registry.defaults, entry);
+  return {
+    name,
+    registered,
+    environments: service.environments || ['development', 'production'],
+    sentry: {
+      org: service.sentry?.org || null,
+      project: service.sentry?.project || name
+    },
+    apollo: service.apollo || null,
+    gcp: {
+      registry: service.gcp?.registry || null,
+      projects: service.gcp?.projects || {}
+    },
+    owners: service.owners || []
+  };
+}
+
+function hasEnvironment(name, environment, registry) {
+  return resolveService(name, registry).environments.includes(environment);
+}
+
+// Returns { errors, warnings } for a parsed registry document
+function validateRegistry(doc) {
+  const errors = [];
+  const warnings = [];
+
+  if (!doc || typeof doc !== 'object' || Array.isArray(doc)) {
+    return { errors: ['Registry must be a mapping with "version" and "services"'], warnings };
+  }
+
+  if (doc.version !== SCHEMA_VERSION) {
+    errors.push(`version: expected ${SCHEMA_VERSION}, got ${JSON.stringify(doc.version)}`);
+  }
+
+  for (const key of Object.keys(doc)) {
+    if (!['version', 'defaults', 'services'].includes(key)) {
+      errors.push(`${key}: unknown top-level key`);
+    }
+  }
+
+  if (doc.defaults !== undefined) {
+    validateSection(doc.defaults, SERVICE_SCHEMA, 'defaults', errors);
+  }
+
+  if (!isMapping(doc.services)) {
+    errors.push('services: expected a mapping of service names');
+    return { errors, warnings };
+  }
+
+  for (const [name, entry] of Object.entries(doc.services)) {
+    const where = `services.${name}`;
+    if (!/^[a-z0-9][a-z0-9-]*$/.test(name)) {
+      errors.push(`${where}: service names must be lowercase kebab-case`);
+    }
+    if (entry === null) {
+      continue;
+    }
+    if (!validateSection(entry, SERVICE_SCHEMA, where, errors)) {
+      continue;
+    }
+
+    const service = merge(doc.defaults || {}, entry);
+    if (service.apollo && (!service.apollo.graph || !service.apollo.subgraph)) {
+      errors.push(`${where}.apollo: both graph and subgraph are required`);
+    }
+    for (const environment of Object.keys(service.gcp?.projects || {})) {
+      if (service.environments && !service.environments.includes(environment)) {
+        warnings.push(`${where}: GCP project set for ${environment}, which the service does not deploy to`);
+      }
+    }
+  }
+
+  return { errors, warnings };
+}
+
+function validateSection(value, schema, where, errors) {
+  if (!isMapping(value)) {
+    errors.push(`${where}: expected a mapping`);
+    return false;
+  }
+
+  for (const [key, child] of Object.entries(value)) {
+    const type = schema[key];
+    const at = `${where}.${key}`;
+
+    if (type === undefined) {
+      errors.push(`${at}: unknown key`);
+    } else if (typeof type === 'object') {
+      validateSection(child, type, at, errors);
+    } else if (type === 'string') {
+      if (typeof child !== 'string' || child === '') {
+        errors.push(`${at}: expected a non-empty string`);
+      }
+    } else if (type === 'strings' || type === 'environments') {
+      if (!Array.isArray(child) || child.some(item => typeof item !== 'string')) {
+        errors.push(`${at}: expected a list of strings`);
+      } else if (type === 'environments') {
+        if (child.length === 0) {
+          errors.push(`${at}: at least one environment is required`);
+        }
+        for (const environment of child.filter(item => !ENVIRONMENTS.includes(item))) {
+          errors.push(`${at}: unknown environment "${environment}" (expected ${ENVIRONMENTS.join(', ')})`);
+        }
+      }
+    } else if (type === 'projects') {
+      if (!isMapping(child)) {
+        errors.push(`${at}: expected a mapping of environment to GCP project`);
+        continue;
+      }
+      for (const [environment, project] of Object.entries(child)) {
+        if (!ENVIRONMENTS.includes(environment)) {
+          errors.push(`${at}.${environment}: unknown environment`);
+        } else if (typeof project !== 'string' || project === '') {
+          errors.push(`${at}.${environment}: expected a GCP project id`);
+        }
+      }
+    }
+  }
+
+  return true;
+}
+
+// Mappings merge key by key; lists and scalars from the override win
+function merge(base, override) {
+  const result = { ...base };
+  for (const [key, value] of Object.entries(override || {})) {
+    result[key] = isMapping(value) && isMapping(base?.[key])
+      ? merge(base[key], value)
+      : value;
+  }
+  return result;
+}
+
+function isMapping(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+module.exports = {
+  loadRegistry,
+  getService,
+  resolveService,
+  listServices,
+  hasEnvironment,
+  validateRegistry,
+  registryPath,
+  ENVIRONMENTS
+};
@@ -0,0 +1,156 @@
+// Builds the execution graph of a Buildkite pipeline from the normalized step
+// list produced by BuildkiteAnalyzer.
+//
+// Buildkite runs steps in parallel unless something orders them:
+// - a `wait` step makes every following step depend on every step since the
+//   previous wait/block
+// - a `block`/`input` step does the same, and additionally pauses the build
+//   until someone unblocks it
+// - `depends_on` adds explicit dependencies on keyed steps
+// Implicit (wait/block) and explicit dependencies are combined.
+
+function buildStepGraph(steps) {
+  const nodes = [];
+  const edges = [];
+  const errors = [];
+  const ids = new Set();
+
+  // Nodes that steps after the most recent barrier implicitly depend on
+  let barrier = { ids: [], type: null, allowFailure: false };
+  // Nodes added since the most recent barrier
+  let sinceBarrier = [];
+
+  steps.forEach((step, index) => {
+    if (step.type === 'wait') {
+      barrier = {
+        ids: sinceBarrier.length > 0 ? sinceBarrier : barrier.ids,
+        type: 'wait',
+        allowFailure: step.continueOnFailure === true
+      };
+      sinceBarrier = [];
+      return;
+    }
+
+    const id = uniqueId(step.key || `step-${index}`, ids);
+    const node = {
+      id,
+      key: step.key || null,
+      type: step.type,
+      label: step.label || null,
+      step: index,
+      gate: step.type === 'block' || step.type === 'input',
+      dependsOn: []
+    };
+    if (step.if !== undefined) node.if = step.if;
+    if (step.branches !== undefined) node.branches = step.branches;
+    if (step.condition !== undefined) node.condition = step.condition;
+    if (step.group !== undefined) node.group = step.group;
+
+    // A gate also waits for the steps running alongside it
+    const isGate = node.gate;
+    if (isGate && sinceBarrier.length > 0) {
+      for (const from of sinceBarrier) {
+        addEdge(node, edges, { from, to: id, type: 'wait', allowFailure: false });
+      }
+    } else {
+      for (const from of barrier.ids) {
+        addEdge(node, edges, { from, to: id, type: barrier.type, allowFailure: barrier.allowFailure });
+      }
+    }
+
+    node.explicit = (step.dependsOn || []).map(normalizeDependency).filter(Boolean);
+    nodes.push(node);
+
+    if (isGate) {
+      barrier = { ids: [id], type: 'block', allowFailure: false };
+      sinceBarrier = [];
+    } else {
+      sinceBarrier.push(id);
+    }
+  });
+
+  // Explicit dependencies can point at steps defined later, so resolve them
+  // once all keys are known
+  const byKey = new Map(nodes.filter(node => node.key).map(node => [node.key, node.id]));
+  for (const node of nodes) {
+    for (const dependency of node.explicit) {
+      const from = byKey.get(dependency.key);
+      if (!from) {
+        errors.push(`Step "${node.label || node.id}" depends on unknown step "${dependency.key}"`);
+        continue;
+      }
+      addEdge(node, edges, { from, to: node.id, type: 'depends_on', allowFailure: dependency.allowFailure });
+    }
+    delete node.explicit;
+  }
+
+  const { stages, cyclic } = topologicalStages(nodes);
+  if (cyclic.length > 0) {
+    errors.push(`Dependency cycle between steps: ${cyclic.join(', ')}`);
+  }
+
+  return {
+    nodes,
+    edges,
+    stages,
+    entry: nodes.filter(node => node.dependsOn.length === 0).map(node => node.id),
+    gates: nodes.filter(node => node.gate).map(node => node.id),
+    errors
+  };
+}
+
+// depends_on entries are either a key or { step: key, allow_failure: bool }
+function normalizeDependency(dependency) {
+  if (typeof dependency === 'string') {
+    return { key: dependency, allowFailure: false };
+  }
+  if (dependency && typeof dependency.step === 'string') {
+    return { key: dependency.step, allowFailure: dependency.allow_failure === true };
+  }
+  return null;
+}
+
+function addEdge(node, edges, edge) {
+  if (edge.from === edge.to || node.dependsOn.includes(edge.from)) {
+    return;
+  }
+  node.dependsOn.push(edge.from);
+  edges.push(edge);
+}
+
+function uniqueId(base, ids) {
+  let id = base;
+  let suffix = 2;
+  while (ids.has(id)) {
+    id = `${base}-${suffix++}`;
+  }
+  ids.add(id);
+  return id;
+}
+
+// Groups nodes into stages that can run in parallel (Kahn's algorithm).
+// Nodes left over are part of a cycle.
+function topologicalStages(nodes) {
+  const remaining = new Map(nodes.map(node => [node.id, new Set(node.dependsOn)]));
+  const stages = [];
+
+  while (remaining.size > 0) {
+    const ready = [...remaining.keys()].filter(id => remaining.get(id).size === 0);
+    if (ready.length === 0) {
+      break;
+    }
+    stages.push(ready);
+    for (const id of ready) {
+      remaining.delete(id);
+    }
+    for (const dependencies of remaining.values()) {
+      ready.forEach(id => dependencies.delete(id));
+    }
+  }
+
+  return { stages, cyclic: [...remaining.keys()] };
+}
+
+module.exports = {
+  buildStepGraph
+};
@@ -0,0 +1,624 @@
+// Translates analyzed Buildkite steps into GitHub Actions jobs.
+//
+// Steps the reusable node-service-pipeline already performs (standard
+// install/test/lint commands, the Docker build, deployments) are mapped onto
+// the `pipeline` job. Every other step becomes its own job, with `needs`
+// derived from the step graph. Anything that has no GitHub Actions
+// equivalent is reported as a TODO instead of being dropped.
+//
+// With fullTranslation there is no `pipeline` job: command steps become jobs
+// of their own and the Docker build and deploy helpers, which only exist as
+// Buildkite plugins, are left as TODOs.
+//
+// Variables the steps read from the agent environment come from GitHub
+// secrets (getEnv lookups and secret-looking names, per the analysis) or
+// repository variables. Steps limited to branches need pushes to those
+// branches to run at all, so they are returned as `branches` for the
+// workflow triggers.
+
+const {
+  shellReferences,
+  buildArgs,
+  assignedVariables,
+  getEnvToShell,
+  getEnvToSecret,
+  BUILDKITE_ENV
+} = require('./buildkiteEnv');
+
+const PIPELINE_JOB = 'pipeline';
+
+// Commands node-service-pipeline runs itself (install, test, lint, typecheck)
+const PIPELINE_COMMAND = /^(npm|yarn|pnpm|bun)\s+(ci|install|test|(run\s+)?(test|lint|typecheck|type-check|typescript-check))\b/;
+
+function translatePipeline(pipeline, options = {}) {
+  const translation = {
+    jobs: {},
+    steps: [],
+    todos: [],
+    branches: []
+  };
+
+  if (!pipeline?.steps?.length) {
+    return translation;
+  }
+
+  const graph = pipeline.graph;
+  const nodesByStep = new Map((graph?.nodes || []).map(node => [node.step, node]));
+  const nodesById = new Map((graph?.nodes || []).map(node => [node.id, node]));
+  const usedIds = new Set([PIPELINE_JOB]);
+  const covers = step => !options.fullTranslation && isCoveredByPipeline(step);
+  // Graph node id -> job id ('pipeline' for covered steps, null when the
+  // step produced no job)
+  const jobForNode = new Map();
+  const context = {
+    env: translateEnv(pipeline.env || {}, message => translation.todos.push({ step: null, message })),
+    secrets: pipeline.secrets || [],
+    variables: pipeline.variables || []
+  };
+
+  pipeline.steps.forEach((step, index) => {
+    const node = nodesByStep.get(index);
+    if (!node) {
+      return;
+    }
+
+    const todo = message => translation.todos.push({ step: stepName(step), message });
+
+    if (covers(step)) {
+      jobForNode.set(node.id, PIPELINE_JOB);
+      translation.steps.push({ step: stepName(step), job: PIPELINE_JOB, covered: true });
+      return;
+    }
+
+    let job = null;
+    if (step.type === 'block') {
+      // A block in front of deployments the reusable pipeline performs can
+      // only be enforced through that pipeline's environments
+      const gated = graph.nodes.filter(other => other.dependsOn.includes(node.id));
+      if (gated.length > 0 && gated.every(other => covers(pipeline.steps[other.step]))) {
+        const environments = [...new Set(gated.map(other => pipeline.steps[other.step].environment || 'production'))];
+        todo(`Add required reviewers to the ${environments.map(env => `"${env}"`).join(', ')} GitHub environment(s) to reproduce this manual approval`);
+      } else {
+        job = translateBlock(step, todo);
+      }
+    } else if (step.type === 'input') {
+      todo('Input steps have no GitHub Actions equivalent; collect these values as workflow_dispatch inputs');
+    } else if (step.type === 'trigger') {
+      todo(`Trigger step for pipeline "${step.pipeline}" was not translated; call the equivalent workflow with "uses:" or "gh workflow run"`);
+    } else if (step.type === 'docker-build' || step.type === 'deploy') {
+      // Only reachable with fullTranslation: these helpers wrap Karma's
+      // Buildkite plugins, which the reusable pipeline replaces
+      todo(`"${step.type}" helper steps are only available through the reusable pipeline; remove --full-translation or port the step by hand`);
+    } else if (step.type === 'custom') {
+      todo(`Helper "${step.fn}"${step.line ? ` (pipeline.nix line ${step.line})` : ''} has no known translation`);
+      if (step.commands?.length) {
+        job = translateCommandStep(step, todo, context);
+      }
+    } else if (step.commands?.length || step.plugins?.length) {
+      job = translateCommandStep(step, todo, context);
+    } else {
+      todo('Step has no commands to translate');
+    }
+
+    if (!job) {
+      jobForNode.set(node.id, null);
+      translation.steps.push({ step: stepName(step), job: null, covered: false });
+      return;
+    }
+
+    // Keep `if` next to the job name for readability
+    const condition = translateStepCondition(step, todo);
+    if (condition) {
+      job = { name: job.name, if: condition, ...job };
+      for (const branch of conditionBranches(condition)) {
+        if (!translation.branches.includes(branch)) translation.branches.push(branch);
+      }
+    }
+
+    const jobId = uniqueJobId(step.key || slugify(step.label) || node.id, usedIds);
+    jobForNode.set(node.id, jobId);
+    translation.jobs[jobId] = job;
+    translation.steps.push({ step: stepName(step), job: jobId, covered: false });
+  });
+
+  // Resolve needs once every node has a job, skipping steps that produced
+  // none (their own dependencies are inherited instead)
+  const resolveNeeds = (node, seen = new Set()) => {
+    const needs = [];
+    for (const dependency of node.dependsOn) {
+      if (seen.has(dependency)) continue;
+      seen.add(dependency);
+      const jobId = jobForNode.get(dependency);
+      if (jobId) {
+        needs.push(jobId);
+      } else if (nodesById.has(dependency)) {
+        needs.push(...resolveNeeds(nodesById.get(dependency), seen));
+      }
+    }
+    return needs;
+  };
+
+  for (const node of graph.nodes) {
+    const jobId = jobForNode.get(node.id);
+    if (!jobId || jobId === PIPELINE_JOB) continue;
+
+    const needs = [...new Set(resolveNeeds(node))].filter(need => need !== jobId);
+    if (needs.length > 0) {
+      // Keep `needs` first for readability
+      translation.jobs[jobId] = { needs: needs.length === 1 ? needs[0] : needs, ...translation.jobs[jobId] };
+    }
+
+    const softDependency = graph.edges.some(edge => edge.to === node.id && edge.allowFailure);
+    if (softDependency) {
+      const job = translation.jobs[jobId];
+      job.if = job.if ? `always() && (${job.if})` : 'always()';
+    }
+  }
+
+  for (const error of graph.errors || []) {
+    translation.todos.push({ step: null, message: error });
+  }
+
+  return translation;
+}
+
+function isCoveredByPipeline(step) {
+  if (step.type === 'deploy' || step.type === 'docker-build') {
+    return true;
+  }
+  if (step.type === 'test' || step.type === 'command') {
+    return step.commands.length > 0 && !step.plugins?.length &&
+      step.commands.every(command => PIPELINE_COMMAND.test(command));
+  }
+  return false;
+}
+
+// Manual approval becomes a job bound to a protected environment
+function translateBlock(step, todo) {
+  const environment = `${slugify(step.label) || 'manual'}-approval`;
+  todo(`Create the "${environment}" GitHub environment with required reviewers to reproduce this manual approval`);
+  if (step.fields?.length) {
+    todo('Block step fields were not translated; collect these values as workflow_dispatch inputs');
+  }
+  return {
+    name: cleanLabel(step.label) || 'Manual approval',
+    'runs-on': 'ubuntu-latest',
+    environment,
+    steps: [{ run: `echo ${shellQuote(`Approved: ${cleanLabel(step.label) || 'manual approval'}`)}` }]
+  };
+}
+
+function translateCommandStep(step, todo, context = { env: {}, secrets: [], variables: [] }) {
+  const job = {
+    name: cleanLabel(step.label) || step.key || 'Step',
+    'runs-on': runsOn(step, todo)
+  };
+  const env = {
+    ...context.env,
+    ...translateEnv(step.env || {}, todo)
+  };
+  const passedThrough = [];
+  const setupSteps = [{ uses: 'actions/checkout@v4' }];
+  const postSteps = [];
+  let commandWrapper = command => command;
+
+  if (step.timeoutInMinutes) {
+    job['timeout-minutes'] = step.timeoutInMinutes;
+  }
+
+  if (step.softFail) {
+    job['continue-on-error'] = true;
+    if (step.softFail !== true) {
+      todo('soft_fail with specific exit statuses became continue-on-error for every failure');
+    }
+  }
+
+  if (step.concurrencyGroup) {
+    job.concurrency = { group: step.concurrencyGroup, 'cancel-in-progress': false };
+    if (step.concurrency && step.concurrency !== 1) {
+      todo(`Buildkite allowed ${step.concurrency} concurrent jobs in "${step.concurrencyGroup}"; GitHub concurrency groups allow one`);
+    }
+  }
+
+  // getEnv lookups left in strings read the agent environment at run time
+  let commands = (step.commands || []).map(command => unescapeDollars(getEnvToShell(command)));
+  const strategy = translateMatrix(step, env, todo);
+  const upload = paths => uploadArtifactStep(paths, step, Boolean(strategy));
+  if (strategy) {
+    job.strategy = strategy;
+    commands = commands.map(substituteMatrix);
+  }
+
+  for (const plugin of step.plugins || []) {
+    const [name, config] = pluginEntry(plugin);
+    const plugName = pluginName(name);
+
+    if (plugName === 'docker') {
+      if (!config.image) {
+        todo('docker plugin without "image" was not translated');
+        continue;
+      }
+      job.container = { image: config.image };
+      for (const variable of config.environment || []) {
+        const [key, ...value] = String(variable).split('=');
+        if (value.length > 0) {
+          env[key] = value.join('=');
+        } else {
+          passedThrough.push(key);
+        }
+      }
+      const unsupported = Object.keys(config).filter(key => !['image', 'environment', 'always-pull', 'propagate-environment'].includes(key));
+      if (unsupported.length > 0) {
+        todo(`docker plugin options not translated: ${unsupported.join(', ')}`);
+      }
+    } else if (plugName === 'docker-compose') {
+      const files = asArray(config.config).map(file => `-f ${file}`).join(' ');
+      const compose = `docker compose${files ? ` ${files}` : ''}`;
+      for (const service of asArray(config.build)) {
+        setupSteps.push({ name: `Build ${service}`, run: `${compose} build ${service}` });
+      }
+      if (config.run) {
+        commandWrapper = command => `${compose} run --rm ${config.run} sh -c ${shellQuote(command)}`;
+      }
+      const unsupported = Object.keys(config).filter(key => !['run', 'build', 'config'].includes(key));
+      if (unsupported.length > 0) {
+        todo(`docker-compose plugin options not translated: ${unsupported.join(', ')}`);
+      }
+    } else if (plugName === 'artifacts') {
+      for (const pattern of asArray(config.download)) {
+        setupSteps.push(downloadArtifactStep(pattern));
+      }
+      if (config.upload) {
+        postSteps.push(upload(asArray(config.upload)));
+      }
+    } else {
+      todo(`Buildkite plugin "${name}" has no translation`);
+    }
+  }
+
+  const runSteps = [];
+  for (const command of commands) {
+    const artifact = command.match(/^buildkite-agent\s+artifact\s+(upload|download)\s+(['"]?)([^'"\s]+)\2/);
+    if (artifact && artifact[1] === 'download') {
+      runSteps.push(downloadArtifactStep(artifact[3]));
+      continue;
+    }
+    if (artifact && artifact[1] === 'upload') {
+      runSteps.push(upload([artifact[3]]));
+      continue;
+    }
+    if (/^buildkite-agent\b/.test(command)) {
+      todo(`"${command}" uses the Buildkite agent and was not translated`);
+      continue;
+    }
+    runSteps.push({ run: commandWrapper(command) });
+  }
+
+  // Adjacent shell commands share one `run` step, as they shared one
+  // Buildkite command script
+  const merged = [];
+  for (const runStep of runSteps) {
+    const previous = merged[merged.length - 1];
+    if (runStep.run && previous?.run) {
+      previous.run += `\n${runStep.run}`;
+    } else {
+      merged.push(runStep.run ? { ...runStep } : runStep);
+    }
+  }
+
+  if (step.retry) {
+    applyRetry(step.retry, merged, step, todo);
+  }
+
+  if (step.artifactPaths?.length) {
+    postSteps.push(upload(step.artifactPaths));
+  }
+
+  // Variables the commands read from the agent environment, and the ones
+  // docker runs and builds pass through by name
+  const script = commands.join('\n');
+  const assigned = assignedVariables(script);
+  const referenced = [
+    ...shellReferences(script),
+    ...commands.flatMap(command => buildArgs(command)).filter(arg => arg.value === null).map(arg => arg.name),
+    ...passedThrough
+  ];
+  for (const variable of new Set(referenced)) {
+    if (variable in env || assigned.includes(variable) || /^BUILDKITE_/.test(variable)) continue;
+    const value = environmentValue(variable, context);
+    if (value) {
+      env[variable] = value;
+    } else {
+      todo(`$${variable} came from the Buildkite agent environment; add it to the job's env`);
+    }
+  }
+
+  // Buildkite variables the commands rely on
+  const buildkiteScript = JSON.stringify([merged, env]);
+  for (const variable of new Set(buildkiteScript.match(/\bBUILDKITE_[A-Z_]+/g) || [])) {
+    if (BUILDKITE_ENV[variable]) {
+      env[variable] = BUILDKITE_ENV[variable];
+    } else if (!(variable in env)) {
+      todo(`$${variable} has no GitHub Actions equivalent`);
+    }
+  }
+
+  if (Object.keys(env).length > 0) {
+    job.env = env;
+  }
+  job.steps = [...setupSteps, ...merged, ...postSteps];
+  return job;
+}
+
+// Where a variable from the agent environment comes from in GitHub Actions
+function environmentValue(name, context) {
+  if (context.secrets.includes(name)) return `\${{ secrets.${name} }}`;
+  if (context.variables.includes(name)) return `\${{ vars.${name} }}`;
+  return null;
+}
+
+// Pipeline and step `env`. getEnv lookups become secrets; GitHub doesn't
+// expand shell variables in env values, so those are reported.
+function translateEnv(env, todo) {
+  const translated = {};
+  for (const [key, raw] of Object.entries(env)) {
+    const withSecrets = unescapeDollars(getEnvToSecret(raw));
+    const shell = [...new Set([...withSecrets.matchAll(/\$\{?([A-Za-z_][A-Za-z0-9_]*)/g)].map(match => `$${match[1]}`))];
+    if (shell.length > 0) {
+      todo(`env ${key} reads ${shell.join(', ')}, which GitHub Actions does not expand in env values`);
+    }
+    translated[key] = withSecrets;
+  }
+  return translated;
+}
+
+function translateMatrix(step, env, todo) {
+  if (step.parallelism > 1) {
+    env.BUILDKITE_PARALLEL_JOB = '${{ matrix.parallel-job }}';
+    env.BUILDKITE_PARALLEL_JOB_COUNT = String(step.parallelism);
+    return {
+      'fail-fast': false,
+      matrix: { 'parallel-job': Array.from({ length: step.parallelism }, (_, i) => i) }
+    };
+  }
+
+  if (!step.matrix) {
+    return null;
+  }
+
+  // `matrix: [a, b]` or `matrix: { setup: { os: [...] }, adjustments: [...] }`
+  const setup = Array.isArray(step.matrix) ? { value: step.matrix } : step.matrix.setup;
+  if (!setup) {
+    todo('Matrix configuration was not translated');
+    return null;
+  }
+  if (step.matrix.adjustments) {
+    todo('Matrix adjustments were not translated; use strategy.matrix.include/exclude');
+  }
+
+  return { 'fail-fast': false, matrix: setup };
+}
+
+// Buildkite's {{matrix}} / {{matrix.name}} placeholders
+function substituteMatrix(command) {
+  return command
+    .replace(/\{\{\s*matrix\s*\}\}/g, '${{ matrix.value }}')
+    .replace(/\{\{\s*matrix\.([A-Za-z0-9_-]+)\s*\}\}/g, '${{ matrix.$1 }}');
+}
+
+// `retry: { automatic: true | { limit } | [{ exit_status, limit }] }`
+function applyRetry(retry, runSteps, step, todo) {
+  const automatic = retry.automatic;
+  let attempts = 0;
+
+  if (automatic === true) {
+    attempts = 2;
+  } else if (Array.isArray(automatic)) {
+    attempts = Math.max(...automatic.map(rule => rule.limit || 2));
+    if (automatic.some(rule => rule.exit_status !== undefined && rule.exit_status !== '*')) {
+      todo('Retry rules for specific exit statuses now retry on any failure');
+    }
+  } else if (automatic && typeof automatic === 'object') {
+    attempts = automatic.limit || 2;
+  }
+
+  if (retry.manual !== undefined) {
+    todo('Manual retry settings were dropped; failed jobs can be re-run from the Actions UI');
+  }
+
+  if (attempts === 0) {
+    return;
+  }
+
+  runSteps.forEach((runStep, index) => {
+    if (!runStep.run) return;
+    runSteps[index] = {
+      uses: 'nick-fields/retry@v3',
+      with: {
+        timeout_minutes: step.timeoutInMinutes || 60,
+        max_attempts: attempts + 1,
+        command: runStep.run
+      }
+    };
+  });
+}
+
+// Artifact names must be unique within a run, so every job of a matrix
+// uploads under its own
+function uploadArtifactStep(paths, step, matrix) {
+  const name = `${slugify(step.key || step.label) || 'step'}-artifacts`;
+  return {
+    name: 'Upload artifacts',
+    uses: 'actions/upload-artifact@v4',
+    with: {
+      name: matrix ? `${name}-\${{ strategy.job-index }}` : name,
+      path: paths.join('\n')
+    }
+  };
+}
+
+function downloadArtifactStep(pattern) {
+  // Artifacts are uploaded per job, so download them all and let the
+  // command pick the files it needs
+  return {
+    name: `Download ${pattern}`,
+    uses: 'actions/download-artifact@v4',
+    with: {
+      pattern: '*-artifacts*',
+      'merge-multiple': true
+    }
+  };
+}
+
+function runsOn(step, todo) {
+  const queue = step.agents?.queue;
+  if (queue && queue !== 'default') {
+    todo(`Buildkite agent queue "${queue}" mapped to ubuntu-latest; pick a matching runner`);
+  }
+  return 'ubuntu-latest';
+}
+
+// Turns Buildkite `branches` filters and conditions into a job `if:`
+function translateStepCondition(step, todo) {
+  const conditions = [];
+
+  if (step.branches) {
+    conditions.push(translateBranches(step.branches));
+  }
+
+  for (const expression of [step.if, step.condition]) {
+    if (!expression) continue;
+    const translated = translateExpression(expression);
+    if (translated) {
+      conditions.push(translated);
+    } else {
+      todo(`Condition "${expression}" was not translated`);
+    }
+  }
+
+  if (conditions.length === 0) return null;
+  return conditions.length === 1 ? conditions[0] : conditions.map(c => `(${c})`).join(' && ');
+}
+
+// "main master release/* !feature/*"
+function translateBranches(branches) {
+  const patterns = String(branches).split(/\s+/).filter(Boolean);
+  const include = patterns.filter(p => !p.startsWith('!')).map(p => branchTest(p, '=='));
+  const exclude = patterns.filter(p => p.startsWith('!')).map(p => branchTest(p.slice(1), '!='));
+
+  const parts = [];
+  if (include.length > 0) {
+    parts.push(include.length === 1 ? include[0] : `(${include.join(' || ')})`);
+  }
+  parts.push(...exclude);
+  return parts.join(' && ');
+}
+
+// Branches a condition requires, as push trigger patterns
+function conditionBranches(condition) {
+  const exact = [...condition.matchAll(/github\.ref == 'refs\/heads\/([^']+)'/g)].map(match => match[1]);
+  const prefixes = [...condition.matchAll(/(^|[^!])startsWith\(github\.ref, 'refs\/heads\/([^']*)'\)/g)]
+    .map(match => `${match[2]}**`);
+  return [...exact, ...prefixes];
+}
+
+function branchTest(pattern, op) {
+  if (pattern.endsWith('*')) {
+    const test = `startsWith(github.ref, 'refs/heads/${pattern.slice(0, -1)}')`;
+    return op === '==' ? test : `!${test}`;
+  }
+  return `github.ref ${op} 'refs/heads/${pattern}'`;
+}
+
+// Handles the branch/tag comparisons pipelines use; returns null otherwise
+function translateExpression(expression) {
+  const text = expression.trim().replace(/^\((.*)\)$/, '$1');
+
+  const parts = text.split(/\s*&&\s*/);
+  if (parts.length > 1) {
+    const translated = parts.map(translateExpression);
+    return translated.every(Boolean) ? translated.map(t => `(${t})`).join(' && ') : null;
+  }
+
+  let match = text.match(/^!?\(?\s*(?:build\.branch|buildkite\.branch|branch|BUILDKITE_BRANCH)\s*(==|!=)\s*["']([^"']+)["']\s*\)?$/);
+  if (match) {
+    const negated = text.startsWith('!');
+    const op = negated ? (match[1] === '==' ? '!=' : '==') : match[1];
+    return `github.ref ${op} 'refs/heads/${match[2]}'`;
+  }
+
+  match = text.match(/^(?:build\.tag|buildkite\.tag|BUILDKITE_TAG)\s*(==|!=)\s*null$/);
+  if (match) {
+    return match[1] === '!=' ? "startsWith(github.ref, 'refs/tags/')" : "!startsWith(github.ref, 'refs/tags/')";
+  }
+
+  match = text.match(/^(?:build\.tag|buildkite\.tag|BUILDKITE_TAG)\s*=~\s*\/\^([A-Za-z0-9._-]+)[^/]*\/$/);
+  if (match) {
+    return `startsWith(github.ref, 'refs/tags/${match[1]}')`;
+  }
+
+  return null;
+}
+
+function pluginEntry(plugin) {
+  if (typeof plugin === 'string') {
+    return [plugin, {}];
+  }
+  const name = Object.keys(plugin || {})[0] || '';
+  return [name, plugin[name] || {}];
+}
+
+function pluginName(name) {
+  return name.split('#')[0].replace(/^.*\//, '').replace(/-buildkite-plugin$/, '');
+}
+
+function stepName(step) {
+  return cleanLabel(step.label) || step.key || step.type;
+}
+
+// Drops Buildkite emoji codes such as ":jest:"
+function cleanLabel(label) {
+  if (!label) return null;
+  return String(label).replace(/:[a-z0-9_+-]+:/g, '').replace(/\s+/g, ' ').trim() || null;
+}
+
+function slugify(label) {
+  return (cleanLabel(label) || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+function uniqueJobId(base, usedIds) {
+  let id = slugify(base) || 'step';
+  if (/^[0-9-]/.test(id)) id = `step-${id}`;
+  let candidate = id;
+  let suffix = 2;
+  while (usedIds.has(candidate)) {
+    candidate = `${id}-${suffix++}`;
+  }
+  usedIds.add(candidate);
+  return candidate;
+}
+
+function asArray(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+// Buildkite interpolates the pipeline when it is uploaded and "$$" escapes a
+// literal "$" for the shell; in bash "$$" would be the process id
+function unescapeDollars(text) {
+  return String(text).replace(/\$\$/g, '$');
+}
+
+function shellQuote(command) {
+  return `'${command.replace(/'/g, `'\\''`)}'`;
+}
+
+module.exports = {
+  translatePipeline,
+  cleanLabel,
+  PIPELINE_JOB,
+  PIPELINE_COMMAND
+};
@@ -0,0 +1,219 @@
+const semver = require('semver');
+
+// Deployment tags, in both formats a repo may be on:
+//
+//   development  dev-YYYYMMDD-HHMM-N   (timestamp format)
+//                v1.2.3-dev            (legacy format)
+//   staging      v1.2.3-staging
+//   beta         v1.2.3-beta
+//   production   v1.2.3
+//
+// Rollbacks re-tag an earlier deployment as <tag>-rollback-<epoch>; those
+// deploy to the same environment as the tag they were made from.
+//
+// Tags in either dev format are always recognised. DEV_TAG_FORMAT in
+// .deploy.config only decides which format new dev tags are created in, so a
+// repo can stay on the legacy format until its workflows trigger on dev-*.
+
+const DEFAULT_PREFIX = 'v';
+const DEV_TAG_FORMATS = ['timestamp', 'legacy'];
+const DEFAULT_DEV_TAG_FORMAT = 'timestamp';
+
+const TIMESTAMP_DEV_TAG = /^dev-(\d{8})-(\d{4})-(\d+)$/;
+const ROLLBACK_SUFFIX = /-rollback-(\d+)$/;
+
+const SUFFIX_ENVIRONMENTS = {
+  '': 'production',
+  dev: 'development',
+  staging: 'staging',
+  beta: 'beta'
+};
+
+// Shell globs per environment, most specific first. The workflow generator
+// turns these into a `case` statement, so order matters.
+function environmentGlobs(prefix = DEFAULT_PREFIX) {
+  return [
+    { environment: 'development', globs: ['dev-*', `${prefix}*-dev`] },
+    { environment: 'staging', globs: [`${prefix}*-staging`] },
+    { environment: 'beta', globs: [`${prefix}*-beta`] },
+    { environment: 'production', globs: [`${prefix}*`] }
+  ];
+}
+
+// One tag of every kind per environment, for checking which deployments a
+// workflow trigger pattern accepts
+function exampleTags(prefix = DEFAULT_PREFIX) {
+  return {
+    development: ['dev-20250828-1430-1', `${prefix}1.2.3-dev`],
+    staging: [`${prefix}1.2.3-staging`],
+    beta: [`${prefix}1.2.3-beta`],
+    production: [`${prefix}1.2.3`]
+  };
+}
+
+// Tag patterns a deploying workflow has to trigger on
+function triggerTags(prefix = DEFAULT_PREFIX) {
+  return [`${prefix}*`, 'dev-*'];
+}
+
+// Parses a deployment tag. Returns null for tags that aren't deployments.
+//
+//   { tag, base, environment, format: 'timestamp' | 'legacy' | 'semver',
+//     version, build: { date, time, number } | null, rollback: epoch | null }
+function parseTag(tag, prefix = DEFAULT_PREFIX) {
+  let base = String(tag);
+  let rollback = null;
+
+  const rollbackMatch = base.match(ROLLBACK_SUFFIX);
+  if (rollbackMatch) {
+    rollback = Number(rollbackMatch[1]);
+    base = base.slice(0, rollbackMatch.index);
+  }
+
+  const dev = base.match(TIMESTAMP_DEV_TAG);
+  if (dev) {
+    return {
+      tag,
+      base,
+      environment: 'development',
+      format: 'timestamp',
+      version: `${dev[1]}-${dev[2]}-${dev[3]}`,
+      build: { date: dev[1], time: dev[2], number: Number(dev[3]) },
+      rollback
+    };
+  }
+
+  if (!base.startsWith(prefix)) {
+    return null;
+  }
+
+  const release = base.slice(prefix.length).match(/^(\d+\.\d+\.\d+)(?:-(dev|staging|beta))?$/);
+  if (!release) {
+    return null;
+  }
+
+  const suffix = release[2] || '';
+  return {
+    tag,
+    base,
+    environment: SUFFIX_ENVIRONMENTS[suffix],
+    format: suffix === 'dev' ? 'legacy' : 'semver',
+    version: release[1],
+    build: null,
+    rollback
+  };
+}
+
+function tagEnvironment(tag, prefix = DEFAULT_PREFIX) {
+  const parsed = parseTag(tag, prefix);
+  return parsed ? parsed.environment : null;
+}
+
+// Orders parsed tags oldest first. Timestamped dev tags sort after legacy
+// ones: a repo only moves from the legacy format to the timestamp format.
+function compareTags(a, b) {
+  const formatRank = parsed => (parsed.format === 'timestamp' ? 1 : 0);
+  if (formatRank(a) !== formatRank(b)) {
+    return formatRank(a) - formatRank(b);
+  }
+
+  let order;
+  if (a.format === 'timestamp') {
+    order = a.build.date.localeCompare(b.build.date) ||
+      a.build.time.localeCompare(b.build.time) ||
+      a.build.number - b.build.number;
+  } else {
+    order = semver.compare(a.version, b.version);
+  }
+
+  return order || (a.rollback || 0) - (b.rollback || 0);
+}
+
+// Parsed deployment tags, newest first. Rollback tags are left out unless
+// asked for, since they don't represent new versions.
+function listTags(tags, { environment, prefix = DEFAULT_PREFIX, includeRollbacks = false } = {}) {
+  return tags
+    .map(tag => parseTag(tag, prefix))
+    .filter(parsed => parsed &&
+      (!environment || parsed.environment === environment) &&
+      (includeRollbacks || parsed.rollback === null))
+    .sort((a, b) => compareTags(b, a));
+}
+
+// Most recent deployment tag for an environment, parsed, or null
+function latestTag(tags, environment, prefix = DEFAULT_PREFIX) {
+  return listTags(tags, { environment, prefix })[0] || null;
+}
+
+// Version of the latest semver-style tag for an environment, or 0.0.0
+function latestVersion(tags, environment, prefix = DEFAULT_PREFIX) {
+  const latest = listTags(tags, { environment, prefix })
+    .find(parsed => parsed.format !== 'timestamp');
+  return latest ? latest.version : '0.0.0';
+}
+
+// Tag for a semantic version deployed to an environment. Development gets
+// the legacy -dev suffix; timestamped dev tags come from nextDevTag.
+function buildTag(version, environment, prefix = DEFAULT_PREFIX) {
+  const suffix = Object.keys(SUFFIX_ENVIRONMENTS)
+    .find(key => SUFFIX_ENVIRONMENTS[key] === environment);
+  if (suffix === undefined) {
+    throw new Error(`No tag format for environment "${environment}"`);
+  }
+  return `${prefix}${version}${suffix ? `-${suffix}` : ''}`;
+}
+
+// Next timestamped dev tag. The timestamp is in UTC so that tags created on
+// different machines order correctly; N counts builds within the minute.
+function nextDevTag(existingTags, date = new Date()) {
+  const pad = value => String(value).padStart(2, '0');
+  const stamp = `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+    `-${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}`;
+
+  const builds = existingTags
+    .map(tag => parseTag(tag))
+    .filter(parsed => parsed && parsed.format === 'timestamp' && parsed.base === parsed.tag &&
+      `${parsed.build.date}-${parsed.build.time}` === stamp)
+    .map(parsed => parsed.build.number);
+
+  return `dev-${stamp}-${Math.max(0, ...builds) + 1}`;
+}
+
+function resolveDevTagFormat(value) {
+  const format = (value || DEFAULT_DEV_TAG_FORMAT).toLowerCase();
+  if (!DEV_TAG_FORMATS.includes(format)) {
+    throw new Error(`Invalid DEV_TAG_FORMAT "${value}" (expected ${DEV_TAG_FORMATS.join(' or ')})`);
+  }
+  return format;
+}
+
+// Bash that sets ENVIRONMENT from $TAG, for workflow steps
+function environmentCaseScript(prefix = DEFAULT_PREFIX) {
+  const branches = environmentGlobs(prefix).map(({ environment, globs }) =>
+    `  ${globs.join('|')}) ENVIRONMENT=${environment} ;;`);
+  return [
+    'TAG=${TAG%-rollback-*}',
+    'case "$TAG" in',
+    ...branches,
+    'esac'
+  ].join('\n');
+}
+
+module.exports = {
+  parseTag,
+  tagEnvironment,
+  compareTags,
+  listTags,
+  latestTag,
+  latestVersion,
+  buildTag,
+  nextDevTag,
+  resolveDevTagFormat,
+  environmentGlobs,
+  environmentCaseScript,
+  exampleTags,
+  triggerTags,
+  DEFAULT_PREFIX,
+  DEV_TAG_FORMATS,
+  DEFAULT_DEV_TAG_FORMAT
+};
@@ -0,0 +1,208 @@
+// Line-based diff, unified diff output and three-way merge, for updating
+// generated files that users may have edited. Files are small, so a plain
+// LCS table is good enough.
+
+const chalk = require('chalk');
+
+function splitLines(text) {
+  return text === '' ? [] : text.split('\n');
+}
+
+// Edit script turning `a` into `b`: [{ type: 'equal' | 'delete' | 'insert', line }]
+function diffLines(a, b) {
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) {
+    prefix++;
+  }
+  let suffix = 0;
+  while (suffix < a.length - prefix && suffix < b.length - prefix &&
+    a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) {
+    suffix++;
+  }
+
+  const x = a.slice(prefix, a.length - suffix);
+  const y = b.slice(prefix, b.length - suffix);
+  const width = y.length + 1;
+
+  // lcs[i * width + j] = length of the LCS of x[i..] and y[j..]
+  const lcs = new Uint32Array((x.length + 1) * width);
+  for (let i = x.length - 1; i >= 0; i--) {
+    for (let j = y.length - 1; j >= 0; j--) {
+      lcs[i * width + j] = x[i] === y[j]
+        ? lcs[(i + 1) * width + j + 1] + 1
+        : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+    }
+  }
+
+  const ops = a.slice(0, prefix).map(line => ({ type: 'equal', line }));
+  let i = 0;
+  let j = 0;
+  while (i < x.length || j < y.length) {
+    if (i < x.length && j < y.length && x[i] === y[j]) {
+      ops.push({ type: 'equal', line: x[i] });
+      i++;
+      j++;
+    } else if (i < x.length && (j === y.length || lcs[(i + 1) * width + j] >= lcs[i * width + j + 1])) {
+      ops.push({ type: 'delete', line: x[i] });
+      i++;
+    } else {
+      ops.push({ type: 'insert', line: y[j] });
+      j++;
+    }
+  }
+  ops.push(...a.slice(a.length - suffix).map(line => ({ type: 'equal', line })));
+
+  return ops;
+}
+
+// Changes from `base` to `other` as hunks: base lines [start, end) are
+// replaced by `lines`
+function changeHunks(base, other) {
+  const hunks = [];
+  let current = null;
+  let index = 0;
+
+  for (const op of diffLines(base, other)) {
+    if (op.type === 'equal') {
+      if (current) hunks.push(current);
+      current = null;
+      index++;
+      continue;
+    }
+    current = current || { start: index, end: index, lines: [] };
+    if (op.type === 'delete') {
+      current.end++;
+      index++;
+    } else {
+      current.lines.push(op.line);
+    }
+  }
+  if (current) hunks.push(current);
+
+  return hunks;
+}
+
+// Unified diff between two texts, or '' when they are equal
+function unifiedDiff(oldText, newText, { fromFile = 'a', toFile = 'b', context = 3 } = {}) {
+  if (oldText === newText) {
+    return '';
+  }
+
+  const ops = diffLines(splitLines(oldText), splitLines(newText));
+  const changed = ops.map((op, index) => (op.type === 'equal' ? -1 : index)).filter(index => index >= 0);
+
+  // Group changes whose context would overlap
+  const groups = [];
+  for (const index of changed) {
+    const last = groups[groups.length - 1];
+    if (last && index - last.end <= context * 2 + 1) {
+      last.end = index;
+    } else {
+      groups.push({ start: index, end: index });
+    }
+  }
+
+  const output = [`--- ${fromFile}`, `+++ ${toFile}`];
+  for (const group of groups) {
+    const from = Math.max(0, group.start - context);
+    const to = Math.min(ops.length - 1, group.end + context);
+
+    // Line numbers at the start of the hunk
+    let oldLine = 1;
+    let newLine = 1;
+    for (const op of ops.slice(0, from)) {
+      if (op.type !== 'insert') oldLine++;
+      if (op.type !== 'delete') newLine++;
+    }
+
+    const body = ops.slice(from, to + 1);
+    const oldCount = body.filter(op => op.type !== 'insert').length;
+    const newCount = body.filter(op => op.type !== 'delete').length;
+
+    output.push(`@@ -${oldCount === 0 ? oldLine - 1 : oldLine},${oldCount} +${newCount === 0 ? newLine - 1 : newLine},${newCount} @@`);
+    for (const op of body) {
+      const marker = op.type === 'equal' ? ' ' : op.type === 'delete' ? '-' : '+';
+      output.push(`${marker}${op.line}`);
+    }
+  }
+
+  return output.join('\n') + '\n';
+}
+
+// Three-way merge of `local` and `remote`, both derived from `base`.
+// Changes on one side are taken as they are; overlapping changes that
+// differ become conflicts marked like git does. Returns { content, conflicts }.
+function merge3(base, local, remote, { localLabel = 'local', remoteLabel = 'template' } = {}) {
+  const baseLines = splitLines(base);
+  const hunks = [
+    ...changeHunks(baseLines, splitLines(local)).map(hunk => ({ ...hunk, side: 'local' })),
+    ...changeHunks(baseLines, splitLines(remote)).map(hunk => ({ ...hunk, side: 'remote' }))
+  ].sort((a, b) => a.start - b.start || a.end - b.end);
+
+  const output = [];
+  let conflicts = 0;
+  let position = 0;
+  let i = 0;
+
+  while (i < hunks.length) {
+    // Hunks that touch or overlap the same base lines are merged together
+    const group = [hunks[i]];
+    let start = hunks[i].start;
+    let end = hunks[i].end;
+    i++;
+    while (i < hunks.length && hunks[i].start <= end) {
+      group.push(hunks[i]);
+      end = Math.max(end, hunks[i].end);
+      i++;
+    }
+
+    output.push(...baseLines.slice(position, start));
+    position = end;
+
+    const sides = new Set(group.map(hunk => hunk.side));
+    const localLines = applyHunks(baseLines, group.filter(hunk => hunk.side === 'local'), start, end);
+    const remoteLines = applyHunks(baseLines, group.filter(hunk => hunk.side === 'remote'), start, end);
+
+    if (!sides.has('remote')) {
+      output.push(...localLines);
+    } else if (!sides.has('local') || localLines.join('\n') === remoteLines.join('\n')) {
+      output.push(...remoteLines);
+    } else {
+      conflicts++;
+      output.push(`<<<<<<< ${localLabel}`, ...localLines, '=======', ...remoteLines, `>>>>>>> ${remoteLabel}`);
+    }
+  }
+  output.push(...baseLines.slice(position));
+
+  return { content: output.join('\n'), conflicts };
+}
+
+// One side's version of base lines [start, end)
+function applyHunks(baseLines, hunks, start, end) {
+  const lines = [];
+  let position = start;
+  for (const hunk of hunks) {
+    lines.push(...baseLines.slice(position, hunk.start), ...hunk.lines);
+    position = hunk.end;
+  }
+  lines.push(...baseLines.slice(position, end));
+  return lines;
+}
+
+// Lines of a unifiedDiff() colored for the terminal
+function colorizeDiff(diff) {
+  return diff.replace(/\n$/, '').split('\n').map(line => {
+    if (line.startsWith('---') || line.startsWith('+++')) return chalk.bold(line);
+    if (line.startsWith('@@')) return chalk.cyan(line);
+    if (line.startsWith('+')) return chalk.green(line);
+    if (line.startsWith('-')) return chalk.red(line);
+    return line;
+  });
+}
+
+module.exports = {
+  diffLines,
+  unifiedDiff,
+  merge3,
+  colorizeDiff
+};
@@ -1,178 +1,563 @@
+const path = require('path');
 const yaml = require('js-yaml');
+const { resolveService } = require('./serviceRegistry');
+const { resolveReusableWorkflow } = require('./workflowParser');
+const { triggerTags, environmentCaseScript } = require('./tagFormat');
+const { loadConfigLayers, resolveConfig, serviceSlug, SERVICE_TYPE_ALIASES } = require('./deployConfig');
+const { discoverFunctions, functionName } = require('./functionDiscovery');
+const { scanEnvironment, dockerBuildArgs, dockerBuildSecrets } = require('./envInventory');
+const { projectNodeVersion } = require('./nodeVersion');
+const { firebaseProjects, missingFirebaseProjects, FIREBASE_PROJECT_KEYS } = require('./firebaseProjects');
+
+const PIPELINE_WORKFLOW = 'karmadev/karma-workflows/.github/workflows/node-service-pipeline.yml@main';
+const FIREBASE_PIPELINE_WORKFLOW = 'karmadev/karma-workflows/.github/workflows/firebase-app-pipeline.yml@main';
+const CLOUD_FUNCTION_PIPELINE_WORKFLOW = 'karmadev/karma-workflows/.github/workflows/cloud-function-pipeline.yml@main';
+
+// Deploy types with a pipeline of their own, and the prefix of their job
+// names in matrix workflows
+const OWN_PIPELINE_JOBS = {
+  firebase: 'firebase',
+  'cloud-function': 'functions'
+};
+
+// extraJobs are added after the pipeline job, e.g. Buildkite steps
+// translated by stepTranslator during migration; branches are pushed
+// branches they run on
+function generateWorkflow(projectInfo, buildkiteAnalysis, extraJobs = {}, branches = []) {
+  return formatYaml(buildWorkflow(projectInfo, buildkiteAnalysis, extraJobs, branches));
+}
+
+// Workflow files for the detected packages: a single project gets ci-cd.yml;
+// a monorepo gets a matrix workflow or, with layout 'per-package', one
+// workflow per package (extraJobs then go to the first package's workflow).
+//
+// options.branches adds push triggers for the branches extraJobs are
+// limited to. With options.fullTranslation, extraJobs are the whole
+// Buildkite pipeline and make up the only workflow, without the reusable
+// pipelines.
+function generateWorkflows(packages, buildkiteAnalysis, extraJobs = {}, layout = 'matrix', options = {}) {
+  const branches = options.branches || [];
+
+  if (options.fullTranslation) {
+    return [{
+      file: 'ci-cd.yml',
+      content: formatYaml({ name: 'CI/CD Pipeline', on: workflowTriggers(branches), jobs: extraJobs })
+    }];
+  }
+
+  if (packages.length === 1) {
+    return [{ file: 'ci-cd.yml', content: generateWorkflow(packages[0], buildkiteAnalysis, extraJobs, branches) }];
+  }
+
+  if (layout === 'per-package') {
+    return packages.map((projectInfo, index) => ({
+      file: packageWorkflowFile(projectInfo),
+      content: index === 0
+        ? generatePackageWorkflow(projectInfo, buildkiteAnalysis, extraJobs, branches)
+        : generatePackageWorkflow(projectInfo, buildkiteAnalysis)
+    }));
+  }
+
+  if (layout !== 'matrix') {
+    throw new Error(`Unknown monorepo layout "${layout}" (expected matrix or per-package)`);
+  }
+
+  return [{ file: 'ci-cd.yml', content: generateMatrixWorkflow(packages, buildkiteAnalysis, extraJobs, branches) }];
+}
+
+// One workflow per monorepo package. Pull requests only run the workflows of
+// the packages they touch; GitHub ignores path filters for tag pushes, so
+// release tags still run every package.
+function generatePackageWorkflow(projectInfo, buildkiteAnalysis, extraJobs = {}, branches = []) {
+  const workflow = buildWorkflow(projectInfo, buildkiteAnalysis, extraJobs, branches);
+  workflow.name = `CI/CD Pipeline - ${projectInfo.name}`;
+  workflow.on.pull_request.paths = [
+    ...packagePaths(projectInfo),
+    `.github/workflows/${packageWorkflowFile(projectInfo)}`
+  ];
+  return formatYaml(workflow);
+}
+
+function packageWorkflowFile(projectInfo) {
+  return `ci-cd-${packageSlug(projectInfo)}.yml`;
+}
+
+function packageSlug(projectInfo) {
+  return projectInfo.name.replace(/^@/, '').replace(/[^a-zA-Z0-9]+/g, '-').toLowerCase();
+}
+
+// A single workflow for all monorepo packages: a `changes` job works out
+// which packages changed and the pipeline runs as a matrix over them.
+// Tag pushes and manual runs build every package.
+function generateMatrixWorkflow(packages, buildkiteAnalysis, extraJobs = {}, branches = []) {
+  // Firebase apps and Cloud Functions call their own pipelines, so each
+  // gets a job of its own instead of a matrix entry
+  const apps = packages.filter(projectInfo => OWN_PIPELINE_JOBS[deployType(projectInfo)]);
+  const services = packages.filter(projectInfo => !apps.includes(projectInfo));
+
+  const rows = services.map(projectInfo => ({
+    package: projectInfo.name,
+    ...pipelineInputs(projectInfo, buildkiteAnalysis)
+  }));
+
+  // Every matrix entry needs every input, so fill gaps with the defaults
+  // the reusable pipeline declares
+  const declared = resolveReusableWorkflow(PIPELINE_WORKFLOW)?.inputs || {};
+  const inputs = [...new Set(rows.flatMap(row => Object.keys(row)))].filter(key => key !== 'package');
+  for (const input of inputs) {
+    const boolean = declared[input]?.type === 'boolean' || rows.some(row => typeof row[input] === 'boolean');
+    for (const row of rows.filter(row => !(input in row))) {
+      row[input] = declared[input]?.default ?? (boolean ? false : '');
+    }
+  }
+
+  const filters = Object.fromEntries(packages.map(projectInfo => [projectInfo.name, packagePaths(projectInfo)]));
 
-function generateWorkflow(projectInfo, buildkiteAnalysis) {
   const workflow = {
     name: 'CI/CD Pipeline',
-    on: {
-      push: {
-        tags: ['v*']
-      },
-      pull_request: {
-        branches: ['master', 'main']
+    on: workflowTriggers(branches),
+    jobs: {
+      changes: {
+        name: 'Detect changed packages',
+        'runs-on': 'ubuntu-latest',
+        permissions: {
+          contents: 'read',
+          'pull-requests': 'read'
+        },
+        outputs: {
+          matrix: '${{ steps.matrix.outputs.matrix }}',
+          any: '${{ steps.matrix.outputs.any }}',
+          changes: '${{ steps.filter.outputs.changes }}'
+        },
+        steps: [
+          {
+            uses: 'actions/checkout@v4'
+          },
+          {
+            uses: 'dorny/paths-filter@v3',
+            id: 'filter',
+            with: {
+              filters: yaml.dump(filters, { lineWidth: -1 })
+            }
+          },
+          {
+            name: 'Build package matrix',
+            id: 'matrix',
+            env: {
+              PACKAGES: JSON.stringify(rows, null, 2),
+              CHANGES: '${{ steps.filter.outputs.changes }}'
+            },
+            run: `if [[ "$GITHUB_REF" == refs/tags/* || "$GITHUB_EVENT_NAME" == "workflow_dispatch" ]]; then
+  MATRIX=$(jq -c '{include: .}' <<< "$PACKAGES")
+else
+  MATRIX=$(jq -c --argjson changes "$CHANGES" '{include: [.[] | select(.package as $p | $changes | index($p))]}' <<< "$PACKAGES")
+fi
+echo "matrix=$MATRIX" >> $GITHUB_OUTPUT
+echo "any=$(jq -r '.include | length > 0' <<< "$MATRIX")" >> $GITHUB_OUTPUT`
+          }
+        ]
+      }
+    }
+  };
+
+  if (rows.length > 0) {
+    workflow.jobs.pipeline = {
+      name: '${{ matrix.package }}',
+      needs: 'changes',
+      if: "needs.changes.outputs.any == 'true'",
+      strategy: {
+        'fail-fast': false,
+        matrix: '${{ fromJSON(needs.changes.outputs.matrix) }}'
       },
-      workflow_dispatch: {}
+      uses: PIPELINE_WORKFLOW,
+      with: Object.fromEntries(inputs.map(input => [input, `\${{ matrix.${input} }}`])),
+      secrets: 'inherit'
+    };
+  }
+
+  for (const projectInfo of apps) {
+    workflow.jobs[appJobName(projectInfo)] = {
+      name: projectInfo.name,
+      needs: 'changes',
+      if: `startsWith(github.ref, 'refs/tags/') || github.event_name == 'workflow_dispatch' || contains(fromJSON(needs.changes.outputs.changes), '${projectInfo.name}')`,
+      ...pipelineJob(projectInfo, buildkiteAnalysis)
+    };
+  }
+
+  Object.assign(workflow.jobs, extraJobs);
+
+  for (const projectInfo of packages) {
+    if (projectInfo.features.sentry || buildkiteAnalysis?.pipeline?.features?.sentry) {
+      const needs = apps.includes(projectInfo) ? appJobName(projectInfo) : 'pipeline';
+      workflow.jobs[`sentry-release-${packageSlug(projectInfo)}`] = sentryReleaseJob(projectInfo, needs);
+    }
+  }
+
+  return formatYaml(workflow);
+}
+
+function appJobName(projectInfo) {
+  return `${OWN_PIPELINE_JOBS[deployType(projectInfo)]}-${packageSlug(projectInfo)}`;
+}
+
+// Paths whose changes should rebuild a package
+function packagePaths(projectInfo) {
+  return [
+    `${projectInfo.workingDirectory}/**`,
+    ...(projectInfo.workspaceDependencies || []).map(dir => `${dir}/**`),
+    ...(projectInfo.sharedPaths || [])
+  ];
+}
+
+function workflowTriggers(branches = []) {
+  return {
+    push: {
+      ...(branches.length > 0 ? { branches } : {}),
+      tags: triggerTags()
+    },
+    pull_request: {
+      branches: ['master', 'main']
     },
+    workflow_dispatch: {}
+  };
+}
+
+function buildWorkflow(projectInfo, buildkiteAnalysis, extraJobs = {}, branches = []) {
+  const workflow = {
+    name: 'CI/CD Pipeline',
+    on: workflowTriggers(branches),
     jobs: {}
   };
 
   // Main pipeline job
-  const pipelineJob = {
-    uses: 'karmadev/karma-workflows/.github/workflows/node-service-pipeline.yml@main',
-    with: {
-      'service-name': projectInfo.name
-    },
+  workflow.jobs.pipeline = pipelineJob(projectInfo, buildkiteAnalysis);
+  Object.assign(workflow.jobs, extraJobs);
+
+  // Add Sentry release job if Sentry is detected
+  if (projectInfo.features.sentry || buildkiteAnalysis?.pipeline?.features?.sentry) {
+    workflow.jobs['sentry-release'] = sentryReleaseJob(projectInfo);
+  }
+
+  return workflow;
+}
+
+// The reusable pipeline call for a project, by how it deploys
+function pipelineJob(projectInfo, buildkiteAnalysis) {
+  const settings = deploySettings(projectInfo);
+
+  if (settings.DEPLOY_TYPE === 'firebase') {
+    const inputs = firebaseInputs(projectInfo, settings);
+    return {
+      uses: FIREBASE_PIPELINE_WORKFLOW,
+      with: inputs,
+      // Preview channels comment their URL on the pull request
+      ...(inputs['preview-channels'] ? {
+        permissions: { contents: 'read', checks: 'write', 'pull-requests': 'write' }
+      } : {}),
+      secrets: 'inherit'
+    };
+  }
+
+  if (settings.DEPLOY_TYPE === 'cloud-function') {
+    return {
+      uses: CLOUD_FUNCTION_PIPELINE_WORKFLOW,
+      with: cloudFunctionInputs(projectInfo, settings),
+      secrets: 'inherit'
+    };
+  }
+
+  return {
+    uses: PIPELINE_WORKFLOW,
+    with: pipelineInputs(projectInfo, buildkiteAnalysis),
     secrets: 'inherit'
   };
+}
 
-  // Configure based on project type
-  if (projectInfo.type === 'nextjs') {
-    pipelineJob.with['node-version'] = '20';
-  } else if (projectInfo.type === 'gatsby') {
-    pipelineJob.with['node-version'] = '18';
+// .deploy.config of the project (its working directory for monorepo
+// packages). DEPLOY_TYPE falls back to the detected deployment when the
+// config doesn't set it; environment variables are not consulted, so
+// generated workflows don't depend on the shell they were generated in.
+function deploySettings(projectInfo) {
+  const projectPath = path.join(process.cwd(), projectInfo.workingDirectory || '.');
+  const { values, sources } = resolveConfig(loadConfigLayers(projectPath, {}), projectPath);
+
+  if (sources.DEPLOY_TYPE === 'default' && SERVICE_TYPE_ALIASES[projectInfo.deployment]) {
+    values.DEPLOY_TYPE = SERVICE_TYPE_ALIASES[projectInfo.deployment];
+  }
+  // The package name, not the directory, when SERVICE_NAME isn't set
+  if (sources.SERVICE_NAME === 'directory name') {
+    values.SERVICE_NAME = serviceSlug(projectInfo.name);
+  }
+
+  return values;
+}
+
+function serviceName(projectInfo) {
+  return deploySettings(projectInfo).SERVICE_NAME;
+}
+
+function deployType(projectInfo) {
+  return deploySettings(projectInfo).DEPLOY_TYPE;
+}
+
+// Inputs passed to firebase-app-pipeline, from the FIREBASE_* settings,
+// BUILD_COMMAND and DEPLOY_TARGETS in .deploy.config. Projects missing
+// there come from the ones picked during init or the .firebaserc aliases;
+// generation fails rather than guess them, or deploy staging to another
+// environment's project.
+function firebaseInputs(projectInfo, settings) {
+  const projectDir = projectInfo.workingDirectory || '.';
+  const known = { ...firebaseProjects(path.join(process.cwd(), projectDir)), ...projectInfo.firebaseProjects };
+  const projects = {};
+  for (const key of Object.keys(FIREBASE_PROJECT_KEYS)) {
+    if (settings[key] || known[key]) projects[key] = settings[key] || known[key];
+  }
+
+  const missing = missingFirebaseProjects(projects, { staging: projectInfo.staging });
+  if (missing.length > 0) {
+    throw new Error(`${projectInfo.name} deploys to Firebase, but ${missing.join(' and ')} ${missing.length > 1 ? 'are' : 'is'} not set; add ${missing.length > 1 ? 'them' : 'it'} to ${path.posix.join(projectDir, '.deploy.config')} or name the projects in .firebaserc`);
+  }
+
+  const inputs = {
+    'project-name': settings.SERVICE_NAME,
+    'firebase-project-dev': projects.FIREBASE_PROJECT_DEV,
+    'firebase-project-prod': projects.FIREBASE_PROJECT_PROD
+  };
+
+  if (projects.FIREBASE_PROJECT_STAGING) {
+    inputs['firebase-project-staging'] = projects.FIREBASE_PROJECT_STAGING;
+  }
+
+  if (projectInfo.workingDirectory && projectInfo.workingDirectory !== '.') {
+    inputs['working-directory'] = projectInfo.workingDirectory;
+  }
+
+  inputs['node-version'] = projectNodeVersion(projectInfo);
+
+  if (settings.BUILD_COMMAND) {
+    inputs['build-command'] = settings.BUILD_COMMAND;
+  }
+
+  // DEPLOY_TARGETS is space separated; firebase deploy --only takes a list
+  const targets = (settings.DEPLOY_TARGETS || 'hosting').split(/\s+/).filter(Boolean);
+  if (targets.join(',') !== 'hosting') {
+    inputs['deploy-target'] = targets.join(',');
+  }
+
+  if (settings.FIREBASE_HOSTING_TARGET) {
+    inputs['hosting-target'] = settings.FIREBASE_HOSTING_TARGET;
+  }
+
+  if (targets.includes('hosting')) {
+    inputs['preview-channels'] = true;
+  }
+
+  return inputs;
+}
+
+// Inputs passed to cloud-function-pipeline, from the FUNCTION_* and GCP_*
+// settings in .deploy.config. Every exported handler is deployed as a
+// function of its own unless FUNCTIONS lists them (as name or
+// name:entryPoint); a single handler is deployed as FUNCTION_NAME.
+// FUNCTION_TRIGGERS sets triggers the source doesn't tell, and only the
+// functions in FUNCTION_ALLOW_UNAUTHENTICATED can be called without
+// credentials.
+function cloudFunctionInputs(projectInfo, settings) {
+  const projectDir = projectInfo.workingDirectory || '.';
+  const { directory, handlers } = discoverFunctions(path.join(process.cwd(), projectDir));
+
+  const inputs = {
+    'service-name': settings.SERVICE_NAME,
+    functions: JSON.stringify(functionList(projectInfo, settings, handlers), null, 2)
+  };
+
+  const workingDirectory = path.posix.join(projectDir, directory);
+  if (workingDirectory !== '.') {
+    inputs['working-directory'] = workingDirectory;
+  }
+
+  // The runtime follows the Node version unless FUNCTION_RUNTIME pins it
+  inputs['node-version'] = projectNodeVersion(projectInfo);
+  if (settings.FUNCTION_RUNTIME) {
+    inputs.runtime = settings.FUNCTION_RUNTIME;
+  }
+
+  const optional = {
+    region: settings.FUNCTION_REGION,
+    memory: settings.FUNCTION_MEMORY,
+    timeout: settings.FUNCTION_TIMEOUT,
+    'vpc-connector': settings.VPC_CONNECTOR,
+    'gcp-project-dev': settings.GCP_PROJECT_DEV,
+    'gcp-project-staging': settings.GCP_PROJECT_STAGING,
+    'gcp-project-prod': settings.GCP_PROJECT_PROD
+  };
+  for (const [input, value] of Object.entries(optional)) {
+    if (value) {
+      inputs[input] = String(value);
+    }
+  }
+
+  return inputs;
+}
+
+function functionList(projectInfo, settings, handlers) {
+  let functions;
+  if (settings.FUNCTIONS) {
+    functions = settings.FUNCTIONS.split(/\s+/).filter(Boolean).map(entry => {
+      const [name, entryPoint] = entry.split(':');
+      return entryPoint
+        ? { name, 'entry-point': entryPoint }
+        : { name: functionName(name), 'entry-point': name };
+    });
+  } else if (handlers.length <= 1) {
+    functions = [{
+      name: settings.FUNCTION_NAME || functionName(settings.SERVICE_NAME),
+      'entry-point': handlers[0]?.name || 'main'
+    }];
   } else {
-    // Default Node version
-    pipelineJob.with['node-version'] = detectNodeVersion(projectInfo) || '18';
+    functions = handlers.map(handler => ({ name: functionName(handler.name), 'entry-point': handler.name }));
   }
 
+  const triggers = functionTriggers(settings.FUNCTION_TRIGGERS);
+  const open = String(settings.FUNCTION_ALLOW_UNAUTHENTICATED || '').split(/\s+/).filter(Boolean);
+  return functions.map(fn => {
+    const handler = handlers.find(candidate => candidate.name === fn['entry-point']);
+    const trigger = triggers[fn.name] || (handler?.trigger === 'topic'
+      ? { trigger: 'topic', 'trigger-topic': handler.topic }
+      : { trigger: handler?.trigger || 'http' });
+
+    if (trigger.trigger === 'event' && !trigger['event-filters']) {
+      throw new Error(`${fn.name} handles events, but FUNCTION_TRIGGERS doesn't say which; add "${fn.name}=topic:<topic>" or "${fn.name}=event:<event type>[,<attribute>=<value>]" to .deploy.config`);
+    }
+    if (open.includes(fn.name) && trigger.trigger !== 'http') {
+      throw new Error(`${fn.name} is in FUNCTION_ALLOW_UNAUTHENTICATED, but only HTTP functions can be called without credentials`);
+    }
+    // HTTP functions are public unless the workflow is told otherwise
+    return trigger.trigger === 'http'
+      ? { ...fn, ...trigger, 'allow-unauthenticated': open.includes(fn.name) }
+      : { ...fn, ...trigger };
+  });
+}
+
+// FUNCTION_TRIGGERS entries (name=http, name=topic:<topic>,
+// name=event:<type>[,<attribute>=<value>...]) by function name
+function functionTriggers(value) {
+  const triggers = {};
+  for (const entry of String(value || '').split(/\s+/).filter(Boolean)) {
+    const [, name, trigger, detail] = entry.match(/^([^=]+)=(http|topic|event)(?::(.+))?$/) || [];
+    if (trigger === 'topic') {
+      triggers[name] = { trigger, 'trigger-topic': detail };
+    } else if (trigger === 'event') {
+      triggers[name] = { trigger, 'event-filters': `type=${detail}` };
+    } else if (trigger) {
+      triggers[name] = { trigger };
+    }
+  }
+  return triggers;
+}
+
+// Inputs passed to node-service-pipeline for a project
+function pipelineInputs(projectInfo, buildkiteAnalysis) {
+  const inputs = {
+    'service-name': serviceName(projectInfo)
+  };
+
+  if (projectInfo.workingDirectory && projectInfo.workingDirectory !== '.') {
+    inputs['working-directory'] = projectInfo.workingDirectory;
+  }
+
+  // Configure based on project type
+  inputs['node-version'] = projectNodeVersion(projectInfo);
+
   // Add features based on detection
   if (projectInfo.features.graphql) {
-    pipelineJob.with['has-graphql'] = true;
+    inputs['has-graphql'] = true;
     
-    // Determine Apollo configuration
-    if (projectInfo.name.includes('merchant')) {
-      pipelineJob.with['apollo-graph'] = 'karma-merchant';
-      pipelineJob.with['apollo-subgraph'] = 'Base';
-    } else if (projectInfo.name.includes('admin')) {
-      pipelineJob.with['apollo-graph'] = 'karma-admin';
-      pipelineJob.with['apollo-subgraph'] = 'Base';
+    // Apollo configuration comes from the services registry
+    const { apollo } = resolveService(serviceName(projectInfo));
+    if (apollo) {
+      inputs['apollo-graph'] = apollo.graph;
+      inputs['apollo-subgraph'] = apollo.subgraph;
     }
   } else {
-    pipelineJob.with['has-graphql'] = false;
+    inputs['has-graphql'] = false;
   }
 
   // Configure testing and linting
   if (projectInfo.features.tests) {
-    pipelineJob.with['run-tests'] = true;
+    inputs['run-tests'] = true;
   }
   
   if (projectInfo.features.lint) {
-    pipelineJob.with['run-lint'] = true;
+    inputs['run-lint'] = true;
   }
   
   if (projectInfo.features.typecheck) {
-    pipelineJob.with['run-typecheck'] = true;
+    inputs['run-typecheck'] = true;
   }
 
-  // Add Docker build args from Buildkite analysis
-  if (buildkiteAnalysis?.pipeline?.dockerBuildArgs?.length > 0) {
-    const buildArgs = [];
-    
-    // Filter and format build args
-    for (const arg of buildkiteAnalysis.pipeline.dockerBuildArgs) {
-      if (arg.includes('SENTRY_URL') || arg.includes('SENTRY_ORG') || arg.includes('SENTRY_PROJECT')) {
-        // These can be hardcoded
-        const [key, value] = arg.split('=');
-        if (value && !value.includes('$')) {
-          buildArgs.push(arg);
-        }
-      }
-    }
-    
-    if (buildArgs.length > 0) {
-      pipelineJob.with['docker-build-args'] = buildArgs.join('\n        ');
-    }
+  // Build args the Dockerfile expects: public ones by value, secret ones by
+  // the name of the repository secret; see dockerBuildArgs
+  const projectPath = path.join(process.cwd(), projectInfo.workingDirectory || '.');
+  const inventory = scanEnvironment(projectPath, { buildkiteAnalysis });
+  const buildArgs = dockerBuildArgs(inventory);
+  if (buildArgs.length > 0) {
+    inputs['docker-build-args'] = buildArgs.join('\n');
   }
-
-  workflow.jobs.pipeline = pipelineJob;
-
-  // Add Sentry release job if Sentry is detected
-  if (projectInfo.features.sentry || buildkiteAnalysis?.pipeline?.features?.sentry) {
-    workflow.jobs['sentry-release'] = {
-      needs: 'pipeline',
-      if: "startsWith(github.ref, 'refs/tags/v')",
-      'runs-on': 'ubuntu-latest',
-      steps: [
-        {
-          uses: 'actions/checkout@v4'
-        },
-        {
-          name: 'Determine environment',
-          id: 'env',
-          run: `TAG=\${GITHUB_REF#refs/tags/}
-if [[ "$TAG" == *"-staging"* ]]; then
-  echo "environment=staging" >> $GITHUB_OUTPUT
-elif [[ "$TAG" == *"-dev"* ]]; then
-  echo "environment=development" >> $GITHUB_OUTPUT
-else
-  echo "environment=production" >> $GITHUB_OUTPUT
-fi`
-        },
-        {
-          name: 'Create Sentry Release',
-          uses: 'getsentry/action-release@v1',
-          env: {
-            SENTRY_AUTH_TOKEN: '${{ secrets.SENTRY_AUTH_TOKEN }}',
-            SENTRY_ORG: getSentryOrg(projectInfo),
-            SENTRY_PROJECT: getSentryProject(projectInfo)
-          },
-          with: {
-            environment: '${{ steps.env.outputs.environment }}',
-            version: '${{ github.sha }}'
-          }
-        }
-      ]
-    };
+  const buildSecrets = dockerBuildSecrets(inventory);
+  if (buildSecrets.length > 0) {
+    inputs['docker-build-secrets'] = buildSecrets.join('\n');
   }
 
-  // Convert to YAML string
-  return formatYaml(workflow);
+  return inputs;
 }
 
-function detectNodeVersion(projectInfo) {
-  // Check package.json engines field
-  if (projectInfo.packageJson?.engines?.node) {
-    const nodeVersion = projectInfo.packageJson.engines.node;
-    // Extract major version
-    const match = nodeVersion.match(/(\d+)/);
-    if (match) {
-      return match[1];
-    }
-  }
-  
-  // Check for .nvmrc
-  const fs = require('fs');
-  const path = require('path');
-  const nvmrcPath = path.join(process.cwd(), '.nvmrc');
-  if (fs.existsSync(nvmrcPath)) {
-    const nvmrc = fs.readFileSync(nvmrcPath, 'utf8').trim();
-    const match = nvmrc.match(/(\d+)/);
-    if (match) {
-      return match[1];
-    }
-  }
-  
-  return null;
+// Expression that is true for pushes of any deployment tag
+function deploymentTagCondition() {
+  return triggerTags()
+    .map(pattern => `startsWith(github.ref, 'refs/tags/${pattern.replace(/\*$/, '')}')`)
+    .join(' || ');
+}
+
+function sentryReleaseJob(projectInfo, needs = 'pipeline') {
+  return {
+    needs,
+    if: deploymentTagCondition(),
+    'runs-on': 'ubuntu-latest',
+    steps: [
+      {
+        uses: 'actions/checkout@v4'
+      },
+      {
+        name: 'Determine environment',
+        id: 'env',
+        run: `TAG=\${GITHUB_REF#refs/tags/}
+${environmentCaseScript()}
+echo "environment=$ENVIRONMENT" >> $GITHUB_OUTPUT`
+      },
+      {
+        name: 'Create Sentry Release',
+        uses: 'getsentry/action-release@v1',
+        env: {
+          SENTRY_AUTH_TOKEN: '${{ secrets.SENTRY_AUTH_TOKEN }}',
+          SENTRY_ORG: getSentryOrg(projectInfo),
+          SENTRY_PROJECT: getSentryProject(projectInfo)
+        },
+        with: {
+          environment: '${{ steps.env.outputs.environment }}',
+          version: '${{ github.sha }}'
+        }
+      }
+    ]
+  };
 }
 
 function getSentryOrg(projectInfo) {
-  // All Karma projects use the same Sentry org
-  return 'karma-0f';
+  return resolveService(serviceName(projectInfo)).sentry.org;
 }
 
 function getSentryProject(projectInfo) {
-  const name = projectInfo.name;
-  
-  // Map service names to Sentry projects
-  const sentryProjects = {
-    'storefront-web': 'karma-storefront',
-    'storefront-service': 'karma-storefront-service',
-    'karma-merchant-web': 'karma-merchant',
-    'karma-merchant-api': 'karma-merchant-api',
-    'admin-frontend': 'karma-admin',
-    'karma-admin-api': 'karma-admin-api'
-  };
-  
-  return sentryProjects[name] || name;
+  return resolveService(serviceName(projectInfo)).sentry.project;
 }
 
 function formatYaml(obj) {
@@ -198,5 +583,11 @@ function formatYaml(obj) {
 }
 
 module.exports = {
-  generateWorkflow
+  generateWorkflow,
+  generateWorkflows,
+  generatePackageWorkflow,
+  generateMatrixWorkflow,
+  packageWorkflowFile,
+  deployType,
+  functionList
 };
\ No newline at end of file
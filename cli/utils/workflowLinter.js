@@ -0,0 +1,206 @@
+// Lints GitHub Actions workflows that call the karma-workflows reusable
+// pipelines, whether generated by the CLI or edited by hand.
+//
+// Each finding is { rule, severity: 'error' | 'warning', job, message }.
+// Inputs and secrets are checked against what the reusable workflow
+// declares in this repository, so the rules follow the pipelines as they
+// change.
+
+const fs = require('fs');
+const path = require('path');
+const semver = require('semver');
+const { parseWorkflow, matchesFilter } = require('./workflowParser');
+const { loadDeployConfig } = require('./deployConfig');
+const { exampleTags, resolveDevTagFormat } = require('./tagFormat');
+const { resolveNodeVersion, describeSource } = require('./nodeVersion');
+const { inspectDockerfile } = require('./dockerfile');
+
+const UNPINNED_REFS = ['main', 'master'];
+
+function lintWorkflowFile(filePath, options = {}) {
+  let workflow;
+  try {
+    workflow = parseWorkflow(fs.readFileSync(filePath, 'utf8'), filePath);
+  } catch (error) {
+    return report(filePath, [{
+      rule: 'yaml',
+      severity: 'error',
+      job: null,
+      message: error.message.split('\n')[0]
+    }]);
+  }
+  return report(filePath, lintWorkflow(workflow, options));
+}
+
+// projectPath is where package.json, .nvmrc and .deploy.config are read from
+function lintWorkflow(workflow, { projectPath = process.cwd() } = {}) {
+  const findings = [];
+  const add = (rule, severity, job, message) => {
+    findings.push({ rule, severity, job, message });
+  };
+
+  lintTagTriggers(workflow, projectPath, add);
+
+  for (const job of workflow.jobs) {
+    // The karma-workflows pipelines are released from main, which is the
+    // ref the generator and the README use; only other refs are checked
+    if (!job.reusable) {
+      lintRef(job.uses, job.id, add);
+    }
+    for (const step of job.steps) {
+      lintRef(step?.uses, job.id, add);
+    }
+
+    if (job.reusable) {
+      lintReusableCall(job, add);
+    }
+    lintNodeVersions(job, projectPath, add);
+  }
+
+  return findings;
+}
+
+function report(filePath, findings) {
+  const errors = findings.filter(finding => finding.severity === 'error').length;
+  return {
+    path: filePath,
+    findings,
+    summary: { errors, warnings: findings.length - errors },
+    ok: errors === 0
+  };
+}
+
+function lintReusableCall(job, add) {
+  const { reusable } = job;
+  if (!reusable.exists) {
+    add('unknown-workflow', 'error', job.id, `${reusable.file} does not exist in karma-workflows`);
+    return;
+  }
+
+  for (const [name, value] of Object.entries(job.with)) {
+    const input = reusable.inputs[name];
+    if (!input) {
+      add('unknown-input', 'error', job.id, `${reusable.file} has no input "${name}"`);
+    } else if (!matchesType(value, input.type)) {
+      add('input-type', 'error', job.id, `Input "${name}" should be a ${input.type}, got ${JSON.stringify(value)}`);
+    }
+  }
+
+  for (const [name, input] of Object.entries(reusable.inputs)) {
+    if (input?.required && input.default === undefined && !(name in job.with)) {
+      add('missing-input', 'error', job.id, `Required input "${name}" is not passed`);
+    }
+  }
+
+  // `secrets: inherit` passes everything the caller has
+  if (job.secrets === 'inherit') {
+    return;
+  }
+  const passed = job.secrets || {};
+  for (const [name, secret] of Object.entries(reusable.secrets)) {
+    if (secret?.required && !(name in passed)) {
+      add('missing-secret', 'error', job.id, `Required secret ${name} is not passed`);
+    }
+  }
+  for (const name of Object.keys(passed)) {
+    if (!(name in reusable.secrets)) {
+      add('unknown-secret', 'warning', job.id, `${reusable.file} does not declare secret ${name}`);
+    }
+  }
+}
+
+// Expressions are only known at run time, so they always match
+function matchesType(value, type) {
+  if (typeof value === 'string' && value.includes('${{')) return true;
+  if (type === 'boolean') return typeof value === 'boolean';
+  if (type === 'number') return typeof value === 'number';
+  if (type === 'string') return typeof value === 'string' || typeof value === 'number';
+  return true;
+}
+
+function lintRef(uses, jobId, add) {
+  if (typeof uses !== 'string' || uses.startsWith('./') || uses.startsWith('docker://')) {
+    return;
+  }
+  const ref = uses.split('@')[1];
+  if (!ref) {
+    add('unpinned-ref', 'error', jobId, `${uses} has no ref`);
+  } else if (UNPINNED_REFS.includes(ref)) {
+    add('unpinned-ref', 'warning', jobId, `${uses} follows a branch; pin a tag or commit SHA`);
+  }
+}
+
+function lintTagTriggers(workflow, projectPath, add) {
+  const patterns = workflow.triggers.tags;
+  if (patterns.length === 0) {
+    return;
+  }
+
+  const config = loadDeployConfig(projectPath);
+  const examples = exampleTags(config.VERSION_PREFIX);
+  const allExamples = Object.values(examples).flat();
+
+  for (const pattern of patterns) {
+    if (!allExamples.some(tag => matchesFilter(pattern, tag))) {
+      add('tag-trigger', 'warning', null, `Tag trigger "${pattern}" matches none of the deployment tag formats`);
+    }
+  }
+
+  // Workflows that deploy have to see the tags `karma deploy` creates
+  const deploys = workflow.jobs.some(job => job.reusable);
+  if (!deploys) {
+    return;
+  }
+
+  const devTag = resolveDevTagFormat(config.DEV_TAG_FORMAT) === 'timestamp'
+    ? examples.development[0]
+    : examples.development[1];
+  const required = [['development', devTag], ['production', examples.production[0]]];
+
+  for (const [environment, tag] of required) {
+    if (!patterns.some(pattern => matchesFilter(pattern, tag))) {
+      add('tag-trigger', 'error', null, `No tag trigger matches ${environment} tags like ${tag}`);
+    }
+  }
+}
+
+function lintNodeVersions(job, projectPath, add) {
+  const workingDirectory = job.with['working-directory'] || '.';
+  const requested = [];
+
+  if (job.reusable && job.with['node-version'] !== undefined) {
+    requested.push(job.with['node-version']);
+  }
+  for (const step of job.steps) {
+    if (typeof step?.uses === 'string' && step.uses.startsWith('actions/setup-node@') &&
+      step.with?.['node-version'] !== undefined) {
+      requested.push(step.with['node-version']);
+    }
+  }
+
+  const packageDir = path.join(projectPath, workingDirectory);
+  const { source, sources } = resolveNodeVersion(packageDir, { rootPath: projectPath, docker: inspectDockerfile(packageDir) });
+  const engines = sources.find(candidate => candidate.type === 'engines' && semver.validRange(candidate.raw));
+  // Only a pinned version (.nvmrc, Volta, ...) says which major to use;
+  // engines alone allows a range
+  const pinned = source && source.type !== 'engines' ? source : null;
+
+  for (const value of requested) {
+    const version = String(value);
+    if (version.includes('${{') || !semver.validRange(version)) {
+      continue;
+    }
+
+    if (engines && !semver.intersects(version, engines.raw)) {
+      add('node-version', 'error', job.id, `Node ${version} does not satisfy engines.node "${engines.raw}" in ${engines.file}`);
+    }
+    if (pinned && semver.minVersion(version).major !== pinned.major) {
+      add('node-version', 'warning', job.id, `Node ${version} differs from ${describeSource(pinned)}`);
+    }
+  }
+}
+
+module.exports = {
+  lintWorkflow,
+  lintWorkflowFile
+};
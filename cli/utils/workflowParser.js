@@ -0,0 +1,150 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+// Reusable workflows from this repository can be resolved locally, which
+// gives us their declared inputs and secrets
+const REUSABLE_WORKFLOW = /^karmadev\/karma-workflows\/(\.github\/workflows\/[^@]+)@(.+)$/;
+const WORKFLOWS_DIR = path.join(__dirname, '..', '..', '.github', 'workflows');
+
+function loadWorkflow(filePath) {
+  return parseWorkflow(fs.readFileSync(filePath, 'utf8'), filePath);
+}
+
+function parseWorkflow(content, filePath = null) {
+  const doc = yaml.load(content) || {};
+
+  const jobs = Object.entries(doc.jobs || {}).map(([id, job]) => {
+    job = job || {};
+    const steps = Array.isArray(job.steps) ? job.steps : [];
+    const environment = job.environment && typeof job.environment === 'object'
+      ? job.environment.name
+      : job.environment;
+
+    return {
+      id,
+      name: job.name || id,
+      uses: job.uses || null,
+      with: job.with || {},
+      secrets: job.secrets || null,
+      environment: environment || null,
+      needs: asArray(job.needs),
+      if: job.if || null,
+      env: job.env || {},
+      steps,
+      runs: steps.flatMap(stepScripts),
+      reusable: job.uses ? resolveReusableWorkflow(job.uses) : null
+    };
+  });
+
+  return {
+    path: filePath,
+    name: doc.name || null,
+    triggers: normalizeTriggers(doc.on),
+    env: doc.env || {},
+    jobs,
+    raw: doc
+  };
+}
+
+// Shell scripts a step runs, including commands wrapped by retry actions
+function stepScripts(step) {
+  const scripts = [];
+  if (typeof step?.run === 'string') {
+    scripts.push(step.run);
+  }
+  if (typeof step?.with?.command === 'string') {
+    scripts.push(step.with.command);
+  }
+  return scripts;
+}
+
+function normalizeTriggers(on) {
+  const triggers = {
+    tags: [],
+    branches: [],
+    pullRequest: null,
+    workflowDispatch: false,
+    events: []
+  };
+
+  if (!on) {
+    return triggers;
+  }
+
+  // `on: push` and `on: [push, pull_request]` are valid shorthands
+  const events = typeof on === 'string' ? { [on]: {} } : Array.isArray(on)
+    ? Object.fromEntries(on.map(event => [event, {}]))
+    : on;
+
+  triggers.events = Object.keys(events);
+
+  const push = events.push || {};
+  triggers.tags = asArray(push.tags).map(String);
+  triggers.branches = asArray(push.branches).map(String);
+
+  if ('pull_request' in events) {
+    triggers.pullRequest = asArray(events.pull_request?.branches).map(String);
+  }
+
+  triggers.workflowDispatch = 'workflow_dispatch' in events;
+  return triggers;
+}
+
+// Returns the inputs and secrets a karma-workflows reusable workflow
+// declares, or null for anything else
+function resolveReusableWorkflow(uses) {
+  const match = uses.match(REUSABLE_WORKFLOW);
+  if (!match) {
+    return null;
+  }
+
+  const file = path.join(WORKFLOWS_DIR, path.basename(match[1]));
+  const reusable = {
+    file: path.basename(match[1]),
+    ref: match[2],
+    exists: fs.existsSync(file),
+    inputs: {},
+    secrets: {}
+  };
+
+  if (reusable.exists) {
+    const call = yaml.load(fs.readFileSync(file, 'utf8'))?.on?.workflow_call || {};
+    reusable.inputs = call.inputs || {};
+    reusable.secrets = call.secrets || {};
+  }
+
+  return reusable;
+}
+
+// GitHub Actions filter pattern matching: "*" matches anything but "/",
+// "**" matches anything, "?" and "+" repeat the previous character
+function matchesFilter(pattern, value) {
+  let regex = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+    if (ch === '*' && pattern[i + 1] === '*') {
+      regex += '.*';
+      i++;
+    } else if (ch === '*') {
+      regex += '[^/]*';
+    } else if (ch === '?' || ch === '+') {
+      regex += ch;
+    } else {
+      regex += ch.replace(/[.^$|()[\]{}\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${regex}$`).test(value);
+}
+
+function asArray(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+module.exports = {
+  loadWorkflow,
+  parseWorkflow,
+  resolveReusableWorkflow,
+  matchesFilter
+};
@@ -267,7 +267,7 @@ Edit `.deploy.config` to customize deployment settings:
 ## Version Tagging Strategy
 
 - Production: `v1.0.0`
-- Development: `v1.0.0-dev`
+- Development: `dev-20250828-1430-1`
 - Staging: `v1.0.0-staging`
 
 ## Updating Deploy Script
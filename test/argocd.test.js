@@ -0,0 +1,209 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  ArgoCDError,
+  argocdSettings,
+  createArgoCDClient,
+  appState,
+  watchApplication,
+  monitorSync,
+  syncFailure
+} = require('../cli/utils/argocd');
+const { fakeClock, startServer } = require('./helpers');
+
+const APP = 'svc-staging';
+const TAG = 'v1.4.0-staging';
+const START = Date.parse('2026-10-19T10:00:00Z');
+const CONFIG = { SERVICE_NAME: 'svc', ARGOCD_SERVER: 'https://argocd.example.com' };
+
+// An ArgoCD client whose application is a function of the seconds since
+// START
+function fakeClient(application, clock) {
+  const client = {
+    server: 'https://argocd.example.com',
+    calls: [],
+    async getApplication(name, { refresh = false } = {}) {
+      client.calls.push({ name, refresh });
+      return application((clock.now() - START) / 1000);
+    }
+  };
+  return client;
+}
+
+function application({ image = TAG, sync = 'Synced', health = 'Healthy', message, operation, resources = [], conditions = [] } = {}) {
+  return {
+    metadata: { name: APP },
+    status: {
+      sync: { status: sync, revision: 'abc123' },
+      health: { status: health, message },
+      summary: { images: [`europe-docker.pkg.dev/karma/svc/svc:${image}`] },
+      operationState: operation,
+      conditions,
+      resources: [
+        { kind: 'Service', name: 'svc', namespace: 'svc', status: 'Synced', health: { status: 'Healthy' } },
+        ...resources
+      ]
+    }
+  };
+}
+
+test('names the application from ARGOCD_APP', () => {
+  assert.deepEqual(argocdSettings({ SERVICE_NAME: 'svc' }, 'staging'), {
+    server: 'https://argocd.karma.life',
+    app: 'svc-staging',
+    syncTimeout: 300,
+    healthTimeout: 300
+  });
+  const settings = argocdSettings({
+    SERVICE_NAME: 'svc',
+    ARGOCD_SERVER: 'argocd.example.com/',
+    ARGOCD_APP: '{env}-{service}',
+    ARGOCD_SYNC_TIMEOUT: '60'
+  }, 'production');
+  assert.equal(settings.server, 'https://argocd.example.com');
+  assert.equal(settings.app, 'prod-svc');
+  assert.equal(settings.syncTimeout, 60);
+});
+
+test('ignores a failed sync left over from an earlier revision', () => {
+  const app = application({ operation: { phase: 'Failed', message: 'hook failed', syncResult: { revision: 'old456' } } });
+  assert.deepEqual(appState(app, TAG).syncErrors, []);
+});
+
+test('waits for the new image to sync and become healthy', async () => {
+  const clock = fakeClock(START);
+  const client = fakeClient(seconds => {
+    if (seconds < 20) return application({ image: 'v1.3.0-staging' });
+    if (seconds < 40) return application({ health: 'Progressing', resources: [{ kind: 'Deployment', name: 'svc', status: 'Synced', health: { status: 'Progressing' } }] });
+    return application();
+  }, clock);
+  const output = [];
+
+  const result = await watchApplication(client, APP, {
+    imageTag: TAG,
+    interval: 5000,
+    stream: { write: text => output.push(text) },
+    now: clock.now,
+    sleep: clock.sleep
+  });
+
+  assert.equal(result.status, 'healthy');
+  assert.equal(result.url, 'https://argocd.example.com/applications/svc-staging');
+  assert.equal(clock.time - START, 40000);
+  assert.equal(syncFailure(result), null);
+  // Nine polls, so only the first asks ArgoCD for a refresh
+  assert.deepEqual(client.calls.map(call => call.refresh), [true, false, false, false, false, false, false, false, false]);
+  // Outside a terminal only changes are printed
+  assert.equal(output.join('').trim().split('\n').filter(line => line.includes(APP)).length, 3);
+});
+
+test('reports applications that become degraded', async () => {
+  const clock = fakeClock(START);
+  const client = fakeClient(() => application({
+    health: 'Degraded',
+    message: 'Deployment svc exceeded its progress deadline',
+    resources: [{ kind: 'Deployment', name: 'svc', namespace: 'svc', status: 'Synced', health: { status: 'Degraded', message: 'CrashLoopBackOff' } }]
+  }), clock);
+
+  const result = await watchApplication(client, APP, { imageTag: TAG, stream: null, now: clock.now, sleep: clock.sleep });
+
+  assert.equal(result.status, 'degraded');
+  assert.equal(syncFailure(result), [
+    'ArgoCD reports svc-staging Degraded: Deployment svc exceeded its progress deadline',
+    '   • Deployment svc/svc is Degraded: CrashLoopBackOff',
+    '   ArgoCD: https://argocd.example.com/applications/svc-staging'
+  ].join('\n'));
+});
+
+test('reports failed syncs with the resources that failed', async () => {
+  const clock = fakeClock(START);
+  const client = fakeClient(() => application({
+    image: 'v1.3.0-staging',
+    sync: 'OutOfSync',
+    operation: {
+      phase: 'Failed',
+      message: 'one or more objects failed to apply',
+      syncResult: {
+        revision: 'abc123',
+        resources: [{ kind: 'Deployment', name: 'svc', status: 'SyncFailed', message: 'admission webhook denied the request' }]
+      }
+    }
+  }), clock);
+
+  const result = await watchApplication(client, APP, { imageTag: TAG, stream: null, now: clock.now, sleep: clock.sleep });
+
+  assert.equal(result.status, 'sync-failed');
+  assert.equal(result.message, 'one or more objects failed to apply');
+  assert.match(syncFailure(result), /^ArgoCD failed to sync svc-staging: one or more objects failed to apply\n   • Deployment svc: admission webhook denied the request\n/);
+});
+
+test('times out waiting for ArgoCD to pick up the tag', async () => {
+  const clock = fakeClock(START);
+  const client = fakeClient(() => application({ image: 'v1.3.0-staging' }), clock);
+
+  const result = await watchApplication(client, APP, { imageTag: TAG, syncTimeout: 30, interval: 10000, stream: null, now: clock.now, sleep: clock.sleep });
+
+  assert.equal(result.status, 'timeout');
+  assert.equal(result.message, `Gave up after 30s waiting for svc-staging to pick up ${TAG}`);
+  assert.equal(clock.time - START, 30000);
+  // Refreshes on the first poll and on every 12th one after it
+  assert.deepEqual(client.calls.map(call => call.refresh), [true, false, false, false]);
+});
+
+test('times out waiting for the resources to become healthy', async () => {
+  const clock = fakeClock(START);
+  const client = fakeClient(() => application({ health: 'Progressing' }), clock);
+
+  const result = await watchApplication(client, APP, { imageTag: TAG, healthTimeout: 20, interval: 10000, stream: null, now: clock.now, sleep: clock.sleep });
+
+  assert.equal(result.status, 'timeout');
+  assert.equal(result.message, 'svc-staging is still Progressing after 20s');
+  assert.match(syncFailure(result), /^ArgoCD sync timed out: svc-staging is still Progressing after 20s/);
+});
+
+test('monitorSync points at the application without a token', async () => {
+  const previous = process.env.ARGOCD_AUTH_TOKEN;
+  delete process.env.ARGOCD_AUTH_TOKEN;
+  const logged = [];
+  try {
+    assert.equal(await monitorSync(CONFIG, 'staging', TAG, { log: line => logged.push(line) }), null);
+  } finally {
+    if (previous !== undefined) process.env.ARGOCD_AUTH_TOKEN = previous;
+  }
+  assert.match(logged[0], /Set ARGOCD_AUTH_TOKEN to follow the ArgoCD sync, or check it at https:\/\/argocd\.example\.com\/applications\/svc-staging/);
+});
+
+test('monitorSync follows the configured application', async () => {
+  const clock = fakeClock(START);
+  const client = fakeClient(() => application(), clock);
+
+  const result = await monitorSync(CONFIG, 'staging', TAG, { client, log: () => {}, stream: null, sleep: clock.sleep });
+
+  assert.equal(result.status, 'healthy');
+  assert.equal(client.calls[0].name, 'svc-staging');
+});
+
+test('the client reads applications from the ArgoCD API', async () => {
+  const requests = [];
+  const server = await startServer((req, res) => {
+    requests.push({ url: req.url, authorization: req.headers.authorization });
+    const found = req.url.startsWith(`/api/v1/applications/${APP}`);
+    res.writeHead(found ? 200 : 404, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(found ? application() : { error: 'applications.argoproj.io "svc-prod" not found', code: 5 }));
+  });
+
+  try {
+    const client = createArgoCDClient({ server: server.url, token: 'argocd-token' });
+
+    const app = await client.getApplication(APP, { refresh: true });
+    assert.equal(appState(app, TAG).imageDeployed, true);
+    assert.deepEqual(requests[0], { url: `/api/v1/applications/${APP}?refresh=normal`, authorization: 'Bearer argocd-token' });
+
+    await assert.rejects(client.getApplication('svc-prod'), error => error instanceof ArgoCDError && error.status === 404);
+    // A missing application means ARGOCD_APP doesn't match
+    await assert.rejects(monitorSync(CONFIG, 'production', 'v1.4.0', { client, log: () => {}, stream: null }),
+      /ArgoCD application svc-production was not found at https:\/\/argocd\.example\.com; set ARGOCD_APP in \.deploy\.config/);
+  } finally {
+    await server.close();
+  }
+});
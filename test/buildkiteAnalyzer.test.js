@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const BuildkiteAnalyzer = require('../cli/utils/buildkiteAnalyzer');
+const { tempProject } = require('./helpers');
+
+// Analyzes one of the pipeline.nix files in test/fixtures/buildkite
+function analyzeFixture(t, name) {
+  const pipeline = fs.readFileSync(path.join(__dirname, 'fixtures', 'buildkite', `${name}.nix`), 'utf8');
+  const projectPath = tempProject(t, { '.buildkite/pipeline.nix': pipeline });
+  return new BuildkiteAnalyzer(projectPath).analyze();
+}
+
+test('parses the karma-admin-api pipeline into its step tree', t => {
+  const analysis = analyzeFixture(t, 'karma-admin-api');
+  const { pipeline } = analysis;
+
+  assert.deepEqual(pipeline.steps.map(step => [step.type, step.label || null]), [
+    ['test', ':jest: unit'],
+    ['test', ':jest: lint'],
+    ['command', ':graphql: Check schema'],
+    ['wait', null],
+    ['docker-build', 'Docker build karma-admin-api'],
+    ['deploy', 'Deploy development'],
+    ['block', 'Release to production'],
+    ['deploy', 'Deploy production']
+  ]);
+  // Local functions, let bindings and indented strings are evaluated
+  assert.equal(pipeline.steps[0].key, 'test-unit');
+  assert.deepEqual(pipeline.steps[0].agents, { queue: 'default' });
+  assert.deepEqual(pipeline.steps[2].commands, ['npx rover subgraph check karma-admin@current \\', '--name Base --schema ./schema.gql']);
+  assert.deepEqual(pipeline.steps[2].dependsOn, ['test-unit']);
+  // Steps behind lib.optionals carry the condition instead of being dropped
+  assert.equal(pipeline.steps[7].condition, '(getEnv "BUILDKITE_BRANCH") == "master"');
+  assert.equal(pipeline.steps[7].environment, 'production');
+  assert.deepEqual(pipeline.steps[4].buildArgs, ['BUILD_SHA=$BUILDKITE_COMMIT', 'GRAPHQL_URL']);
+  assert.equal(pipeline.steps[4].npmAuth, true);
+
+  assert.deepEqual(pipeline.env, { SERVICE_NAME: 'karma-admin-api', NODE_ENV: 'test' });
+  assert.deepEqual(analysis.environments, ['development', 'production']);
+  assert.deepEqual(pipeline.secrets, ['APOLLO_KEY']);
+  assert.deepEqual(pipeline.variables, ['GRAPHQL_URL']);
+  assert.equal(analysis.features.graphql, true);
+  assert.equal(analysis.features.manualApproval, true);
+  // "sentry" only appears in a comment
+  assert.equal(analysis.features.sentry, false);
+});
+
+test('parses the karma-merchant-web pipeline into its step tree', t => {
+  const { pipeline, features } = analyzeFixture(t, 'karma-merchant-web');
+
+  assert.deepEqual(pipeline.steps.map(step => [step.type, step.label]), [
+    ['test', ':jest: Tests'],
+    ['command', ':docker: Build'],
+    ['deploy', ':rocket: Deploy staging'],
+    ['deploy', ':rocket: Deploy production']
+  ]);
+  assert.equal(pipeline.steps[0].parallelism, 3);
+  assert.deepEqual(pipeline.steps[0].artifactPaths, ['coverage/**/*']);
+  // rec attribute sets resolve their own attributes
+  assert.deepEqual(pipeline.steps[0].plugins, [{ 'docker#v5.9.0': { image: 'node:18' } }]);
+  // map over a local function yields one step per environment
+  assert.deepEqual(pipeline.steps.slice(2).map(step => [step.environment, step.branches, step.concurrencyGroup]), [
+    ['staging', 'development', 'karma-merchant-web-staging'],
+    ['production', 'master', 'karma-merchant-web-production']
+  ]);
+
+  assert.deepEqual(pipeline.dockerBuildArgs, [
+    'FONTAWESOME_NPM_TOKEN',
+    'VITE_GOOGLE_MAPS_KEY=$STOREFRONT_PUBLIC_GOOGLE_MAPS_KEY',
+    'SENTRY_RELEASE=$BUILDKITE_COMMIT'
+  ]);
+  assert.deepEqual(pipeline.secrets.sort(), ['FONTAWESOME_NPM_TOKEN', 'STOREFRONT_PUBLIC_GOOGLE_MAPS_KEY']);
+  assert.equal(features.parallelTests, true);
+  assert.equal(features.sentry, true);
+});
+
+test('reports pipelines that do not parse instead of guessing', t => {
+  const projectPath = tempProject(t, { '.buildkite/pipeline.nix': '{ steps = [ ; }' });
+  const errors = [];
+  t.mock.method(console, 'error', (...args) => errors.push(args.join(' ')));
+
+  assert.equal(new BuildkiteAnalyzer(projectPath).analyze().pipeline, null);
+  assert.match(errors[0], /Unexpected ';' \(line 1, column 13\)/);
+});
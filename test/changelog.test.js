@@ -0,0 +1,170 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { GitHubApiError } = require('../cli/utils/githubApi');
+const {
+  parseCommitMessage,
+  buildChangelog,
+  previousDeploymentTag,
+  renderMarkdown,
+  renderText,
+  tagMessage,
+  publishRelease
+} = require('../cli/utils/changelog');
+
+// A git client over a fixed history: commits newest first as
+// [sha, parents, author, message]. commits(from, to) returns what `git log
+// from..to` would, newest first.
+function fakeGit(history) {
+  const bySha = new Map(history.map(([sha, parents, author, message]) => [sha, { sha, parents, author, message }]));
+  const ancestors = sha => {
+    const seen = new Set();
+    const visit = current => {
+      if (!current || seen.has(current)) return;
+      seen.add(current);
+      bySha.get(current).parents.forEach(visit);
+    };
+    visit(sha);
+    return seen;
+  };
+  return {
+    commits(from, to = 'HEAD', { firstParent = false } = {}) {
+      const head = to === 'HEAD' ? history[0][0] : to;
+      const excluded = from ? ancestors(from) : new Set();
+      let included;
+      if (firstParent) {
+        included = [];
+        for (let sha = head; sha && !excluded.has(sha); sha = bySha.get(sha).parents[0]) {
+          included.push(sha);
+        }
+      } else {
+        included = [...ancestors(head)].filter(sha => !excluded.has(sha));
+      }
+      return history.map(([sha]) => bySha.get(sha)).filter(commit => included.includes(commit.sha));
+    }
+  };
+}
+
+// v1.3.0 is at a1. Since then: a squash-merged PR, a merged PR whose title
+// isn't conventional but whose commits are, a direct push and the version
+// bump of a deployment.
+const HISTORY = [
+  ['f6', ['e5'], 'Ada', 'chore: bump version to 1.4.0 for staging deployment'],
+  ['e5', ['d4'], 'Grace', 'fix(cart): handle empty carts\n\nFixes #40'],
+  ['d4', ['b2', 'c3'], 'Linus', 'Merge pull request #13 from karmadev/checkout\n\nCheckout rewrite'],
+  ['c3', ['c2'], 'Linus', 'feat!: drop the v1 checkout endpoint\n\nBREAKING CHANGE: clients must call /v2/checkout'],
+  ['c2', ['a1'], 'Linus', 'refactor: split the checkout service'],
+  ['b2', ['a1'], 'Ada', 'feat(api): add order exports (#12)'],
+  ['a1', [], 'Ada', 'feat: first release']
+];
+
+test('parses conventional, squash-merged and merged commit messages', () => {
+  assert.deepEqual(parseCommitMessage('feat(api)!: add order exports (#12)\n\nCloses #7'), {
+    type: 'feat', scope: 'api', subject: 'add order exports', breaking: true, notes: [], pr: 12, issues: [7]
+  });
+  assert.deepEqual(parseCommitMessage('Merge pull request #13 from karmadev/checkout\n\nbugfix: keep the cart (#13)'), {
+    type: 'fix', scope: null, subject: 'keep the cart', breaking: false, notes: [], pr: 13, issues: []
+  });
+  const other = parseCommitMessage('Update dependencies\n\nBREAKING-CHANGE: needs Node 20');
+  assert.equal(other.type, 'other');
+  assert.equal(other.subject, 'Update dependencies');
+  assert.deepEqual(other.notes, ['needs Node 20']);
+  assert.equal(other.breaking, true);
+  // Unknown types aren't sections of their own
+  assert.equal(parseCommitMessage('wip: try things').subject, 'wip: try things');
+});
+
+test('builds one entry per PR or direct commit, leaving out version bumps', () => {
+  const changelog = buildChangelog(fakeGit(HISTORY), { from: 'a1', repo: 'karmadev/svc' });
+
+  assert.equal(changelog.commits, 3);
+  assert.deepEqual(changelog.sections.map(section => [section.title, section.entries.map(entry => entry.subject)]), [
+    ['Features', ['Checkout rewrite', 'add order exports']],
+    ['Bug Fixes', ['handle empty carts']]
+  ]);
+  const merged = changelog.entries.find(entry => entry.pr === 13);
+  assert.equal(merged.breaking, true);
+  assert.deepEqual(merged.notes, ['clients must call /v2/checkout']);
+  assert.deepEqual(changelog.breaking, [merged]);
+});
+
+test('renders Markdown with links and plain text without them', () => {
+  const changelog = buildChangelog(fakeGit(HISTORY), { from: 'a1', to: 'e5', repo: 'karmadev/svc' });
+
+  assert.equal(renderMarkdown(changelog, { title: 'v1.4.0-staging' }), [
+    '## v1.4.0-staging',
+    '',
+    '### ⚠️ Breaking Changes',
+    '',
+    '- Checkout rewrite',
+    '  - clients must call /v2/checkout',
+    '',
+    '### Features',
+    '',
+    '- **BREAKING** Checkout rewrite ([#13](https://github.com/karmadev/svc/pull/13))',
+    '- **api:** add order exports ([#12](https://github.com/karmadev/svc/pull/12))',
+    '',
+    '### Bug Fixes',
+    '',
+    '- **cart:** handle empty carts (refs [#40](https://github.com/karmadev/svc/issues/40); [e5](https://github.com/karmadev/svc/commit/e5))',
+    '',
+    '**Full Changelog**: https://github.com/karmadev/svc/compare/a1...e5',
+    ''
+  ].join('\n'));
+
+  assert.equal(renderText(changelog), [
+    'Changes since a1:',
+    '',
+    'Breaking Changes',
+    '- Checkout rewrite',
+    '  clients must call /v2/checkout',
+    '',
+    'Features',
+    '- BREAKING: Checkout rewrite (#13)',
+    '- api: add order exports (#12)',
+    '',
+    'Bug Fixes',
+    '- cart: handle empty carts (refs #40; e5)'
+  ].join('\n'));
+});
+
+test('diffs a deployment against the previous one in the same environment', () => {
+  const tags = ['v1.2.0', 'v1.3.0-staging', 'v1.3.0', 'v1.4.0-staging', 'release-notes'];
+
+  assert.equal(previousDeploymentTag(tags, 'v1.4.0-staging'), 'v1.3.0-staging');
+  assert.equal(previousDeploymentTag(tags, 'v1.3.0'), 'v1.2.0');
+  assert.equal(previousDeploymentTag(tags, 'v1.3.0-staging'), null);
+  // Anything else is compared with the latest production deployment
+  assert.equal(previousDeploymentTag(tags, 'HEAD'), 'v1.3.0');
+});
+
+test('tag messages leave the changelog out when the history is missing', () => {
+  const git = fakeGit(HISTORY);
+
+  assert.equal(tagMessage(git, 'Deploy v1.4.0-staging'), 'Deploy v1.4.0-staging');
+  assert.match(tagMessage(git, 'Deploy v1.4.0-staging', { from: 'a1' }), /^Deploy v1\.4\.0-staging\n\nChanges since a1:\n/);
+  // A shallow clone doesn't have the previous tag
+  const shallow = { commits: () => { throw new Error('fatal: bad revision'); } };
+  assert.equal(tagMessage(shallow, 'Deploy v1.4.0-staging', { from: 'v1.3.0-staging' }), 'Deploy v1.4.0-staging');
+});
+
+test('creates the release for a tag, or updates the one that exists', async () => {
+  const calls = [];
+  const releases = { 'v1.3.0': { id: 5 } };
+  const api = {
+    get: async path => {
+      const tag = decodeURIComponent(path.split('/').pop());
+      if (!releases[tag]) throw new GitHubApiError(`GET ${path}: Not Found`, 404, path);
+      return releases[tag];
+    },
+    post: async (path, body) => calls.push(['post', path, body]),
+    patch: async (path, body) => calls.push(['patch', path, body])
+  };
+
+  await publishRelease(api, 'karmadev/svc', 'v1.4.0-staging', 'notes', { prerelease: true });
+  await publishRelease(api, 'karmadev/svc', 'v1.3.0', 'updated notes');
+
+  assert.deepEqual(calls, [
+    ['post', '/repos/karmadev/svc/releases', { tag_name: 'v1.4.0-staging', name: 'v1.4.0-staging', body: 'notes', prerelease: true }],
+    ['patch', '/repos/karmadev/svc/releases/5', { body: 'updated notes' }]
+  ]);
+});
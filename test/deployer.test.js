@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { Deployer } = require('../cli/utils/deployer');
+const { createGit } = require('../cli/utils/git');
+const { tempProject } = require('./helpers');
+
+const CONFIG = {
+  SERVICE_NAME: 'svc',
+  VERSION_PREFIX: 'v',
+  DEPLOY_BRANCHES: 'main',
+  HAS_STAGING: 'true',
+  DEV_TAG_FORMAT: 'timestamp'
+};
+
+// A repository on main at package.json 1.3.0, pushed to a bare origin
+function repository(t) {
+  const origin = tempProject(t);
+  const projectPath = tempProject(t, { 'package.json': '{\n  "name": "svc",\n  "version": "1.3.0"\n}\n' });
+  const git = (...args) => execFileSync('git', args, { cwd: projectPath, encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] }).trim();
+  execFileSync('git', ['init', '--bare', '-q', origin]);
+  git('init', '-q', '-b', 'main');
+  git('config', 'user.name', 'Test');
+  git('config', 'user.email', 'test@example.com');
+  git('add', '-A');
+  git('commit', '-q', '-m', 'Initial commit');
+  git('remote', 'add', 'origin', origin);
+  git('push', '-q', 'origin', 'main');
+  return { projectPath, git };
+}
+
+// A Deployer whose deployments all built and whose commits all passed CI.
+// ciChecks records the commits CI was looked up for.
+function deployer(projectPath, ciChecks = []) {
+  const log = [];
+  const instance = new Deployer({
+    projectPath,
+    config: CONFIG,
+    git: createGit(projectPath),
+    log: line => log.push(line),
+    gh: args => (args[0] === 'repo'
+      ? JSON.stringify({ nameWithOwner: 'karmadev/svc' })
+      : JSON.stringify(execFileSync('git', ['tag', '-l'], { cwd: projectPath, encoding: 'utf8' }).split('\n').filter(Boolean)
+        .map((tag, index) => ({ databaseId: index + 1, headBranch: tag, status: 'completed', conclusion: 'success', url: `https://github.com/karmadev/svc/actions/runs/${index + 1}` })))),
+    githubApi: {
+      paginate: async requestPath => {
+        ciChecks.push(requestPath.match(/head_sha=(\w+)/)[1]);
+        return [{ id: 1, workflow_id: 1, name: 'CI', head_branch: 'main', status: 'completed', conclusion: 'success' }];
+      }
+    },
+    prompt: async ([question]) => ({ [question.name]: question.message.match(/'(DEPLOY [^']+)'/)?.[1] ?? true })
+  });
+  instance.logged = log;
+  return instance;
+}
+
+test('promote tags the promoted commit as it is', async t => {
+  const { projectPath, git } = repository(t);
+  const staged = git('rev-parse', 'HEAD');
+  git('tag', '-a', 'v1.4.0-staging', '-m', 'Deploy svc 1.4.0 to staging');
+  fs.writeFileSync(path.join(projectPath, 'CHANGELOG.md'), 'Later work\n');
+  git('add', 'CHANGELOG.md');
+  git('commit', '-q', '-m', 'Later work');
+  git('push', '-q', 'origin', 'main');
+  // Neither uncommitted nor unpushed work is part of the promotion
+  fs.writeFileSync(path.join(projectPath, 'notes.txt'), 'work in progress\n');
+  git('commit', '-q', '--allow-empty', '-m', 'Unpushed');
+  const head = git('rev-parse', 'HEAD');
+
+  const ciChecks = [];
+  const result = await deployer(projectPath, ciChecks).promote('staging', 'prod', { monitor: false });
+
+  assert.equal(result.tag, 'v1.4.0');
+  assert.equal(git('rev-parse', 'v1.4.0^{commit}'), staged);
+  assert.equal(git('ls-remote', '--tags', 'origin', 'v1.4.0^{}').split('\t')[0], staged);
+  assert.deepEqual(ciChecks, [staged]);
+  // No version bump is committed
+  assert.equal(git('rev-parse', 'HEAD'), head);
+  assert.equal(JSON.parse(fs.readFileSync(path.join(projectPath, 'package.json'), 'utf8')).version, '1.3.0');
+});
+
+test('promote checks the promoted commit is on a deploy branch', async t => {
+  const { git, projectPath } = repository(t);
+  git('checkout', '-q', '-b', 'experiment');
+  git('commit', '-q', '--allow-empty', '-m', 'Experiment');
+  git('tag', '-a', 'v1.4.0-staging', '-m', 'Deploy svc 1.4.0 to staging');
+  git('push', '-q', 'origin', 'experiment');
+  git('checkout', '-q', 'main');
+
+  const instance = deployer(projectPath);
+  await assert.rejects(instance.promote('staging', 'prod', { monitor: false }), /Pre-flight checks failed: branch/);
+  assert.ok(instance.logged.some(line => /branch\s+\w{7} is not on any of: main/.test(line)));
+  assert.equal(git('tag', '-l', 'v1.4.0'), '');
+});
+
+test('deploy tags the checked commit, or a bump of package.json on top of it', async t => {
+  const { projectPath, git } = repository(t);
+  const checked = git('rev-parse', 'HEAD');
+  // Staged work that --force-check lets through stays out of the bump
+  fs.writeFileSync(path.join(projectPath, 'notes.txt'), 'work in progress\n');
+  git('add', 'notes.txt');
+
+  const ciChecks = [];
+  const result = await deployer(projectPath, ciChecks).deploy('staging', { version: '1.4.0', forceCheck: ['clean-tree'], monitor: false });
+
+  const tagged = git('rev-parse', 'v1.4.0-staging^{commit}');
+  assert.equal(result.tag, 'v1.4.0-staging');
+  assert.deepEqual(ciChecks, [checked]);
+  assert.equal(git('rev-parse', `${tagged}^`), checked);
+  assert.equal(git('diff', '--name-only', checked, tagged), 'package.json');
+  assert.equal(JSON.parse(git('show', `${tagged}:package.json`)).version, '1.4.0');
+  assert.match(git('status', '--porcelain'), /^A {2}notes\.txt$/);
+});
+
+test('deploy tags the checked commit when package.json has the version', async t => {
+  const { projectPath, git } = repository(t);
+  const checked = git('rev-parse', 'HEAD');
+
+  const ciChecks = [];
+  await deployer(projectPath, ciChecks).deploy('staging', { version: '1.3.0', monitor: false });
+
+  assert.deepEqual(ciChecks, [checked]);
+  assert.equal(git('rev-parse', 'v1.3.0-staging^{commit}'), checked);
+  assert.equal(git('rev-parse', 'HEAD'), checked);
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { firebaseProjects, missingFirebaseProjects, promptFirebaseProjects } = require('../cli/utils/firebaseProjects');
+const { tempProject } = require('./helpers');
+
+// Answers every question with <environment>-project, recording the keys
+function fakePrompt(asked) {
+  return async questions => Object.fromEntries(questions.map(question => {
+    asked.push(question.name);
+    return [question.name, `${question.name.replace('FIREBASE_PROJECT_', '').toLowerCase()}-project`];
+  }));
+}
+
+test('reads projects from .deploy.config before .firebaserc', t => {
+  const projectPath = tempProject(t, {
+    '.deploy.config': 'FIREBASE_PROJECT_PROD="web-live"\n',
+    '.firebaserc': JSON.stringify({ projects: { dev: 'web-dev', production: 'web-prod' } })
+  });
+  assert.deepEqual(firebaseProjects(projectPath), { FIREBASE_PROJECT_DEV: 'web-dev', FIREBASE_PROJECT_PROD: 'web-live' });
+});
+
+test('requires a staging project only for services with staging', () => {
+  const projects = { FIREBASE_PROJECT_DEV: 'web-dev', FIREBASE_PROJECT_PROD: 'web-prod' };
+  assert.deepEqual(missingFirebaseProjects(projects), []);
+  assert.deepEqual(missingFirebaseProjects(projects, { staging: true }), ['FIREBASE_PROJECT_STAGING']);
+});
+
+test('asks for the projects nothing names', async t => {
+  const projectPath = tempProject(t, { '.firebaserc': JSON.stringify({ projects: { dev: 'web-dev' } }) });
+
+  const asked = [];
+  assert.deepEqual(await promptFirebaseProjects(projectPath, { prompt: fakePrompt(asked) }), {
+    FIREBASE_PROJECT_DEV: 'web-dev',
+    FIREBASE_PROJECT_PROD: 'prod-project'
+  });
+  assert.deepEqual(asked, ['FIREBASE_PROJECT_PROD']);
+
+  const projects = await promptFirebaseProjects(projectPath, { staging: true, prompt: fakePrompt(asked) });
+  assert.equal(projects.FIREBASE_PROJECT_STAGING, 'staging-project');
+});
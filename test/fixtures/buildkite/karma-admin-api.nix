@@ -0,0 +1,50 @@
+# pipeline.nix for karma-admin-api: a GraphQL service with a Docker build,
+# deploys per environment and a manual gate before production
+{ pkgs ? import <nixpkgs> { }, lib ? pkgs.lib, branch ? builtins.getEnv "BUILDKITE_BRANCH" }:
+
+with import ../nix/buildkite.nix { inherit pkgs; };
+
+let
+  service = "karma-admin-api";
+  isMaster = branch == "master";
+  # sentry is only mentioned in this comment and must not switch Sentry on
+  apolloGraph = "karma-admin";
+
+  testStep = name: command: {
+    label = ":jest: ${name}";
+    inherit command;
+    key = "test-${name}";
+    agents = { queue = "default"; };
+  };
+in
+{
+  env = {
+    SERVICE_NAME = service;
+    NODE_ENV = "test";
+  };
+
+  steps = [
+    (testStep "unit" "npm ci && npm test")
+    (testStep "lint" "npm run lint")
+    {
+      label = ":graphql: Check schema";
+      key = "schema";
+      command = ''
+        npx rover subgraph check ${apolloGraph}@current \
+          --name Base --schema ./schema.gql
+      '';
+      env = { APOLLO_KEY = builtins.getEnv "APOLLO_KEY"; };
+      depends_on = [ "test-unit" ];
+    }
+    "wait"
+    (dockerBuild {
+      name = service;
+      npmAuth = true;
+      additionalBuildArgs = [ "BUILD_SHA=$BUILDKITE_COMMIT" "GRAPHQL_URL" ];
+    })
+    (deploy "development" { })
+  ] ++ lib.optionals isMaster [
+    (block "Release to production")
+    (deploy "production" { })
+  ];
+}
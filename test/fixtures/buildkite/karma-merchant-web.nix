@@ -0,0 +1,43 @@
+# pipeline.nix for karma-merchant-web: a frontend built with FontAwesome Pro
+# and Google Maps, released to staging before production
+{ lib, ... }:
+
+let
+  service = "karma-merchant-web";
+  environments = [ "staging" "production" ];
+
+  deployStep = environment: {
+    label = ":rocket: Deploy ${environment}";
+    command = "./deploy.sh ${environment}";
+    branches = if environment == "production" then "master" else "development";
+    concurrency = 1;
+    concurrency_group = "${service}-${environment}";
+  };
+
+  common = rec {
+    nodeVersion = "18";
+    image = "node:${nodeVersion}";
+  };
+in
+{
+  steps = [
+    {
+      label = ":jest: Tests";
+      command = "npm ci && npm test -- --shard=$BUILDKITE_PARALLEL_JOB";
+      parallelism = 3;
+      artifact_paths = [ "coverage/**/*" ];
+      plugins = [ { "docker#v5.9.0" = { image = common.image; }; } ];
+    }
+    {
+      label = ":docker: Build";
+      key = "build";
+      command = ''
+        docker build \
+          --build-arg FONTAWESOME_NPM_TOKEN \
+          --build-arg VITE_GOOGLE_MAPS_KEY=$STOREFRONT_PUBLIC_GOOGLE_MAPS_KEY \
+          --build-arg SENTRY_RELEASE=$BUILDKITE_COMMIT \
+          -t ${service} .
+      '';
+    }
+  ] ++ map deployStep environments;
+}
@@ -0,0 +1,53 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+
+// Fakes shared by the tests. npm test only runs test/*.test.js, so this
+// file is never run on its own.
+
+// A clock that sleeping moves forward, so a watch runs without waiting
+function fakeClock(start) {
+  const clock = { time: start };
+  clock.now = () => clock.time;
+  clock.sleep = async ms => {
+    clock.time += ms;
+  };
+  return clock;
+}
+
+// A local HTTP server on a free port, for clients that take a base URL
+async function startServer(handler) {
+  const server = http.createServer(handler);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+// A project directory in the OS temp dir holding files ({ relative path:
+// content }), removed again after the test
+function tempProject(t, files = {}) {
+  const projectPath = fs.mkdtempSync(path.join(os.tmpdir(), 'karma-test-'));
+  t.after(() => fs.rmSync(projectPath, { recursive: true, force: true }));
+  for (const [file, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(projectPath, file)), { recursive: true });
+    fs.writeFileSync(path.join(projectPath, file), content);
+  }
+  return projectPath;
+}
+
+// Runs the rest of the test in dir, for code that reads process.cwd()
+function chdir(t, dir) {
+  const previous = process.cwd();
+  process.chdir(dir);
+  t.after(() => process.chdir(previous));
+}
+
+module.exports = {
+  fakeClock,
+  startServer,
+  tempProject,
+  chdir
+};
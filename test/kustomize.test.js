@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { generateOverlay, addOverlay } = require('../cli/utils/kustomize');
+const { tempProject } = require('./helpers');
+
+const BASE = {
+  'base/kustomization.yaml': 'resources:\n  - deployment.yaml\n  - ingress.yaml\n',
+  'base/deployment.yaml': yaml.dump({
+    apiVersion: 'apps/v1',
+    kind: 'Deployment',
+    metadata: { name: 'karma-admin-api' },
+    spec: {
+      replicas: 1,
+      template: {
+        spec: {
+          containers: [{ name: 'api', image: 'europe-docker.pkg.dev/karma/karma-admin-api/karma-admin-api:latest' }]
+        }
+      }
+    }
+  }),
+  'base/ingress.yaml': yaml.dump({ apiVersion: 'networking.k8s.io/v1', kind: 'Ingress', metadata: { name: 'karma-admin-api' }, spec: {} })
+};
+
+// A production overlay in namespace, pinned to the v1.3.0 release
+function production(namespace) {
+  return {
+    ...BASE,
+    'overlays/production/kustomization.yaml': yaml.dump({
+      resources: ['../../base'],
+      ...(namespace ? { namespace } : {}),
+      images: [{ name: 'europe-docker.pkg.dev/karma/karma-admin-api/karma-admin-api', newTag: 'v1.3.0' }],
+      patches: [{ path: 'deployment.yaml' }, { path: 'ingress.yaml' }]
+    }),
+    'overlays/production/deployment.yaml': yaml.dump({
+      apiVersion: 'apps/v1',
+      kind: 'Deployment',
+      metadata: { name: 'karma-admin-api' },
+      spec: {
+        replicas: 3,
+        template: {
+          spec: {
+            containers: [{
+              name: 'api',
+              env: [{ name: 'API_URL', value: 'https://admin-api.karma.life' }, { name: 'NODE_ENV', value: 'production' }],
+              resources: { requests: { cpu: '500m', memory: '1Gi' } }
+            }]
+          }
+        }
+      }
+    }),
+    'overlays/production/ingress.yaml': yaml.dump({
+      apiVersion: 'networking.k8s.io/v1',
+      kind: 'Ingress',
+      metadata: { name: 'karma-admin-api' },
+      spec: {
+        rules: [{ host: 'admin-api.karma.life' }],
+        tls: [{ hosts: ['admin-api.karma.life'], secretName: 'admin-api-tls' }]
+      }
+    })
+  };
+}
+
+function file(overlay, name) {
+  return yaml.load(overlay.files.find(entry => entry.file === name).content);
+}
+
+test('moves a derived overlay out of a namespace without the environment in it', t => {
+  const k8sPath = tempProject(t, production('karma-admin-api'));
+
+  const overlay = generateOverlay(k8sPath, 'staging');
+  const kustomization = file(overlay, 'kustomization.yaml');
+
+  assert.equal(overlay.source, path.join('overlays', 'production'));
+  assert.equal(kustomization.namespace, 'karma-admin-api-staging');
+  assert.deepEqual(kustomization.images, [{ name: 'europe-docker.pkg.dev/karma/karma-admin-api/karma-admin-api', newTag: 'undeployed' }]);
+  assert.ok(overlay.changes.includes('kustomization.yaml: namespace karma-admin-api → karma-admin-api-staging'));
+  assert.ok(overlay.changes.includes('kustomization.yaml: images europe-docker.pkg.dev/karma/karma-admin-api/karma-admin-api v1.3.0 → undeployed'));
+});
+
+test('renames production in namespaces, env vars, resources and hosts', t => {
+  const k8sPath = tempProject(t, production('karma-admin-api-prod'));
+
+  const overlay = generateOverlay(k8sPath, 'staging', { replicas: 1, scale: 0.5 });
+  const deployment = file(overlay, 'deployment.yaml');
+  const ingress = file(overlay, 'ingress.yaml');
+  const [container] = deployment.spec.template.spec.containers;
+
+  assert.equal(file(overlay, 'kustomization.yaml').namespace, 'karma-admin-api-staging');
+  assert.equal(deployment.spec.replicas, 1);
+  assert.deepEqual(container.resources.requests, { cpu: '250m', memory: '512Mi' });
+  assert.deepEqual(container.env, [
+    { name: 'API_URL', value: 'https://staging-admin-api.karma.life' },
+    { name: 'NODE_ENV', value: 'staging' }
+  ]);
+  assert.deepEqual(ingress.spec, {
+    rules: [{ host: 'staging-admin-api.karma.life' }],
+    tls: [{ hosts: ['staging-admin-api.karma.life'], secretName: 'admin-api-tls-staging' }]
+  });
+});
+
+test('gives an overlay without a namespace the environment as one', t => {
+  const k8sPath = tempProject(t, production(null));
+  assert.equal(file(generateOverlay(k8sPath, 'staging'), 'kustomization.yaml').namespace, 'staging');
+});
+
+test('builds on the base without a production overlay', t => {
+  const k8sPath = tempProject(t, BASE);
+
+  const overlay = generateOverlay(k8sPath, 'staging', { serviceName: 'karma-admin-api' });
+
+  assert.equal(overlay.source, 'base');
+  assert.deepEqual(overlay.files.map(entry => entry.file), ['kustomization.yaml', 'configmap.yaml', 'deployment.yaml']);
+  assert.equal(file(overlay, 'kustomization.yaml').namespace, 'staging');
+});
+
+test('only replaces an existing overlay with force', t => {
+  const k8sPath = tempProject(t, production('karma-admin-api'));
+
+  addOverlay(k8sPath, 'staging');
+  assert.ok(fs.existsSync(path.join(k8sPath, 'overlays', 'staging', 'kustomization.yaml')));
+  assert.throws(() => addOverlay(k8sPath, 'staging'), /overlays\/staging already exists; use --force to replace it/);
+  assert.throws(() => addOverlay(k8sPath, 'production', { force: true }), /Cannot derive the production overlay from itself/);
+  addOverlay(k8sPath, 'staging', { force: true, replicas: 2 });
+  assert.equal(yaml.load(fs.readFileSync(path.join(k8sPath, 'overlays', 'staging', 'deployment.yaml'), 'utf8')).spec.replicas, 2);
+});
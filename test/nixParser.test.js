@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  parse,
+  parseAndEvaluate,
+  toPlainValue,
+  force,
+  describeValue,
+  NixSyntaxError,
+  NixCall,
+  NixConditional
+} = require('../cli/utils/nixParser');
+
+function evaluatePlain(source) {
+  return toPlainValue(parseAndEvaluate(source));
+}
+
+test('evaluates let bindings, interpolation, inherit and attribute updates', () => {
+  assert.deepEqual(evaluatePlain(`
+    let
+      service = "karma-admin-api";
+      image = { tag = service + ":latest"; };
+    in {
+      inherit (image) tag;
+      label = "Deploy \${service} (\${toString 3})";
+      steps = [ "a" ] ++ [ "b" ];
+      env = { a.b = 1; } // { c = 2; };
+      queue = if service == "karma-admin-api" then "deploy" else "default";
+    }
+  `), {
+    tag: 'karma-admin-api:latest',
+    label: 'Deploy karma-admin-api (3)',
+    steps: ['a', 'b'],
+    env: { a: { b: 1 }, c: 2 },
+    queue: 'deploy'
+  });
+});
+
+test('strips the common indentation of indented strings', () => {
+  assert.equal(evaluatePlain("''\n    npm ci\n      npm test\n''"), 'npm ci\n  npm test\n');
+});
+
+test('evaluates rec attribute sets, with and local functions', () => {
+  assert.deepEqual(evaluatePlain(`
+    let step = name: { label = name; };
+    in with { queue = "default"; }; rec {
+      version = "18";
+      image = "node:\${version}";
+      steps = map step [ "lint" "test" ];
+      agents = { inherit queue; };
+    }
+  `), {
+    version: '18',
+    image: 'node:18',
+    steps: [{ label: 'lint' }, { label: 'test' }],
+    agents: { queue: 'default' }
+  });
+});
+
+test('keeps what it cannot resolve symbolic instead of failing', () => {
+  const value = parseAndEvaluate('{ pkgs, branch }: { helper = pkgs.mkStep { label = "x"; }; gated = if branch == "master" then [ 1 ] else [ 2 ]; }');
+
+  // Attributes are lazy, as in Nix
+  const helper = force(value.helper);
+  const gated = force(value.gated);
+  assert.ok(helper instanceof NixCall);
+  assert.equal(helper.fn, 'pkgs.mkStep');
+  assert.ok(gated instanceof NixConditional);
+  assert.equal(describeValue(gated.condition), 'branch == "master"');
+  assert.equal(toPlainValue(helper), '${pkgs.mkStep { ... }}');
+});
+
+test('resolves lib helpers even when lib defaults to pkgs.lib', () => {
+  const value = parseAndEvaluate(`
+    { pkgs ? import <nixpkgs> { }, lib ? pkgs.lib }:
+    [ "always" ] ++ lib.optionals true [ "enabled" ] ++ lib.optional false "disabled"
+  `);
+  assert.deepEqual(toPlainValue(value), ['always', 'enabled']);
+});
+
+test('reports every call to a function outside the file as it is evaluated', () => {
+  const calls = [];
+  const value = parseAndEvaluate('{ pkgs }: { token = builtins.getEnv "NPM_TOKEN"; step = pkgs.dockerBuild { name = "svc"; }; }', {
+    onCall: call => calls.push(call.fn)
+  });
+  toPlainValue(value);
+  assert.deepEqual(calls.sort(), ['getEnv', 'pkgs.dockerBuild']);
+});
+
+test('reports syntax errors with their line and column', () => {
+  assert.throws(() => parse('{\n  steps = ;\n}'), error => {
+    assert.ok(error instanceof NixSyntaxError);
+    assert.equal(error.message, "Unexpected ';' (line 2, column 11)");
+    assert.equal(error.line, 2);
+    return true;
+  });
+  assert.throws(() => parse('{ label = "unterminated; }'), /Unterminated string/);
+});
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveNodeVersion, parseNodeVersion } = require('../cli/utils/nodeVersion');
+const { tempProject } = require('./helpers');
+
+test('reads versions and LTS aliases', () => {
+  assert.equal(parseNodeVersion('v20.11.1'), 20);
+  assert.equal(parseNodeVersion('lts/iron'), 20);
+  assert.equal(parseNodeVersion('lts/*'), 24);
+  assert.equal(parseNodeVersion('system'), null);
+});
+
+test('version manager files win over engines', t => {
+  const projectPath = tempProject(t, {
+    'package.json': JSON.stringify({ engines: { node: '>=18' } }),
+    '.nvmrc': 'lts/hydrogen\n'
+  });
+  const { version, source, conflicts } = resolveNodeVersion(projectPath);
+  assert.equal(version, '18');
+  assert.equal(source.type, 'nvmrc');
+  assert.deepEqual(conflicts, []);
+});
+
+test('a changed engines range wins over the NODE_VERSION init wrote', t => {
+  const projectPath = tempProject(t, {
+    'package.json': JSON.stringify({ engines: { node: '^22' } }),
+    '.deploy.config': 'NODE_VERSION="20"\n'
+  });
+  const { version, source, conflicts } = resolveNodeVersion(projectPath);
+  assert.equal(version, '22');
+  assert.equal(source.type, 'engines');
+  assert.deepEqual(conflicts, ['NODE_VERSION "20" in .deploy.config differs from Node 22 from engines.node "^22" in package.json']);
+});
+
+test('NODE_VERSION decides when nothing else declares a version', t => {
+  const projectPath = tempProject(t, { 'package.json': '{}', '.deploy.config': 'NODE_VERSION="22"\n' });
+  assert.equal(resolveNodeVersion(projectPath, { type: 'nextjs' }).version, '22');
+  assert.equal(resolveNodeVersion(tempProject(t, { 'package.json': '{}' }), { type: 'nextjs' }).version, '20');
+});
@@ -0,0 +1,203 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { GitHubApiError } = require('../cli/utils/githubApi');
+const { fakeClock } = require('./helpers');
+const { formatDuration, tagCommit, findTagRuns, watchTag } = require('../cli/utils/runWatcher');
+
+const REPO = 'karmadev/svc';
+const TAG = 'v1.4.0-staging';
+const SHA = 'c0ffee';
+const START = Date.parse('2026-10-19T10:00:00Z');
+
+// An API client answering from routes: a value, or a function of the
+// seconds since START for responses that change as the watch goes on.
+// Anything else is a 404, as from GitHub.
+function fakeApi(routes, clock = { now: () => START }) {
+  const requests = [];
+  const respond = path => {
+    requests.push(path);
+    if (!(path in routes)) {
+      throw new GitHubApiError(`GET ${path}: Not Found`, 404, path);
+    }
+    const route = routes[path];
+    return typeof route === 'function' ? route((clock.now() - START) / 1000) : route;
+  };
+  return {
+    requests,
+    get: async path => respond(path),
+    paginate: async (path, key) => respond(path)[key]
+  };
+}
+
+function run(id, fields = {}) {
+  return {
+    id,
+    name: 'CI/CD',
+    path: '.github/workflows/ci-cd.yml',
+    workflow_id: 1,
+    run_number: id,
+    head_branch: TAG,
+    head_sha: SHA,
+    status: 'in_progress',
+    conclusion: null,
+    created_at: new Date(START).toISOString(),
+    run_started_at: new Date(START).toISOString(),
+    updated_at: new Date(START).toISOString(),
+    html_url: `https://github.com/${REPO}/actions/runs/${id}`,
+    ...fields
+  };
+}
+
+function job(id, name, fields = {}) {
+  return {
+    id,
+    name,
+    status: 'in_progress',
+    conclusion: null,
+    started_at: new Date(START).toISOString(),
+    completed_at: null,
+    html_url: `https://github.com/${REPO}/actions/runs/7/job/${id}`,
+    steps: [],
+    ...fields
+  };
+}
+
+const REF = { [`/repos/${REPO}/git/ref/tags/${TAG}`]: { object: { type: 'commit', sha: SHA } } };
+const RUNS = `/repos/${REPO}/actions/runs?event=push&head_sha=${SHA}`;
+
+test('formats durations', () => {
+  assert.equal(formatDuration(4400), '4s');
+  assert.equal(formatDuration(125000), '2m 05s');
+  assert.equal(formatDuration(-1000), '0s');
+});
+
+test('peels annotated tags down to the commit', async () => {
+  const api = fakeApi({
+    [`/repos/${REPO}/git/ref/tags/${TAG}`]: { object: { type: 'tag', sha: 'a1' } },
+    [`/repos/${REPO}/git/tags/a1`]: { object: { type: 'commit', sha: SHA } }
+  });
+  assert.equal(await tagCommit(api, REPO, TAG), SHA);
+});
+
+test('reports tags that have not been pushed', async () => {
+  await assert.rejects(tagCommit(fakeApi({}), REPO, 'v9.9.9'), /Tag v9\.9\.9 was not found in karmadev\/svc; has it been pushed\?/);
+});
+
+test('finds the newest run per workflow that the tag triggered', async () => {
+  const api = fakeApi({
+    [RUNS]: {
+      workflow_runs: [
+        run(5),
+        // Re-run of the same workflow
+        run(8),
+        run(6, { name: 'Lint', path: '.github/workflows/lint.yml', workflow_id: 2 }),
+        // Another tag at the same commit
+        run(9, { head_branch: 'v1.4.0' })
+      ]
+    }
+  });
+
+  assert.deepEqual((await findTagRuns(api, REPO, TAG, { sha: SHA })).map(found => found.id), [6, 8]);
+  assert.deepEqual((await findTagRuns(api, REPO, TAG, { sha: SHA, workflow: 'ci-cd.yml' })).map(found => found.id), [8]);
+  assert.deepEqual((await findTagRuns(api, REPO, TAG, { sha: SHA, workflow: 'Lint' })).map(found => found.id), [6]);
+  // Runs from an earlier push of the tag are skipped, allowing for clock skew
+  assert.deepEqual(await findTagRuns(api, REPO, TAG, { sha: SHA, since: new Date(START + 2 * 60 * 1000) }), []);
+  assert.equal((await findTagRuns(api, REPO, TAG, { sha: SHA, since: new Date(START + 30 * 1000) })).length, 2);
+});
+
+test('waits for the runs to start and follows them until they pass', async () => {
+  const clock = fakeClock(START);
+  const api = fakeApi({
+    ...REF,
+    // The push takes 10s to trigger the workflow
+    [RUNS]: seconds => ({ workflow_runs: seconds < 10 ? [] : [run(7)] }),
+    [`/repos/${REPO}/actions/runs/7`]: seconds => (seconds < 30
+      ? run(7)
+      : run(7, { status: 'completed', conclusion: 'success', updated_at: new Date(START + 30000).toISOString() })),
+    [`/repos/${REPO}/actions/runs/7/jobs?filter=latest`]: seconds => ({
+      jobs: [seconds < 30
+        ? job(70, 'Build')
+        : job(70, 'Build', { status: 'completed', conclusion: 'success', completed_at: new Date(START + 30000).toISOString() })]
+    })
+  }, clock);
+  const output = [];
+  const stream = { write: text => output.push(text) };
+
+  const result = await watchTag(api, REPO, TAG, { interval: 5000, stream, now: clock.now, sleep: clock.sleep });
+
+  assert.equal(result.sha, SHA);
+  assert.equal(result.conclusion, 'success');
+  assert.equal(result.timedOut, false);
+  assert.deepEqual(result.runs, [{
+    id: 7,
+    name: 'CI/CD',
+    workflow: '.github/workflows/ci-cd.yml',
+    runNumber: 7,
+    url: `https://github.com/${REPO}/actions/runs/7`,
+    status: 'completed',
+    conclusion: 'success',
+    jobs: [{ name: 'Build', status: 'completed', conclusion: 'success', url: `https://github.com/${REPO}/actions/runs/7/job/70`, failedSteps: [] }]
+  }]);
+  assert.equal(clock.time - START, 30000);
+  // Outside a terminal each run and job is reported once as it starts and
+  // once as it finishes
+  const lines = output.join('').trim().split('\n');
+  assert.equal(lines.length, 4);
+  assert.match(lines[3], /CI\/CD #7 \(ci-cd\.yml\) success 30s/);
+});
+
+test('returns the conclusion and failed steps of a failing run', async () => {
+  const lint = run(6, { name: 'Lint', path: '.github/workflows/lint.yml', workflow_id: 2, status: 'completed', conclusion: 'success' });
+  const api = fakeApi({
+    ...REF,
+    [RUNS]: { workflow_runs: [run(7), lint] },
+    [`/repos/${REPO}/actions/runs/6`]: lint,
+    [`/repos/${REPO}/actions/runs/6/jobs?filter=latest`]: { jobs: [] },
+    [`/repos/${REPO}/actions/runs/7`]: run(7, { status: 'completed', conclusion: 'failure' }),
+    [`/repos/${REPO}/actions/runs/7/jobs?filter=latest`]: {
+      jobs: [job(70, 'Deploy', {
+        status: 'completed',
+        conclusion: 'failure',
+        steps: [
+          { number: 1, name: 'Checkout', status: 'completed', conclusion: 'success' },
+          { number: 2, name: 'Push image', status: 'completed', conclusion: 'failure' },
+          { number: 3, name: 'Notify', status: 'completed', conclusion: 'skipped' }
+        ]
+      })]
+    }
+  });
+
+  const result = await watchTag(api, REPO, TAG, { stream: null });
+
+  assert.equal(result.conclusion, 'failure');
+  assert.deepEqual(result.runs.map(summary => [summary.name, summary.conclusion]), [['Lint', 'success'], ['CI/CD', 'failure']]);
+  assert.deepEqual(result.runs[1].jobs[0].failedSteps, ['Push image']);
+});
+
+test('gives up on runs that outlast the timeout', async () => {
+  const clock = fakeClock(START);
+  const api = fakeApi({
+    ...REF,
+    [RUNS]: { workflow_runs: [run(7)] },
+    [`/repos/${REPO}/actions/runs/7`]: run(7),
+    [`/repos/${REPO}/actions/runs/7/jobs?filter=latest`]: { jobs: [job(70, 'Build')] }
+  }, clock);
+
+  const result = await watchTag(api, REPO, TAG, { timeout: 60000, interval: 10000, stream: null, now: clock.now, sleep: clock.sleep });
+
+  assert.equal(result.timedOut, true);
+  assert.equal(result.conclusion, null);
+  assert.equal(result.runs[0].status, 'in_progress');
+  assert.equal(clock.time - START, 60000);
+});
+
+test('stops waiting when the tag triggers no runs', async () => {
+  const clock = fakeClock(START);
+  const api = fakeApi({ ...REF, [RUNS]: { workflow_runs: [] } }, clock);
+
+  const result = await watchTag(api, REPO, TAG, { stream: null, now: clock.now, sleep: clock.sleep });
+
+  assert.deepEqual(result, { tag: TAG, sha: SHA, runs: [], conclusion: null, timedOut: false });
+  assert.equal(clock.time - START, 2 * 60 * 1000);
+  assert.ok(api.requests.every(path => path === RUNS || path.includes('/git/ref/')));
+});
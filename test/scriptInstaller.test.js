@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { installDeployScript, generateDeployConfig } = require('../cli/utils/scriptInstaller');
+const { parseDeployConfig } = require('../cli/utils/deployConfig');
+const { tempProject, chdir } = require('./helpers');
+
+function cloudFunction(name) {
+  return { name, type: 'node', deployment: 'cloud-functions', workingDirectory: '.', environments: ['dev', 'prod'], features: {} };
+}
+
+test('names a single Cloud Function FUNCTION_NAME', t => {
+  chdir(t, tempProject(t, {
+    'package.json': JSON.stringify({ name: 'printer', main: 'index.js' }),
+    'index.js': 'exports.printLabel = (req, res) => res.send("ok");\n'
+  }));
+
+  const values = parseDeployConfig(generateDeployConfig(cloudFunction('printer')));
+  assert.equal(values.FUNCTION_NAME, 'printer');
+  assert.equal(values.FUNCTIONS, undefined);
+});
+
+test('lists several Cloud Functions in FUNCTIONS instead of FUNCTION_NAME', t => {
+  chdir(t, tempProject(t, {
+    'package.json': JSON.stringify({ name: 'printer', main: 'index.js' }),
+    'index.js': [
+      'exports.printLabel = (req, res) => res.send("ok");',
+      'exports.printReceipt = async (req, res) => res.send("ok");',
+      'exports.onOrder = functions.pubsub.topic("orders").onPublish(message => {});'
+    ].join('\n')
+  }));
+
+  const values = parseDeployConfig(generateDeployConfig(cloudFunction('printer')));
+  assert.equal(values.FUNCTION_NAME, undefined);
+  assert.equal(values.FUNCTIONS, 'print-label:printLabel print-receipt:printReceipt on-order:onOrder');
+});
+
+test('fails before writing anything when an event handler has no trigger', async t => {
+  const projectPath = tempProject(t, {
+    'package.json': JSON.stringify({ name: 'thumbnails', main: 'index.js' }),
+    'index.js': 'exports.resize = cloudEvent => {};\nexports.status = (req, res) => res.send("ok");\n'
+  });
+  chdir(t, projectPath);
+
+  await assert.rejects(installDeployScript(cloudFunction('thumbnails')), /resize handles events, but FUNCTION_TRIGGERS doesn't say which/);
+  assert.deepEqual(fs.readdirSync(projectPath).sort(), ['index.js', 'package.json']);
+
+  fs.writeFileSync(path.join(projectPath, '.deploy.config'), 'FUNCTION_TRIGGERS="resize=event:google.cloud.storage.object.v1.finalized"\n');
+  assert.equal(parseDeployConfig(generateDeployConfig(cloudFunction('thumbnails'))).FUNCTIONS, 'resize:resize status:status');
+});
@@ -0,0 +1,161 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { createGitHubApi } = require('../cli/utils/githubApi');
+const { fetchSecrets, auditSecrets, secretScript } = require('../cli/utils/secretsAudit');
+const { startServer } = require('./helpers');
+
+const CLI = path.join(__dirname, '..', 'cli', 'index.js');
+
+// A GitHub API for karmadev/svc: repository secrets over two pages, one
+// organization secret shared with it, one that isn't and a production
+// environment with a secret of its own. Routes answer [status, body,
+// headers]; anything else is a 404.
+function githubRoutes(base, { orgSecretsStatus = 200 } = {}) {
+  return {
+    '/repos/karmadev/svc': [200, { id: 42, owner: { login: 'karmadev', type: 'Organization' } }],
+    '/repos/karmadev/svc/actions/secrets?per_page=100': [200, { secrets: [{ name: 'GCP_SA_KEY' }] },
+      { link: `<${base}/repos/karmadev/svc/actions/secrets?per_page=100&page=2>; rel="next"` }],
+    '/repos/karmadev/svc/actions/secrets?per_page=100&page=2': [200, { secrets: [{ name: 'NPM_TOKEN' }] }],
+    '/repos/karmadev/svc/actions/organization-secrets?per_page=100': [200, { secrets: [{ name: 'NPM_TOKEN' }] }],
+    '/orgs/karmadev/actions/secrets?per_page=100': orgSecretsStatus === 200
+      ? [200, { secrets: [{ name: 'NPM_TOKEN', visibility: 'all' }, { name: 'GITOPS_TOKEN', visibility: 'selected' }] }]
+      : [orgSecretsStatus, { message: 'Resource not accessible by integration' }],
+    '/repos/karmadev/svc/environments?per_page=100': [200, { environments: [{ name: 'production' }] }],
+    '/repos/karmadev/svc/environments/production/secrets?per_page=100': [200, { secrets: [{ name: 'SENTRY_AUTH_TOKEN' }] }]
+  };
+}
+
+async function startGitHub(options) {
+  const requests = [];
+  let routes = {};
+  const server = await startServer((req, res) => {
+    requests.push({ url: req.url, authorization: req.headers.authorization });
+    const [status, body, headers = {}] = routes[req.url] || [404, { message: 'Not Found' }];
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+  });
+  routes = githubRoutes(server.url, options);
+  return { ...server, requests };
+}
+
+// GITHUB_API_URL points the client at the mock server, as on a GitHub
+// Enterprise host
+async function withGitHub(options, fn) {
+  const server = await startGitHub(options);
+  const previous = process.env.GITHUB_API_URL;
+  process.env.GITHUB_API_URL = server.url;
+  try {
+    return await fn(createGitHubApi({ token: 'test-token' }), server);
+  } finally {
+    if (previous === undefined) delete process.env.GITHUB_API_URL;
+    else process.env.GITHUB_API_URL = previous;
+    await server.close();
+  }
+}
+
+const REQUIREMENTS = [
+  { name: 'GCP_SA_KEY', description: 'GCP service account key', scope: 'org', required: true },
+  { name: 'NPM_TOKEN', description: 'npm token', scope: 'org', required: true },
+  { name: 'GITOPS_TOKEN', description: 'GitOps token', scope: 'org', required: true },
+  { name: 'SENTRY_AUTH_TOKEN', description: 'Sentry token', scope: 'repo', required: true },
+  { name: 'APOLLO_KEY', description: 'Apollo key', scope: 'repo', required: true },
+  { name: 'SLACK_WEBHOOK_URL', description: 'Slack webhook', scope: 'org', required: false }
+];
+
+test('fetches repository, shared organization and environment secrets', async () => {
+  await withGitHub({}, async (api, server) => {
+    const available = await fetchSecrets(api, 'karmadev/svc');
+
+    assert.deepEqual(available, {
+      repo: 'karmadev/svc',
+      repoId: 42,
+      owner: 'karmadev',
+      isOrg: true,
+      repoSecrets: ['GCP_SA_KEY', 'NPM_TOKEN'],
+      sharedSecrets: ['NPM_TOKEN'],
+      orgSecrets: [{ name: 'NPM_TOKEN', visibility: 'all' }, { name: 'GITOPS_TOKEN', visibility: 'selected' }],
+      environmentSecrets: { production: ['SENTRY_AUTH_TOKEN'] }
+    });
+    assert.ok(server.requests.every(request => request.authorization === 'Bearer test-token'));
+  });
+});
+
+test('audits what the project needs against what GitHub has', async () => {
+  await withGitHub({}, async api => {
+    const results = auditSecrets(REQUIREMENTS, await fetchSecrets(api, 'karmadev/svc'));
+    const byName = Object.fromEntries(results.map(result => [result.name, result]));
+
+    assert.equal(byName.GCP_SA_KEY.status, 'ok');
+    assert.match(byName.GCP_SA_KEY.notes[0], /rotated separately/);
+    assert.deepEqual(byName.NPM_TOKEN.sources, ['repo', 'org']);
+    assert.match(byName.NPM_TOKEN.notes[0], /overrides the organization secret/);
+    assert.equal(byName.GITOPS_TOKEN.status, 'not-shared');
+    assert.deepEqual(byName.SENTRY_AUTH_TOKEN.sources, ['environment:production']);
+    assert.match(byName.SENTRY_AUTH_TOKEN.notes[0], /Only set for production/);
+    assert.equal(byName.APOLLO_KEY.status, 'missing');
+    assert.equal(byName.SLACK_WEBHOOK_URL.status, 'unset');
+  });
+});
+
+test('the script shares unshared organization secrets and sets missing ones', async () => {
+  await withGitHub({}, async api => {
+    const available = await fetchSecrets(api, 'karmadev/svc');
+    const script = secretScript(auditSecrets(REQUIREMENTS, available), available);
+
+    assert.match(script, /^gh api --method PUT \/orgs\/karmadev\/actions\/secrets\/GITOPS_TOKEN\/repositories\/42$/m);
+    assert.match(script, /^gh secret set APOLLO_KEY --repo 'karmadev\/svc'$/m);
+    assert.doesNotMatch(script, /SLACK_WEBHOOK_URL|GCP_SA_KEY/);
+  });
+});
+
+test('checks only shared secrets when the token cannot list organization secrets', async () => {
+  await withGitHub({ orgSecretsStatus: 403 }, async api => {
+    const available = await fetchSecrets(api, 'karmadev/svc');
+    assert.equal(available.orgSecrets, null);
+
+    const results = auditSecrets(REQUIREMENTS, available);
+    assert.equal(results.find(result => result.name === 'GITOPS_TOKEN').status, 'missing');
+    // Organization secrets are never created blind, since one may exist
+    assert.match(secretScript(results, available), /^gh secret set GITOPS_TOKEN --repo 'karmadev\/svc'$/m);
+  });
+});
+
+test('reports repositories the token cannot see', async () => {
+  await withGitHub({}, async api => {
+    await assert.rejects(fetchSecrets(api, 'karmadev/other'), /Repository karmadev\/other not found, or the token cannot access it/);
+  });
+});
+
+test('karma secrets check exits 1 and lists what is missing', async () => {
+  const projectPath = fs.mkdtempSync(path.join(os.tmpdir(), 'karma-secrets-'));
+  fs.writeFileSync(path.join(projectPath, 'package.json'), JSON.stringify({ name: 'svc', version: '1.0.0' }));
+
+  try {
+    await withGitHub({}, async (api, server) => {
+      const { code, stdout } = await new Promise(resolve => {
+        execFile(process.execPath, [CLI, 'secrets', 'check', '--repo', 'karmadev/svc', '--json'], {
+          cwd: projectPath,
+          env: { ...process.env, GITHUB_API_URL: server.url, GITHUB_TOKEN: 'test-token', FORCE_COLOR: '0' }
+        }, (error, out) => resolve({ code: error ? error.code : 0, stdout: out }));
+      });
+
+      const report = JSON.parse(stdout);
+      assert.equal(code, 1);
+      assert.equal(report.ok, false);
+      assert.equal(report.organization, 'karmadev');
+      assert.deepEqual(report.secrets.map(secret => [secret.name, secret.status]), [
+        ['NPM_TOKEN', 'ok'],
+        ['GCP_SA_KEY', 'ok'],
+        ['GITOPS_TOKEN', 'not-shared'],
+        ['SLACK_WEBHOOK_URL', 'unset']
+      ]);
+      assert.ok(server.requests.some(request => request.url.startsWith('/repos/karmadev/svc/actions/secrets')));
+    });
+  } finally {
+    fs.rmSync(projectPath, { recursive: true, force: true });
+  }
+});
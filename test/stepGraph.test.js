@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const BuildkiteAnalyzer = require('../cli/utils/buildkiteAnalyzer');
+const { buildStepGraph } = require('../cli/utils/stepGraph');
+const { tempProject } = require('./helpers');
+
+function command(label, options = {}) {
+  return { type: 'command', label, ...options };
+}
+
+test('a wait step orders everything after it behind everything before it', () => {
+  const graph = buildStepGraph([
+    command('lint', { key: 'lint' }),
+    command('test', { key: 'test' }),
+    { type: 'wait' },
+    command('build', { key: 'build' }),
+    command('scan', { key: 'scan' })
+  ]);
+
+  assert.deepEqual(graph.stages, [['lint', 'test'], ['build', 'scan']]);
+  assert.deepEqual(graph.nodes.find(node => node.id === 'build').dependsOn, ['lint', 'test']);
+  assert.deepEqual(graph.entry, ['lint', 'test']);
+  assert.deepEqual(graph.edges.filter(edge => edge.to === 'scan').map(edge => edge.type), ['wait', 'wait']);
+});
+
+test('consecutive waits keep depending on the last steps that ran', () => {
+  const graph = buildStepGraph([command('test', { key: 'test' }), { type: 'wait' }, { type: 'wait', continueOnFailure: true }, command('notify', { key: 'notify' })]);
+
+  assert.deepEqual(graph.nodes.find(node => node.id === 'notify').dependsOn, ['test']);
+  assert.equal(graph.edges[0].allowFailure, true);
+});
+
+test('a block step gates the steps after it and waits for the ones before it', () => {
+  const graph = buildStepGraph([
+    command('build', { key: 'build' }),
+    { type: 'block', label: 'Release to production', key: 'release' },
+    command('deploy production', { key: 'deploy' }),
+    command('smoke test', { key: 'smoke' })
+  ]);
+
+  assert.deepEqual(graph.gates, ['release']);
+  assert.deepEqual(graph.stages, [['build'], ['release'], ['deploy', 'smoke']]);
+  assert.deepEqual(graph.edges.find(edge => edge.to === 'deploy'), { from: 'release', to: 'deploy', type: 'block', allowFailure: false });
+});
+
+test('depends_on adds explicit edges, also to steps defined later', () => {
+  const graph = buildStepGraph([
+    command('deploy', { key: 'deploy', dependsOn: ['build', { step: 'audit', allow_failure: true }] }),
+    command('build', { key: 'build' }),
+    command('audit', { key: 'audit' })
+  ]);
+
+  assert.deepEqual(graph.stages, [['build', 'audit'], ['deploy']]);
+  assert.deepEqual(graph.edges, [
+    { from: 'build', to: 'deploy', type: 'depends_on', allowFailure: false },
+    { from: 'audit', to: 'deploy', type: 'depends_on', allowFailure: true }
+  ]);
+  assert.deepEqual(graph.errors, []);
+});
+
+test('implicit and explicit dependencies combine without duplicates', () => {
+  const graph = buildStepGraph([
+    command('build', { key: 'build' }),
+    { type: 'wait' },
+    command('deploy', { key: 'deploy', dependsOn: ['build'] })
+  ]);
+
+  assert.deepEqual(graph.nodes[1].dependsOn, ['build']);
+  assert.equal(graph.edges.length, 1);
+});
+
+test('reports unknown dependencies and cycles', () => {
+  const graph = buildStepGraph([
+    command('a', { key: 'a', dependsOn: ['b'] }),
+    command('b', { key: 'b', dependsOn: ['a'] }),
+    command('c', { key: 'c', dependsOn: ['missing'] })
+  ]);
+
+  assert.deepEqual(graph.errors, [
+    'Step "c" depends on unknown step "missing"',
+    'Dependency cycle between steps: a, b'
+  ]);
+  assert.deepEqual(graph.stages, [['c']]);
+});
+
+test('gives steps without a key unique ids', () => {
+  const graph = buildStepGraph([command('one', { key: 'step-1' }), command('two')]);
+  assert.deepEqual(graph.nodes.map(node => node.id), ['step-1', 'step-1-2']);
+});
+
+test('pipeline.yml groups pass their depends_on and if to their steps', t => {
+  const projectPath = tempProject(t, {
+    '.buildkite/pipeline.yml': [
+      'steps:',
+      '  - label: Build',
+      '    key: build',
+      '    command: npm run build',
+      '  - group: Deploy',
+      '    depends_on: build',
+      '    if: build.branch == "master"',
+      '    steps:',
+      '      - label: Deploy staging',
+      '        key: staging',
+      '        command: ./deploy.sh staging',
+      '      - block: Release',
+      '        key: release',
+      '      - label: Deploy production',
+      '        command: ./deploy.sh production',
+      '        depends_on: [release]'
+    ].join('\n')
+  });
+
+  const { graph, steps } = new BuildkiteAnalyzer(projectPath).analyze();
+
+  assert.equal(steps[1].group, 'Deploy');
+  assert.equal(steps[1].if, 'build.branch == "master"');
+  assert.deepEqual(graph.stages, [['build'], ['staging'], ['release'], ['step-3']]);
+  assert.deepEqual(graph.nodes.find(node => node.id === 'step-3').dependsOn, ['release', 'build']);
+});
@@ -0,0 +1,133 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const yaml = require('js-yaml');
+const BuildkiteAnalyzer = require('../cli/utils/buildkiteAnalyzer');
+const { translatePipeline } = require('../cli/utils/stepTranslator');
+const { tempProject } = require('./helpers');
+
+// Analyzes a pipeline.yml and translates it
+function translate(t, pipeline, options = {}) {
+  const projectPath = tempProject(t, { '.buildkite/pipeline.yml': yaml.dump(pipeline) });
+  return translatePipeline(new BuildkiteAnalyzer(projectPath).analyze().pipeline, options);
+}
+
+const PIPELINE = {
+  steps: [
+    { label: ':jest: Tests', key: 'test', command: 'npm test' },
+    { label: ':docker: Release image', key: 'release', command: 'docker build -t svc .', branches: 'master' },
+    'wait',
+    { block: ':rocket: Ship it', key: 'ship' },
+    { label: 'Publish', command: './publish.sh "$NPM_TOKEN"', depends_on: 'ship', retry: { automatic: true } }
+  ]
+};
+
+test('maps steps the reusable pipeline performs onto the pipeline job', t => {
+  const translation = translate(t, PIPELINE);
+
+  assert.deepEqual(translation.steps.map(step => [step.step, step.job]), [
+    ['Tests', 'pipeline'],
+    ['Release image', 'release'],
+    ['Ship it', 'ship'],
+    ['Publish', 'publish']
+  ]);
+  assert.deepEqual(translation.jobs.ship.needs, ['pipeline', 'release']);
+  assert.equal(translation.jobs.ship.environment, 'ship-it-approval');
+  assert.equal(translation.jobs.publish.needs, 'ship');
+});
+
+test('full translations give every command step a job of its own', t => {
+  const translation = translate(t, PIPELINE, { fullTranslation: true });
+
+  assert.deepEqual(Object.keys(translation.jobs), ['test', 'release', 'ship', 'publish']);
+  assert.deepEqual(translation.jobs.test.steps, [{ uses: 'actions/checkout@v4' }, { run: 'npm test' }]);
+});
+
+test('branch filters become job conditions and push triggers', t => {
+  const translation = translate(t, PIPELINE);
+
+  assert.equal(translation.jobs.release.if, "github.ref == 'refs/heads/master'");
+  assert.deepEqual(translation.branches, ['master']);
+});
+
+test('variables from the agent environment come from secrets or repository variables', t => {
+  const translation = translate(t, {
+    steps: [{ label: 'Build', command: 'docker build --build-arg GRAPHQL_URL --build-arg BUILD=$BUILDKITE_BUILD_NUMBER -t svc . && ./push.sh "$NPM_TOKEN"' }]
+  });
+
+  assert.deepEqual(translation.jobs.build.env, {
+    GRAPHQL_URL: '${{ vars.GRAPHQL_URL }}',
+    NPM_TOKEN: '${{ secrets.NPM_TOKEN }}',
+    BUILDKITE_BUILD_NUMBER: '${{ github.run_number }}'
+  });
+});
+
+test('retries become a retry action around the commands', t => {
+  const { publish } = translate(t, PIPELINE).jobs;
+
+  assert.deepEqual(publish.steps[1], {
+    uses: 'nick-fields/retry@v3',
+    with: { timeout_minutes: 60, max_attempts: 3, command: './publish.sh "$NPM_TOKEN"' }
+  });
+});
+
+test('parallel steps upload their artifacts under one name per matrix job', t => {
+  const { e2e } = translate(t, {
+    steps: [{
+      label: ':cypress: E2E',
+      key: 'e2e',
+      command: 'npx cypress run',
+      parallelism: 3,
+      artifact_paths: 'cypress/screenshots/**/*'
+    }]
+  }).jobs;
+
+  assert.deepEqual(e2e.strategy, { 'fail-fast': false, matrix: { 'parallel-job': [0, 1, 2] } });
+  assert.equal(e2e.env.BUILDKITE_PARALLEL_JOB, '${{ matrix.parallel-job }}');
+  assert.deepEqual(e2e.steps[2], {
+    name: 'Upload artifacts',
+    uses: 'actions/upload-artifact@v4',
+    with: { name: 'e2e-artifacts-${{ strategy.job-index }}', path: 'cypress/screenshots/**/*' }
+  });
+});
+
+test('downloads find the artifacts of single and matrix jobs', t => {
+  const { jobs } = translate(t, {
+    steps: [
+      { label: 'Build', key: 'build', command: 'npm run build', artifact_paths: 'dist/**/*' },
+      'wait',
+      { label: 'Deploy', key: 'deploy', command: ['buildkite-agent artifact download "dist/*" .', './deploy.sh'] }
+    ]
+  });
+
+  assert.equal(jobs.build.steps[2].with.name, 'build-artifacts');
+  assert.deepEqual(jobs.deploy.steps[1].with, { pattern: '*-artifacts*', 'merge-multiple': true });
+});
+
+test('turns Buildkite\'s $$ escape back into a single $', t => {
+  const translation = translate(t, {
+    env: { API_KEY: '$$SECRET_API_KEY' },
+    steps: [{ label: 'Build', key: 'build', command: 'docker build --build-arg SENTRY_RELEASE=$$BUILDKITE_COMMIT .' }]
+  }, { fullTranslation: true });
+  const { build } = translation.jobs;
+
+  assert.equal(build.steps[1].run, 'docker build --build-arg SENTRY_RELEASE=$BUILDKITE_COMMIT .');
+  assert.equal(build.env.BUILDKITE_COMMIT, '${{ github.sha }}');
+  assert.equal(build.env.API_KEY, '$SECRET_API_KEY');
+  assert.ok(translation.todos.some(todo => /env API_KEY reads \$SECRET_API_KEY/.test(todo.message)));
+  assert.doesNotMatch(JSON.stringify(translation.jobs), /\$\$/);
+});
+
+test('reports what it cannot translate', t => {
+  const translation = translate(t, {
+    steps: [
+      { label: 'Lint', command: 'make lint', plugins: [{ 'ecr#v2.7.0': { login: true } }], agents: { queue: 'arm64' } },
+      { trigger: 'deploy-pipeline' }
+    ]
+  });
+
+  assert.deepEqual(translation.todos.map(todo => todo.message), [
+    'Buildkite agent queue "arm64" mapped to ubuntu-latest; pick a matching runner',
+    'Buildkite plugin "ecr#v2.7.0" has no translation',
+    'Trigger step for pipeline "deploy-pipeline" was not translated; call the equivalent workflow with "uses:" or "gh workflow run"'
+  ]);
+});
@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { execFileSync } = require('child_process');
+const {
+  parseTag,
+  tagEnvironment,
+  listTags,
+  latestTag,
+  latestVersion,
+  buildTag,
+  nextDevTag,
+  resolveDevTagFormat,
+  environmentCaseScript,
+  exampleTags
+} = require('../cli/utils/tagFormat');
+
+const TAGS = [
+  'v1.1.0-dev',
+  'v1.2.0',
+  'v1.2.1',
+  'v1.3.0-staging',
+  'dev-20261019-1010-1',
+  'dev-20261019-1010-2',
+  'v1.2.1-rollback-1700000000',
+  'release-notes'
+];
+
+test('parses every deployment tag format', () => {
+  assert.deepEqual(parseTag('v1.2.3'), {
+    tag: 'v1.2.3', base: 'v1.2.3', environment: 'production', format: 'semver', version: '1.2.3', build: null, rollback: null
+  });
+  assert.deepEqual(parseTag('dev-20261019-1010-2'), {
+    tag: 'dev-20261019-1010-2',
+    base: 'dev-20261019-1010-2',
+    environment: 'development',
+    format: 'timestamp',
+    version: '20261019-1010-2',
+    build: { date: '20261019', time: '1010', number: 2 },
+    rollback: null
+  });
+  assert.equal(parseTag('v1.1.0-dev').format, 'legacy');
+  assert.equal(tagEnvironment('v1.3.0-staging'), 'staging');
+  assert.equal(tagEnvironment('v1.3.0-beta'), 'beta');
+});
+
+test('rollback tags deploy to the environment of the tag they were made from', () => {
+  const parsed = parseTag('v1.3.0-staging-rollback-1700000000');
+  assert.equal(parsed.environment, 'staging');
+  assert.equal(parsed.base, 'v1.3.0-staging');
+  assert.equal(parsed.rollback, 1700000000);
+});
+
+test('ignores tags that are not deployments', () => {
+  assert.equal(parseTag('release-notes'), null);
+  assert.equal(parseTag('v1.2'), null);
+  assert.equal(parseTag('v1.2.3-rc1'), null);
+  assert.equal(parseTag('1.2.3'), null);
+});
+
+test('honours VERSION_PREFIX', () => {
+  assert.equal(parseTag('r1.0.0', 'r').version, '1.0.0');
+  assert.equal(parseTag('v1.0.0', 'r'), null);
+  assert.equal(buildTag('1.0.0', 'staging', 'r'), 'r1.0.0-staging');
+  // Timestamped dev tags have no prefix
+  assert.equal(tagEnvironment('dev-20261019-1010-1', 'r'), 'development');
+});
+
+test('lists tags newest first without rollbacks, timestamped dev tags after legacy ones', () => {
+  assert.deepEqual(listTags(TAGS).map(parsed => parsed.tag), [
+    'dev-20261019-1010-2',
+    'dev-20261019-1010-1',
+    'v1.3.0-staging',
+    'v1.2.1',
+    'v1.2.0',
+    'v1.1.0-dev'
+  ]);
+  assert.equal(listTags(TAGS, { includeRollbacks: true }).length, 7);
+  assert.deepEqual(listTags(TAGS, { environment: 'development' }).map(parsed => parsed.tag),
+    ['dev-20261019-1010-2', 'dev-20261019-1010-1', 'v1.1.0-dev']);
+});
+
+test('finds the latest tag and version per environment', () => {
+  assert.equal(latestTag(TAGS, 'development').tag, 'dev-20261019-1010-2');
+  assert.equal(latestTag(TAGS, 'beta'), null);
+  assert.equal(latestVersion(TAGS, 'production'), '1.2.1');
+  assert.equal(latestVersion(TAGS, 'staging'), '1.3.0');
+  // Timestamped dev tags aren't versions
+  assert.equal(latestVersion(TAGS, 'development'), '1.1.0');
+  assert.equal(latestVersion([], 'production'), '0.0.0');
+});
+
+test('builds tags per environment', () => {
+  assert.equal(buildTag('1.4.0', 'production'), 'v1.4.0');
+  assert.equal(buildTag('1.4.0', 'staging'), 'v1.4.0-staging');
+  assert.equal(buildTag('1.4.0', 'development'), 'v1.4.0-dev');
+  assert.throws(() => buildTag('1.4.0', 'qa'), /No tag format for environment "qa"/);
+});
+
+test('numbers dev builds within the same UTC minute', () => {
+  assert.equal(nextDevTag(TAGS, new Date('2026-10-19T10:10:59Z')), 'dev-20261019-1010-3');
+  assert.equal(nextDevTag(TAGS, new Date('2026-10-19T10:11:00Z')), 'dev-20261019-1011-1');
+  // A rollback of a build isn't a build of its own
+  assert.equal(nextDevTag(['dev-20261019-1010-1-rollback-1700000000'], new Date('2026-10-19T10:10:00Z')), 'dev-20261019-1010-1');
+});
+
+test('resolves DEV_TAG_FORMAT', () => {
+  assert.equal(resolveDevTagFormat(undefined), 'timestamp');
+  assert.equal(resolveDevTagFormat('Legacy'), 'legacy');
+  assert.throws(() => resolveDevTagFormat('semver'), /Invalid DEV_TAG_FORMAT "semver"/);
+});
+
+test('the workflow case script maps every example tag to its environment', () => {
+  for (const [environment, tags] of Object.entries(exampleTags())) {
+    for (const tag of [...tags, `${tags[0]}-rollback-1700000000`]) {
+      const output = execFileSync('bash', ['-c', `${environmentCaseScript()}\necho "$ENVIRONMENT"`], {
+        env: { ...process.env, TAG: tag },
+        encoding: 'utf8'
+      });
+      assert.equal(output.trim(), environment, tag);
+    }
+  }
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const yaml = require('js-yaml');
+const { ProjectDetector } = require('../cli/utils/projectDetector');
+const { generateWorkflows } = require('../cli/utils/workflowGenerator');
+const { tempProject, chdir } = require('./helpers');
+
+// The with: inputs of the pipeline job generated for the project
+function pipelineInputs(t, files) {
+  const projectPath = tempProject(t, files);
+  chdir(t, projectPath);
+  const [workflow] = generateWorkflows(new ProjectDetector(projectPath).detectPackages(), null);
+  return yaml.load(workflow.content).jobs.pipeline.with;
+}
+
+test('Cloud Functions say which HTTP functions can be called without credentials', t => {
+  const inputs = pipelineInputs(t, {
+    'package.json': JSON.stringify({ name: 'printer', main: 'index.js' }),
+    'index.js': [
+      'exports.printLabel = (req, res) => res.send("ok");',
+      'exports.webhook = (req, res) => res.send("ok");',
+      'exports.onOrder = functions.pubsub.topic("orders").onPublish(message => {});'
+    ].join('\n'),
+    '.deploy.config': 'DEPLOY_TYPE="cloud-function"\nFUNCTION_ALLOW_UNAUTHENTICATED="webhook"\n'
+  });
+
+  assert.deepEqual(JSON.parse(inputs.functions), [
+    { name: 'print-label', 'entry-point': 'printLabel', trigger: 'http', 'allow-unauthenticated': false },
+    { name: 'webhook', 'entry-point': 'webhook', trigger: 'http', 'allow-unauthenticated': true },
+    { name: 'on-order', 'entry-point': 'onOrder', trigger: 'topic', 'trigger-topic': 'orders' }
+  ]);
+});
+
+const FIREBASE_STAGING = {
+  'package.json': JSON.stringify({ name: 'web', version: '1.0.0', scripts: { build: 'vite build' } }),
+  'firebase.json': JSON.stringify({ hosting: { public: 'dist' } }),
+  '.deploy.config': 'SERVICE_NAME="web"\nHAS_STAGING="true"\nFIREBASE_PROJECT_DEV="web-dev"\nFIREBASE_PROJECT_PROD="web-prod"\n'
+};
+
+test('Firebase apps with staging need a staging project', t => {
+  assert.throws(() => pipelineInputs(t, FIREBASE_STAGING), /web deploys to Firebase, but FIREBASE_PROJECT_STAGING is not set/);
+});
+
+test('Firebase apps stage on their own project', t => {
+  const inputs = pipelineInputs(t, { ...FIREBASE_STAGING, '.firebaserc': JSON.stringify({ projects: { staging: 'web-staging' } }) });
+  assert.equal(inputs['firebase-project-staging'], 'web-staging');
+});
+
+test('Docker builds get the commit from GitHub and secret build args from secrets', t => {
+  const inputs = pipelineInputs(t, {
+    'package.json': JSON.stringify({ name: 'storefront', version: '1.0.0' }),
+    'Dockerfile': 'FROM node:20\nARG BUILD_SHA\nARG API_URL\nARG GOOGLE_MAPS_KEY\nARG NPM_TOKEN\nRUN npm ci\n',
+    'kubernetes/base/kustomization.yaml': 'resources: []\n'
+  });
+
+  assert.equal(inputs['docker-build-args'], 'API_URL=${{ vars.API_URL }}\nBUILD_SHA=${{ github.sha }}');
+  // NPM_TOKEN is passed to every build already
+  assert.equal(inputs['docker-build-secrets'], 'GOOGLE_MAPS_KEY');
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ProjectDetector } = require('../cli/utils/projectDetector');
+const { generateWorkflows } = require('../cli/utils/workflowGenerator');
+const { parseWorkflow } = require('../cli/utils/workflowParser');
+const { lintWorkflow } = require('../cli/utils/workflowLinter');
+const { tempProject, chdir } = require('./helpers');
+
+function lint(source, projectPath) {
+  return lintWorkflow(parseWorkflow(source, 'ci-cd.yml'), { projectPath });
+}
+
+function generatedWorkflow(t, files) {
+  const projectPath = tempProject(t, files);
+  chdir(t, projectPath);
+  const [workflow] = generateWorkflows(new ProjectDetector(projectPath).detectPackages(), null);
+  return { projectPath, content: workflow.content };
+}
+
+test('a generated node service workflow lints clean', t => {
+  const { projectPath, content } = generatedWorkflow(t, {
+    'package.json': JSON.stringify({ name: '@karma/svc', version: '1.0.0', scripts: { test: 'jest' }, engines: { node: '20' } }),
+    Dockerfile: 'FROM node:20\n'
+  });
+
+  assert.match(content, /node-service-pipeline\.yml@main/);
+  assert.deepEqual(lint(content, projectPath), []);
+});
+
+test('a generated Firebase workflow lints clean', t => {
+  const { projectPath, content } = generatedWorkflow(t, {
+    'package.json': JSON.stringify({ name: 'web', version: '1.0.0', scripts: { build: 'vite build' } }),
+    'firebase.json': JSON.stringify({ hosting: { public: 'dist' } }),
+    '.deploy.config': 'SERVICE_NAME="web"\nFIREBASE_PROJECT_DEV="web-dev"\nFIREBASE_PROJECT_PROD="web-prod"\n'
+  });
+
+  assert.match(content, /firebase-app-pipeline\.yml@main/);
+  assert.deepEqual(lint(content, projectPath), []);
+});
+
+test('actions and workflows from elsewhere still need a pinned ref', t => {
+  const projectPath = tempProject(t, { 'package.json': '{}' });
+  const findings = lint([
+    'on: push',
+    'jobs:',
+    '  build:',
+    '    runs-on: ubuntu-latest',
+    '    steps:',
+    '      - uses: actions/checkout@main',
+    '      - uses: some-org/some-action',
+    '  shared:',
+    '    uses: other-org/workflows/.github/workflows/build.yml@master'
+  ].join('\n'), projectPath);
+
+  assert.deepEqual(findings.map(finding => [finding.rule, finding.severity, finding.job]), [
+    ['unpinned-ref', 'warning', 'build'],
+    ['unpinned-ref', 'error', 'build'],
+    ['unpinned-ref', 'warning', 'shared']
+  ]);
+});
+
+test('checks the inputs passed to the karma-workflows pipelines', t => {
+  const projectPath = tempProject(t, { 'package.json': '{}' });
+  const findings = lint([
+    'on: push',
+    'jobs:',
+    '  pipeline:',
+    '    uses: karmadev/karma-workflows/.github/workflows/node-service-pipeline.yml@main',
+    '    with:',
+    '      service-name: svc',
+    '      has-graphql: "yes"',
+    '      colour: blue',
+    '    secrets: inherit'
+  ].join('\n'), projectPath);
+
+  assert.deepEqual(findings.map(finding => finding.message), [
+    'Input "has-graphql" should be a boolean, got "yes"',
+    'node-service-pipeline.yml has no input "colour"'
+  ]);
+});